@@ -0,0 +1,46 @@
+const path = require('path');
+const { STORE_METHODS } = require('../common');
+
+// ===== ストレージアダプターの選択 =====
+// json: data/rooms.json（既定）、postgres: DATABASE_URL、sqlite: data/rooms.sqlite
+// どのアダプターも common.STORE_METHODS のメソッドを持ち、すべて Promise を返す
+
+const BACKENDS = ['json', 'postgres', 'sqlite'];
+
+const dataDir = path.join(__dirname, '..', '..', 'data');
+
+// 環境変数からストレージの設定を決める
+// DB_BACKEND を省略した場合は DATABASE_URL があれば postgres、なければ json
+function resolveStoreConfig(env = process.env) {
+  const backend = env.DB_BACKEND || (env.DATABASE_URL ? 'postgres' : 'json');
+  switch (backend) {
+    case 'json':
+      return { backend, path: env.JSON_DB_PATH || path.join(dataDir, 'rooms.json') };
+    case 'postgres':
+      if (!env.DATABASE_URL) throw new Error('DB_BACKEND=postgres には DATABASE_URL が必要です');
+      return { backend, connectionString: env.DATABASE_URL };
+    case 'sqlite':
+      return { backend, path: env.SQLITE_PATH || path.join(dataDir, 'rooms.sqlite') };
+    default:
+      throw new Error(`未対応の DB_BACKEND です: ${backend}（${BACKENDS.join(' / ')}）`);
+  }
+}
+
+// 設定 { backend, ... } からアダプターを作る（使うアダプターのモジュールだけを読み込む）
+function createStore(config) {
+  let store;
+  if (config.backend === 'json') store = require('./json').createJsonStore(config);
+  else if (config.backend === 'postgres') store = require('./postgres').createPostgresStore(config);
+  else if (config.backend === 'sqlite') store = require('./sqlite').createSqliteStore(config);
+  else throw new Error(`未対応のストレージです: ${config.backend}`);
+
+  const missing = STORE_METHODS.filter(name => typeof store[name] !== 'function');
+  if (missing.length > 0) throw new Error(`ストレージ ${config.backend} に未実装のメソッドがあります: ${missing.join(', ')}`);
+  return store;
+}
+
+module.exports = {
+  BACKENDS,
+  resolveStoreConfig,
+  createStore
+};
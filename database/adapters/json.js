@@ -0,0 +1,546 @@
+const { toBusinessDate } = require('../../lib/businessDay');
+const common = require('../common');
+const { createJournal } = require('../journal');
+const migrations = require('../migrations/json');
+
+const {
+  DEFAULT_PROPERTY_ID, TABLES, initialProperties, buildInitialCategories, buildInitialRooms,
+  resetValues, lostItemFields, webhookFields, webhookDeliveryFields, userFields, categoryFields,
+  buildRoomChanges, versionConflictError, buildHistoryEntries, buildCreateHistoryEntry, buildArchive
+} = common;
+
+// ===== JSON ファイルのストレージ =====
+// 全データをメモリに持ち、変更はジャーナルに追記する（1台の PC で動かす小規模向け）
+// ファイルの書き方・破損からの復旧は database/journal.js
+
+// JSON DB に残す配信ログの件数（古いものから削除する）
+const LOCAL_WEBHOOK_DELIVERY_LIMIT = 1000;
+
+const LATEST_VERSION = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+// ファイルがない場合の初期データ
+function buildInitialData() {
+  return {
+    schema_version: LATEST_VERSION,
+    properties: [...initialProperties],
+    rooms: buildInitialRooms(DEFAULT_PROPERTY_ID),
+    categories: buildInitialCategories(DEFAULT_PROPERTY_ID),
+    users: [],
+    history: [],
+    archives: [],
+    shareLinks: [],
+    repairTickets: [],
+    lostItems: [],
+    webhooks: [],
+    webhookDeliveries: [],
+    floorPlans: [],
+    settings: []
+  };
+}
+
+// options: { path: JSON ファイルのパス }
+function createJsonStore(options = {}) {
+  let data = null;
+  const journal = createJournal({
+    path: options.path,
+    keys: Object.fromEntries(TABLES.map(({ collection, key }) => [collection, key])),
+    getData: () => data,
+    buildInitialData
+  });
+
+  // 復旧できないほど壊れている場合は migrate で失敗させる（初期データで上書きしない）
+  let loadError = null;
+  try {
+    data = journal.load();
+  } catch (err) {
+    loadError = err;
+  }
+
+  function appendHistory(entries) {
+    let nextId = data.history.length > 0 ? data.history[data.history.length - 1].history_id + 1 : 1;
+    const records = entries.map(entry => ({ history_id: nextId++, ...entry }));
+    data.history.push(...records);
+    journal.put('history', ...records);
+  }
+
+  // メモリ上の部屋に変更を反映する
+  function applyRoomUpdate(room, updates, actor, now) {
+    const changes = buildRoomChanges(room, updates, now);
+    appendHistory(buildHistoryEntries(room, changes, actor, 'update', now));
+
+    Object.assign(room, changes);
+    room.version += 1;
+    room.updated_at = now;
+    journal.put('rooms', room);
+  }
+
+  // 施設の部屋を探す
+  function findRoom(propertyId, roomId) {
+    return data.rooms.find(r => r.property_id === propertyId && r.room_id === roomId);
+  }
+
+  return {
+    backend: 'json',
+
+    // ===== スキーマ移行 =====
+
+    // 未適用の移行を適用する → 適用した [{ version, name }]
+    migrate: () => {
+      if (loadError) return Promise.reject(loadError);
+      const current = data.schema_version || 0;
+      const pending = migrations.filter(m => m.version > current);
+      pending.forEach(m => {
+        data = { ...m.up(data), schema_version: m.version };
+      });
+      if (pending.length > 0) journal.rewrite();
+      return Promise.resolve(pending.map(({ version, name }) => ({ version, name })));
+    },
+
+    getSchemaVersion: () => loadError ? Promise.reject(loadError) : Promise.resolve(data.schema_version || 0),
+
+    // 全データ（コレクション名 → 行の配列）
+    exportAll: () => Promise.resolve(Object.fromEntries(
+      TABLES.map(({ collection }) => [collection, JSON.parse(JSON.stringify(data[collection] || []))])
+    )),
+
+    // 全データを置き換える
+    importAll: (snapshot) => {
+      data = { schema_version: (data && data.schema_version) || LATEST_VERSION };
+      TABLES.forEach(({ collection }) => { data[collection] = snapshot[collection] || []; });
+      loadError = null;
+      journal.rewrite();
+      return Promise.resolve();
+    },
+
+    // ===== 部屋 =====
+
+    // 全部屋取得（施設ごと）
+    getAllRooms: (propertyId) => {
+      data.rooms.sort((a, b) => a.display_order - b.display_order);
+      return Promise.resolve(data.rooms.filter(r => r.property_id === propertyId));
+    },
+
+    // 単一部屋取得
+    getRoom: (propertyId, roomId) => Promise.resolve(findRoom(propertyId, roomId)),
+
+    // 更新（変更したフィールドは actor の操作として履歴に記録）
+    // expectedVersion を指定した場合、現在のバージョンと異なれば VERSION_CONFLICT で reject する
+    updateRoom: (propertyId, roomId, updates, actor, expectedVersion) => {
+      const room = findRoom(propertyId, roomId);
+      if (!room) return Promise.resolve(null);
+      if (expectedVersion !== undefined && room.version !== expectedVersion) {
+        return Promise.reject(versionConflictError({ ...room }));
+      }
+
+      applyRoomUpdate(room, updates, actor, new Date().toISOString());
+      return Promise.resolve(room);
+    },
+
+    // 複数の部屋をまとめて更新 changes: [{ roomId, updates, expectedVersion? }]
+    // 1回の書き込み。1件でも競合すれば何も更新しない
+    updateRooms: (propertyId, changes, actor) => {
+      // 書き込む前に全件のバージョンを確認する
+      for (const { roomId, expectedVersion } of changes) {
+        const room = findRoom(propertyId, roomId);
+        if (room && expectedVersion !== undefined && room.version !== expectedVersion) {
+          return Promise.reject(versionConflictError({ ...room }));
+        }
+      }
+
+      const now = new Date().toISOString();
+      const updatedRooms = [];
+      changes.forEach(({ roomId, updates }) => {
+        const room = findRoom(propertyId, roomId);
+        if (!room) return;
+        applyRoomUpdate(room, updates, actor, now);
+        updatedRooms.push(room);
+      });
+      return Promise.resolve(updatedRooms);
+    },
+
+    // リセット（変化した部屋・フィールドを 'reset' として履歴に記録）
+    // リセット前にその日の状態を日次アーカイブへ保存する（businessDate 省略時は現在の営業日）
+    // options.keepSelection: 使用客室の選択（is_active）は残す
+    resetAllRooms: (propertyId, actor, businessDate = toBusinessDate(), options = {}) => {
+      const now = new Date().toISOString();
+      const values = { ...resetValues };
+      if (options.keepSelection) delete values.is_active;
+
+      const propertyRooms = data.rooms.filter(r => r.property_id === propertyId);
+      const nextId = data.archives.length > 0 ? data.archives[data.archives.length - 1].archive_id + 1 : 1;
+      const archive = { archive_id: nextId, ...buildArchive(propertyId, propertyRooms, actor, businessDate, now) };
+      data.archives.push(archive);
+      journal.put('archives', archive);
+      appendHistory(propertyRooms.flatMap(room => buildHistoryEntries(room, values, actor, 'reset', now)));
+
+      data.rooms = data.rooms.map(r => r.property_id !== propertyId ? r : {
+        ...r,
+        ...values,
+        is_checkout: 0,
+        status_times: {},
+        version: r.version + 1,
+        updated_at: now
+      });
+      journal.replace('rooms');
+      return Promise.resolve(data.rooms.filter(r => r.property_id === propertyId));
+    },
+
+    // 部屋追加（作成を履歴に記録）
+    createRoom: (propertyId, room, actor) => {
+      const now = new Date().toISOString();
+      const record = common.buildRoomRecord(propertyId, room, now);
+      data.rooms.push(record);
+      journal.put('rooms', record);
+      appendHistory([buildCreateHistoryEntry(record, actor, now)]);
+      return Promise.resolve(record);
+    },
+
+    // 変更履歴取得（新しい順）
+    // filters: { roomId, from, to, limit } - from/to は Date
+    getHistory: (propertyId, filters = {}) => {
+      const limit = filters.limit || 200;
+      const from = filters.from ? filters.from.getTime() : -Infinity;
+      const to = filters.to ? filters.to.getTime() : Infinity;
+
+      const entries = data.history.filter(e => {
+        const time = new Date(e.created_at).getTime();
+        return e.property_id === propertyId && (!filters.roomId || e.room_id === filters.roomId) && time >= from && time < to;
+      });
+      return Promise.resolve(entries.reverse().slice(0, limit));
+    },
+
+    // ===== 日次アーカイブ =====
+
+    // アーカイブ済みの営業日一覧（新しい順）
+    listDays: (propertyId) => {
+      const days = {};
+      data.archives.filter(a => a.property_id === propertyId).forEach(a => {
+        const day = days[a.business_date] || { business_date: a.business_date, archive_count: 0, last_archived_at: a.archived_at };
+        day.archive_count += 1;
+        if (a.archived_at > day.last_archived_at) day.last_archived_at = a.archived_at;
+        days[a.business_date] = day;
+      });
+      return Promise.resolve(Object.values(days).sort((a, b) => b.business_date.localeCompare(a.business_date)));
+    },
+
+    // 最後にリセット（アーカイブ）した時刻。一度もない場合は null
+    getLastArchivedAt: (propertyId) => {
+      const last = data.archives.filter(a => a.property_id === propertyId).pop();
+      return Promise.resolve(last ? last.archived_at : null);
+    },
+
+    // 指定した営業日のアーカイブ（同じ日に複数回リセットした場合は古い順に全件）
+    getDayArchives: (propertyId, businessDate) => {
+      return Promise.resolve(data.archives.filter(a => a.property_id === propertyId && a.business_date === businessDate));
+    },
+
+    // 期間内（from〜to の営業日）のアーカイブ（営業日・保存した順）
+    getArchivesInRange: (propertyId, from, to) => {
+      return Promise.resolve(data.archives
+        .filter(a => a.property_id === propertyId && a.business_date >= from && a.business_date <= to)
+        .sort((a, b) => a.business_date.localeCompare(b.business_date)));
+    },
+
+    // ===== カテゴリ =====
+
+    // 全カテゴリ取得（表示順）
+    getAllCategories: (propertyId) => {
+      if (!data.categories.some(c => c.property_id === propertyId)) {
+        // 初期データ投入
+        const categories = buildInitialCategories(propertyId);
+        data.categories.push(...categories);
+        journal.put('categories', ...categories);
+      }
+      return Promise.resolve(data.categories
+        .filter(c => c.property_id === propertyId)
+        .sort((a, b) => a.display_order - b.display_order));
+    },
+
+    // カテゴリ追加
+    createCategory: (propertyId, category) => {
+      const record = common.buildCategoryRecord(propertyId, category);
+      data.categories.push(record);
+      journal.put('categories', record);
+      return Promise.resolve(record);
+    },
+
+    // カテゴリ更新
+    updateCategory: (propertyId, categoryId, updates) => {
+      const keys = Object.keys(updates).filter(k => categoryFields.includes(k));
+      const category = data.categories.find(c => c.property_id === propertyId && c.category_id === categoryId);
+      if (!category) return Promise.resolve(null);
+
+      keys.forEach(k => { category[k] = updates[k]; });
+      journal.put('categories', category);
+      return Promise.resolve(category);
+    },
+
+    // カテゴリ削除（使用中の部屋がないことは呼び出し側で確認する）
+    deleteCategory: (propertyId, categoryId) => {
+      const removed = data.categories.filter(c => c.property_id === propertyId && c.category_id === categoryId);
+      data.categories = data.categories.filter(c => !removed.includes(c));
+      journal.remove('categories', ...removed);
+      return Promise.resolve(removed.length > 0);
+    },
+
+    // ===== 施設 =====
+
+    // 全施設（表示順）
+    getAllProperties: () => Promise.resolve([...data.properties].sort((a, b) => a.display_order - b.display_order)),
+
+    // 施設追加
+    createProperty: (property) => {
+      const record = common.buildPropertyRecord(property);
+      data.properties.push(record);
+      journal.put('properties', record);
+      return Promise.resolve(record);
+    },
+
+    // ===== スタッフ =====
+
+    // 全スタッフ取得
+    getAllUsers: () => Promise.resolve([...data.users]),
+
+    // 単一スタッフ取得
+    getUser: (userId) => Promise.resolve(data.users.find(u => u.user_id === userId)),
+
+    // 名前でスタッフ取得（ログイン用）
+    getUserByName: (name) => Promise.resolve(data.users.find(u => u.name === name)),
+
+    // スタッフ登録
+    createUser: (user) => {
+      const record = common.buildUserRecord(user);
+      data.users.push(record);
+      journal.put('users', record);
+      return Promise.resolve(record);
+    },
+
+    // スタッフ更新
+    updateUser: (userId, updates) => {
+      const keys = Object.keys(updates).filter(k => userFields.includes(k));
+      const user = data.users.find(u => u.user_id === userId);
+      if (!user) return Promise.resolve(null);
+
+      keys.forEach(k => { user[k] = updates[k]; });
+      user.updated_at = new Date().toISOString();
+      journal.put('users', user);
+      return Promise.resolve(user);
+    },
+
+    // ===== 共有リンク =====
+
+    // 全共有リンク（新しい順）
+    getAllShareLinks: (propertyId) => Promise.resolve(data.shareLinks.filter(l => l.property_id === propertyId).reverse()),
+
+    // シークレットのハッシュで取得
+    getShareLinkByHash: (secretHash) => Promise.resolve(data.shareLinks.find(l => l.secret_hash === secretHash)),
+
+    // 発行
+    createShareLink: (link) => {
+      const record = common.buildShareLinkRecord(link);
+      data.shareLinks.push(record);
+      journal.put('shareLinks', record);
+      return Promise.resolve(record);
+    },
+
+    // 失効（既に失効済みの場合はそのまま返す）
+    revokeShareLink: (propertyId, linkId) => {
+      const link = data.shareLinks.find(l => l.property_id === propertyId && l.link_id === linkId);
+      if (!link) return Promise.resolve(undefined);
+      if (!link.revoked_at) {
+        link.revoked_at = new Date().toISOString();
+        journal.put('shareLinks', link);
+      }
+      return Promise.resolve(link);
+    },
+
+    // ===== 修理チケット =====
+
+    // チケット一覧（新しい順） filters: { roomId?, status? }
+    getRepairTickets: (propertyId, filters = {}) => {
+      return Promise.resolve(data.repairTickets
+        .filter(t => t.property_id === propertyId &&
+          (!filters.roomId || t.room_id === filters.roomId) &&
+          (!filters.status || t.status === filters.status))
+        .reverse());
+    },
+
+    getRepairTicket: (propertyId, ticketId) => {
+      return Promise.resolve(data.repairTickets.find(t => t.property_id === propertyId && t.ticket_id === ticketId));
+    },
+
+    // チケット登録 { ticket_id, property_id, room_id, title, description, created_by, created_by_name }
+    createRepairTicket: (ticket) => {
+      const record = common.buildRepairTicketRecord(ticket);
+      data.repairTickets.push(record);
+      journal.put('repairTickets', record);
+      return Promise.resolve(record);
+    },
+
+    // チケット更新（解決にしたときは解決日時を記録し、戻したときは消す）
+    updateRepairTicket: (propertyId, ticketId, updates) => {
+      const now = new Date().toISOString();
+      const ticket = data.repairTickets.find(t => t.property_id === propertyId && t.ticket_id === ticketId);
+      if (!ticket) return Promise.resolve(undefined);
+
+      Object.assign(ticket, common.buildRepairTicketChanges(updates, now), { updated_at: now });
+      journal.put('repairTickets', ticket);
+      return Promise.resolve(ticket);
+    },
+
+    // ===== 忘れ物 =====
+
+    // 忘れ物一覧（拾得日の新しい順）
+    // filters: { status?, roomId?, from?, to?（拾得日 YYYY-MM-DD）, query?（内容・部屋・保管場所・拾得者の部分一致） }
+    getLostItems: (propertyId, filters = {}) => {
+      const query = (filters.query || '').toLowerCase();
+      return Promise.resolve(data.lostItems
+        .filter(item => item.property_id === propertyId &&
+          (!filters.status || item.status === filters.status) &&
+          (!filters.roomId || item.room_id === filters.roomId) &&
+          (!filters.from || item.found_date >= filters.from) &&
+          (!filters.to || item.found_date <= filters.to) &&
+          (!query || [item.description, item.room_id, item.storage_location, item.found_by_name]
+            .some(v => v && v.toLowerCase().includes(query))))
+        .sort((a, b) => b.found_date.localeCompare(a.found_date) || b.created_at.localeCompare(a.created_at)));
+    },
+
+    // 忘れ物登録 { item_id, property_id, room_id, description, found_date, found_by, found_by_name, storage_location }
+    createLostItem: (item) => {
+      const record = common.buildLostItemRecord(item);
+      data.lostItems.push(record);
+      journal.put('lostItems', record);
+      return Promise.resolve(record);
+    },
+
+    // 忘れ物更新
+    updateLostItem: (propertyId, itemId, updates) => {
+      const keys = Object.keys(updates).filter(k => lostItemFields.includes(k));
+      const item = data.lostItems.find(i => i.property_id === propertyId && i.item_id === itemId);
+      if (!item) return Promise.resolve(undefined);
+
+      keys.forEach(k => { item[k] = updates[k]; });
+      item.updated_at = new Date().toISOString();
+      journal.put('lostItems', item);
+      return Promise.resolve(item);
+    },
+
+    // ===== Webhook =====
+
+    // Webhook 一覧（登録順）
+    getWebhooks: (propertyId) => Promise.resolve(data.webhooks.filter(h => h.property_id === propertyId)),
+
+    getWebhook: (propertyId, webhookId) => {
+      return Promise.resolve(data.webhooks.find(h => h.property_id === propertyId && h.webhook_id === webhookId));
+    },
+
+    // 登録 { webhook_id, property_id, url, label, events, secret, created_by, created_by_name }
+    createWebhook: (hook) => {
+      const record = common.buildWebhookRecord(hook);
+      data.webhooks.push(record);
+      journal.put('webhooks', record);
+      return Promise.resolve(record);
+    },
+
+    updateWebhook: (propertyId, webhookId, updates) => {
+      const keys = Object.keys(updates).filter(k => webhookFields.includes(k));
+      const hook = data.webhooks.find(h => h.property_id === propertyId && h.webhook_id === webhookId);
+      if (!hook) return Promise.resolve(undefined);
+
+      keys.forEach(k => { hook[k] = updates[k]; });
+      hook.updated_at = new Date().toISOString();
+      journal.put('webhooks', hook);
+      return Promise.resolve(hook);
+    },
+
+    // 削除（配信ログも合わせて削除する）
+    deleteWebhook: (propertyId, webhookId) => {
+      const hook = data.webhooks.find(h => h.property_id === propertyId && h.webhook_id === webhookId);
+      if (!hook) return Promise.resolve(undefined);
+
+      const deliveries = data.webhookDeliveries.filter(d => d.webhook_id === webhookId);
+      data.webhooks = data.webhooks.filter(h => h !== hook);
+      data.webhookDeliveries = data.webhookDeliveries.filter(d => d.webhook_id !== webhookId);
+      journal.remove('webhooks', hook);
+      journal.remove('webhookDeliveries', ...deliveries);
+      return Promise.resolve(hook);
+    },
+
+    // 配信ログ（新しい順） filters: { webhookId?, limit? }
+    getWebhookDeliveries: (propertyId, filters = {}) => {
+      const limit = filters.limit || 100;
+      return Promise.resolve(data.webhookDeliveries
+        .filter(d => d.property_id === propertyId && (!filters.webhookId || d.webhook_id === filters.webhookId))
+        .slice(-limit)
+        .reverse());
+    },
+
+    getWebhookDelivery: (propertyId, deliveryId) => {
+      return Promise.resolve(data.webhookDeliveries.find(d => d.property_id === propertyId && d.delivery_id === deliveryId));
+    },
+
+    // 配信の記録 { delivery_id, webhook_id, property_id, event, payload, redelivery_of? }
+    createWebhookDelivery: (delivery) => {
+      const record = common.buildWebhookDeliveryRecord(delivery);
+      data.webhookDeliveries.push(record);
+      journal.put('webhookDeliveries', record);
+      if (data.webhookDeliveries.length > LOCAL_WEBHOOK_DELIVERY_LIMIT) {
+        journal.remove('webhookDeliveries', ...data.webhookDeliveries.slice(0, -LOCAL_WEBHOOK_DELIVERY_LIMIT));
+        data.webhookDeliveries = data.webhookDeliveries.slice(-LOCAL_WEBHOOK_DELIVERY_LIMIT);
+      }
+      return Promise.resolve(record);
+    },
+
+    // 送信結果の記録
+    updateWebhookDelivery: (deliveryId, updates) => {
+      const keys = Object.keys(updates).filter(k => webhookDeliveryFields.includes(k));
+      const delivery = data.webhookDeliveries.find(d => d.delivery_id === deliveryId);
+      if (!delivery) return Promise.resolve(undefined);
+
+      keys.forEach(k => { delivery[k] = updates[k]; });
+      journal.put('webhookDeliveries', delivery);
+      return Promise.resolve(delivery);
+    },
+
+    // 再送時刻を過ぎた配信（全施設）
+    getDueWebhookDeliveries: (now = new Date().toISOString()) => {
+      return Promise.resolve(data.webhookDeliveries.filter(d =>
+        d.status === 'pending' && d.next_attempt_at && d.next_attempt_at <= now
+      ));
+    },
+
+    // ===== 見取り図 =====
+
+    // 施設の見取り図（保存していなければ undefined）
+    getFloorPlan: (propertyId) => Promise.resolve(data.floorPlans.find(p => p.property_id === propertyId)),
+
+    // 見取り図の保存（施設ごとに1つ。保存済みなら置き換える）
+    saveFloorPlan: (propertyId, layout, actor = {}) => {
+      const record = common.buildFloorPlanRecord(propertyId, layout, actor);
+      data.floorPlans = [...data.floorPlans.filter(p => p.property_id !== propertyId), record];
+      journal.put('floorPlans', record);
+      return Promise.resolve(record);
+    },
+
+    // ===== 設定 =====
+
+    // 設定がなければ value で作成し、保存されている値を返す
+    ensureSetting: (name, value) => {
+      let setting = data.settings.find(s => s.name === name);
+      if (!setting) {
+        setting = common.buildSettingRecord(name, value);
+        data.settings.push(setting);
+        journal.put('settings', setting);
+      }
+      return Promise.resolve(setting.value);
+    },
+
+    // 残っている変更を書き込む
+    close: () => {
+      if (!loadError) journal.close();
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = { createJsonStore };
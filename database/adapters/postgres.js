@@ -0,0 +1,675 @@
+const { Pool } = require('pg');
+const { toBusinessDate } = require('../../lib/businessDay');
+const common = require('../common');
+const migrations = require('../migrations/postgres');
+
+const {
+  DEFAULT_PROPERTY_ID, DEFAULT_PROPERTY_NAME, TABLES, buildInitialCategories, buildInitialRooms,
+  roomFields, resetValues, lostItemFields, webhookFields, webhookDeliveryFields, userFields, categoryFields,
+  buildRoomChanges, versionConflictError, buildHistoryEntries, buildCreateHistoryEntry, buildArchive, toPortableRow
+} = common;
+
+// ===== PostgreSQL のストレージ =====
+
+// 同時に起動した複数のサーバーが移行を重ねて実行しないためのロックキー
+const MIGRATION_LOCK_KEY = 72046501;
+
+// 1回の INSERT でまとめる行数（パラメーター数の上限を超えないようにする）
+const INSERT_BATCH_SIZE = 500;
+
+function insertHistory(client, entries) {
+  if (entries.length === 0) return Promise.resolve();
+
+  const values = [];
+  const rows = entries.map((e, i) => {
+    const base = i * 9;
+    values.push(e.property_id, e.room_id, e.action, e.field, JSON.stringify(e.old_value), JSON.stringify(e.new_value),
+      e.actor_id, e.actor_name, e.created_at);
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}::jsonb, $${base + 6}::jsonb, $${base + 7}, $${base + 8}, $${base + 9})`;
+  });
+
+  return client.query(
+    `INSERT INTO room_history (property_id, room_id, action, field, old_value, new_value, actor_id, actor_name, created_at) VALUES ${rows.join(', ')}`,
+    values
+  );
+}
+
+// TABLES の定義に沿って行をまとめて追加する（初期データの投入・全データの読み込み用）
+async function insertRows(client, table, rows, suffix = '') {
+  const json = table.json || [];
+  const inserted = [];
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const values = [];
+    const placeholders = rows.slice(start, start + INSERT_BATCH_SIZE).map(row => {
+      const cells = table.columns.map(column => {
+        const value = row[column] === undefined ? null : row[column];
+        values.push(json.includes(column) && value !== null ? JSON.stringify(value) : value);
+        return `$${values.length}${json.includes(column) ? '::jsonb' : ''}`;
+      });
+      return `(${cells.join(', ')})`;
+    });
+    const res = await client.query(
+      `INSERT INTO ${table.table} (${table.columns.join(', ')}) VALUES ${placeholders.join(', ')} ${suffix}`, values
+    );
+    inserted.push(...res.rows);
+  }
+  return inserted;
+}
+
+// トランザクション内で1部屋を更新する（行ロックを取ってからバージョンを確認）
+async function updateRoomInTransaction(client, propertyId, roomId, updates, actor, expectedVersion) {
+  const current = await client.query('SELECT * FROM rooms WHERE property_id = $1 AND room_id = $2 FOR UPDATE', [propertyId, roomId]);
+  if (current.rows.length === 0) return null;
+  if (expectedVersion !== undefined && current.rows[0].version !== expectedVersion) {
+    throw versionConflictError(current.rows[0]);
+  }
+
+  const now = new Date().toISOString();
+  const changes = buildRoomChanges(current.rows[0], updates, now);
+  const changeKeys = Object.keys(changes);
+  if (changeKeys.length === 0) return current.rows[0];
+
+  const setClause = changeKeys.map((k, i) => `${k} = $${i + 4}`).join(', ');
+  const values = [propertyId, roomId, now, ...changeKeys.map(k => k === 'status_times' ? JSON.stringify(changes[k]) : changes[k])];
+  const res = await client.query(
+    `UPDATE rooms SET ${setClause}, version = version + 1, updated_at = $3 WHERE property_id = $1 AND room_id = $2 RETURNING *`, values
+  );
+
+  await insertHistory(client, buildHistoryEntries(current.rows[0], changes, actor, 'update', now));
+  return res.rows[0];
+}
+
+// options: { connectionString }
+function createPostgresStore(options = {}) {
+  const pool = new Pool({
+    connectionString: options.connectionString,
+    ssl: { rejectUnauthorized: false } // クラウドDB接続用
+  });
+
+  // Postgres トランザクション
+  async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    backend: 'postgres',
+
+    // ===== スキーマ移行 =====
+
+    // 未適用の移行を1トランザクションで適用する → 適用した [{ version, name }]
+    migrate: () => withTransaction(async client => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      const res = await client.query('SELECT version FROM schema_migrations');
+      const applied = new Set(res.rows.map(r => r.version));
+      const pending = migrations.filter(m => !applied.has(m.version));
+      for (const migration of pending) {
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      }
+
+      // 既定の施設
+      await client.query(
+        'INSERT INTO properties (property_id, name, display_order) VALUES ($1, $2, 0) ON CONFLICT DO NOTHING',
+        [DEFAULT_PROPERTY_ID, DEFAULT_PROPERTY_NAME]
+      );
+      return pending.map(({ version, name }) => ({ version, name }));
+    }),
+
+    getSchemaVersion: () => {
+      return pool.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations')
+        .then(res => res.rows[0].version)
+        .catch(err => (err.code === '42P01' ? 0 : Promise.reject(err))); // schema_migrations がまだない
+    },
+
+    // 全データ（コレクション名 → 行の配列。日時は ISO 文字列）
+    exportAll: async () => {
+      const snapshot = {};
+      for (const table of TABLES) {
+        const res = await pool.query(`SELECT ${table.columns.join(', ')} FROM ${table.table} ORDER BY ${table.order}`);
+        snapshot[table.collection] = res.rows.map(toPortableRow);
+      }
+      return snapshot;
+    },
+
+    // 全データを置き換える（連番は読み込んだ最大値の次から振り直す）
+    importAll: (snapshot) => withTransaction(async client => {
+      await client.query(`TRUNCATE ${TABLES.map(t => t.table).join(', ')} RESTART IDENTITY`);
+      for (const table of TABLES) {
+        await insertRows(client, table, snapshot[table.collection] || []);
+        if (table.serial) {
+          await client.query(
+            `SELECT setval(pg_get_serial_sequence('${table.table}', '${table.serial}'), COALESCE(MAX(${table.serial}), 0) + 1, false) FROM ${table.table}`
+          );
+        }
+      }
+    }),
+
+    // ===== 部屋 =====
+
+    // 全部屋取得（施設ごと）
+    getAllRooms: (propertyId) => {
+      return pool.query('SELECT * FROM rooms WHERE property_id = $1 ORDER BY display_order ASC', [propertyId])
+        .then(res => {
+          if (res.rows.length === 0 && propertyId === DEFAULT_PROPERTY_ID) {
+            // 初期データ投入（既定の施設のみ）
+            const rooms = TABLES.find(t => t.collection === 'rooms');
+            return insertRows(pool, rooms, buildInitialRooms(propertyId), 'ON CONFLICT DO NOTHING RETURNING *')
+              .then(rows => rows.sort((a, b) => a.display_order - b.display_order));
+          }
+          return res.rows;
+        });
+    },
+
+    // 単一部屋取得
+    getRoom: (propertyId, roomId) => {
+      return pool.query('SELECT * FROM rooms WHERE property_id = $1 AND room_id = $2', [propertyId, roomId])
+        .then(res => res.rows[0]);
+    },
+
+    // 更新（変更したフィールドは actor の操作として履歴に記録）
+    // expectedVersion を指定した場合、現在のバージョンと異なれば VERSION_CONFLICT で reject する
+    updateRoom: (propertyId, roomId, updates, actor, expectedVersion) => {
+      const keys = Object.keys(updates).filter(k => roomFields.includes(k));
+      if (keys.length === 0) return Promise.resolve(null);
+      return withTransaction(client => updateRoomInTransaction(client, propertyId, roomId, updates, actor, expectedVersion));
+    },
+
+    // 複数の部屋をまとめて更新 changes: [{ roomId, updates, expectedVersion? }]
+    // 1トランザクション。1件でも競合すれば何も更新しない
+    updateRooms: (propertyId, changes, actor) => {
+      // デッドロックを避けるため、部屋番号順にロックを取る
+      const ordered = [...changes].sort((a, b) => a.roomId.localeCompare(b.roomId));
+      return withTransaction(async client => {
+        const updatedRooms = [];
+        for (const { roomId, updates, expectedVersion } of ordered) {
+          const updatedRoom = await updateRoomInTransaction(client, propertyId, roomId, updates, actor, expectedVersion);
+          if (updatedRoom) updatedRooms.push(updatedRoom);
+        }
+        return updatedRooms;
+      });
+    },
+
+    // リセット（変化した部屋・フィールドを 'reset' として履歴に記録）
+    // リセット前にその日の状態を日次アーカイブへ保存する（businessDate 省略時は現在の営業日）
+    // options.keepSelection: 使用客室の選択（is_active）は残す
+    resetAllRooms: (propertyId, actor, businessDate = toBusinessDate(), options = {}) => {
+      const now = new Date().toISOString();
+      const values = { ...resetValues };
+      if (options.keepSelection) delete values.is_active;
+
+      return withTransaction(async client => {
+        const current = await client.query('SELECT * FROM rooms WHERE property_id = $1 FOR UPDATE', [propertyId]);
+        const archive = buildArchive(propertyId, current.rows, actor, businessDate, now);
+        await client.query(
+          'INSERT INTO day_archives (property_id, business_date, rooms, actor_id, actor_name, archived_at) VALUES ($1, $2, $3::jsonb, $4, $5, $6)',
+          [archive.property_id, archive.business_date, JSON.stringify(archive.rooms), archive.actor_id, archive.actor_name, archive.archived_at]
+        );
+
+        const res = await client.query(
+          `UPDATE rooms SET ${options.keepSelection ? '' : 'is_active = 0, '}is_checkout = 0, notes = '', status = 'occupied', status_times = '{}'::jsonb, assigned_to = NULL, expected_checkout_at = NULL, late_checkout_at = NULL, version = version + 1, updated_at = $1 WHERE property_id = $2 RETURNING *`,
+          [now, propertyId]
+        );
+
+        const entries = current.rows.flatMap(room => buildHistoryEntries(room, values, actor, 'reset', now));
+        await insertHistory(client, entries);
+        return res.rows;
+      });
+    },
+
+    // 部屋追加（作成を履歴に記録）
+    createRoom: (propertyId, room, actor) => {
+      const now = new Date().toISOString();
+      const record = common.buildRoomRecord(propertyId, room, now);
+      return withTransaction(async client => {
+        const res = await client.query(
+          `INSERT INTO rooms (property_id, room_id, name, display_order, category, is_active, is_checkout, notes, status, is_retired, updated_at)
+           VALUES ($1, $2, $3, $4, $5, 0, 0, '', 'occupied', 0, $6) RETURNING *`,
+          [propertyId, record.room_id, record.name, record.display_order, record.category, now]
+        );
+        await insertHistory(client, [buildCreateHistoryEntry(record, actor, now)]);
+        return res.rows[0];
+      });
+    },
+
+    // 変更履歴取得（新しい順）
+    // filters: { roomId, from, to, limit } - from/to は Date
+    getHistory: (propertyId, filters = {}) => {
+      const limit = filters.limit || 200;
+      const conditions = ['property_id = $1'];
+      const values = [propertyId];
+      if (filters.roomId) {
+        values.push(filters.roomId);
+        conditions.push(`room_id = $${values.length}`);
+      }
+      if (filters.from) {
+        values.push(filters.from);
+        conditions.push(`created_at >= $${values.length}`);
+      }
+      if (filters.to) {
+        values.push(filters.to);
+        conditions.push(`created_at < $${values.length}`);
+      }
+      values.push(limit);
+
+      return pool.query(
+        `SELECT * FROM room_history WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, history_id DESC LIMIT $${values.length}`,
+        values
+      ).then(res => res.rows);
+    },
+
+    // ===== 日次アーカイブ =====
+
+    // アーカイブ済みの営業日一覧（新しい順）
+    listDays: (propertyId) => {
+      return pool.query(
+        `SELECT business_date, COUNT(*)::int AS archive_count, MAX(archived_at) AS last_archived_at
+         FROM day_archives WHERE property_id = $1 GROUP BY business_date ORDER BY business_date DESC`,
+        [propertyId]
+      ).then(res => res.rows);
+    },
+
+    // 最後にリセット（アーカイブ）した時刻。一度もない場合は null
+    getLastArchivedAt: (propertyId) => {
+      return pool.query('SELECT MAX(archived_at) AS last FROM day_archives WHERE property_id = $1', [propertyId])
+        .then(res => res.rows[0].last ? new Date(res.rows[0].last).toISOString() : null);
+    },
+
+    // 指定した営業日のアーカイブ（同じ日に複数回リセットした場合は古い順に全件）
+    getDayArchives: (propertyId, businessDate) => {
+      return pool.query(
+        'SELECT * FROM day_archives WHERE property_id = $1 AND business_date = $2 ORDER BY archived_at ASC, archive_id ASC',
+        [propertyId, businessDate]
+      ).then(res => res.rows);
+    },
+
+    // 期間内（from〜to の営業日）のアーカイブ（営業日・保存した順）
+    getArchivesInRange: (propertyId, from, to) => {
+      return pool.query(
+        `SELECT * FROM day_archives WHERE property_id = $1 AND business_date BETWEEN $2 AND $3
+         ORDER BY business_date ASC, archived_at ASC, archive_id ASC`,
+        [propertyId, from, to]
+      ).then(res => res.rows);
+    },
+
+    // ===== カテゴリ =====
+
+    // 全カテゴリ取得（表示順）
+    getAllCategories: (propertyId) => {
+      return pool.query('SELECT * FROM categories WHERE property_id = $1 ORDER BY display_order ASC', [propertyId])
+        .then(res => {
+          if (res.rows.length === 0) {
+            // 初期データ投入
+            const categories = TABLES.find(t => t.collection === 'categories');
+            return insertRows(pool, categories, buildInitialCategories(propertyId), 'ON CONFLICT DO NOTHING RETURNING *')
+              .then(rows => rows.sort((a, b) => a.display_order - b.display_order));
+          }
+          return res.rows;
+        });
+    },
+
+    // カテゴリ追加
+    createCategory: (propertyId, category) => {
+      const record = common.buildCategoryRecord(propertyId, category);
+      return pool.query(
+        'INSERT INTO categories (category_id, property_id, name, icon, display_order) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [record.category_id, propertyId, record.name, record.icon, record.display_order]
+      ).then(res => res.rows[0]);
+    },
+
+    // カテゴリ更新
+    updateCategory: (propertyId, categoryId, updates) => {
+      const keys = Object.keys(updates).filter(k => categoryFields.includes(k));
+      if (keys.length === 0) return Promise.resolve(null);
+
+      const setClause = keys.map((k, i) => `${k} = $${i + 3}`).join(', ');
+      const values = [propertyId, categoryId, ...keys.map(k => updates[k])];
+
+      return pool.query(`UPDATE categories SET ${setClause} WHERE property_id = $1 AND category_id = $2 RETURNING *`, values)
+        .then(res => res.rows[0]);
+    },
+
+    // カテゴリ削除（使用中の部屋がないことは呼び出し側で確認する）
+    deleteCategory: (propertyId, categoryId) => {
+      return pool.query('DELETE FROM categories WHERE property_id = $1 AND category_id = $2', [propertyId, categoryId])
+        .then(res => res.rowCount > 0);
+    },
+
+    // ===== 施設 =====
+
+    // 全施設（表示順）
+    getAllProperties: () => {
+      return pool.query('SELECT * FROM properties ORDER BY display_order ASC, created_at ASC')
+        .then(res => res.rows);
+    },
+
+    // 施設追加
+    createProperty: (property) => {
+      const record = common.buildPropertyRecord(property);
+      return pool.query(
+        'INSERT INTO properties (property_id, name, display_order, created_at) VALUES ($1, $2, $3, $4) RETURNING *',
+        [record.property_id, record.name, record.display_order, record.created_at]
+      ).then(res => res.rows[0]);
+    },
+
+    // ===== スタッフ =====
+
+    // 全スタッフ取得
+    getAllUsers: () => {
+      return pool.query('SELECT * FROM users ORDER BY created_at ASC')
+        .then(res => res.rows);
+    },
+
+    // 単一スタッフ取得
+    getUser: (userId) => {
+      return pool.query('SELECT * FROM users WHERE user_id = $1', [userId])
+        .then(res => res.rows[0]);
+    },
+
+    // 名前でスタッフ取得（ログイン用）
+    getUserByName: (name) => {
+      return pool.query('SELECT * FROM users WHERE name = $1', [name])
+        .then(res => res.rows[0]);
+    },
+
+    // スタッフ登録
+    createUser: (user) => {
+      const record = common.buildUserRecord(user);
+      return pool.query(
+        `INSERT INTO users (user_id, name, pin_hash, role, property_ids, is_disabled, session_version, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5::jsonb, 0, 0, NOW(), NOW()) RETURNING *`,
+        [record.user_id, record.name, record.pin_hash, record.role, JSON.stringify(record.property_ids)]
+      ).then(res => res.rows[0]);
+    },
+
+    // スタッフ更新
+    updateUser: (userId, updates) => {
+      const keys = Object.keys(updates).filter(k => userFields.includes(k));
+      if (keys.length === 0) return Promise.resolve(null);
+
+      const setClause = keys.map((k, i) => `${k} = $${i + 2}`).join(', ');
+      const values = [userId, ...keys.map(k => k === 'property_ids' ? JSON.stringify(updates[k]) : updates[k])];
+
+      return pool.query(`UPDATE users SET ${setClause}, updated_at = NOW() WHERE user_id = $1 RETURNING *`, values)
+        .then(res => res.rows[0]);
+    },
+
+    // ===== 共有リンク =====
+
+    // 全共有リンク（新しい順）
+    getAllShareLinks: (propertyId) => {
+      return pool.query('SELECT * FROM share_links WHERE property_id = $1 ORDER BY created_at DESC', [propertyId])
+        .then(res => res.rows);
+    },
+
+    // シークレットのハッシュで取得
+    getShareLinkByHash: (secretHash) => {
+      return pool.query('SELECT * FROM share_links WHERE secret_hash = $1', [secretHash])
+        .then(res => res.rows[0]);
+    },
+
+    // 発行
+    createShareLink: (link) => {
+      const record = common.buildShareLinkRecord(link);
+      return pool.query(
+        `INSERT INTO share_links (link_id, property_id, label, scope, room_ids, secret_hash, expires_at, created_by, created_by_name, created_at)
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8, $9, $10) RETURNING *`,
+        [record.link_id, record.property_id, record.label, record.scope, JSON.stringify(record.room_ids), record.secret_hash,
+          record.expires_at, record.created_by, record.created_by_name, record.created_at]
+      ).then(res => res.rows[0]);
+    },
+
+    // 失効（既に失効済みの場合はそのまま返す）
+    revokeShareLink: (propertyId, linkId) => {
+      return pool.query(
+        'UPDATE share_links SET revoked_at = COALESCE(revoked_at, $3) WHERE property_id = $1 AND link_id = $2 RETURNING *',
+        [propertyId, linkId, new Date().toISOString()]
+      ).then(res => res.rows[0]);
+    },
+
+    // ===== 修理チケット =====
+
+    // チケット一覧（新しい順） filters: { roomId?, status? }
+    getRepairTickets: (propertyId, filters = {}) => {
+      const conditions = ['property_id = $1'];
+      const values = [propertyId];
+      if (filters.roomId) {
+        values.push(filters.roomId);
+        conditions.push(`room_id = $${values.length}`);
+      }
+      if (filters.status) {
+        values.push(filters.status);
+        conditions.push(`status = $${values.length}`);
+      }
+      return pool.query(
+        `SELECT * FROM repair_tickets WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC`, values
+      ).then(res => res.rows);
+    },
+
+    getRepairTicket: (propertyId, ticketId) => {
+      return pool.query('SELECT * FROM repair_tickets WHERE property_id = $1 AND ticket_id = $2', [propertyId, ticketId])
+        .then(res => res.rows[0]);
+    },
+
+    // チケット登録 { ticket_id, property_id, room_id, title, description, created_by, created_by_name }
+    createRepairTicket: (ticket) => {
+      const record = common.buildRepairTicketRecord(ticket);
+      return pool.query(
+        `INSERT INTO repair_tickets (ticket_id, property_id, room_id, title, description, status, created_by, created_by_name, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, 'open', $6, $7, $8, $8) RETURNING *`,
+        [record.ticket_id, record.property_id, record.room_id, record.title, record.description,
+          record.created_by, record.created_by_name, record.created_at]
+      ).then(res => res.rows[0]);
+    },
+
+    // チケット更新（解決にしたときは解決日時を記録し、戻したときは消す）
+    updateRepairTicket: (propertyId, ticketId, updates) => {
+      const now = new Date().toISOString();
+      const changes = common.buildRepairTicketChanges(updates, now);
+      const changeKeys = Object.keys(changes);
+      if (changeKeys.length === 0) return Promise.resolve(null);
+
+      const setClause = changeKeys.map((k, i) => `${k} = $${i + 4}`).join(', ');
+      const values = [propertyId, ticketId, now, ...changeKeys.map(k => changes[k])];
+
+      return pool.query(
+        `UPDATE repair_tickets SET ${setClause}, updated_at = $3 WHERE property_id = $1 AND ticket_id = $2 RETURNING *`, values
+      ).then(res => res.rows[0]);
+    },
+
+    // ===== 忘れ物 =====
+
+    // 忘れ物一覧（拾得日の新しい順）
+    // filters: { status?, roomId?, from?, to?（拾得日 YYYY-MM-DD）, query?（内容・部屋・保管場所・拾得者の部分一致） }
+    getLostItems: (propertyId, filters = {}) => {
+      const conditions = ['property_id = $1'];
+      const values = [propertyId];
+      const add = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+      };
+      if (filters.status) add('status = ?', filters.status);
+      if (filters.roomId) add('room_id = ?', filters.roomId);
+      if (filters.from) add('found_date >= ?', filters.from);
+      if (filters.to) add('found_date <= ?', filters.to);
+      if (filters.query) {
+        add("(description || ' ' || COALESCE(room_id, '') || ' ' || storage_location || ' ' || COALESCE(found_by_name, '')) ILIKE ?",
+          `%${filters.query.replace(/[\\%_]/g, c => '\\' + c)}%`);
+      }
+      return pool.query(
+        `SELECT * FROM lost_items WHERE ${conditions.join(' AND ')} ORDER BY found_date DESC, created_at DESC`, values
+      ).then(res => res.rows);
+    },
+
+    // 忘れ物登録 { item_id, property_id, room_id, description, found_date, found_by, found_by_name, storage_location }
+    createLostItem: (item) => {
+      const record = common.buildLostItemRecord(item);
+      return pool.query(
+        `INSERT INTO lost_items (item_id, property_id, room_id, description, found_date, found_by, found_by_name, storage_location, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'held', $9, $9) RETURNING *`,
+        [record.item_id, record.property_id, record.room_id, record.description, record.found_date,
+          record.found_by, record.found_by_name, record.storage_location, record.created_at]
+      ).then(res => res.rows[0]);
+    },
+
+    // 忘れ物更新
+    updateLostItem: (propertyId, itemId, updates) => {
+      const keys = Object.keys(updates).filter(k => lostItemFields.includes(k));
+      if (keys.length === 0) return Promise.resolve(null);
+
+      const setClause = keys.map((k, i) => `${k} = $${i + 4}`).join(', ');
+      const values = [propertyId, itemId, new Date().toISOString(), ...keys.map(k => updates[k])];
+
+      return pool.query(
+        `UPDATE lost_items SET ${setClause}, updated_at = $3 WHERE property_id = $1 AND item_id = $2 RETURNING *`, values
+      ).then(res => res.rows[0]);
+    },
+
+    // ===== Webhook =====
+
+    // Webhook 一覧（登録順）
+    getWebhooks: (propertyId) => {
+      return pool.query('SELECT * FROM webhooks WHERE property_id = $1 ORDER BY created_at ASC', [propertyId])
+        .then(res => res.rows);
+    },
+
+    getWebhook: (propertyId, webhookId) => {
+      return pool.query('SELECT * FROM webhooks WHERE property_id = $1 AND webhook_id = $2', [propertyId, webhookId])
+        .then(res => res.rows[0]);
+    },
+
+    // 登録 { webhook_id, property_id, url, label, events, secret, created_by, created_by_name }
+    createWebhook: (hook) => {
+      const record = common.buildWebhookRecord(hook);
+      return pool.query(
+        `INSERT INTO webhooks (webhook_id, property_id, url, label, events, secret, is_active, created_by, created_by_name, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6, 1, $7, $8, $9, $9) RETURNING *`,
+        [record.webhook_id, record.property_id, record.url, record.label, JSON.stringify(record.events), record.secret,
+          record.created_by, record.created_by_name, record.created_at]
+      ).then(res => res.rows[0]);
+    },
+
+    updateWebhook: (propertyId, webhookId, updates) => {
+      const keys = Object.keys(updates).filter(k => webhookFields.includes(k));
+      if (keys.length === 0) return Promise.resolve(null);
+
+      const setClause = keys.map((k, i) => `${k} = $${i + 4}`).join(', ');
+      const values = [propertyId, webhookId, new Date().toISOString(), ...keys.map(k => k === 'events' ? JSON.stringify(updates[k]) : updates[k])];
+
+      return pool.query(
+        `UPDATE webhooks SET ${setClause}, updated_at = $3 WHERE property_id = $1 AND webhook_id = $2 RETURNING *`, values
+      ).then(res => res.rows[0]);
+    },
+
+    // 削除（配信ログも合わせて削除する）
+    deleteWebhook: (propertyId, webhookId) => {
+      return withTransaction(async client => {
+        const res = await client.query('DELETE FROM webhooks WHERE property_id = $1 AND webhook_id = $2 RETURNING *', [propertyId, webhookId]);
+        await client.query('DELETE FROM webhook_deliveries WHERE webhook_id = $1', [webhookId]);
+        return res.rows[0];
+      });
+    },
+
+    // 配信ログ（新しい順） filters: { webhookId?, limit? }
+    getWebhookDeliveries: (propertyId, filters = {}) => {
+      const limit = filters.limit || 100;
+      const values = [propertyId];
+      let where = 'property_id = $1';
+      if (filters.webhookId) {
+        values.push(filters.webhookId);
+        where += ` AND webhook_id = $${values.length}`;
+      }
+      values.push(limit);
+      return pool.query(
+        `SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY created_at DESC LIMIT $${values.length}`, values
+      ).then(res => res.rows);
+    },
+
+    getWebhookDelivery: (propertyId, deliveryId) => {
+      return pool.query('SELECT * FROM webhook_deliveries WHERE property_id = $1 AND delivery_id = $2', [propertyId, deliveryId])
+        .then(res => res.rows[0]);
+    },
+
+    // 配信の記録 { delivery_id, webhook_id, property_id, event, payload, redelivery_of? }
+    createWebhookDelivery: (delivery) => {
+      const record = common.buildWebhookDeliveryRecord(delivery);
+      return pool.query(
+        `INSERT INTO webhook_deliveries (delivery_id, webhook_id, property_id, event, payload, redelivery_of, created_at)
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7) RETURNING *`,
+        [record.delivery_id, record.webhook_id, record.property_id, record.event, JSON.stringify(record.payload),
+          record.redelivery_of, record.created_at]
+      ).then(res => res.rows[0]);
+    },
+
+    // 送信結果の記録
+    updateWebhookDelivery: (deliveryId, updates) => {
+      const keys = Object.keys(updates).filter(k => webhookDeliveryFields.includes(k));
+      if (keys.length === 0) return Promise.resolve(null);
+
+      const setClause = keys.map((k, i) => `${k} = $${i + 2}`).join(', ');
+      return pool.query(
+        `UPDATE webhook_deliveries SET ${setClause} WHERE delivery_id = $1 RETURNING *`,
+        [deliveryId, ...keys.map(k => updates[k])]
+      ).then(res => res.rows[0]);
+    },
+
+    // 再送時刻を過ぎた配信（全施設）
+    getDueWebhookDeliveries: (now = new Date().toISOString()) => {
+      return pool.query(
+        `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= $1 ORDER BY next_attempt_at ASC`,
+        [now]
+      ).then(res => res.rows);
+    },
+
+    // ===== 見取り図 =====
+
+    // 施設の見取り図（保存していなければ undefined）
+    getFloorPlan: (propertyId) => {
+      return pool.query('SELECT * FROM floor_plans WHERE property_id = $1', [propertyId])
+        .then(res => res.rows[0]);
+    },
+
+    // 見取り図の保存（施設ごとに1つ。保存済みなら置き換える）
+    saveFloorPlan: (propertyId, layout, actor = {}) => {
+      const record = common.buildFloorPlanRecord(propertyId, layout, actor);
+      return pool.query(
+        `INSERT INTO floor_plans (property_id, layout, updated_by, updated_by_name, updated_at)
+         VALUES ($1, $2::jsonb, $3, $4, $5)
+         ON CONFLICT (property_id) DO UPDATE SET layout = EXCLUDED.layout, updated_by = EXCLUDED.updated_by,
+           updated_by_name = EXCLUDED.updated_by_name, updated_at = EXCLUDED.updated_at
+         RETURNING *`,
+        [propertyId, JSON.stringify(layout), record.updated_by, record.updated_by_name, record.updated_at]
+      ).then(res => res.rows[0]);
+    },
+
+    // ===== 設定 =====
+
+    // 設定がなければ value で作成し、保存されている値を返す（同時に作成しても全インスタンスが同じ値になる）
+    ensureSetting: async (name, value) => {
+      await pool.query('INSERT INTO settings (name, value) VALUES ($1, $2) ON CONFLICT DO NOTHING', [name, value]);
+      const res = await pool.query('SELECT value FROM settings WHERE name = $1', [name]);
+      return res.rows[0].value;
+    },
+
+    close: () => pool.end()
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,535 @@
+const fs = require('fs');
+const path = require('path');
+const { toBusinessDate } = require('../../lib/businessDay');
+const common = require('../common');
+const migrations = require('../migrations/sqlite');
+
+const {
+  DEFAULT_PROPERTY_ID, DEFAULT_PROPERTY_NAME, TABLES, buildInitialCategories, buildInitialRooms,
+  roomFields, resetValues, lostItemFields, webhookFields, webhookDeliveryFields, userFields, categoryFields,
+  buildRoomChanges, versionConflictError, buildHistoryEntries, buildCreateHistoryEntry, buildArchive
+} = common;
+
+// ===== SQLite のストレージ =====
+// サーバーを置く PC の1ファイルに保存する（データベースサーバーを用意しない小規模な施設向け）
+// better-sqlite3 は同期 API のため、他のアダプターと同じく Promise で返す
+
+const tableOf = collection => TABLES.find(t => t.collection === collection);
+
+// SQLite に渡せる値にする（真偽値は 0/1、undefined は NULL）
+function toSqlValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+// 行の JSON の列を戻す
+function fromRow(table, row) {
+  if (!row) return row;
+  (table.json || []).forEach(column => {
+    if (typeof row[column] === 'string') row[column] = JSON.parse(row[column]);
+  });
+  return row;
+}
+
+// 例外も含めて Promise で返す
+const run = fn => new Promise(resolve => resolve(fn()));
+
+// options: { path: データベースファイルのパス }
+function createSqliteStore(options = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('SQLite を使うには better-sqlite3 をインストールしてください (npm install better-sqlite3)');
+  }
+
+  const dir = path.dirname(options.path);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const db = new Database(options.path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  const rooms = tableOf('rooms');
+  const categories = tableOf('categories');
+  const properties = tableOf('properties');
+  const users = tableOf('users');
+  const history = tableOf('history');
+  const archives = tableOf('archives');
+  const shareLinks = tableOf('shareLinks');
+  const repairTickets = tableOf('repairTickets');
+  const lostItems = tableOf('lostItems');
+  const webhooks = tableOf('webhooks');
+  const webhookDeliveries = tableOf('webhookDeliveries');
+  const floorPlans = tableOf('floorPlans');
+  const settings = tableOf('settings');
+
+  const get = (table, sql, ...values) => fromRow(table, db.prepare(sql).get(...values.map(toSqlValue)));
+  const all = (table, sql, ...values) => db.prepare(sql).all(...values.map(toSqlValue)).map(row => fromRow(table, row));
+
+  // 書き込みのトランザクション（他の接続の書き込みを待たせる）
+  const withTransaction = fn => run(() => db.transaction(fn).immediate());
+
+  // TABLES の定義に沿って行を追加する（JSON の列は文字列にする）
+  function insertRow(table, row, conflict = '') {
+    const json = table.json || [];
+    const values = table.columns.map(column => {
+      const value = row[column] === undefined ? null : row[column];
+      return json.includes(column) && value !== null ? JSON.stringify(value) : toSqlValue(value);
+    });
+    return get(
+      table,
+      `INSERT ${conflict} INTO ${table.table} (${table.columns.join(', ')}) VALUES (${table.columns.map(() => '?').join(', ')}) RETURNING *`,
+      ...values
+    );
+  }
+
+  function insertHistory(entries) {
+    entries.forEach(entry => insertRow(history, entry));
+  }
+
+  // 変更するフィールドの SET 句と値（JSON の列は文字列にする）
+  function buildSet(table, changes) {
+    const json = table.json || [];
+    const keys = Object.keys(changes);
+    return {
+      clause: keys.map(k => `${k} = ?`).join(', '),
+      values: keys.map(k => (json.includes(k) && changes[k] !== null ? JSON.stringify(changes[k]) : toSqlValue(changes[k])))
+    };
+  }
+
+  // トランザクション内で1部屋を更新する
+  function updateRoomInTransaction(propertyId, roomId, updates, actor, expectedVersion) {
+    const current = get(rooms, 'SELECT * FROM rooms WHERE property_id = ? AND room_id = ?', propertyId, roomId);
+    if (!current) return null;
+    if (expectedVersion !== undefined && current.version !== expectedVersion) {
+      throw versionConflictError(current);
+    }
+
+    const now = new Date().toISOString();
+    const changes = buildRoomChanges(current, updates, now);
+    if (Object.keys(changes).length === 0) return current;
+
+    const set = buildSet(rooms, changes);
+    const updated = get(
+      rooms,
+      `UPDATE rooms SET ${set.clause}, version = version + 1, updated_at = ? WHERE property_id = ? AND room_id = ? RETURNING *`,
+      ...set.values, now, propertyId, roomId
+    );
+    insertHistory(buildHistoryEntries(current, changes, actor, 'update', now));
+    return updated;
+  }
+
+  return {
+    backend: 'sqlite',
+
+    // ===== スキーマ移行 =====
+
+    // 未適用の移行を1トランザクションで適用する → 適用した [{ version, name }]
+    migrate: () => withTransaction(() => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )
+      `);
+      const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+      const pending = migrations.filter(m => !applied.has(m.version));
+      pending.forEach(migration => {
+        migration.up(db);
+        db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      });
+
+      // 既定の施設
+      insertRow(properties, { property_id: DEFAULT_PROPERTY_ID, name: DEFAULT_PROPERTY_NAME, display_order: 0, created_at: new Date().toISOString() }, 'OR IGNORE');
+      return pending.map(({ version, name }) => ({ version, name }));
+    }),
+
+    getSchemaVersion: () => run(() => {
+      const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+      return exists ? db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations').get().version : 0;
+    }),
+
+    // 全データ（コレクション名 → 行の配列）
+    exportAll: () => run(() => Object.fromEntries(TABLES.map(table => [
+      table.collection,
+      all(table, `SELECT ${table.columns.join(', ')} FROM ${table.table} ORDER BY ${table.order}`)
+    ]))),
+
+    // 全データを置き換える
+    importAll: (snapshot) => withTransaction(() => {
+      TABLES.forEach(table => {
+        db.prepare(`DELETE FROM ${table.table}`).run();
+        if (table.serial) db.prepare('DELETE FROM sqlite_sequence WHERE name = ?').run(table.table);
+        (snapshot[table.collection] || []).forEach(row => insertRow(table, row));
+      });
+    }),
+
+    // ===== 部屋 =====
+
+    // 全部屋取得（施設ごと）
+    getAllRooms: (propertyId) => run(() => {
+      const list = all(rooms, 'SELECT * FROM rooms WHERE property_id = ? ORDER BY display_order ASC', propertyId);
+      if (list.length === 0 && propertyId === DEFAULT_PROPERTY_ID) {
+        // 初期データ投入（既定の施設のみ）
+        return db.transaction(() => buildInitialRooms(propertyId).map(room => insertRow(rooms, room)))()
+          .sort((a, b) => a.display_order - b.display_order);
+      }
+      return list;
+    }),
+
+    // 単一部屋取得
+    getRoom: (propertyId, roomId) => run(() => get(rooms, 'SELECT * FROM rooms WHERE property_id = ? AND room_id = ?', propertyId, roomId)),
+
+    // 更新（変更したフィールドは actor の操作として履歴に記録）
+    // expectedVersion を指定した場合、現在のバージョンと異なれば VERSION_CONFLICT で reject する
+    updateRoom: (propertyId, roomId, updates, actor, expectedVersion) => {
+      const keys = Object.keys(updates).filter(k => roomFields.includes(k));
+      if (keys.length === 0) return Promise.resolve(null);
+      return withTransaction(() => updateRoomInTransaction(propertyId, roomId, updates, actor, expectedVersion));
+    },
+
+    // 複数の部屋をまとめて更新 changes: [{ roomId, updates, expectedVersion? }]
+    // 1トランザクション。1件でも競合すれば何も更新しない
+    updateRooms: (propertyId, changes, actor) => withTransaction(() => {
+      const updatedRooms = [];
+      changes.forEach(({ roomId, updates, expectedVersion }) => {
+        const updatedRoom = updateRoomInTransaction(propertyId, roomId, updates, actor, expectedVersion);
+        if (updatedRoom) updatedRooms.push(updatedRoom);
+      });
+      return updatedRooms;
+    }),
+
+    // リセット（変化した部屋・フィールドを 'reset' として履歴に記録）
+    // リセット前にその日の状態を日次アーカイブへ保存する（businessDate 省略時は現在の営業日）
+    // options.keepSelection: 使用客室の選択（is_active）は残す
+    resetAllRooms: (propertyId, actor, businessDate = toBusinessDate(), options = {}) => {
+      const now = new Date().toISOString();
+      const values = { ...resetValues };
+      if (options.keepSelection) delete values.is_active;
+
+      return withTransaction(() => {
+        const current = all(rooms, 'SELECT * FROM rooms WHERE property_id = ?', propertyId);
+        insertRow(archives, buildArchive(propertyId, current, actor, businessDate, now));
+
+        const updated = all(
+          rooms,
+          `UPDATE rooms SET ${options.keepSelection ? '' : 'is_active = 0, '}is_checkout = 0, notes = '', status = 'occupied', status_times = '{}', assigned_to = NULL, expected_checkout_at = NULL, late_checkout_at = NULL, version = version + 1, updated_at = ? WHERE property_id = ? RETURNING *`,
+          now, propertyId
+        );
+
+        insertHistory(current.flatMap(room => buildHistoryEntries(room, values, actor, 'reset', now)));
+        return updated.sort((a, b) => a.display_order - b.display_order);
+      });
+    },
+
+    // 部屋追加（作成を履歴に記録）
+    createRoom: (propertyId, room, actor) => {
+      const now = new Date().toISOString();
+      const record = common.buildRoomRecord(propertyId, room, now);
+      return withTransaction(() => {
+        const created = insertRow(rooms, record);
+        insertHistory([buildCreateHistoryEntry(record, actor, now)]);
+        return created;
+      });
+    },
+
+    // 変更履歴取得（新しい順）
+    // filters: { roomId, from, to, limit } - from/to は Date
+    getHistory: (propertyId, filters = {}) => run(() => {
+      const conditions = ['property_id = ?'];
+      const values = [propertyId];
+      if (filters.roomId) {
+        conditions.push('room_id = ?');
+        values.push(filters.roomId);
+      }
+      if (filters.from) {
+        conditions.push('created_at >= ?');
+        values.push(filters.from.toISOString());
+      }
+      if (filters.to) {
+        conditions.push('created_at < ?');
+        values.push(filters.to.toISOString());
+      }
+      values.push(filters.limit || 200);
+
+      return all(
+        history,
+        `SELECT * FROM room_history WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, history_id DESC LIMIT ?`,
+        ...values
+      );
+    }),
+
+    // ===== 日次アーカイブ =====
+
+    // アーカイブ済みの営業日一覧（新しい順）
+    listDays: (propertyId) => run(() => db.prepare(
+      `SELECT business_date, COUNT(*) AS archive_count, MAX(archived_at) AS last_archived_at
+       FROM day_archives WHERE property_id = ? GROUP BY business_date ORDER BY business_date DESC`
+    ).all(propertyId)),
+
+    // 最後にリセット（アーカイブ）した時刻。一度もない場合は null
+    getLastArchivedAt: (propertyId) => run(() => {
+      return db.prepare('SELECT MAX(archived_at) AS last FROM day_archives WHERE property_id = ?').get(propertyId).last || null;
+    }),
+
+    // 指定した営業日のアーカイブ（同じ日に複数回リセットした場合は古い順に全件）
+    getDayArchives: (propertyId, businessDate) => run(() => all(
+      archives,
+      'SELECT * FROM day_archives WHERE property_id = ? AND business_date = ? ORDER BY archived_at ASC, archive_id ASC',
+      propertyId, businessDate
+    )),
+
+    // 期間内（from〜to の営業日）のアーカイブ（営業日・保存した順）
+    getArchivesInRange: (propertyId, from, to) => run(() => all(
+      archives,
+      `SELECT * FROM day_archives WHERE property_id = ? AND business_date BETWEEN ? AND ?
+       ORDER BY business_date ASC, archived_at ASC, archive_id ASC`,
+      propertyId, from, to
+    )),
+
+    // ===== カテゴリ =====
+
+    // 全カテゴリ取得（表示順）
+    getAllCategories: (propertyId) => run(() => {
+      const list = all(categories, 'SELECT * FROM categories WHERE property_id = ? ORDER BY display_order ASC', propertyId);
+      if (list.length === 0) {
+        // 初期データ投入
+        return db.transaction(() => buildInitialCategories(propertyId).map(c => insertRow(categories, c, 'OR IGNORE')))()
+          .filter(Boolean)
+          .sort((a, b) => a.display_order - b.display_order);
+      }
+      return list;
+    }),
+
+    // カテゴリ追加
+    createCategory: (propertyId, category) => run(() => insertRow(categories, common.buildCategoryRecord(propertyId, category))),
+
+    // カテゴリ更新
+    updateCategory: (propertyId, categoryId, updates) => run(() => {
+      const changes = {};
+      Object.keys(updates).filter(k => categoryFields.includes(k)).forEach(k => { changes[k] = updates[k]; });
+      if (Object.keys(changes).length === 0) return null;
+
+      const set = buildSet(categories, changes);
+      return get(categories, `UPDATE categories SET ${set.clause} WHERE property_id = ? AND category_id = ? RETURNING *`,
+        ...set.values, propertyId, categoryId);
+    }),
+
+    // カテゴリ削除（使用中の部屋がないことは呼び出し側で確認する）
+    deleteCategory: (propertyId, categoryId) => run(() => {
+      return db.prepare('DELETE FROM categories WHERE property_id = ? AND category_id = ?').run(propertyId, categoryId).changes > 0;
+    }),
+
+    // ===== 施設 =====
+
+    // 全施設（表示順）
+    getAllProperties: () => run(() => all(properties, 'SELECT * FROM properties ORDER BY display_order ASC, created_at ASC')),
+
+    // 施設追加
+    createProperty: (property) => run(() => insertRow(properties, common.buildPropertyRecord(property))),
+
+    // ===== スタッフ =====
+
+    // 全スタッフ取得
+    getAllUsers: () => run(() => all(users, 'SELECT * FROM users ORDER BY created_at ASC')),
+
+    // 単一スタッフ取得
+    getUser: (userId) => run(() => get(users, 'SELECT * FROM users WHERE user_id = ?', userId)),
+
+    // 名前でスタッフ取得（ログイン用）
+    getUserByName: (name) => run(() => get(users, 'SELECT * FROM users WHERE name = ?', name)),
+
+    // スタッフ登録
+    createUser: (user) => run(() => insertRow(users, common.buildUserRecord(user))),
+
+    // スタッフ更新
+    updateUser: (userId, updates) => run(() => {
+      const changes = {};
+      Object.keys(updates).filter(k => userFields.includes(k)).forEach(k => { changes[k] = updates[k]; });
+      if (Object.keys(changes).length === 0) return null;
+
+      const set = buildSet(users, changes);
+      return get(users, `UPDATE users SET ${set.clause}, updated_at = ? WHERE user_id = ? RETURNING *`,
+        ...set.values, new Date().toISOString(), userId);
+    }),
+
+    // ===== 共有リンク =====
+
+    // 全共有リンク（新しい順）
+    getAllShareLinks: (propertyId) => run(() => all(shareLinks, 'SELECT * FROM share_links WHERE property_id = ? ORDER BY created_at DESC', propertyId)),
+
+    // シークレットのハッシュで取得
+    getShareLinkByHash: (secretHash) => run(() => get(shareLinks, 'SELECT * FROM share_links WHERE secret_hash = ?', secretHash)),
+
+    // 発行
+    createShareLink: (link) => run(() => insertRow(shareLinks, common.buildShareLinkRecord(link))),
+
+    // 失効（既に失効済みの場合はそのまま返す）
+    revokeShareLink: (propertyId, linkId) => run(() => get(
+      shareLinks,
+      'UPDATE share_links SET revoked_at = COALESCE(revoked_at, ?) WHERE property_id = ? AND link_id = ? RETURNING *',
+      new Date().toISOString(), propertyId, linkId
+    )),
+
+    // ===== 修理チケット =====
+
+    // チケット一覧（新しい順） filters: { roomId?, status? }
+    getRepairTickets: (propertyId, filters = {}) => run(() => {
+      const conditions = ['property_id = ?'];
+      const values = [propertyId];
+      if (filters.roomId) {
+        conditions.push('room_id = ?');
+        values.push(filters.roomId);
+      }
+      if (filters.status) {
+        conditions.push('status = ?');
+        values.push(filters.status);
+      }
+      return all(repairTickets, `SELECT * FROM repair_tickets WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC`, ...values);
+    }),
+
+    getRepairTicket: (propertyId, ticketId) => run(() => {
+      return get(repairTickets, 'SELECT * FROM repair_tickets WHERE property_id = ? AND ticket_id = ?', propertyId, ticketId);
+    }),
+
+    // チケット登録 { ticket_id, property_id, room_id, title, description, created_by, created_by_name }
+    createRepairTicket: (ticket) => run(() => insertRow(repairTickets, common.buildRepairTicketRecord(ticket))),
+
+    // チケット更新（解決にしたときは解決日時を記録し、戻したときは消す）
+    updateRepairTicket: (propertyId, ticketId, updates) => run(() => {
+      const now = new Date().toISOString();
+      const changes = common.buildRepairTicketChanges(updates, now);
+      if (Object.keys(changes).length === 0) return null;
+
+      const set = buildSet(repairTickets, changes);
+      return get(repairTickets, `UPDATE repair_tickets SET ${set.clause}, updated_at = ? WHERE property_id = ? AND ticket_id = ? RETURNING *`,
+        ...set.values, now, propertyId, ticketId);
+    }),
+
+    // ===== 忘れ物 =====
+
+    // 忘れ物一覧（拾得日の新しい順）
+    // filters: { status?, roomId?, from?, to?（拾得日 YYYY-MM-DD）, query?（内容・部屋・保管場所・拾得者の部分一致） }
+    getLostItems: (propertyId, filters = {}) => run(() => {
+      const conditions = ['property_id = ?'];
+      const values = [propertyId];
+      const add = (sql, value) => {
+        conditions.push(sql);
+        values.push(value);
+      };
+      if (filters.status) add('status = ?', filters.status);
+      if (filters.roomId) add('room_id = ?', filters.roomId);
+      if (filters.from) add('found_date >= ?', filters.from);
+      if (filters.to) add('found_date <= ?', filters.to);
+      if (filters.query) {
+        // SQLite の LIKE は ASCII の大文字・小文字を区別しない
+        add("(description || ' ' || COALESCE(room_id, '') || ' ' || COALESCE(storage_location, '') || ' ' || COALESCE(found_by_name, '')) LIKE ? ESCAPE '\\'",
+          `%${filters.query.replace(/[\\%_]/g, c => '\\' + c)}%`);
+      }
+      return all(lostItems, `SELECT * FROM lost_items WHERE ${conditions.join(' AND ')} ORDER BY found_date DESC, created_at DESC`, ...values);
+    }),
+
+    // 忘れ物登録 { item_id, property_id, room_id, description, found_date, found_by, found_by_name, storage_location }
+    createLostItem: (item) => run(() => insertRow(lostItems, common.buildLostItemRecord(item))),
+
+    // 忘れ物更新
+    updateLostItem: (propertyId, itemId, updates) => run(() => {
+      const changes = {};
+      Object.keys(updates).filter(k => lostItemFields.includes(k)).forEach(k => { changes[k] = updates[k]; });
+      if (Object.keys(changes).length === 0) return null;
+
+      const set = buildSet(lostItems, changes);
+      return get(lostItems, `UPDATE lost_items SET ${set.clause}, updated_at = ? WHERE property_id = ? AND item_id = ? RETURNING *`,
+        ...set.values, new Date().toISOString(), propertyId, itemId);
+    }),
+
+    // ===== Webhook =====
+
+    // Webhook 一覧（登録順）
+    getWebhooks: (propertyId) => run(() => all(webhooks, 'SELECT * FROM webhooks WHERE property_id = ? ORDER BY created_at ASC', propertyId)),
+
+    getWebhook: (propertyId, webhookId) => run(() => {
+      return get(webhooks, 'SELECT * FROM webhooks WHERE property_id = ? AND webhook_id = ?', propertyId, webhookId);
+    }),
+
+    // 登録 { webhook_id, property_id, url, label, events, secret, created_by, created_by_name }
+    createWebhook: (hook) => run(() => insertRow(webhooks, common.buildWebhookRecord(hook))),
+
+    updateWebhook: (propertyId, webhookId, updates) => run(() => {
+      const changes = {};
+      Object.keys(updates).filter(k => webhookFields.includes(k)).forEach(k => { changes[k] = updates[k]; });
+      if (Object.keys(changes).length === 0) return null;
+
+      const set = buildSet(webhooks, changes);
+      return get(webhooks, `UPDATE webhooks SET ${set.clause}, updated_at = ? WHERE property_id = ? AND webhook_id = ? RETURNING *`,
+        ...set.values, new Date().toISOString(), propertyId, webhookId);
+    }),
+
+    // 削除（配信ログも合わせて削除する）
+    deleteWebhook: (propertyId, webhookId) => withTransaction(() => {
+      const hook = get(webhooks, 'DELETE FROM webhooks WHERE property_id = ? AND webhook_id = ? RETURNING *', propertyId, webhookId);
+      db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(webhookId);
+      return hook;
+    }),
+
+    // 配信ログ（新しい順） filters: { webhookId?, limit? }
+    getWebhookDeliveries: (propertyId, filters = {}) => run(() => {
+      const values = [propertyId];
+      let where = 'property_id = ?';
+      if (filters.webhookId) {
+        where += ' AND webhook_id = ?';
+        values.push(filters.webhookId);
+      }
+      values.push(filters.limit || 100);
+      return all(webhookDeliveries, `SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY created_at DESC LIMIT ?`, ...values);
+    }),
+
+    getWebhookDelivery: (propertyId, deliveryId) => run(() => {
+      return get(webhookDeliveries, 'SELECT * FROM webhook_deliveries WHERE property_id = ? AND delivery_id = ?', propertyId, deliveryId);
+    }),
+
+    // 配信の記録 { delivery_id, webhook_id, property_id, event, payload, redelivery_of? }
+    createWebhookDelivery: (delivery) => run(() => insertRow(webhookDeliveries, common.buildWebhookDeliveryRecord(delivery))),
+
+    // 送信結果の記録
+    updateWebhookDelivery: (deliveryId, updates) => run(() => {
+      const changes = {};
+      Object.keys(updates).filter(k => webhookDeliveryFields.includes(k)).forEach(k => { changes[k] = updates[k]; });
+      if (Object.keys(changes).length === 0) return null;
+
+      const set = buildSet(webhookDeliveries, changes);
+      return get(webhookDeliveries, `UPDATE webhook_deliveries SET ${set.clause} WHERE delivery_id = ? RETURNING *`, ...set.values, deliveryId);
+    }),
+
+    // 再送時刻を過ぎた配信（全施設）
+    getDueWebhookDeliveries: (now = new Date().toISOString()) => run(() => all(
+      webhookDeliveries,
+      "SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC",
+      now
+    )),
+
+    // ===== 見取り図 =====
+
+    // 施設の見取り図（保存していなければ undefined）
+    getFloorPlan: (propertyId) => run(() => get(floorPlans, 'SELECT * FROM floor_plans WHERE property_id = ?', propertyId)),
+
+    // 見取り図の保存（施設ごとに1つ。保存済みなら置き換える）
+    saveFloorPlan: (propertyId, layout, actor = {}) => run(() => insertRow(
+      floorPlans, common.buildFloorPlanRecord(propertyId, layout, actor), 'OR REPLACE'
+    )),
+
+    // ===== 設定 =====
+
+    // 設定がなければ value で作成し、保存されている値を返す
+    ensureSetting: (name, value) => run(() => {
+      insertRow(settings, common.buildSettingRecord(name, value), 'OR IGNORE');
+      return get(settings, 'SELECT value FROM settings WHERE name = ?', name).value;
+    }),
+
+    close: () => run(() => db.close())
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,500 @@
+const { buildStatusUpdates } = require('../lib/roomStatus');
+
+// ===== 全ストレージアダプター共通の定義 =====
+
+// 既定の施設（複数施設に対応する前のデータはこの施設に属する）
+const DEFAULT_PROPERTY_ID = 'default';
+const DEFAULT_PROPERTY_NAME = process.env.PROPERTY_NAME || '本店';
+
+// アダプターが実装するメソッド（db.js が公開する API）
+const STORE_METHODS = [
+  'getAllRooms', 'getRoom', 'updateRoom', 'updateRooms', 'resetAllRooms', 'createRoom', 'getHistory',
+  'listDays', 'getLastArchivedAt', 'getDayArchives', 'getArchivesInRange',
+  'getAllCategories', 'createCategory', 'updateCategory', 'deleteCategory',
+  'getAllProperties', 'createProperty',
+  'getAllUsers', 'getUser', 'getUserByName', 'createUser', 'updateUser',
+  'getAllShareLinks', 'getShareLinkByHash', 'createShareLink', 'revokeShareLink',
+  'getRepairTickets', 'getRepairTicket', 'createRepairTicket', 'updateRepairTicket',
+  'getLostItems', 'createLostItem', 'updateLostItem',
+  'getWebhooks', 'getWebhook', 'createWebhook', 'updateWebhook', 'deleteWebhook',
+  'getWebhookDeliveries', 'getWebhookDelivery', 'createWebhookDelivery', 'updateWebhookDelivery', 'getDueWebhookDeliveries',
+  'getFloorPlan', 'saveFloorPlan',
+  'ensureSetting',
+  // 移行用: スキーマの適用・全データの書き出しと読み込み
+  'migrate', 'getSchemaVersion', 'exportAll', 'importAll', 'close'
+];
+
+// 全データ（exportAll / importAll）のコレクションと SQL のテーブルの対応
+// JSON DB のファイルもこのコレクション名で保存する
+// key: 行を識別する列（JSON DB のジャーナル）、order: 書き出す順（JSON DB の配列の順）
+// json: JSON で保存する列、serial: 連番の主キー
+const TABLES = [
+  { collection: 'properties', table: 'properties', key: ['property_id'], order: 'display_order, created_at', columns: ['property_id', 'name', 'display_order', 'created_at'] },
+  {
+    collection: 'rooms', table: 'rooms', key: ['property_id', 'room_id'], order: 'property_id, display_order', json: ['status_times'],
+    columns: [
+      'property_id', 'room_id', 'display_order', 'category', 'is_active', 'is_checkout', 'notes', 'status', 'status_times',
+      'assigned_to', 'name', 'is_retired', 'version', 'updated_at', 'out_of_order', 'out_of_order_reason', 'out_of_order_until',
+      'expected_checkout_at', 'late_checkout_at'
+    ]
+  },
+  { collection: 'categories', table: 'categories', key: ['property_id', 'category_id'], order: 'property_id, display_order', columns: ['property_id', 'category_id', 'name', 'icon', 'display_order'] },
+  {
+    collection: 'users', table: 'users', key: ['user_id'], order: 'created_at', json: ['property_ids'],
+    columns: ['user_id', 'name', 'pin_hash', 'role', 'is_disabled', 'session_version', 'property_ids', 'locale', 'created_at', 'updated_at']
+  },
+  {
+    collection: 'history', table: 'room_history', key: ['history_id'], order: 'history_id', json: ['old_value', 'new_value'], serial: 'history_id',
+    columns: ['history_id', 'property_id', 'room_id', 'action', 'field', 'old_value', 'new_value', 'actor_id', 'actor_name', 'created_at']
+  },
+  {
+    collection: 'archives', table: 'day_archives', key: ['archive_id'], order: 'archive_id', json: ['rooms'], serial: 'archive_id',
+    columns: ['archive_id', 'property_id', 'business_date', 'rooms', 'actor_id', 'actor_name', 'archived_at']
+  },
+  {
+    collection: 'shareLinks', table: 'share_links', key: ['link_id'], order: 'created_at', json: ['room_ids'],
+    columns: [
+      'link_id', 'property_id', 'label', 'scope', 'room_ids', 'secret_hash', 'expires_at', 'created_by', 'created_by_name',
+      'created_at', 'revoked_at'
+    ]
+  },
+  {
+    collection: 'repairTickets', table: 'repair_tickets', key: ['ticket_id'], order: 'created_at',
+    columns: [
+      'ticket_id', 'property_id', 'room_id', 'title', 'description', 'status', 'created_by', 'created_by_name',
+      'created_at', 'updated_at', 'resolved_at'
+    ]
+  },
+  {
+    collection: 'lostItems', table: 'lost_items', key: ['item_id'], order: 'created_at',
+    columns: [
+      'item_id', 'property_id', 'room_id', 'description', 'found_date', 'found_by', 'found_by_name', 'storage_location',
+      'status', 'created_at', 'updated_at'
+    ]
+  },
+  {
+    collection: 'webhooks', table: 'webhooks', key: ['webhook_id'], order: 'created_at', json: ['events'],
+    columns: [
+      'webhook_id', 'property_id', 'url', 'label', 'events', 'secret', 'is_active', 'created_by', 'created_by_name',
+      'created_at', 'updated_at'
+    ]
+  },
+  {
+    collection: 'webhookDeliveries', table: 'webhook_deliveries', key: ['delivery_id'], order: 'created_at', json: ['payload'],
+    columns: [
+      'delivery_id', 'webhook_id', 'property_id', 'event', 'payload', 'status', 'attempts', 'response_status', 'response_body',
+      'error', 'redelivery_of', 'next_attempt_at', 'last_attempt_at', 'delivered_at', 'created_at'
+    ]
+  },
+  {
+    collection: 'floorPlans', table: 'floor_plans', key: ['property_id'], order: 'property_id', json: ['layout'],
+    columns: ['property_id', 'layout', 'updated_by', 'updated_by_name', 'updated_at']
+  },
+  { collection: 'settings', table: 'settings', key: ['name'], order: 'name', columns: ['name', 'value', 'created_at'] }
+];
+
+// 初期データ定義
+const initialRooms = [
+  // 本館 (一般客室)
+  { room_id: '201', display_order: 100, category: 'general' },
+  { room_id: '202', display_order: 110, category: 'general' },
+  { room_id: '203', display_order: 120, category: 'general' },
+  { room_id: '205', display_order: 130, category: 'general' },
+  { room_id: '206', display_order: 140, category: 'general' },
+  { room_id: '207', display_order: 150, category: 'general' },
+  { room_id: '208', display_order: 160, category: 'general' },
+  { room_id: '209', display_order: 170, category: 'general' },
+  { room_id: '210', display_order: 180, category: 'general' },
+  { room_id: '211', display_order: 190, category: 'general' },
+  { room_id: '212', display_order: 200, category: 'general' },
+  { room_id: '213', display_order: 210, category: 'general' },
+  { room_id: '215', display_order: 220, category: 'general' },
+  { room_id: '216', display_order: 230, category: 'general' },
+  { room_id: '217', display_order: 240, category: 'general' },
+  { room_id: '218', display_order: 250, category: 'general' },
+  { room_id: '219', display_order: 260, category: 'general' },
+  { room_id: '220', display_order: 270, category: 'general' },
+  { room_id: '221', display_order: 280, category: 'general' },
+  { room_id: '222', display_order: 290, category: 'general' },
+  { room_id: '223', display_order: 300, category: 'general' },
+  { room_id: '225', display_order: 310, category: 'general' },
+  { room_id: '226-7', display_order: 320, category: 'general' },
+  { room_id: '228', display_order: 330, category: 'general' },
+  { room_id: '229', display_order: 340, category: 'general' },
+  // 別館 (特別室)
+  { room_id: '松虫草', display_order: 900, category: 'special' },
+  { room_id: '翁草', display_order: 910, category: 'special' },
+  { room_id: '笹百合', display_order: 920, category: 'special' },
+  { room_id: '寒椿', display_order: 930, category: 'special' },
+];
+
+// 初期の施設
+const initialProperties = [
+  { property_id: DEFAULT_PROPERTY_ID, name: DEFAULT_PROPERTY_NAME, display_order: 0 }
+];
+
+// 初期カテゴリ（本館・別館）
+const initialCategories = [
+  { category_id: 'general', name: '本館', icon: '🏠', display_order: 100 },
+  { category_id: 'special', name: '別館', icon: '🏡', display_order: 900 }
+];
+
+// 施設の初期カテゴリ
+function buildInitialCategories(propertyId) {
+  return initialCategories.map(c => ({ ...c, property_id: propertyId }));
+}
+
+// 施設の初期客室
+function buildInitialRooms(propertyId, now = new Date().toISOString()) {
+  return initialRooms.map(r => buildRoomRecord(propertyId, r, now));
+}
+
+// 部屋として更新可能なフィールド（履歴の記録対象）
+// is_checkout・status_times は status から導出する
+// out_of_order*: 故障・メンテナンス中（日次リセットでは解除しない）
+// expected_checkout_at: 本日の出発予定時刻（PMS からの取り込み）、late_checkout_at: レイトチェックアウトの延長
+const roomFields = [
+  'is_active', 'notes', 'status', 'assigned_to', 'name', 'category', 'display_order', 'is_retired',
+  'out_of_order', 'out_of_order_reason', 'out_of_order_until', 'expected_checkout_at', 'late_checkout_at'
+];
+
+// リセット後の部屋の状態（故障中の状態は含めない）
+const resetValues = { is_active: 0, notes: '', status: 'occupied', assigned_to: null, expected_checkout_at: null, late_checkout_at: null };
+
+// 修理チケットとして更新可能なフィールド
+const repairTicketFields = ['title', 'description', 'status'];
+
+// 忘れ物として更新可能なフィールド
+const lostItemFields = ['room_id', 'description', 'found_date', 'storage_location', 'status'];
+
+// Webhook として更新可能なフィールド
+const webhookFields = ['url', 'label', 'events', 'is_active'];
+
+// 配信ログとして更新可能なフィールド（送信結果）
+const webhookDeliveryFields = [
+  'status', 'attempts', 'response_status', 'response_body', 'error', 'next_attempt_at', 'last_attempt_at', 'delivered_at'
+];
+
+// スタッフとして更新可能なフィールド
+// property_ids: 利用できる施設（空の場合は全施設）
+const userFields = ['name', 'pin_hash', 'role', 'is_disabled', 'session_version', 'property_ids', 'locale'];
+
+// カテゴリとして更新可能なフィールド
+const categoryFields = ['name', 'icon', 'display_order'];
+
+// 更新内容から実際に書き込むフィールドを求める（ステータス変更時は導出フィールドも含める）
+function buildRoomChanges(room, updates, now) {
+  const changes = {};
+  roomFields.forEach(k => {
+    if (updates[k] !== undefined) changes[k] = updates[k];
+  });
+  if (changes.status !== undefined) {
+    Object.assign(changes, buildStatusUpdates(room, changes.status, now));
+  }
+  return changes;
+}
+
+// 楽観的排他制御: 想定したバージョンと現在のバージョンが異なる場合のエラー
+function versionConflictError(room) {
+  const err = new Error('Version conflict');
+  err.code = 'VERSION_CONFLICT';
+  err.room = room;
+  return err;
+}
+
+// ===== 変更履歴ヘルパー =====
+
+// 部屋の変更前後を比較し、変化したフィールドごとの履歴エントリを作る
+function buildHistoryEntries(room, updates, actor, action, createdAt) {
+  return Object.keys(updates)
+    .filter(field => roomFields.includes(field) && room[field] !== updates[field])
+    .map(field => ({
+      property_id: room.property_id,
+      room_id: room.room_id,
+      action,
+      field,
+      old_value: room[field],
+      new_value: updates[field],
+      actor_id: actor ? actor.user_id : null,
+      actor_name: actor ? actor.name : null,
+      created_at: createdAt
+    }));
+}
+
+// 部屋の作成の履歴エントリ
+function buildCreateHistoryEntry(room, actor, createdAt) {
+  return {
+    property_id: room.property_id,
+    room_id: room.room_id,
+    action: 'create',
+    field: 'room_id',
+    old_value: null,
+    new_value: room.room_id,
+    actor_id: actor ? actor.user_id : null,
+    actor_name: actor ? actor.name : null,
+    created_at: createdAt
+  };
+}
+
+// ===== 日次アーカイブヘルパー =====
+
+// リセット前の部屋の状態から、アーカイブに残す内容を作る（廃止済みの部屋は除く）
+function buildArchiveRooms(rooms) {
+  return rooms
+    .filter(room => !room.is_retired)
+    .sort((a, b) => a.display_order - b.display_order)
+    .map(room => {
+      const times = room.status_times || {};
+      return {
+        room_id: room.room_id,
+        name: room.name || room.room_id,
+        category: room.category,
+        display_order: room.display_order,
+        is_active: room.is_active ? 1 : 0,
+        is_checkout: room.is_checkout ? 1 : 0,
+        status: room.status,
+        status_times: times,
+        checkout_time: times.checked_out || null,
+        notes: room.notes || '',
+        assigned_to: room.assigned_to || null,
+        out_of_order: room.out_of_order ? 1 : 0,
+        out_of_order_reason: room.out_of_order_reason || '',
+        expected_checkout_at: room.expected_checkout_at || null,
+        late_checkout_at: room.late_checkout_at || null
+      };
+    });
+}
+
+function buildArchive(propertyId, rooms, actor, businessDate, archivedAt) {
+  return {
+    property_id: propertyId,
+    business_date: businessDate,
+    rooms: buildArchiveRooms(rooms),
+    actor_id: actor ? actor.user_id : null,
+    actor_name: actor ? actor.name : null,
+    archived_at: archivedAt
+  };
+}
+
+// ===== 新規レコード =====
+
+function buildRoomRecord(propertyId, room, now) {
+  return {
+    property_id: propertyId,
+    room_id: room.room_id,
+    name: room.name || room.room_id,
+    display_order: room.display_order,
+    category: room.category,
+    is_active: 0,
+    is_checkout: 0,
+    notes: '',
+    status: 'occupied',
+    status_times: {},
+    assigned_to: null,
+    is_retired: 0,
+    out_of_order: 0,
+    out_of_order_reason: '',
+    out_of_order_until: null,
+    expected_checkout_at: null,
+    late_checkout_at: null,
+    version: 1,
+    updated_at: now
+  };
+}
+
+function buildCategoryRecord(propertyId, category) {
+  return {
+    category_id: category.category_id,
+    property_id: propertyId,
+    name: category.name,
+    icon: category.icon || '',
+    display_order: category.display_order
+  };
+}
+
+function buildPropertyRecord(property) {
+  return {
+    property_id: property.property_id,
+    name: property.name,
+    display_order: property.display_order,
+    created_at: new Date().toISOString()
+  };
+}
+
+function buildUserRecord(user) {
+  const now = new Date().toISOString();
+  return {
+    user_id: user.user_id,
+    name: user.name,
+    pin_hash: user.pin_hash,
+    role: user.role,
+    property_ids: user.property_ids || [],
+    is_disabled: 0,
+    session_version: 0,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+function buildShareLinkRecord(link) {
+  return {
+    link_id: link.link_id,
+    property_id: link.property_id,
+    label: link.label,
+    scope: link.scope,
+    room_ids: link.room_ids || [],
+    secret_hash: link.secret_hash,
+    expires_at: link.expires_at,
+    created_by: link.created_by,
+    created_by_name: link.created_by_name,
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+}
+
+function buildRepairTicketRecord(ticket) {
+  const now = new Date().toISOString();
+  return {
+    ticket_id: ticket.ticket_id,
+    property_id: ticket.property_id,
+    room_id: ticket.room_id,
+    title: ticket.title,
+    description: ticket.description || '',
+    status: 'open',
+    created_by: ticket.created_by,
+    created_by_name: ticket.created_by_name,
+    created_at: now,
+    updated_at: now,
+    resolved_at: null
+  };
+}
+
+// チケットの更新内容（解決にしたときは解決日時を記録し、戻したときは消す）
+function buildRepairTicketChanges(updates, now) {
+  const changes = {};
+  Object.keys(updates).filter(k => repairTicketFields.includes(k)).forEach(k => { changes[k] = updates[k]; });
+  if (changes.status !== undefined) changes.resolved_at = changes.status === 'resolved' ? now : null;
+  return changes;
+}
+
+function buildLostItemRecord(item) {
+  const now = new Date().toISOString();
+  return {
+    item_id: item.item_id,
+    property_id: item.property_id,
+    room_id: item.room_id || null,
+    description: item.description,
+    found_date: item.found_date,
+    found_by: item.found_by,
+    found_by_name: item.found_by_name,
+    storage_location: item.storage_location || '',
+    status: 'held',
+    created_at: now,
+    updated_at: now
+  };
+}
+
+function buildWebhookRecord(hook) {
+  const now = new Date().toISOString();
+  return {
+    webhook_id: hook.webhook_id,
+    property_id: hook.property_id,
+    url: hook.url,
+    label: hook.label || '',
+    events: hook.events,
+    secret: hook.secret,
+    is_active: 1,
+    created_by: hook.created_by,
+    created_by_name: hook.created_by_name,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+function buildWebhookDeliveryRecord(delivery) {
+  return {
+    delivery_id: delivery.delivery_id,
+    webhook_id: delivery.webhook_id,
+    property_id: delivery.property_id,
+    event: delivery.event,
+    payload: delivery.payload,
+    status: 'pending',
+    attempts: 0,
+    response_status: null,
+    response_body: '',
+    error: null,
+    redelivery_of: delivery.redelivery_of || null,
+    next_attempt_at: null,
+    last_attempt_at: null,
+    delivered_at: null,
+    created_at: new Date().toISOString()
+  };
+}
+
+function buildFloorPlanRecord(propertyId, layout, actor = {}) {
+  return {
+    property_id: propertyId,
+    layout,
+    updated_by: actor.user_id || null,
+    updated_by_name: actor.name || null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+// 設定（生成して保存する値。セッションの署名鍵など）
+function buildSettingRecord(name, value) {
+  return { name, value, created_at: new Date().toISOString() };
+}
+
+// ===== 全データの変換 =====
+
+// Postgres が返す Date は ISO 文字列にそろえる（バックエンド間で同じ形のデータにする）
+function toPortableRow(row) {
+  const result = {};
+  Object.entries(row).forEach(([key, value]) => {
+    result[key] = value instanceof Date ? value.toISOString() : value;
+  });
+  return result;
+}
+
+// 全データ（コレクション名 → 行の配列）の件数
+function countRows(data) {
+  return Object.fromEntries(TABLES.map(({ collection }) => [collection, (data[collection] || []).length]));
+}
+
+module.exports = {
+  DEFAULT_PROPERTY_ID,
+  DEFAULT_PROPERTY_NAME,
+  STORE_METHODS,
+  TABLES,
+  initialProperties,
+  buildInitialCategories,
+  buildInitialRooms,
+  roomFields,
+  resetValues,
+  repairTicketFields,
+  lostItemFields,
+  webhookFields,
+  webhookDeliveryFields,
+  userFields,
+  categoryFields,
+  buildRoomChanges,
+  versionConflictError,
+  buildHistoryEntries,
+  buildCreateHistoryEntry,
+  buildArchive,
+  buildRoomRecord,
+  buildCategoryRecord,
+  buildPropertyRecord,
+  buildUserRecord,
+  buildShareLinkRecord,
+  buildRepairTicketRecord,
+  buildRepairTicketChanges,
+  buildLostItemRecord,
+  buildWebhookRecord,
+  buildWebhookDeliveryRecord,
+  buildFloorPlanRecord,
+  buildSettingRecord,
+  toPortableRow,
+  countRows
+};
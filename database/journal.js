@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== JSON DB のファイル（スナップショット + 追記ジャーナル） =====
+//   rooms.json          ある時点の全データ（スナップショット）。journal_seq 番までの変更を含む
+//   rooms.json.journal  スナップショット以降の変更。1行が1回の書き込みで、追記のみ
+//   rooms.json.bak      1つ前のスナップショット（rooms.json が壊れていた場合の復旧用）
+//
+// ・変更はすぐには書かず、WRITE_DELAY_MS の間の変更をまとめて1行追記する（連続したタップで何度も書かない）
+// ・ジャーナルが COMPACT_BYTES を超えたらスナップショットを書き直し、ジャーナルを空にする（圧縮）
+// ・スナップショットは一時ファイルに書いてから rename で置き換える（書き込み中に電源が切れても壊れない）
+// ・起動時に壊れたファイルを見つけたら退避し、1つ前のスナップショットとジャーナルから復旧する
+//
+// ジャーナルの1行は「チェックサム 本文」。本文は { seq, ops } で、ops は次のいずれか
+//   { put: コレクション, row }  キーが同じ行を置き換える（なければ追加）
+//   { del: コレクション, key }  キーが同じ行を削除する
+//   { set: コレクション, rows } コレクション全体を置き換える
+
+// 変更をまとめる時間（この間に電源が切れた変更は失われる）
+const WRITE_DELAY_MS = 200;
+
+// ジャーナルを圧縮する大きさ
+const COMPACT_BYTES = 1024 * 1024;
+
+function checksum(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// 壊れたファイルの退避先（例: rooms.json.corrupt-20261019T181500123Z）
+function corruptPath(file) {
+  return `${file}.corrupt-${new Date().toISOString().replace(/[-:.]/g, '')}`;
+}
+
+// rename をディスクに確定させる（ディレクトリを開けない環境では何もしない）
+function syncDir(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (err) {
+    // Windows など
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// 一時ファイルに書いて fsync してから置き換える
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  syncDir(path.dirname(file));
+}
+
+// スナップショットを読む（JSON として読めない・コレクションが配列でない場合は例外）
+function readSnapshot(file, collections) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !Array.isArray(data.rooms)) {
+    throw new Error('部屋のデータがありません');
+  }
+  const invalid = collections.filter(c => data[c] !== undefined && !Array.isArray(data[c]));
+  if (invalid.length > 0) throw new Error(`形式が不正です: ${invalid.join(', ')}`);
+  return data;
+}
+
+// ジャーナルを先頭から読む。読めない行（書き込み中の電源断・破損）があればそこで止める
+function readJournal(file) {
+  const entries = [];
+  if (!fs.existsSync(file)) return { entries, broken: false, empty: true };
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line !== '');
+  for (const line of lines) {
+    const index = line.indexOf(' ');
+    const body = line.slice(index + 1);
+    let entry = null;
+    if (index > 0 && line.slice(0, index) === checksum(body)) {
+      try { entry = JSON.parse(body); } catch (err) { entry = null; }
+    }
+    if (!entry || !Number.isInteger(entry.seq) || !Array.isArray(entry.ops)) {
+      return { entries, broken: true, empty: false };
+    }
+    entries.push(entry);
+  }
+  return { entries, broken: false, empty: lines.length === 0 };
+}
+
+// ジャーナルの変更をデータに反映する
+function applyEntries(data, entries, keyOf) {
+  const indexes = {}; // コレクション → (キー → 配列の位置)
+  const indexOf = (collection) => {
+    if (!indexes[collection]) {
+      data[collection] = data[collection] || [];
+      indexes[collection] = new Map(data[collection].map((row, i) => [keyOf(collection, row), i]));
+    }
+    return indexes[collection];
+  };
+
+  entries.forEach(entry => entry.ops.forEach(op => {
+    if (op.set) {
+      data[op.set] = op.rows;
+      delete indexes[op.set];
+    } else if (op.put) {
+      const index = indexOf(op.put);
+      const key = keyOf(op.put, op.row);
+      if (index.has(key)) {
+        data[op.put][index.get(key)] = op.row;
+      } else {
+        index.set(key, data[op.put].length);
+        data[op.put].push(op.row);
+      }
+    } else if (op.del) {
+      data[op.del] = (data[op.del] || []).filter(row => keyOf(op.del, row) !== op.key);
+      delete indexes[op.del];
+    }
+  }));
+}
+
+// options: {
+//   path: スナップショットのパス,
+//   keys: { コレクション: 行を識別する列 },
+//   getData: 現在のデータを返す関数,
+//   buildInitialData: ファイルがない場合の初期データを返す関数
+// }
+function createJournal(options) {
+  const snapshotPath = options.path;
+  const journalPath = `${snapshotPath}.journal`;
+  const backupPath = `${snapshotPath}.bak`;
+  const collections = Object.keys(options.keys);
+  const keyOf = (collection, row) => JSON.stringify(options.keys[collection].map(k => row[k]));
+
+  let seq = 0;                 // 最後に書いた変更の番号
+  let journalBytes = 0;
+  let needsSnapshot = false;   // 次の書き込みでスナップショットごと書き直す
+  let timer = null;
+  const replaced = new Set();  // 全体を書き直すコレクション
+  const changed = new Map();   // コレクション → (キー → 行。削除した行は null)
+
+  // スナップショットを書き直してジャーナルを空にする（今のスナップショットは .bak に残す）
+  function writeSnapshot(data) {
+    const dir = path.dirname(snapshotPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    if (fs.existsSync(snapshotPath)) writeFileAtomic(backupPath, fs.readFileSync(snapshotPath));
+    writeFileAtomic(snapshotPath, JSON.stringify({ ...data, journal_seq: seq }, null, 2));
+    // ここで止まっても、journal_seq 番までの行は次回の読み込みで読み飛ばす
+    fs.writeFileSync(journalPath, '');
+    journalBytes = 0;
+  }
+
+  function appendEntry(ops) {
+    const body = JSON.stringify({ seq: seq + 1, ops });
+    const line = `${checksum(body)} ${body}\n`;
+    const fd = fs.openSync(journalPath, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    seq += 1;
+    journalBytes += Buffer.byteLength(line);
+  }
+
+  // まとめた変更を ops にする（行は書き込む時点の内容）
+  function collectOps(data) {
+    const ops = [];
+    replaced.forEach(collection => ops.push({ set: collection, rows: data[collection] }));
+    changed.forEach((rows, collection) => {
+      if (replaced.has(collection)) return;
+      rows.forEach((row, key) => ops.push(row ? { put: collection, row } : { del: collection, key }));
+    });
+    return ops;
+  }
+
+  // まとめた変更を書き込む
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!needsSnapshot && replaced.size === 0 && changed.size === 0) return;
+
+    const data = options.getData();
+    try {
+      if (needsSnapshot || !fs.existsSync(snapshotPath)) {
+        writeSnapshot(data);
+      } else {
+        appendEntry(collectOps(data));
+        if (journalBytes > COMPACT_BYTES) writeSnapshot(data);
+      }
+      needsSnapshot = false;
+      replaced.clear();
+      changed.clear();
+    } catch (err) {
+      // 途中まで書いた行の後ろに追記しないよう、次はスナップショットごと書き直す
+      needsSnapshot = true;
+      console.error('Local DB Save Error', err);
+    }
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(flush, WRITE_DELAY_MS);
+    timer.unref();
+  }
+
+  function track(collection, key, row) {
+    if (!changed.has(collection)) changed.set(collection, new Map());
+    changed.get(collection).set(key, row);
+    schedule();
+  }
+
+  return {
+    // ファイルを読み込む → データ
+    // 壊れたファイルは退避して復旧する。復旧できない場合は例外（初期データで上書きしない）
+    load() {
+      let data = null;
+      let recovered = false;
+
+      if (fs.existsSync(snapshotPath)) {
+        try {
+          data = readSnapshot(snapshotPath, collections);
+        } catch (err) {
+          const moved = corruptPath(snapshotPath);
+          fs.renameSync(snapshotPath, moved);
+          console.error(`Local DB ${snapshotPath} が壊れています（${moved} に退避しました）:`, err.message);
+          recovered = true;
+        }
+      }
+      if (recovered) {
+        try {
+          data = readSnapshot(backupPath, collections);
+          console.error(`Local DB: 1つ前のスナップショット ${backupPath} から復旧します`);
+        } catch (err) {
+          throw new Error(`JSON DB ${snapshotPath} が壊れており、復旧できるスナップショットがありません（${err.message}）`);
+        }
+      }
+      if (!data) data = options.buildInitialData();
+
+      const baseSeq = data.journal_seq || 0;
+      const journal = readJournal(journalPath);
+      const entries = journal.entries.filter(e => e.seq > baseSeq);
+      const contiguous = entries.length === 0 || entries[0].seq === baseSeq + 1;
+
+      if (journal.broken) {
+        const moved = corruptPath(journalPath);
+        fs.copyFileSync(journalPath, moved);
+        console.error(`Local DB ${journalPath} の ${journal.entries.length + 1} 行目以降が読めません（${moved} に退避しました）`);
+      }
+      // スナップショットとつながらないジャーナルは、復旧時（変更の一部が失われる）以外は使わない
+      if (contiguous || recovered) {
+        if (!contiguous) console.error('Local DB: 1つ前のスナップショット以降の変更の一部は復旧できませんでした');
+        applyEntries(data, entries, keyOf);
+      } else {
+        console.error(`Local DB ${journalPath} が ${snapshotPath} と対応しないため読み込みませんでした`);
+      }
+      seq = journal.entries.reduce((max, e) => Math.max(max, e.seq), baseSeq);
+
+      // 前回の変更・復旧した内容をスナップショットにまとめ、ジャーナルを空から始める
+      if (recovered || !journal.empty) writeSnapshot(data);
+      return data;
+    },
+
+    // 行の追加・更新
+    put(collection, ...rows) {
+      rows.forEach(row => track(collection, keyOf(collection, row), row));
+    },
+
+    // 行の削除
+    remove(collection, ...rows) {
+      rows.forEach(row => track(collection, keyOf(collection, row), null));
+    },
+
+    // コレクション全体の置き換え
+    replace(collection) {
+      replaced.add(collection);
+      schedule();
+    },
+
+    // 全データをすぐにスナップショットとして書き直す（スキーマ移行・全データの取り込み）
+    rewrite() {
+      needsSnapshot = true;
+      flush();
+    },
+
+    // 終了時: 残っている変更を書き込み、ジャーナルを圧縮する
+    close() {
+      flush();
+      if (journalBytes > 0) {
+        try {
+          writeSnapshot(options.getData());
+        } catch (err) { console.error('Local DB Save Error', err); }
+      }
+    }
+  };
+}
+
+module.exports = { createJournal };
@@ -0,0 +1,42 @@
+const { deriveStatus } = require('../../lib/roomStatus');
+const { DEFAULT_PROPERTY_ID, initialProperties, buildInitialCategories } = require('../common');
+
+// ===== JSON DB のスキーマ移行 =====
+// version の昇順に適用し、適用済みの version はファイルの schema_version に記録する
+// up(data) はファイルの内容を受け取り、移行後の内容を返す
+// 一度公開した移行は書き換えず、変更は新しい version として追加する
+
+// 施設IDのないデータは既定の施設に属する
+const withProperty = list => (list || []).map(item => ({ property_id: DEFAULT_PROPERTY_ID, ...item }));
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial',
+    // 移行の仕組みを入れる前のファイル（項目の追加を読み込みのたびに補っていた）をそろえる
+    up: data => ({
+      ...data,
+      properties: data.properties || [...initialProperties],
+      rooms: (data.rooms || []).map(r => ({
+        property_id: DEFAULT_PROPERTY_ID, status_times: {}, assigned_to: null, name: r.room_id, is_retired: 0,
+        out_of_order: 0, out_of_order_reason: '', out_of_order_until: null, expected_checkout_at: null, late_checkout_at: null, version: 1, ...r, status: deriveStatus(r)
+      })),
+      categories: data.categories ? withProperty(data.categories) : buildInitialCategories(DEFAULT_PROPERTY_ID),
+      users: (data.users || []).map(u => ({ property_ids: [], ...u })),
+      history: withProperty(data.history),
+      archives: withProperty(data.archives),
+      shareLinks: withProperty(data.shareLinks),
+      repairTickets: data.repairTickets || [],
+      lostItems: data.lostItems || [],
+      webhooks: data.webhooks || [],
+      webhookDeliveries: data.webhookDeliveries || [],
+      floorPlans: data.floorPlans || []
+    })
+  },
+  {
+    version: 2,
+    name: 'settings',
+    // 生成して保存する設定（セッションの署名鍵など）
+    up: data => ({ ...data, settings: data.settings || [] })
+  }
+];
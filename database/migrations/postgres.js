@@ -0,0 +1,201 @@
+// ===== PostgreSQL のスキーマ移行 =====
+// version の昇順に適用し、適用済みの version は schema_migrations に記録する
+// 一度公開した移行は書き換えず、変更は新しい version として追加する
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial',
+    // 移行の仕組みを入れる前のスキーマ（既存のデータベースにも適用できるよう IF NOT EXISTS で書く）
+    up: client => client.query(`
+    CREATE TABLE IF NOT EXISTS properties (
+      property_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      display_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS rooms (
+      property_id TEXT NOT NULL DEFAULT 'default',
+      room_id TEXT NOT NULL,
+      display_order INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      is_active INTEGER DEFAULT 0,
+      is_checkout INTEGER DEFAULT 0,
+      notes TEXT DEFAULT '',
+      status TEXT DEFAULT 'occupied',
+      status_times JSONB DEFAULT '{}'::jsonb,
+      assigned_to TEXT,
+      name TEXT,
+      is_retired INTEGER DEFAULT 0,
+      version INTEGER NOT NULL DEFAULT 1,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (property_id, room_id)
+    );
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'occupied';
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS status_times JSONB DEFAULT '{}'::jsonb;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS assigned_to TEXT;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS name TEXT;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS is_retired INTEGER DEFAULT 0;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    CREATE TABLE IF NOT EXISTS categories (
+      property_id TEXT NOT NULL DEFAULT 'default',
+      category_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      icon TEXT DEFAULT '',
+      display_order INTEGER NOT NULL,
+      PRIMARY KEY (property_id, category_id)
+    );
+    UPDATE rooms SET status = 'checked_out' WHERE is_checkout = 1 AND status = 'occupied';
+    CREATE TABLE IF NOT EXISTS users (
+      user_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      pin_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      is_disabled INTEGER DEFAULT 0,
+      session_version INTEGER DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS room_history (
+      history_id SERIAL PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      field TEXT NOT NULL,
+      old_value JSONB,
+      new_value JSONB,
+      actor_id TEXT,
+      actor_name TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS room_history_room_idx ON room_history (room_id, created_at);
+    CREATE INDEX IF NOT EXISTS room_history_created_idx ON room_history (created_at);
+    CREATE TABLE IF NOT EXISTS day_archives (
+      archive_id SERIAL PRIMARY KEY,
+      business_date TEXT NOT NULL,
+      rooms JSONB NOT NULL,
+      actor_id TEXT,
+      actor_name TEXT,
+      archived_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS day_archives_date_idx ON day_archives (business_date);
+    -- 施設（property）対応: 既存データは既定の施設に属する
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS property_id TEXT NOT NULL DEFAULT 'default';
+    ALTER TABLE categories ADD COLUMN IF NOT EXISTS property_id TEXT NOT NULL DEFAULT 'default';
+    ALTER TABLE room_history ADD COLUMN IF NOT EXISTS property_id TEXT NOT NULL DEFAULT 'default';
+    ALTER TABLE day_archives ADD COLUMN IF NOT EXISTS property_id TEXT NOT NULL DEFAULT 'default';
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS property_ids JSONB DEFAULT '[]'::jsonb;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS locale TEXT;
+    DO $$
+    BEGIN
+      -- 部屋番号・カテゴリIDは施設ごとに一意（旧スキーマの主キーを付け替える）
+      IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'rooms_pkey' AND array_length(conkey, 1) = 1) THEN
+        ALTER TABLE rooms DROP CONSTRAINT rooms_pkey;
+        ALTER TABLE rooms ADD PRIMARY KEY (property_id, room_id);
+      END IF;
+      IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'categories_pkey' AND array_length(conkey, 1) = 1) THEN
+        ALTER TABLE categories DROP CONSTRAINT categories_pkey;
+        ALTER TABLE categories ADD PRIMARY KEY (property_id, category_id);
+      END IF;
+    END $$;
+    CREATE INDEX IF NOT EXISTS room_history_property_idx ON room_history (property_id, created_at);
+    CREATE INDEX IF NOT EXISTS day_archives_property_idx ON day_archives (property_id, business_date);
+    CREATE TABLE IF NOT EXISTS share_links (
+      link_id TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      room_ids JSONB DEFAULT '[]'::jsonb,
+      secret_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_by TEXT,
+      created_by_name TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMPTZ
+    );
+    ALTER TABLE share_links ADD COLUMN IF NOT EXISTS property_id TEXT NOT NULL DEFAULT 'default';
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS out_of_order INTEGER DEFAULT 0;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS out_of_order_reason TEXT DEFAULT '';
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS out_of_order_until TEXT;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS expected_checkout_at TEXT;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS late_checkout_at TEXT;
+    CREATE TABLE IF NOT EXISTS repair_tickets (
+      ticket_id TEXT PRIMARY KEY,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      room_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'open',
+      created_by TEXT,
+      created_by_name TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS repair_tickets_room_idx ON repair_tickets (property_id, room_id);
+    CREATE TABLE IF NOT EXISTS lost_items (
+      item_id TEXT PRIMARY KEY,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      room_id TEXT,
+      description TEXT NOT NULL,
+      found_date TEXT NOT NULL,
+      found_by TEXT,
+      found_by_name TEXT,
+      storage_location TEXT DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'held',
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS lost_items_found_idx ON lost_items (property_id, found_date);
+    CREATE TABLE IF NOT EXISTS webhooks (
+      webhook_id TEXT PRIMARY KEY,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      url TEXT NOT NULL,
+      label TEXT DEFAULT '',
+      events JSONB NOT NULL DEFAULT '[]'::jsonb,
+      secret TEXT NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      created_by TEXT,
+      created_by_name TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      delivery_id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      event TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT DEFAULT '',
+      error TEXT,
+      redelivery_of TEXT,
+      next_attempt_at TIMESTAMPTZ,
+      last_attempt_at TIMESTAMPTZ,
+      delivered_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_hook_idx ON webhook_deliveries (webhook_id, created_at);
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS floor_plans (
+      property_id TEXT PRIMARY KEY,
+      layout JSONB NOT NULL,
+      updated_by TEXT,
+      updated_by_name TEXT,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    `)
+  },
+  {
+    version: 2,
+    name: 'settings',
+    // 生成して保存する設定（セッションの署名鍵など）
+    up: client => client.query(`
+    CREATE TABLE IF NOT EXISTS settings (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    `)
+  }
+];
@@ -0,0 +1,179 @@
+// ===== SQLite のスキーマ移行 =====
+// version の昇順に適用し、適用済みの version は schema_migrations に記録する
+// 一度公開した移行は書き換えず、変更は新しい version として追加する
+// JSON の列は TEXT（JSON 文字列）、日時は TEXT（ISO 8601）で保存する
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial',
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS properties (
+      property_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      display_order INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT ${NOW}
+    );
+    CREATE TABLE IF NOT EXISTS rooms (
+      property_id TEXT NOT NULL DEFAULT 'default',
+      room_id TEXT NOT NULL,
+      display_order INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      is_active INTEGER DEFAULT 0,
+      is_checkout INTEGER DEFAULT 0,
+      notes TEXT DEFAULT '',
+      status TEXT DEFAULT 'occupied',
+      status_times TEXT DEFAULT '{}',
+      assigned_to TEXT,
+      name TEXT,
+      is_retired INTEGER DEFAULT 0,
+      version INTEGER NOT NULL DEFAULT 1,
+      updated_at TEXT DEFAULT ${NOW},
+      out_of_order INTEGER DEFAULT 0,
+      out_of_order_reason TEXT DEFAULT '',
+      out_of_order_until TEXT,
+      expected_checkout_at TEXT,
+      late_checkout_at TEXT,
+      PRIMARY KEY (property_id, room_id)
+    );
+    CREATE TABLE IF NOT EXISTS categories (
+      property_id TEXT NOT NULL DEFAULT 'default',
+      category_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      icon TEXT DEFAULT '',
+      display_order INTEGER NOT NULL,
+      PRIMARY KEY (property_id, category_id)
+    );
+    CREATE TABLE IF NOT EXISTS users (
+      user_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      pin_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      is_disabled INTEGER DEFAULT 0,
+      session_version INTEGER DEFAULT 0,
+      property_ids TEXT DEFAULT '[]',
+      locale TEXT,
+      created_at TEXT DEFAULT ${NOW},
+      updated_at TEXT DEFAULT ${NOW}
+    );
+    CREATE TABLE IF NOT EXISTS room_history (
+      history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      room_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      field TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      actor_id TEXT,
+      actor_name TEXT,
+      created_at TEXT DEFAULT ${NOW}
+    );
+    CREATE INDEX IF NOT EXISTS room_history_room_idx ON room_history (room_id, created_at);
+    CREATE INDEX IF NOT EXISTS room_history_property_idx ON room_history (property_id, created_at);
+    CREATE TABLE IF NOT EXISTS day_archives (
+      archive_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      business_date TEXT NOT NULL,
+      rooms TEXT NOT NULL,
+      actor_id TEXT,
+      actor_name TEXT,
+      archived_at TEXT DEFAULT ${NOW}
+    );
+    CREATE INDEX IF NOT EXISTS day_archives_property_idx ON day_archives (property_id, business_date);
+    CREATE TABLE IF NOT EXISTS share_links (
+      link_id TEXT PRIMARY KEY,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      label TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      room_ids TEXT DEFAULT '[]',
+      secret_hash TEXT NOT NULL UNIQUE,
+      expires_at TEXT NOT NULL,
+      created_by TEXT,
+      created_by_name TEXT,
+      created_at TEXT DEFAULT ${NOW},
+      revoked_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS repair_tickets (
+      ticket_id TEXT PRIMARY KEY,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      room_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'open',
+      created_by TEXT,
+      created_by_name TEXT,
+      created_at TEXT DEFAULT ${NOW},
+      updated_at TEXT DEFAULT ${NOW},
+      resolved_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS repair_tickets_room_idx ON repair_tickets (property_id, room_id);
+    CREATE TABLE IF NOT EXISTS lost_items (
+      item_id TEXT PRIMARY KEY,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      room_id TEXT,
+      description TEXT NOT NULL,
+      found_date TEXT NOT NULL,
+      found_by TEXT,
+      found_by_name TEXT,
+      storage_location TEXT DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'held',
+      created_at TEXT DEFAULT ${NOW},
+      updated_at TEXT DEFAULT ${NOW}
+    );
+    CREATE INDEX IF NOT EXISTS lost_items_found_idx ON lost_items (property_id, found_date);
+    CREATE TABLE IF NOT EXISTS webhooks (
+      webhook_id TEXT PRIMARY KEY,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      url TEXT NOT NULL,
+      label TEXT DEFAULT '',
+      events TEXT NOT NULL DEFAULT '[]',
+      secret TEXT NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      created_by TEXT,
+      created_by_name TEXT,
+      created_at TEXT DEFAULT ${NOW},
+      updated_at TEXT DEFAULT ${NOW}
+    );
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      delivery_id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL,
+      property_id TEXT NOT NULL DEFAULT 'default',
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT DEFAULT '',
+      error TEXT,
+      redelivery_of TEXT,
+      next_attempt_at TEXT,
+      last_attempt_at TEXT,
+      delivered_at TEXT,
+      created_at TEXT DEFAULT ${NOW}
+    );
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_hook_idx ON webhook_deliveries (webhook_id, created_at);
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS floor_plans (
+      property_id TEXT PRIMARY KEY,
+      layout TEXT NOT NULL,
+      updated_by TEXT,
+      updated_by_name TEXT,
+      updated_at TEXT DEFAULT ${NOW}
+    );
+    `)
+  },
+  {
+    version: 2,
+    name: 'settings',
+    // 生成して保存する設定（セッションの署名鍵など）
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      created_at TEXT DEFAULT ${NOW}
+    );
+    `)
+  }
+];
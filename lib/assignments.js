@@ -0,0 +1,71 @@
+const { isCleaned } = require('./roomStatus');
+
+// ===== 清掃担当の割り当て =====
+
+// 割り当て対象となる（清掃が未完了の）部屋
+function isPending(room) {
+    return !!room.is_active && !isCleaned(room.status);
+}
+
+// 担当者ごとのボードを作る
+// members: 清掃担当（housekeeping）と、現在部屋を担当しているスタッフ
+function buildBoard(rooms, users) {
+    const activeRooms = rooms.filter(r => r.is_active);
+    const assignedIds = new Set(activeRooms.map(r => r.assigned_to).filter(Boolean));
+
+    const members = users
+        .filter(u => assignedIds.has(u.user_id) || (u.role === 'housekeeping' && !u.is_disabled))
+        .map(u => {
+            const own = activeRooms.filter(r => r.assigned_to === u.user_id);
+            return {
+                user_id: u.user_id,
+                name: u.name,
+                is_disabled: u.is_disabled ? 1 : 0,
+                rooms: own.map(r => r.room_id),
+                total: own.length,
+                completed: own.filter(r => isCleaned(r.status)).length
+            };
+        });
+
+    const memberIds = new Set(members.map(m => m.user_id));
+    const unassigned = activeRooms
+        .filter(r => !r.assigned_to || !memberIds.has(r.assigned_to))
+        .map(r => r.room_id);
+
+    return { members, unassigned };
+}
+
+// 未完了の部屋を担当者間で均等に振り分ける
+// 既存の割り当ては上限まで維持し、はみ出した分と未割り当ての部屋を担当の少ない人へ回す
+// 戻り値: 変更が必要な [{ room_id, user_id }]
+function planRebalance(rooms, memberIds) {
+    if (memberIds.length === 0) return [];
+
+    const pending = rooms
+        .filter(isPending)
+        .sort((a, b) => a.display_order - b.display_order);
+    const target = Math.ceil(pending.length / memberIds.length);
+
+    const counts = {};
+    memberIds.forEach(id => { counts[id] = 0; });
+
+    const pool = [];
+    pending.forEach(room => {
+        if (room.assigned_to in counts && counts[room.assigned_to] < target) {
+            counts[room.assigned_to] += 1;
+        } else {
+            pool.push(room);
+        }
+    });
+
+    return pool.map(room => {
+        const userId = memberIds.reduce((min, id) => (counts[id] < counts[min] ? id : min), memberIds[0]);
+        counts[userId] += 1;
+        return { room_id: room.room_id, user_id: userId };
+    });
+}
+
+module.exports = {
+    buildBoard,
+    planRebalance
+};
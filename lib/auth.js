@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { getCapabilities } = require('./permissions');
+
+// PINは4〜8桁の数字
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// ===== PIN ハッシュ =====
+function hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(pin), salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPin(pin, stored) {
+    if (!stored) return false;
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(pin), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function isValidPin(pin) {
+    return typeof pin === 'string' && PIN_PATTERN.test(pin);
+}
+
+// ランダムな6桁の PIN（初期管理者用）
+function generatePin() {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// ===== セッショントークン =====
+// 形式: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+function sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+// propertyId: 選択中の施設
+function createSessionToken(user, secret, ttlSeconds, propertyId) {
+    const payload = {
+        uid: user.user_id,
+        sv: user.session_version || 0,
+        pid: propertyId,
+        exp: Math.floor(Date.now() / 1000) + ttlSeconds
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${sign(body, secret)}`;
+}
+
+// 署名と有効期限を検証し、ペイロードを返す（不正な場合は null）
+function verifySessionToken(token, secret) {
+    if (!token || typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.uid || !payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ===== クッキー =====
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const idx = part.indexOf('=');
+        if (idx === -1) return;
+        const key = part.slice(0, idx).trim();
+        const value = part.slice(idx + 1).trim();
+        try {
+            cookies[key] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[key] = value;
+        }
+    });
+    return cookies;
+}
+
+// クライアントに返すスタッフ情報（PINハッシュ等を除外）
+function toPublicUser(user) {
+    return {
+        user_id: user.user_id,
+        name: user.name,
+        role: user.role,
+        capabilities: getCapabilities(user.role),
+        property_ids: user.property_ids || [],
+        locale: user.locale || null,
+        is_disabled: user.is_disabled ? 1 : 0,
+        created_at: user.created_at,
+        updated_at: user.updated_at
+    };
+}
+
+module.exports = {
+    hashPin,
+    verifyPin,
+    isValidPin,
+    generatePin,
+    createSessionToken,
+    verifySessionToken,
+    parseCookies,
+    toPublicUser
+};
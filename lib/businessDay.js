@@ -0,0 +1,88 @@
+// ===== 営業日 =====
+// 日次アーカイブ等の日付は、サーバーのタイムゾーンではなくホテルの現地時刻で決める
+// 営業日の切り替え時刻（DAILY_RESET_TIME）より前は前日の営業日として扱う
+//   例: 10:00 切り替えなら、10/20 09:59 は 10/19、10/20 10:00 からは 10/20
+
+const BUSINESS_TIME_ZONE = process.env.BUSINESS_TIME_ZONE || 'Asia/Tokyo';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// "HH:MM" → 0時からの分数（不正な場合は null）
+function parseTimeOfDay(value) {
+    const match = TIME_PATTERN.exec(String(value || '').trim());
+    if (!match) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+const DAILY_RESET_TIME = process.env.DAILY_RESET_TIME || '00:00';
+const CUTOVER_MINUTES = parseTimeOfDay(DAILY_RESET_TIME);
+if (CUTOVER_MINUTES === null) {
+    console.warn(`DAILY_RESET_TIME「${DAILY_RESET_TIME}」が不正です。HH:MM 形式で指定してください（0:00 として扱います）`);
+}
+
+// 指定時刻の営業日（YYYY-MM-DD）
+function toBusinessDate(date = new Date(), timeZone = BUSINESS_TIME_ZONE, cutoverMinutes = CUTOVER_MINUTES || 0) {
+    const shifted = new Date(date.getTime() - cutoverMinutes * 60 * 1000);
+    // en-CA ロケールは YYYY-MM-DD 形式になる
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(shifted);
+}
+
+// 指定時刻を現地時刻の「YYYY-MM-DD HH:MM」で表す（帳票出力用）
+function formatBusinessDateTime(value, timeZone = BUSINESS_TIME_ZONE) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+// 営業日と現地時刻（0時からの分数）から実際の日時を求める
+// 切り替え時刻より前の時刻は、営業日の翌日の時刻として扱う（例: 営業日 10/19 の 01:00 → 10/20 01:00）
+function businessDateTimeToDate(businessDate, minutes, timeZone = BUSINESS_TIME_ZONE, cutoverMinutes = CUTOVER_MINUTES || 0) {
+    const [year, month, day] = businessDate.split('-').map(Number);
+    const dayOffset = minutes < cutoverMinutes ? 1 : 0;
+    const target = Date.UTC(year, month - 1, day + dayOffset, 0, minutes);
+
+    // 現地時刻との差を求めて補正する（夏時間の切り替えを考慮して2回）
+    let result = target;
+    for (let i = 0; i < 2; i++) {
+        const local = Date.parse(`${formatBusinessDateTime(result, timeZone).replace(' ', 'T')}:00Z`);
+        result += target - local;
+    }
+    return new Date(result);
+}
+
+// YYYY-MM-DD 形式で、実在する日付か
+function isValidBusinessDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+module.exports = {
+    BUSINESS_TIME_ZONE,
+    DAILY_RESET_TIME,
+    parseTimeOfDay,
+    toBusinessDate,
+    formatBusinessDateTime,
+    businessDateTimeToDate,
+    isValidBusinessDate
+};
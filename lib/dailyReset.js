@@ -0,0 +1,46 @@
+const { toBusinessDate } = require('./businessDay');
+
+// ===== 自動日次リセット =====
+// 定期的に営業日を確認し、最後のリセット以降に営業日が切り替わっていればリセットする
+// 最後のリセット時刻は日次アーカイブから求めるので、再起動しても二重にリセットせず、
+// 切り替え時刻にサーバーが止まっていた場合も起動後に実行される
+// アーカイブは最後のリセットを行った営業日の分として保存する（数日止まっていた場合も、前日ではなくその日の分になる）
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// getLastResetAt: 最後のリセット時刻（ISO文字列、なければ null）を返す関数
+// reset(businessDate): リセットを実行する関数
+function startDailyResetScheduler({ getLastResetAt, reset, intervalMs = CHECK_INTERVAL_MS }) {
+    const startedAt = new Date().toISOString();
+    let running = false;
+
+    async function check() {
+        if (running) return;
+        running = true;
+        try {
+            // 一度もリセットしていない場合は起動時刻を基準にする（導入直後に作業中の状態を消さない）
+            const lastResetAt = (await getLastResetAt()) || startedAt;
+            const lastBusinessDate = toBusinessDate(new Date(lastResetAt));
+            if (lastBusinessDate >= toBusinessDate()) return;
+
+            await reset(lastBusinessDate);
+        } catch (error) {
+            console.error('Error in scheduled reset:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    check();
+    const timer = setInterval(check, intervalMs);
+    timer.unref();
+
+    return {
+        check,
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = {
+    startDailyResetScheduler
+};
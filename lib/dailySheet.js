@@ -0,0 +1,45 @@
+const { STATUSES } = require('./roomStatus');
+const { formatBusinessDateTime } = require('./businessDay');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// ===== 日次シート（チェックアウト・清掃表）の出力 =====
+
+// 列の見出しは public/locales の export.column.<列>
+const COLUMNS = ['room', 'category', 'active', 'checkout_status', 'checkout_time', 'notes'];
+
+// 部屋一覧（当日の部屋またはアーカイブの部屋）を表の行にする。見出しと状態は locale の言語で出力する
+function buildSheetRows(rooms, categories, locale = DEFAULT_LOCALE) {
+    const categoryNames = {};
+    categories.forEach(c => { categoryNames[c.category_id] = c.name; });
+
+    const rows = rooms.map(room => {
+        const checkoutTime = room.checkout_time || (room.status_times && room.status_times.checked_out);
+        return [
+            room.name || room.room_id,
+            categoryNames[room.category] || room.category,
+            translate(locale, room.is_active ? 'history.value.active' : 'history.value.inactive'),
+            STATUSES.includes(room.status) ? translate(locale, `status.${room.status}`) : room.status || '',
+            formatBusinessDateTime(checkoutTime),
+            room.notes || ''
+        ];
+    });
+    return [COLUMNS.map(column => translate(locale, `export.column.${column}`)), ...rows];
+}
+
+// Excel で数式として解釈される先頭文字を無効化する
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+// UTF-8 (BOM付き) の CSV。BOM がないと Excel で日本語が文字化けする
+function toCsv(rows) {
+    return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    COLUMNS,
+    buildSheetRows,
+    toCsv
+};
@@ -0,0 +1,255 @@
+const { parseTimeOfDay, formatBusinessDateTime, businessDateTimeToDate } = require('./businessDay');
+
+// ===== 本日の出発予定の取り込み（PMS の CSV / iCal） =====
+// ファイルを行（部屋番号・出発日・出発時刻）に分解し、部屋番号を room_id に突き合わせる
+// 取り込み前にプレビューを返し、一致しなかった行を確認できるようにする
+
+const IMPORT_FORMATS = ['csv', 'ical'];
+
+// CSV の見出し（部屋番号の列と、出発日時の列）
+const ROOM_HEADER_PATTERN = /room|部屋|客室|ルーム/i;
+const DEPARTURE_HEADER_PATTERN = /check.?out|departure|etd|出発|チェックアウト|アウト|c\/o/i;
+
+// 日付・時刻の書式（2024-05-01, 2024/5/1, 20240501 / 11:00）
+const DATE_IN_TEXT = /(\d{4})[-/年]?(\d{1,2})[-/月]?(\d{1,2})日?/;
+const TIME_IN_TEXT = /(\d{1,2}):(\d{2})/;
+
+function detectFormat(text) {
+    return /BEGIN:VCALENDAR/i.test(text) ? 'ical' : 'csv';
+}
+
+// ===== CSV =====
+// ダブルクォートで囲まれた値（カンマ・改行・"" を含む）に対応する
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',' || ch === '\t') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// 日付（YYYY-MM-DD）と時刻（0時からの分数）を文字列から取り出す
+function parseDateTimeText(text) {
+    const value = String(text || '').normalize('NFKC');
+    const dateMatch = DATE_IN_TEXT.exec(value);
+    const timeMatch = TIME_IN_TEXT.exec(value);
+    return {
+        date: dateMatch ? `${dateMatch[1]}-${dateMatch[2].padStart(2, '0')}-${dateMatch[3].padStart(2, '0')}` : null,
+        minutes: timeMatch ? parseTimeOfDay(`${timeMatch[1]}:${timeMatch[2]}`) : null
+    };
+}
+
+function parseCsvDepartures(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) return [];
+
+    // 見出し行があれば列を特定し、なければ 1 列目を部屋番号、残りを出発日時とみなす
+    const header = rows[0].map(h => h.trim());
+    const roomColumn = header.findIndex(h => ROOM_HEADER_PATTERN.test(h));
+    const hasHeader = roomColumn !== -1;
+    const departureColumns = hasHeader
+        ? header.map((h, i) => (DEPARTURE_HEADER_PATTERN.test(h) ? i : -1)).filter(i => i !== -1)
+        : null;
+
+    return rows.slice(hasHeader ? 1 : 0).map((cells, i) => {
+        const room = cells[hasHeader ? roomColumn : 0] || '';
+        const rest = departureColumns
+            ? departureColumns.map(c => cells[c] || '')
+            : cells.slice(1);
+        return {
+            line: i + (hasHeader ? 2 : 1),
+            room: room.trim(),
+            ...parseDateTimeText(rest.join(' '))
+        };
+    });
+}
+
+// ===== iCal =====
+// 予約（VEVENT）の LOCATION（なければ SUMMARY）を部屋番号、DTEND（なければ DTSTART）を出発日時とする
+function unfoldIcal(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+// DTEND;TZID=Asia/Tokyo:20240501T110000 → { date, minutes }
+// UTC（末尾 Z）の場合はホテルの現地時刻に直す。日付のみの場合は時刻なし
+function parseIcalDateTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{0,2}(Z)?)?$/.exec(value.trim());
+    if (!match) return { date: null, minutes: null };
+
+    const [, year, month, day, hour, minute, utc] = match;
+    if (utc) {
+        const local = formatBusinessDateTime(`${year}-${month}-${day}T${hour}:${minute}:00Z`);
+        return parseDateTimeText(local);
+    }
+    return {
+        date: `${year}-${month}-${day}`,
+        minutes: hour !== undefined ? Number(hour) * 60 + Number(minute) : null
+    };
+}
+
+function unescapeIcalText(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+}
+
+function parseIcalDepartures(text) {
+    const departures = [];
+    let event = null;
+
+    unfoldIcal(text).forEach((line, i) => {
+        if (/^BEGIN:VEVENT$/i.test(line.trim())) {
+            event = { line: i + 1, props: {} };
+            return;
+        }
+        if (/^END:VEVENT$/i.test(line.trim())) {
+            if (event) {
+                const props = event.props;
+                departures.push({
+                    line: event.line,
+                    room: unescapeIcalText(props.LOCATION || props.SUMMARY || '').trim(),
+                    ...parseIcalDateTime(props.DTEND || props.DTSTART || '')
+                });
+            }
+            event = null;
+            return;
+        }
+        if (!event) return;
+
+        const colon = line.indexOf(':');
+        if (colon === -1) return;
+        const name = line.slice(0, colon).split(';')[0].toUpperCase();
+        event.props[name] = line.slice(colon + 1);
+    });
+    return departures;
+}
+
+function parseDepartures(text, format = detectFormat(text)) {
+    return format === 'ical' ? parseIcalDepartures(text) : parseCsvDepartures(text);
+}
+
+// ===== 部屋番号の突き合わせ =====
+
+// 全角・「号室」・「Room」などを取り除く
+function normalizeRoomText(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .replace(/\s+/g, '')
+        .replace(/^(room|rm\.?|no\.?|#)/i, '')
+        .replace(/号室?$/, '')
+        .toLowerCase();
+}
+
+// 連結した部屋（226-7, 226-227, 226/227 など）を構成する部屋番号の一覧にする
+function expandCombinedRoom(text) {
+    const match = /^(\d+)[-/・&+](\d+)$/.exec(text);
+    if (!match) return null;
+    const [, first, second] = match;
+    const full = second.length < first.length ? first.slice(0, first.length - second.length) + second : second;
+    return [first, full];
+}
+
+// 部屋番号（名前）から部屋を探す関数を作る
+function buildRoomMatcher(rooms) {
+    const byKey = new Map();
+    const byPart = new Map();
+    rooms.forEach(room => {
+        [room.room_id, room.name].forEach(value => {
+            const key = normalizeRoomText(value);
+            if (key && !byKey.has(key)) byKey.set(key, room);
+        });
+        const parts = expandCombinedRoom(normalizeRoomText(room.room_id));
+        if (parts) {
+            byKey.set(parts.join('+'), room);
+            parts.forEach(part => { if (!byPart.has(part)) byPart.set(part, room); });
+        }
+    });
+
+    return text => {
+        const key = normalizeRoomText(text);
+        if (!key) return null;
+        if (byKey.has(key)) return byKey.get(key);
+
+        const parts = expandCombinedRoom(key);
+        if (parts && byKey.has(parts.join('+'))) return byKey.get(parts.join('+'));
+        // 連結した部屋の片方だけが書かれている場合（226 → 226-7）
+        return byPart.get(key) || null;
+    };
+}
+
+// 取り込み内容を作る（同じ部屋に複数行ある場合は遅い方の出発時刻を使う）
+// rooms: 廃止済みを除いた施設の部屋、businessDate: 取り込む営業日
+// 取り込まない行には理由のコード（reason_code）を付ける
+function planImport(departures, rooms, businessDate) {
+    const findRoom = buildRoomMatcher(rooms);
+    const matched = new Map();
+    const unmatched = [];
+
+    departures.forEach(row => {
+        const skip = (reasonCode, params = {}) =>
+            unmatched.push({ line: row.line, room: row.room, reason_code: reasonCode, reason_params: params });
+
+        if (!row.room) return skip('no_room');
+        if (row.date && row.date !== businessDate) return skip('other_date', { date: row.date });
+
+        const room = findRoom(row.room);
+        if (!room) return skip('room_not_found');
+        if (room.out_of_order) return skip('out_of_order');
+
+        const expected = row.minutes !== null
+            ? businessDateTimeToDate(businessDate, row.minutes).toISOString()
+            : null;
+        const entry = matched.get(room.room_id) || { room_id: room.room_id, name: room.name, expected_checkout_at: null, lines: [] };
+        if (expected && (!entry.expected_checkout_at || expected > entry.expected_checkout_at)) {
+            entry.expected_checkout_at = expected;
+        }
+        entry.lines.push(row.line);
+        matched.set(room.room_id, entry);
+    });
+
+    return {
+        business_date: businessDate,
+        total: departures.length,
+        matched: [...matched.values()],
+        unmatched
+    };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectFormat,
+    parseCsv,
+    parseDepartures,
+    normalizeRoomText,
+    buildRoomMatcher,
+    planImport
+};
@@ -0,0 +1,101 @@
+// ===== 見取り図（建物・フロアごとの客室の配置） =====
+// layout: { floors: [{ floor_id, name }], positions: { room_id: { floor_id, x, y } } }
+// x・y はフロアのマス目（GRID_COLUMNS × GRID_ROWS）の位置。positions にない部屋は未配置
+
+const GRID_COLUMNS = 12;
+const GRID_ROWS = 30;
+const MAX_FLOORS = 30;
+const FLOOR_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+// 保存していない場合の初期配置で、1行に並べる部屋数
+const DEFAULT_ROW_LENGTH = 6;
+
+// 部屋番号からフロアを推測する（201 → 2、1203 → 12。数字でない場合は null）
+function guessFloorNumber(roomId) {
+    const match = /^(\d{1,2})\d{2}(?:-\d+)?$/.exec(String(roomId));
+    return match ? Number(match[1]) : null;
+}
+
+// 保存された配置がない場合の初期配置（カテゴリ・フロアごとに表示順で並べる）
+// otherName: どのカテゴリにも属さない部屋のフロア名（利用者の言語の「その他」）
+function buildDefaultLayout(rooms, categories, otherName = 'その他') {
+    const floors = [];
+    const positions = {};
+    const counts = {};
+
+    const categoryOrder = categories.map(c => c.category_id);
+    const sorted = [...rooms].sort((a, b) =>
+        (categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category)) || (a.display_order - b.display_order)
+    );
+
+    sorted.forEach(room => {
+        const category = categories.find(c => c.category_id === room.category);
+        const floorNumber = guessFloorNumber(room.room_id);
+        const floorId = `${room.category || 'other'}${floorNumber !== null ? `-${floorNumber}F` : ''}`;
+        if (!floors.some(f => f.floor_id === floorId)) {
+            const name = category ? category.name : otherName;
+            floors.push({ floor_id: floorId, name: floorNumber !== null ? `${name} ${floorNumber}F` : name });
+        }
+
+        const index = counts[floorId] || 0;
+        counts[floorId] = index + 1;
+        const y = Math.floor(index / DEFAULT_ROW_LENGTH);
+        if (y >= GRID_ROWS) return; // 入りきらない部屋は未配置
+        positions[room.room_id] = { floor_id: floorId, x: index % DEFAULT_ROW_LENGTH, y };
+    });
+
+    return { floors, positions };
+}
+
+function isGridIndex(value, size) {
+    return Number.isInteger(value) && value >= 0 && value < size;
+}
+
+// 保存する配置の検証 → { layout } または { error: エラーコード, params }
+// roomIds: 施設の部屋（廃止済みを除く）の room_id
+function parseLayout(body, roomIds) {
+    const floors = body && body.floors;
+    const positions = (body && body.positions) || {};
+
+    if (!Array.isArray(floors) || floors.length === 0) return { error: 'floor_required' };
+    if (floors.length > MAX_FLOORS) return { error: 'too_many_floors', params: { max: MAX_FLOORS } };
+    if (typeof positions !== 'object' || Array.isArray(positions)) return { error: 'invalid_layout' };
+
+    const floorIds = new Set();
+    for (const floor of floors) {
+        if (!floor || typeof floor.floor_id !== 'string' || !FLOOR_ID_PATTERN.test(floor.floor_id)) {
+            return { error: 'invalid_floor_id' };
+        }
+        if (floorIds.has(floor.floor_id)) return { error: 'duplicate_floor_id' };
+        if (typeof floor.name !== 'string' || !floor.name.trim()) return { error: 'floor_name_required' };
+        floorIds.add(floor.floor_id);
+    }
+
+    const occupied = new Set();
+    const parsedPositions = {};
+    for (const [roomId, position] of Object.entries(positions)) {
+        if (!roomIds.includes(roomId)) return { error: 'layout_room_not_found', params: { room: roomId } };
+        if (!position || !floorIds.has(position.floor_id)) return { error: 'invalid_layout_floor', params: { room: roomId } };
+        if (!isGridIndex(position.x, GRID_COLUMNS) || !isGridIndex(position.y, GRID_ROWS)) {
+            return { error: 'layout_out_of_range', params: { room: roomId } };
+        }
+        const cell = `${position.floor_id}:${position.x}:${position.y}`;
+        if (occupied.has(cell)) return { error: 'layout_cell_taken', params: { room: roomId } };
+        occupied.add(cell);
+        parsedPositions[roomId] = { floor_id: position.floor_id, x: position.x, y: position.y };
+    }
+
+    return {
+        layout: {
+            floors: floors.map(f => ({ floor_id: f.floor_id, name: f.name.trim() })),
+            positions: parsedPositions
+        }
+    };
+}
+
+module.exports = {
+    GRID_COLUMNS,
+    GRID_ROWS,
+    buildDefaultLayout,
+    parseLayout
+};
@@ -0,0 +1,84 @@
+const path = require('path');
+
+// ===== 多言語対応（日本語・英語・ベトナム語・中国語） =====
+// 文言は public/locales/<言語>.json にキーごとに持ち、画面（public/i18n.js）と API で共有する
+// API のエラーは { error: 利用者の言語のメッセージ, code: 固定のエラーコード } で返す
+
+const LOCALES = ['ja', 'en', 'vi', 'zh'];
+const DEFAULT_LOCALE = 'ja';
+const LOCALE_COOKIE = 'locale';
+
+const catalogs = Object.fromEntries(LOCALES.map(locale => [
+    locale,
+    require(path.join(__dirname, '..', 'public', 'locales', `${locale}.json`))
+]));
+
+// 'en-US' → 'en'、'zh-Hant-TW' → 'zh'。対応していない言語は null
+function normalizeLocale(value) {
+    if (typeof value !== 'string') return null;
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : null;
+}
+
+// Accept-Language（"vi-VN,vi;q=0.9,en;q=0.8"）から対応している言語を優先度順に探す
+function parseAcceptLanguage(header) {
+    if (!header) return null;
+    const candidates = String(header).split(',')
+        .map(part => {
+            const [tag, ...options] = part.trim().split(';');
+            const q = options.map(o => /^q=([\d.]+)$/.exec(o.trim())).find(Boolean);
+            return { locale: normalizeLocale(tag), q: q ? Number(q[1]) : 1 };
+        })
+        .filter(c => c.locale && c.q > 0)
+        .sort((a, b) => b.q - a.q);
+    return candidates.length > 0 ? candidates[0].locale : null;
+}
+
+// クッキーで選んだ言語。値を復号できない（壊れた）クッキーは無視する
+function cookieLocale(header) {
+    const cookie = new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE}=([^;]+)`).exec(header || '');
+    if (!cookie) return null;
+    try {
+        return normalizeLocale(decodeURIComponent(cookie[1]));
+    } catch (e) {
+        return null;
+    }
+}
+
+// リクエストの言語: 画面で選んだ言語（クッキー）> スタッフの設定 > ブラウザの言語 > 日本語
+function resolveLocale(req) {
+    if (!req) return DEFAULT_LOCALE;
+    return cookieLocale(req.headers.cookie)
+        || normalizeLocale(req.user && req.user.locale)
+        || parseAcceptLanguage(req.headers['accept-language'])
+        || DEFAULT_LOCALE;
+}
+
+// 文言の {name} を params で置き換える。値が { key } の場合はその文言も翻訳する
+function translate(locale, key, params = {}) {
+    const template = (catalogs[locale] && catalogs[locale][key]) || catalogs[DEFAULT_LOCALE][key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'object' && value.key ? translate(locale, value.key, value.params) : String(value);
+    });
+}
+
+// エラーレスポンス { error, code, ...extra }
+function sendError(res, status, code, params = {}, extra = {}) {
+    return res.status(status).json({
+        error: translate(resolveLocale(res.req), `error.${code}`, params),
+        code,
+        ...extra
+    });
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    LOCALE_COOKIE,
+    normalizeLocale,
+    resolveLocale,
+    translate,
+    sendError
+};
@@ -0,0 +1,81 @@
+// ===== ログイン試行の制限 =====
+// PIN の総当たりを防ぐため、失敗が続いたログインを一定時間受け付けない
+// ・同じ IP アドレスから同じスタッフ名への失敗 → その組み合わせだけを止める（他人のスタッフ名を狙って締め出せない）
+// ・同じ IP アドレスからの失敗 → その IP アドレスを止める
+// ・同じスタッフ名への失敗（IP アドレスを問わない）→ 止めずに、失敗のたびに待ち時間を延ばす
+// 失敗の記録はサーバーのメモリに持つ（再起動で消える）
+
+const WINDOW_MS = 15 * 60 * 1000;   // 失敗を数える期間（この期間が過ぎた失敗は数えない）
+const MAX_FAILURES_PER_PAIR = 5;     // 同じ IP アドレスから同じスタッフ名へのログインの失敗
+const MAX_FAILURES_PER_IP = 20;      // 同じ IP アドレスからのログインの失敗
+const NAME_DELAY_AFTER = 10;         // 同じスタッフ名への失敗がこの回数を超えたら待ち時間を設ける
+const MAX_NAME_DELAY_MS = 60 * 1000; // 待ち時間の上限（1, 2, 4, … 秒と延ばす）
+
+const normalizeName = name => String(name || '').trim().toLowerCase();
+const nameKey = name => `name:${normalizeName(name)}`;
+const ipKey = ip => `ip:${ip || ''}`;
+const pairKey = (ip, name) => `pair:${ip || ''}:${normalizeName(name)}`;
+
+function createLoginThrottle() {
+    const failures = new Map(); // キー → 失敗した時刻（ミリ秒）の配列
+
+    function recent(key, now) {
+        const times = (failures.get(key) || []).filter(time => time > now - WINDOW_MS);
+        if (times.length > 0) failures.set(key, times);
+        else failures.delete(key);
+        return times;
+    }
+
+    // 上限に達していれば、最も古い失敗が期間を過ぎるまでのミリ秒
+    function waitFor(key, max, now) {
+        const times = recent(key, now);
+        return times.length >= max ? times[times.length - max] + WINDOW_MS - now : 0;
+    }
+
+    // 失敗が NAME_DELAY_AFTER 回を超えていれば、最後の失敗から待ち時間が過ぎるまでのミリ秒
+    function delayFor(key, now) {
+        const times = recent(key, now);
+        if (times.length <= NAME_DELAY_AFTER) return 0;
+        const delay = Math.min(1000 * 2 ** (times.length - NAME_DELAY_AFTER - 1), MAX_NAME_DELAY_MS);
+        return Math.max(times[times.length - 1] + delay - now, 0);
+    }
+
+    // 期間を過ぎた記録を定期的に消す
+    setInterval(() => {
+        const now = Date.now();
+        [...failures.keys()].forEach(key => recent(key, now));
+    }, WINDOW_MS).unref();
+
+    return {
+        // ログインを受け付けるまでの秒数（受け付ける場合は 0）
+        retryAfter(ip, name, now = Date.now()) {
+            const wait = Math.max(
+                waitFor(pairKey(ip, name), MAX_FAILURES_PER_PAIR, now),
+                waitFor(ipKey(ip), MAX_FAILURES_PER_IP, now),
+                delayFor(nameKey(name), now)
+            );
+            return Math.ceil(wait / 1000);
+        },
+
+        recordFailure(ip, name, now = Date.now()) {
+            [pairKey(ip, name), ipKey(ip), nameKey(name)].forEach(key => {
+                failures.set(key, [...recent(key, now), now]);
+            });
+        },
+
+        // ログインできたスタッフ名の失敗は消す（IP アドレスの失敗は残す）
+        recordSuccess(ip, name) {
+            failures.delete(pairKey(ip, name));
+            failures.delete(nameKey(name));
+        }
+    };
+}
+
+module.exports = {
+    WINDOW_MS,
+    MAX_FAILURES_PER_PAIR,
+    MAX_FAILURES_PER_IP,
+    NAME_DELAY_AFTER,
+    MAX_NAME_DELAY_MS,
+    createLoginThrottle
+};
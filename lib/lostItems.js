@@ -0,0 +1,60 @@
+const { isValidBusinessDate } = require('./businessDay');
+
+// ===== 忘れ物 =====
+// 清掃中に見つかった忘れ物を、日次リセットで消える備考とは別に管理する
+// 保管中 → 返却済 / 処分済
+
+const LOST_ITEM_STATUSES = ['held', 'returned', 'disposed'];
+
+const LOST_ITEM_STATUS_LABELS = {
+    held: '保管中',
+    returned: '返却済',
+    disposed: '処分済'
+};
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_LOCATION_LENGTH = 100;
+
+function isValidLostItemStatus(status) {
+    return LOST_ITEM_STATUSES.includes(status);
+}
+
+// 本文から忘れ物の項目を取り出して検証する（問題があれば { error: エラーコード, params } を返す）
+// isNew: 新規登録時は内容を必須にする
+function parseLostItemFields(body, isNew) {
+    const fields = {};
+    if (body.description !== undefined || isNew) {
+        const description = typeof body.description === 'string' ? body.description.trim() : '';
+        if (!description) return { error: 'lost_item_description_required' };
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: 'lost_item_description_too_long', params: { max: MAX_DESCRIPTION_LENGTH } };
+        }
+        fields.description = description;
+    }
+    if (body.storage_location !== undefined) {
+        if (typeof body.storage_location !== 'string' || body.storage_location.length > MAX_LOCATION_LENGTH) {
+            return { error: 'storage_location_too_long', params: { max: MAX_LOCATION_LENGTH } };
+        }
+        fields.storage_location = body.storage_location.trim();
+    }
+    if (body.found_date !== undefined) {
+        if (!isValidBusinessDate(body.found_date)) return { error: 'invalid_found_date' };
+        fields.found_date = body.found_date;
+    }
+    if (body.room_id !== undefined) {
+        if (body.room_id !== null && typeof body.room_id !== 'string') return { error: 'invalid_room' };
+        fields.room_id = body.room_id || null;
+    }
+    if (body.status !== undefined) {
+        if (!isValidLostItemStatus(body.status)) return { error: 'invalid_lost_item_status' };
+        fields.status = body.status;
+    }
+    return { fields };
+}
+
+module.exports = {
+    LOST_ITEM_STATUSES,
+    LOST_ITEM_STATUS_LABELS,
+    isValidLostItemStatus,
+    parseLostItemFields
+};
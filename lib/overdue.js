@@ -0,0 +1,98 @@
+const { parseTimeOfDay, toBusinessDate, businessDateTimeToDate } = require('./businessDay');
+
+// ===== 出発予定時刻の超過 =====
+// 部屋の出発予定時刻は レイトチェックアウト（late_checkout_at）> 出発予定（expected_checkout_at）
+// > 標準のチェックアウト時刻（CHECKOUT_TIME）の順に決める
+// 使用中の部屋が出発予定時刻を過ぎても OUT になっていなければ「超過」とする
+
+const CHECKOUT_TIME = process.env.CHECKOUT_TIME || '10:00';
+const CHECKOUT_MINUTES = parseTimeOfDay(CHECKOUT_TIME);
+if (CHECKOUT_MINUTES === null) {
+    console.warn(`CHECKOUT_TIME「${CHECKOUT_TIME}」が不正です。HH:MM 形式で指定してください（10:00 として扱います）`);
+}
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// 営業日の標準のチェックアウト時刻（ISO文字列）
+function standardCheckoutAt(businessDate = toBusinessDate()) {
+    const minutes = CHECKOUT_MINUTES === null ? 10 * 60 : CHECKOUT_MINUTES;
+    return businessDateTimeToDate(businessDate, minutes).toISOString();
+}
+
+// 部屋の出発予定時刻（ISO文字列）
+function checkoutDeadline(room, standard = standardCheckoutAt()) {
+    return room.late_checkout_at || room.expected_checkout_at || standard;
+}
+
+function isOverdue(room, now = new Date(), standard = standardCheckoutAt()) {
+    if (!room.is_active || room.out_of_order || room.is_retired) return false;
+    if ((room.status || 'occupied') !== 'occupied') return false;
+    return new Date(checkoutDeadline(room, standard)).getTime() <= now.getTime();
+}
+
+// 超過している部屋の一覧（超過時間の長い順）
+function findOverdueRooms(rooms, now = new Date(), standard = standardCheckoutAt()) {
+    return rooms
+        .filter(room => isOverdue(room, now, standard))
+        .map(room => {
+            const deadline = checkoutDeadline(room, standard);
+            return {
+                room_id: room.room_id,
+                name: room.name || room.room_id,
+                deadline,
+                is_late_checkout: room.late_checkout_at ? 1 : 0,
+                overdue_minutes: Math.floor((now.getTime() - new Date(deadline).getTime()) / 60000)
+            };
+        })
+        .sort((a, b) => b.overdue_minutes - a.overdue_minutes);
+}
+
+// 定期的に超過を確認し、新たに超過した部屋を通知する
+// 通知済みの部屋は、出発予定時刻が変わる（延長される）まで再度通知しない
+// getPropertyIds: 対象の施設ID一覧を返す関数、getRooms(propertyId): 施設の部屋を返す関数
+// notify(propertyId, { standard_checkout_at, rooms }): 新たに超過した部屋の通知
+function startOverdueWatcher({ getPropertyIds, getRooms, notify, intervalMs = CHECK_INTERVAL_MS }) {
+    const notified = new Map(); // propertyId → Map(room_id → deadline)
+    let running = false;
+
+    async function check() {
+        if (running) return;
+        running = true;
+        try {
+            const now = new Date();
+            const standard = standardCheckoutAt();
+            for (const propertyId of await getPropertyIds()) {
+                const overdue = findOverdueRooms(await getRooms(propertyId), now, standard);
+                const previous = notified.get(propertyId) || new Map();
+                const newlyOverdue = overdue.filter(entry => previous.get(entry.room_id) !== entry.deadline);
+
+                notified.set(propertyId, new Map(overdue.map(entry => [entry.room_id, entry.deadline])));
+                if (newlyOverdue.length > 0) {
+                    notify(propertyId, { standard_checkout_at: standard, rooms: newlyOverdue });
+                }
+            }
+        } catch (error) {
+            console.error('Error checking overdue rooms:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    check();
+    const timer = setInterval(check, intervalMs);
+    timer.unref();
+
+    return {
+        check,
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = {
+    CHECKOUT_TIME,
+    standardCheckoutAt,
+    checkoutDeadline,
+    isOverdue,
+    findOverdueRooms,
+    startOverdueWatcher
+};
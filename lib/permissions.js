@@ -0,0 +1,99 @@
+const { sendError } = require('./i18n');
+
+// ===== 権限マトリクス =====
+// 役割ごとに実行可能な操作（ケイパビリティ）を定義する
+
+const CAPABILITIES = {
+    SELECT_ROOMS: 'select_rooms',       // 本日の使用客室の選択
+    TOGGLE_CHECKOUT: 'toggle_checkout', // OUT（チェックアウト）の切替
+    UPDATE_CLEANING: 'update_cleaning', // 清掃ステータスの更新
+    INSPECT_ROOMS: 'inspect_rooms',     // 点検・販売可への変更
+    ASSIGN_ROOMS: 'assign_rooms',       // 清掃担当の割り当て
+    EDIT_NOTES: 'edit_notes',           // 備考の編集
+    RESET: 'reset',                     // 日次リセット
+    MANAGE_ROOMS: 'manage_rooms',       // 客室マスタの管理
+    MANAGE_USERS: 'manage_users',       // スタッフ管理
+    MANAGE_SHARES: 'manage_shares',     // 共有リンクの発行・失効
+    MANAGE_PROPERTIES: 'manage_properties', // 施設の追加
+    MANAGE_MAINTENANCE: 'manage_maintenance', // 故障中の設定・修理チケット
+    MANAGE_LOST_ITEMS: 'manage_lost_items', // 忘れ物の登録・返却
+    VIEW_STATISTICS: 'view_statistics', // 運用統計の閲覧
+    MANAGE_WEBHOOKS: 'manage_webhooks'  // Webhook の登録・配信ログ
+};
+
+const ROLE_CAPABILITIES = {
+    // マネージャー: 全操作
+    admin: Object.values(CAPABILITIES),
+    // フロント: OUT切替と備考、故障の報告、忘れ物
+    front_desk: [
+        CAPABILITIES.TOGGLE_CHECKOUT, CAPABILITIES.EDIT_NOTES, CAPABILITIES.MANAGE_MAINTENANCE, CAPABILITIES.MANAGE_LOST_ITEMS
+    ],
+    // 清掃: 清掃ステータスと備考、故障の報告、忘れ物
+    housekeeping: [
+        CAPABILITIES.UPDATE_CLEANING, CAPABILITIES.EDIT_NOTES, CAPABILITIES.MANAGE_MAINTENANCE, CAPABILITIES.MANAGE_LOST_ITEMS
+    ],
+    // 閲覧専用
+    viewer: []
+};
+
+const ROLE_LABELS = {
+    admin: 'マネージャー',
+    front_desk: 'フロント',
+    housekeeping: '清掃',
+    viewer: '閲覧のみ'
+};
+
+const ROLES = Object.keys(ROLE_CAPABILITIES);
+
+// 部屋の各フィールドを変更するのに必要な権限
+// （status は遷移ごとに lib/roomStatus.js で判定する）
+const FIELD_CAPABILITIES = {
+    is_active: CAPABILITIES.SELECT_ROOMS,
+    notes: CAPABILITIES.EDIT_NOTES,
+    assigned_to: CAPABILITIES.ASSIGN_ROOMS,
+    name: CAPABILITIES.MANAGE_ROOMS,
+    category: CAPABILITIES.MANAGE_ROOMS,
+    display_order: CAPABILITIES.MANAGE_ROOMS,
+    is_retired: CAPABILITIES.MANAGE_ROOMS,
+    out_of_order: CAPABILITIES.MANAGE_MAINTENANCE,
+    out_of_order_reason: CAPABILITIES.MANAGE_MAINTENANCE,
+    out_of_order_until: CAPABILITIES.MANAGE_MAINTENANCE,
+    expected_checkout_at: CAPABILITIES.TOGGLE_CHECKOUT,
+    late_checkout_at: CAPABILITIES.TOGGLE_CHECKOUT
+};
+
+function getCapabilities(role) {
+    return ROLE_CAPABILITIES[role] || [];
+}
+
+function hasCapability(role, capability) {
+    return getCapabilities(role).includes(capability);
+}
+
+// 更新内容のうち、役割に権限のないフィールドを返す
+function findForbiddenFields(role, updates) {
+    return Object.keys(updates).filter(field =>
+        FIELD_CAPABILITIES[field] && !hasCapability(role, FIELD_CAPABILITIES[field])
+    );
+}
+
+// Express ミドルウェア: 指定した権限を持たないリクエストを拒否
+function requireCapability(capability) {
+    return (req, res, next) => {
+        if (!hasCapability(req.userRole, capability)) {
+            return sendError(res, 403, 'forbidden');
+        }
+        next();
+    };
+}
+
+module.exports = {
+    CAPABILITIES,
+    ROLES,
+    ROLE_LABELS,
+    FIELD_CAPABILITIES,
+    getCapabilities,
+    hasCapability,
+    findForbiddenFields,
+    requireCapability
+};
@@ -0,0 +1,35 @@
+// ===== 施設（複数施設対応） =====
+// 部屋・カテゴリ・履歴・アーカイブ・共有リンクは施設ごとに分かれる
+// スタッフの property_ids が空の場合は全施設を利用できる
+
+// 施設IDは英小文字・数字・ハイフン（URL やクッキーにそのまま載せられる形式）
+const PROPERTY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+function isValidPropertyId(propertyId) {
+    return typeof propertyId === 'string' && PROPERTY_ID_PATTERN.test(propertyId);
+}
+
+function canAccessProperty(user, propertyId) {
+    const ids = (user && user.property_ids) || [];
+    return ids.length === 0 || ids.includes(propertyId);
+}
+
+// スタッフが利用できる施設
+function accessibleProperties(user, properties) {
+    return properties.filter(p => canAccessProperty(user, p.property_id));
+}
+
+// セッションで選択中の施設を決める（選択できない場合は利用できる最初の施設、なければ null）
+function resolvePropertyId(user, requestedId, properties) {
+    const accessible = accessibleProperties(user, properties);
+    const selected = accessible.find(p => p.property_id === requestedId) || accessible[0];
+    return selected ? selected.property_id : null;
+}
+
+module.exports = {
+    PROPERTY_ID_PATTERN,
+    isValidPropertyId,
+    canAccessProperty,
+    accessibleProperties,
+    resolvePropertyId
+};
@@ -0,0 +1,48 @@
+// ===== 修理チケット =====
+// 故障・不具合の対応状況を部屋ごとに記録する
+// 未対応 → 対応中 → 解決（解決後に再発した場合は戻せる）
+
+const TICKET_STATUSES = ['open', 'in_progress', 'resolved'];
+
+const TICKET_STATUS_LABELS = {
+    open: '未対応',
+    in_progress: '対応中',
+    resolved: '解決'
+};
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+function isValidTicketStatus(status) {
+    return TICKET_STATUSES.includes(status);
+}
+
+// 本文からチケットの項目を取り出して検証する（問題があれば { error: エラーコード, params } を返す）
+// requireTitle: 新規登録時は件名を必須にする
+function parseTicketFields(body, requireTitle) {
+    const fields = {};
+    if (body.title !== undefined || requireTitle) {
+        const title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) return { error: 'ticket_title_required' };
+        if (title.length > MAX_TITLE_LENGTH) return { error: 'ticket_title_too_long', params: { max: MAX_TITLE_LENGTH } };
+        fields.title = title;
+    }
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: 'ticket_description_too_long', params: { max: MAX_DESCRIPTION_LENGTH } };
+        }
+        fields.description = body.description;
+    }
+    if (body.status !== undefined) {
+        if (!isValidTicketStatus(body.status)) return { error: 'invalid_ticket_status' };
+        fields.status = body.status;
+    }
+    return { fields };
+}
+
+module.exports = {
+    TICKET_STATUSES,
+    TICKET_STATUS_LABELS,
+    isValidTicketStatus,
+    parseTicketFields
+};
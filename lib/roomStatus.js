@@ -0,0 +1,94 @@
+const { CAPABILITIES } = require('./permissions');
+
+// ===== 客室ステータス（清掃ライフサイクル） =====
+// 滞在中 → OUT → 清掃中 → 清掃済 → 点検済 → 販売可
+
+const STATUSES = ['occupied', 'checked_out', 'cleaning', 'cleaned', 'inspected', 'ready'];
+
+const STATUS_LABELS = {
+    occupied: '滞在中',
+    checked_out: 'OUT',
+    cleaning: '清掃中',
+    cleaned: '清掃済',
+    inspected: '点検済',
+    ready: '販売可'
+};
+
+// 許可される遷移と、その遷移に必要な権限
+const TRANSITIONS = {
+    occupied: {
+        checked_out: CAPABILITIES.TOGGLE_CHECKOUT
+    },
+    checked_out: {
+        occupied: CAPABILITIES.TOGGLE_CHECKOUT,
+        cleaning: CAPABILITIES.UPDATE_CLEANING
+    },
+    cleaning: {
+        checked_out: CAPABILITIES.UPDATE_CLEANING,
+        cleaned: CAPABILITIES.UPDATE_CLEANING
+    },
+    cleaned: {
+        cleaning: CAPABILITIES.UPDATE_CLEANING,
+        inspected: CAPABILITIES.INSPECT_ROOMS
+    },
+    inspected: {
+        cleaning: CAPABILITIES.INSPECT_ROOMS, // 点検不合格 → 再清掃
+        cleaned: CAPABILITIES.INSPECT_ROOMS,
+        ready: CAPABILITIES.INSPECT_ROOMS
+    },
+    ready: {
+        inspected: CAPABILITIES.INSPECT_ROOMS
+    }
+};
+
+// 清掃が完了しているステージ
+const CLEANED_STATUSES = ['cleaned', 'inspected', 'ready'];
+
+function isCleaned(status) {
+    return CLEANED_STATUSES.includes(status);
+}
+
+function isValidStatus(status) {
+    return STATUSES.includes(status);
+}
+
+// 遷移に必要な権限（遷移できない場合は null）
+function getTransitionCapability(from, to) {
+    return (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+}
+
+// 旧データ（is_checkout のみ）からステータスを導出
+function deriveStatus(room) {
+    if (isValidStatus(room.status)) return room.status;
+    return room.is_checkout ? 'checked_out' : 'occupied';
+}
+
+// ステータス変更時に合わせて更新するフィールドを返す
+// - is_checkout は「滞在中以外」で 1（旧クライアント互換）
+// - status_times には各ステージに入った時刻を記録し、戻した場合は以降のステージの時刻を消す
+function buildStatusUpdates(room, status, at) {
+    const index = STATUSES.indexOf(status);
+    const times = {};
+    Object.entries(room.status_times || {}).forEach(([stage, time]) => {
+        if (STATUSES.indexOf(stage) < index) times[stage] = time;
+    });
+    times[status] = at;
+
+    return {
+        status,
+        is_checkout: status === 'occupied' ? 0 : 1,
+        status_times: times
+    };
+}
+
+module.exports = {
+    STATUSES,
+    STATUS_LABELS,
+    TRANSITIONS,
+    CLEANED_STATUSES,
+    isCleaned,
+    isValidStatus,
+    getTransitionCapability,
+    deriveStatus,
+    buildStatusUpdates
+};
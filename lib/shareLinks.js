@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// ===== 共有リンク =====
+// ログインせずに閲覧できる期限付きURL（/app/v1/hotel-ops/share/:secret）
+// シークレットはハッシュのみ保存し、発行時に一度だけ返す
+
+const SHARE_SCOPES = ['board', 'rooms'];
+
+const SCOPE_LABELS = {
+    board: '全体ボード（閲覧のみ）',
+    rooms: '指定した部屋のみ（閲覧のみ）'
+};
+
+// 有効期間の上限（時間）
+const MAX_EXPIRY_HOURS = 24 * 90;
+
+// 共有リンクで呼び出せるAPI（すべて GET のみ。スタッフの名前が含まれる担当ボードは公開しない）
+const SHARE_API_PATTERNS = [
+    /^\/api\/me$/,
+    /^\/api\/rooms$/,
+    /^\/api\/rooms\/[^/]+$/,
+    /^\/api\/categories$/,
+    /^\/api\/events$/
+];
+
+// 共有リンクの接続に送る SSE イベント（修理チケット・忘れ物などは送らない）
+const SHARE_EVENT_TYPES = ['roomUpdate', 'roomsUpdate', 'reset', 'categoryUpdate'];
+
+// 共有リンクには見せない部屋の項目（担当スタッフのID・備考・故障の理由はスタッフ向けの情報）
+const STAFF_ONLY_ROOM_FIELDS = ['assigned_to', 'notes', 'out_of_order_reason'];
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// 失効・期限切れでないか
+function isActive(link, now = new Date()) {
+    return !!link && !link.revoked_at && new Date(link.expires_at) > now;
+}
+
+function isAllowedRequest(method, requestPath) {
+    if (method !== 'GET') return false;
+    return SHARE_API_PATTERNS.some(pattern => pattern.test(requestPath));
+}
+
+function isSharedEvent(eventType) {
+    return SHARE_EVENT_TYPES.includes(eventType);
+}
+
+function canSeeRoom(link, roomId) {
+    return link.scope !== 'rooms' || (link.room_ids || []).includes(roomId);
+}
+
+// 共有リンクに返す部屋（スタッフ向けの項目を除く）
+function toSharedRoom(room) {
+    const shared = { ...room };
+    STAFF_ONLY_ROOM_FIELDS.forEach(field => { delete shared[field]; });
+    return shared;
+}
+
+// 共有範囲の部屋のみに絞り、スタッフ向けの項目を除く
+function filterRooms(link, rooms) {
+    return rooms.filter(room => canSeeRoom(link, room.room_id)).map(toSharedRoom);
+}
+
+// SSE イベントの内容を共有範囲に絞る（送らない場合は null）
+// 部屋（room_id を持つオブジェクト）またはその配列はスタッフ向けの項目も除く。それ以外はそのまま送る
+function filterEventData(link, data) {
+    if (Array.isArray(data) && data.every(item => item && item.room_id)) {
+        const rooms = filterRooms(link, data);
+        return rooms.length > 0 || data.length === 0 ? rooms : null;
+    }
+    if (data && data.room_id) {
+        return canSeeRoom(link, data.room_id) ? toSharedRoom(data) : null;
+    }
+    return data;
+}
+
+// クライアントに返す情報（シークレットのハッシュを除外）
+function toPublicShareLink(link) {
+    return {
+        link_id: link.link_id,
+        label: link.label,
+        scope: link.scope,
+        room_ids: link.room_ids || [],
+        expires_at: link.expires_at,
+        created_by_name: link.created_by_name,
+        created_at: link.created_at,
+        revoked_at: link.revoked_at || null,
+        is_active: isActive(link)
+    };
+}
+
+// 共有リンクで開いた利用者自身に返す情報（発行したスタッフの名前などは含めない）
+function toViewerShareLink(link) {
+    return {
+        label: link.label,
+        scope: link.scope,
+        room_ids: link.room_ids || [],
+        expires_at: link.expires_at
+    };
+}
+
+module.exports = {
+    SHARE_SCOPES,
+    SCOPE_LABELS,
+    MAX_EXPIRY_HOURS,
+    generateSecret,
+    hashSecret,
+    isActive,
+    isAllowedRequest,
+    isSharedEvent,
+    canSeeRoom,
+    toSharedRoom,
+    filterRooms,
+    filterEventData,
+    toPublicShareLink,
+    toViewerShareLink
+};
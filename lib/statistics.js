@@ -0,0 +1,138 @@
+const { formatBusinessDateTime } = require('./businessDay');
+
+// ===== 運用統計 =====
+// 日次アーカイブ（と当日の部屋）の各ステージの時刻から集計する
+// - チェックアウト時刻の分布（現地時刻の1時間ごと）
+// - OUT から清掃開始までの待ち時間、OUT から清掃済までの所要時間（部屋別・カテゴリ別）
+// - 営業日ごとの稼働室数
+
+// 一度に集計できる期間と、期間を指定しない場合の日数
+const MAX_RANGE_DAYS = 93;
+const DEFAULT_RANGE_DAYS = 30;
+
+// to を最終日とする days 日間の初日（YYYY-MM-DD）
+function rangeStart(to, days) {
+    const date = new Date(`${to}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - (days - 1));
+    return date.toISOString().slice(0, 10);
+}
+
+// from〜to（YYYY-MM-DD）の営業日の一覧
+function listDates(from, to) {
+    const dates = [];
+    const date = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T00:00:00Z`);
+    while (date <= end) {
+        dates.push(date.toISOString().slice(0, 10));
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return dates;
+}
+
+function minutesBetween(start, end) {
+    if (!start || !end) return null;
+    const minutes = (new Date(end).getTime() - new Date(start).getTime()) / 60000;
+    return minutes >= 0 ? minutes : null;
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+// 待ち時間・所要時間の集計 { count, avg_wait_minutes, avg_turnaround_minutes }
+function summarizeTurnaround(samples) {
+    const waits = samples.map(s => s.wait).filter(v => v !== null);
+    const turnarounds = samples.map(s => s.turnaround).filter(v => v !== null);
+    return {
+        count: samples.length,
+        avg_wait_minutes: average(waits),
+        avg_turnaround_minutes: average(turnarounds)
+    };
+}
+
+// days: [{ business_date, snapshots: [部屋一覧, ...], is_live }]
+//   同じ日に複数回リセットした場合はアーカイブごとの部屋一覧を snapshots に並べる
+// categories: 施設のカテゴリ（カテゴリ名の表示用）
+function buildStatistics(days, categories) {
+    const histogram = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+    const samplesByRoom = new Map();
+    const occupancy = [];
+
+    days.forEach(day => {
+        const used = new Set();
+        const checkedOut = new Set();
+        const inService = new Set();
+
+        day.snapshots.forEach(rooms => rooms.forEach(room => {
+            if (!room.out_of_order) inService.add(room.room_id);
+            if (!room.is_active) return;
+            used.add(room.room_id);
+
+            const times = room.status_times || {};
+            const checkoutAt = times.checked_out || room.checkout_time;
+            if (!checkoutAt) return;
+            checkedOut.add(room.room_id);
+
+            const hour = parseInt(formatBusinessDateTime(checkoutAt).slice(11, 13), 10);
+            if (!isNaN(hour)) histogram[hour].count += 1;
+
+            const entry = samplesByRoom.get(room.room_id) || {
+                room_id: room.room_id, name: room.name || room.room_id, category: room.category, samples: []
+            };
+            entry.samples.push({
+                wait: minutesBetween(checkoutAt, times.cleaning),
+                turnaround: minutesBetween(checkoutAt, times.cleaned)
+            });
+            samplesByRoom.set(room.room_id, entry);
+        }));
+
+        occupancy.push({
+            business_date: day.business_date,
+            is_live: day.is_live ? 1 : 0,
+            total_rooms: inService.size,
+            active_rooms: used.size,
+            checked_out_rooms: checkedOut.size,
+            occupancy_rate: inService.size > 0 ? Math.round((used.size / inService.size) * 1000) / 1000 : null
+        });
+    });
+
+    const roomEntries = [...samplesByRoom.values()];
+    const byRoom = roomEntries
+        .map(entry => ({
+            room_id: entry.room_id,
+            name: entry.name,
+            category: entry.category,
+            ...summarizeTurnaround(entry.samples)
+        }))
+        .sort((a, b) => (b.avg_turnaround_minutes || 0) - (a.avg_turnaround_minutes || 0));
+
+    // カテゴリ別（本館・別館など）。カテゴリにない部屋は「その他」にまとめる
+    const byCategory = categories.map(c => ({ category_id: c.category_id, name: c.name, icon: c.icon }));
+    const orphans = roomEntries.filter(e => !categories.some(c => c.category_id === e.category));
+    if (orphans.length > 0) byCategory.push({ category_id: '', name: 'その他', icon: '🏷️' });
+
+    return {
+        checkout_histogram: histogram,
+        turnaround: {
+            overall: summarizeTurnaround(roomEntries.flatMap(e => e.samples)),
+            by_category: byCategory
+                .map(c => ({
+                    ...c,
+                    ...summarizeTurnaround((c.category_id ? roomEntries.filter(e => e.category === c.category_id) : orphans)
+                        .flatMap(e => e.samples))
+                }))
+                .filter(c => c.count > 0),
+            by_room: byRoom
+        },
+        occupancy
+    };
+}
+
+module.exports = {
+    MAX_RANGE_DAYS,
+    DEFAULT_RANGE_DAYS,
+    rangeStart,
+    listDates,
+    buildStatistics
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+
+// ===== Webhook（外部への通知） =====
+// broadcast() で送る SSE イベントから業務イベント（OUT・全室OUT・リセット・備考の追加）を検出し、
+// 登録された URL に HMAC 署名付きで POST する。失敗した配信は間隔を空けて再送する
+
+const WEBHOOK_EVENTS = ['room.checked_out', 'rooms.all_out', 'rooms.reset', 'room.note_added'];
+
+// イベントの表示名は public/locales の webhook.event.<イベント>
+
+// 配信ログの error にはエラーコードを保存し、表示名は public/locales の webhook.error.<コード>
+const DELIVERY_ERRORS = {
+    TIMEOUT: 'timeout',                     // 応答が DELIVERY_TIMEOUT_MS 以内に返らなかった
+    HTTP_ERROR: 'http_error',               // 2xx 以外の応答（ステータスは response_status）
+    NETWORK_ERROR: 'network_error',         // 接続できなかった（名前解決・接続拒否など）
+    WEBHOOK_INACTIVE: 'webhook_inactive'    // Webhook が停止中または削除済み
+};
+
+// 再送までの待ち時間（秒）。すべて失敗したら配信失敗とする
+const RETRY_DELAYS_SECONDS = [30, 2 * 60, 10 * 60, 30 * 60, 2 * 60 * 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// 配信ログに残す応答本文の長さ
+const RESPONSE_BODY_LIMIT = 2000;
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+function generateSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+// 署名: HMAC-SHA256(secret, "タイムスタンプ.本文") の16進表記
+// 受信側はタイムスタンプと本文から同じ値を計算して照合する
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isValidUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// 登録・変更内容の検証 → { fields } または { error: エラーコード }
+function parseWebhookFields(body, isNew) {
+    const fields = {};
+
+    if (body.url !== undefined || isNew) {
+        const url = typeof body.url === 'string' ? body.url.trim() : '';
+        if (!isValidUrl(url)) return { error: 'invalid_webhook_url' };
+        fields.url = url;
+    }
+    if (body.label !== undefined) {
+        if (typeof body.label !== 'string') return { error: 'invalid_webhook_label' };
+        fields.label = body.label.trim();
+    }
+    if (body.events !== undefined || isNew) {
+        const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+        if (events.length === 0) return { error: 'webhook_events_required' };
+        if (events.some(e => !WEBHOOK_EVENTS.includes(e))) return { error: 'invalid_webhook_events' };
+        fields.events = events;
+    }
+    if (body.is_active !== undefined) {
+        fields.is_active = body.is_active ? 1 : 0;
+    }
+    return { fields };
+}
+
+// クライアントに返す Webhook（シークレットは登録時のみ返す）
+function toPublicWebhook(hook) {
+    return {
+        webhook_id: hook.webhook_id,
+        url: hook.url,
+        label: hook.label || '',
+        events: hook.events || [],
+        is_active: hook.is_active ? 1 : 0,
+        created_by_name: hook.created_by_name,
+        created_at: hook.created_at,
+        updated_at: hook.updated_at
+    };
+}
+
+// ===== SSE イベントからの業務イベントの検出 =====
+// 施設ごとに直前の部屋の状態（ステータス・備考）と「全室OUT」かどうかを覚えておき、変化を検出する
+
+function roomSummary(room) {
+    return {
+        room_id: room.room_id,
+        name: room.name || room.room_id,
+        category: room.category,
+        status: room.status,
+        notes: room.notes || ''
+    };
+}
+
+// 使用中（故障中・廃止を除く）の部屋がすべて OUT 以降のステージか
+function countAllOut(rooms) {
+    const active = rooms.filter(r => r.is_active && !r.out_of_order && !r.is_retired);
+    const checkedOut = active.filter(r => (r.status || 'occupied') !== 'occupied');
+    return { active: active.length, checkedOut: checkedOut.length, allOut: active.length > 0 && checkedOut.length === active.length };
+}
+
+// 検出に使う項目だけを写し取る（JSON DB の部屋はその場で書き換えられるため参照を持たない）
+function snapshotRoom(room) {
+    return {
+        status: room.status,
+        notes: room.notes || '',
+        is_active: room.is_active,
+        out_of_order: room.out_of_order,
+        is_retired: room.is_retired
+    };
+}
+
+function createEventDetector() {
+    const states = new Map(); // propertyId → { rooms: Map(room_id → 部屋の写し), allOut }
+
+    function seed(propertyId, rooms) {
+        states.set(propertyId, {
+            rooms: new Map(rooms.map(room => [room.room_id, snapshotRoom(room)])),
+            allOut: countAllOut(rooms).allOut
+        });
+    }
+
+    // eventType・data は broadcast() の引数。検出した業務イベント [{ event, data }] を返す
+    function detect(propertyId, eventType, data) {
+        if (!states.has(propertyId)) seed(propertyId, []);
+        const state = states.get(propertyId);
+        const events = [];
+
+        if (eventType === 'reset') {
+            seed(propertyId, data);
+            events.push({ event: 'rooms.reset', data: { room_count: data.filter(r => !r.is_retired).length } });
+            return events;
+        }
+        if (eventType !== 'roomUpdate' && eventType !== 'roomsUpdate') return events;
+
+        (eventType === 'roomUpdate' ? [data] : data).forEach(room => {
+            const previous = state.rooms.get(room.room_id) || { status: 'occupied', notes: '' };
+            if (room.status === 'checked_out' && previous.status === 'occupied') {
+                events.push({
+                    event: 'room.checked_out',
+                    data: { room: roomSummary(room), checked_out_at: (room.status_times || {}).checked_out || room.updated_at }
+                });
+            }
+            const notes = room.notes || '';
+            if (notes && notes !== (previous.notes || '')) {
+                events.push({ event: 'room.note_added', data: { room: roomSummary(room), previous_notes: previous.notes || '' } });
+            }
+            state.rooms.set(room.room_id, snapshotRoom(room));
+        });
+
+        const summary = countAllOut([...state.rooms.values()]);
+        if (summary.allOut && !state.allOut) {
+            events.push({ event: 'rooms.all_out', data: { active_rooms: summary.active, checked_out_rooms: summary.checkedOut } });
+        }
+        state.allOut = summary.allOut;
+        return events;
+    }
+
+    return { seed, detect };
+}
+
+// ===== 配信 =====
+
+// 配信する本文
+function buildPayload(delivery) {
+    return JSON.stringify({
+        id: delivery.delivery_id,
+        event: delivery.event,
+        property_id: delivery.property_id,
+        occurred_at: delivery.created_at,
+        data: delivery.payload
+    });
+}
+
+// 1回分の送信。結果 { ok, response_status, response_body, error: エラーコード } を返す（例外は投げない）
+async function sendDelivery(hook, delivery) {
+    const body = buildPayload(delivery);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'hotel-ops-webhook/1',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.delivery_id,
+                'X-Webhook-Timestamp': timestamp,
+                [SIGNATURE_HEADER]: signPayload(hook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        const text = await response.text().catch(() => '');
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            response_status: response.status,
+            response_body: text.slice(0, RESPONSE_BODY_LIMIT),
+            error: response.status >= 200 && response.status < 300 ? null : DELIVERY_ERRORS.HTTP_ERROR
+        };
+    } catch (error) {
+        if (error.name !== 'TimeoutError') {
+            console.warn(`Webhook delivery to ${hook.url} failed:`, (error.cause && (error.cause.code || error.cause.message)) || error.message);
+        }
+        return {
+            ok: false,
+            response_status: null,
+            response_body: '',
+            error: error.name === 'TimeoutError' ? DELIVERY_ERRORS.TIMEOUT : DELIVERY_ERRORS.NETWORK_ERROR
+        };
+    }
+}
+
+// 送信結果から配信ログの更新内容を作る（attempts: 今回を含めた送信回数）
+function buildAttemptUpdates(result, attempts, now = new Date()) {
+    const updates = {
+        attempts,
+        last_attempt_at: now.toISOString(),
+        response_status: result.response_status,
+        response_body: result.response_body,
+        error: result.error
+    };
+    if (result.ok) {
+        return { ...updates, status: 'success', delivered_at: now.toISOString(), next_attempt_at: null };
+    }
+    if (attempts >= MAX_ATTEMPTS) {
+        return { ...updates, status: 'failed', next_attempt_at: null };
+    }
+    const delay = RETRY_DELAYS_SECONDS[attempts - 1] * 1000;
+    return { ...updates, status: 'pending', next_attempt_at: new Date(now.getTime() + delay).toISOString() };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    DELIVERY_ERRORS,
+    MAX_ATTEMPTS,
+    SIGNATURE_HEADER,
+    generateSecret,
+    signPayload,
+    parseWebhookFields,
+    toPublicWebhook,
+    createEventDetector,
+    buildPayload,
+    sendDelivery,
+    buildAttemptUpdates
+};
@@ -1,9 +1,21 @@
 // ===== グローバル変数 =====
 let rooms = [];
-let currentMode = 'selection'; // 'selection' or 'management'
+let currentMode = 'selection'; // 'selection', 'management', 'board', 'master', 'days', 'lost', 'stats' or 'floor'
 let lastActionTime = 0; // 最終操作時刻 (ポーリング競合防止用)
+const pendingUpdates = {}; // 部屋ごとの送信中の更新数 (SSEイベントによる上書き防止用)
+let currentUser = null; // ログイン中のスタッフ
+let categories = []; // 部屋カテゴリ（表示順）
+let masterRooms = []; // 客室マスタ（廃止済みを含む）
+let boardMembers = []; // 清掃担当者 [{ user_id, name }]
+let boardSelection = new Set(); // ボードで選択中の部屋
+let standardCheckoutAt = null; // 本日の標準のチェックアウト時刻（ISO）
 
 // ===== ユーティリティ =====
+// 部屋の表示名（未設定の場合は部屋番号）
+function roomLabel(room) {
+    return room.name || room.room_id;
+}
+
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
@@ -11,41 +23,225 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-// 権限チェック
+// 権限チェック（サーバーの lib/permissions.js と同じ名前）
+const CAPABILITIES = {
+    SELECT_ROOMS: 'select_rooms',
+    TOGGLE_CHECKOUT: 'toggle_checkout',
+    UPDATE_CLEANING: 'update_cleaning',
+    INSPECT_ROOMS: 'inspect_rooms',
+    EDIT_NOTES: 'edit_notes',
+    RESET: 'reset',
+    ASSIGN_ROOMS: 'assign_rooms',
+    MANAGE_ROOMS: 'manage_rooms',
+    MANAGE_USERS: 'manage_users',
+    MANAGE_SHARES: 'manage_shares',
+    MANAGE_MAINTENANCE: 'manage_maintenance',
+    MANAGE_LOST_ITEMS: 'manage_lost_items',
+    VIEW_STATISTICS: 'view_statistics',
+    MANAGE_WEBHOOKS: 'manage_webhooks'
+};
+
+// 客室ステータス（サーバーの lib/roomStatus.js と同じ定義）
+const ROOM_STATUSES = ['occupied', 'checked_out', 'cleaning', 'cleaned', 'inspected', 'ready'];
+
+// 表示名は言語ごとの文言（status.<ステータス>）
+function statusLabel(status) {
+    return t(`status.${status}`);
+}
+
+const STATUS_TRANSITIONS = {
+    occupied: { checked_out: 'toggle_checkout' },
+    checked_out: { occupied: 'toggle_checkout', cleaning: 'update_cleaning' },
+    cleaning: { checked_out: 'update_cleaning', cleaned: 'update_cleaning' },
+    cleaned: { cleaning: 'update_cleaning', inspected: 'inspect_rooms' },
+    inspected: { cleaning: 'inspect_rooms', cleaned: 'inspect_rooms', ready: 'inspect_rooms' },
+    ready: { inspected: 'inspect_rooms' }
+};
+
+function can(capability) {
+    return !!currentUser && (currentUser.capabilities || []).includes(capability);
+}
+
 function isViewer() {
-    return localStorage.getItem('auth_role') === 'viewer';
+    return !currentUser || (currentUser.capabilities || []).length === 0;
 }
 
-function checkAuth() {
-    if (isViewer()) {
-        showToast('閲覧専用モードのため操作できません', 'error');
+function checkAuth(capability) {
+    if (!can(capability)) {
+        showToast(t(isViewer() ? 'toast.read_only' : 'toast.no_permission'), 'error');
         return false;
     }
     return true;
 }
 
+// 権限に応じて操作UIの表示を切り替える
+function applyPermissions() {
+    document.body.classList.toggle('viewer-mode', isViewer());
+    // 例: body.can-toggle-checkout
+    Object.values(CAPABILITIES).forEach(capability => {
+        document.body.classList.toggle('can-' + capability.replace(/_/g, '-'), can(capability));
+    });
+    document.getElementById('resetButton').classList.toggle('hidden', !can(CAPABILITIES.RESET));
+}
+
 // ===== 初期化 =====
 document.addEventListener('DOMContentLoaded', () => {
     initApp();
 });
 
 async function initApp() {
+    await initI18n();
+    onLocaleChange(rerenderForLocale);
     showLoading();
+    registerServiceWorker();
+    await refreshOutboxSize();
     try {
-        await fetchRooms();
+        await fetchCurrentUser();
+        // スタッフが言語を設定している場合はそれを優先する
+        if (currentUser && currentUser.locale && currentUser.locale !== currentLocale) {
+            await setLocale(currentUser.locale);
+        }
+        await Promise.all([fetchRooms(), fetchCategories(), fetchBoard(), fetchOverdue()]);
     } catch (e) {
         console.error('fetchRooms failed', e);
-        showToast('通信エラーが発生しました', 'error');
+        showToast(t('toast.network_error'), 'error');
     }
     determineInitialMode();
 
-    // 閲覧モード通知
+    // 権限に応じたUI・閲覧モード通知
+    applyPermissions();
     if (isViewer()) {
-        showToast('閲覧専用モードでログイン中', 'info');
-        document.body.classList.add('viewer-mode');
+        showToast(t('toast.viewer_mode'), 'info');
+    }
+
+    startRealtimeSync();
+    startOverdueTimer();
+    flushOutbox();
+}
+
+// ===== ログインユーザー =====
+async function fetchCurrentUser() {
+    const response = await fetch('/api/me', { credentials: 'include' });
+    if (response.status === 401) {
+        window.location.href = '/login.html';
+        return;
+    }
+    if (!response.ok) throw new Error('ユーザー取得失敗: ' + response.status);
+
+    currentUser = await response.json();
+    document.getElementById('userName').textContent = currentUser.share ? `🔗 ${currentUser.name}` : currentUser.name;
+    // 共有リンクで開いた画面（閲覧のみ・共有範囲の部屋のみ）
+    document.body.classList.toggle('share-mode', !!currentUser.share);
+    renderPropertySwitcher();
+}
+
+// ===== 施設の切り替え =====
+// 複数の施設を利用できるスタッフのみヘッダーに切り替えを表示する
+function renderPropertySwitcher() {
+    const select = document.getElementById('propertySelect');
+    const list = currentUser.properties || [];
+    const selectedId = currentUser.property && currentUser.property.property_id;
+
+    select.classList.toggle('hidden', list.length < 2);
+    select.innerHTML = list.map(p => `
+        <option value="${escapeHtml(p.property_id)}" ${p.property_id === selectedId ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+    `).join('');
+    if (currentUser.property) document.title = t('app.title_with_property', { property: currentUser.property.name });
+}
+
+async function switchProperty(propertyId) {
+    const select = document.getElementById('propertySelect');
+    // 送信待ちの操作は切り替え前の施設の部屋に対するもの
+    if (outboxSize > 0) {
+        select.value = currentUser.property.property_id;
+        showToast(t('toast.outbox_before_switch', { count: outboxSize }), 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/session/property', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ property_id: propertyId })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || t('error.switch_failed'));
+        }
+
+        // 別の施設のデータを表示しないよう、オフライン用のキャッシュを破棄して読み込み直す
+        if (window.caches) {
+            const keys = await caches.keys();
+            await Promise.all(keys.map(key => caches.delete(key)));
+        }
+        window.location.reload();
+    } catch (e) {
+        select.value = currentUser.property.property_id;
+        showToast(e.message, 'error');
     }
+}
+
+async function logout() {
+    const message = outboxSize > 0
+        ? t('confirm.logout_with_outbox', { count: outboxSize })
+        : t('confirm.logout');
+    if (!confirm(message)) return;
+
+    // 他のスタッフの操作として送信されないよう、送信待ちとキャッシュを破棄する
+    await clearOutbox();
+    if (window.caches) {
+        const keys = await caches.keys();
+        await Promise.all(keys.map(key => caches.delete(key)));
+    }
+
+    try {
+        await fetch('/api/logout', { method: 'POST', credentials: 'include' });
+    } catch (e) {
+        console.error('logout failed', e);
+    }
+    window.location.href = '/login.html';
+}
+
+// ===== 言語の切り替え =====
+// この端末の言語として保存し、ログイン中のスタッフの設定にも保存する（共有リンクでは端末のみ）
+async function changeLocale(locale) {
+    await setDeviceLocale(locale);
+    if (!currentUser || currentUser.share) return;
+
+    try {
+        const response = await fetch('/api/me', {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ locale: currentLocale })
+        });
+        if (!response.ok) throw new Error('locale update failed: ' + response.status);
+        currentUser.locale = currentLocale;
+    } catch (error) {
+        console.error('Error saving locale:', error);
+    }
+}
 
-    startPolling();
+// 表示中の画面を新しい言語で描き直す
+function rerenderForLocale() {
+    if (!currentUser) return;
+    renderPropertySwitcher();
+    renderCurrentView();
+    updateProgress();
+
+    if (currentMode === 'master') {
+        renderMasterView();
+        if (can(CAPABILITIES.MANAGE_SHARES)) renderShareLinks();
+        if (can(CAPABILITIES.MANAGE_WEBHOOKS)) renderWebhooks();
+    } else if (currentMode === 'days') {
+        renderDaysSelect();
+        renderDayArchive();
+    } else if (currentMode === 'lost') {
+        renderLostItems();
+    } else if (currentMode === 'stats') {
+        fetchStatistics();
+    }
 }
 
 // モード判定
@@ -58,18 +254,177 @@ function determineInitialMode() {
     }
 }
 
-// ===== データ取得 (ポーリング) =====
-function startPolling() {
-    // 3秒ごとに最新データを取得
-    setInterval(() => fetchRooms(true), 3000);
+// ===== リアルタイム同期 (SSE) =====
+// SSE が使えない・維持できない環境 (Vercel 等) ではポーリングに切り替える
+const SSE_HEARTBEAT_TIMEOUT_MS = 60000; // サーバーは25秒ごとに heartbeat を送る
+const SSE_MIN_STABLE_MS = 15000; // これより短く切れる接続は失敗とみなす
+const SSE_MAX_FAILURES = 3; // 連続失敗でポーリングへ切り替え
+const SSE_RETRY_MS = 60000; // ポーリング中にSSEへの復帰を試みる間隔
+
+let eventSource = null;
+let lastEventId = null;
+let lastEventAt = 0;
+let connectedAt = 0;
+let sseFailures = 0;
+let lastSseAttempt = 0;
+let pollingTimer = null;
+
+function startRealtimeSync() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+    connectEvents();
+    setInterval(checkEventStream, 10000);
 }
 
-async function fetchRooms(silent = false) {
-    // 操作直後(2秒以内)のポーリングはスキップしてUI上書きを防ぐ
-    if (silent && Date.now() - lastActionTime < 2000) {
-        return;
+function connectEvents() {
+    if (eventSource) eventSource.close();
+    lastSseAttempt = Date.now();
+
+    // 接続し直す場合は最後に受け取ったイベント以降を再送してもらう
+    const url = lastEventId ? `/api/events?lastEventId=${encodeURIComponent(lastEventId)}` : '/api/events';
+    eventSource = new EventSource(url);
+
+    eventSource.addEventListener('connected', e => {
+        markEventReceived(e);
+        connectedAt = Date.now();
+        stopPolling();
+        updateConnectionStatus('connected');
+
+        // 再送できなかった場合は全件を取り直す
+        const info = JSON.parse(e.data);
+        if (!info.resumed) fetchRooms(true);
+        flushOutbox();
+    });
+
+    eventSource.addEventListener('roomUpdate', e => {
+        markEventReceived(e);
+        applyRoomEvent(JSON.parse(e.data));
+    });
+
+    eventSource.addEventListener('roomsUpdate', e => {
+        markEventReceived(e);
+        applyRoomEvents(JSON.parse(e.data));
+    });
+
+    eventSource.addEventListener('reset', e => {
+        markEventReceived(e);
+        rooms = JSON.parse(e.data).filter(r => !r.is_retired);
+        renderCurrentView();
+        updateProgress();
+        fetchOverdue();
+    });
+
+    eventSource.addEventListener('overdue', e => {
+        markEventReceived(e);
+        applyOverdueEvent(JSON.parse(e.data));
+    });
+
+    eventSource.addEventListener('categoryUpdate', e => {
+        markEventReceived(e);
+        categories = JSON.parse(e.data);
+        renderCurrentView();
+    });
+
+    eventSource.addEventListener('ticketUpdate', e => {
+        markEventReceived(e);
+        applyTicketEvent(JSON.parse(e.data));
+    });
+
+    eventSource.addEventListener('lostItemUpdate', e => {
+        markEventReceived(e);
+        applyLostItemEvent(JSON.parse(e.data));
+    });
+
+    eventSource.addEventListener('floorPlanUpdate', e => {
+        markEventReceived(e);
+        applyFloorPlanEvent(JSON.parse(e.data));
+    });
+
+    eventSource.addEventListener('heartbeat', markEventReceived);
+
+    eventSource.onerror = () => {
+        updateConnectionStatus('disconnected');
+
+        if (!connectedAt || Date.now() - connectedAt < SSE_MIN_STABLE_MS) {
+            sseFailures++;
+        } else {
+            sseFailures = 0;
+        }
+        connectedAt = 0;
+
+        // 切断後はブラウザが Last-Event-ID 付きで自動再接続する
+        // 再接続できない・失敗が続く場合はポーリングへ
+        if (eventSource.readyState === EventSource.CLOSED || sseFailures >= SSE_MAX_FAILURES) {
+            eventSource.close();
+            eventSource = null;
+            startPolling();
+        }
+    };
+}
+
+function markEventReceived(e) {
+    lastEventAt = Date.now();
+    if (e.lastEventId) lastEventId = e.lastEventId;
+}
+
+// ハートビートが途絶えた接続を張り直す・ポーリング中は定期的にSSEへの復帰を試みる
+function checkEventStream() {
+    if (eventSource) {
+        if (eventSource.readyState === EventSource.OPEN && Date.now() - lastEventAt > SSE_HEARTBEAT_TIMEOUT_MS) {
+            console.warn('SSE heartbeat timeout, reconnecting');
+            connectEvents();
+        }
+    } else if (Date.now() - lastSseAttempt > SSE_RETRY_MS) {
+        sseFailures = 0;
+        connectEvents();
     }
+}
+
+// 他の端末（または自分）の更新を反映
+function applyRoomEvent(room) {
+    applyRoomEvents([room]);
+}
+
+// 複数部屋の更新（roomsUpdate）は反映してから一度だけ描画する
+function applyRoomEvents(updatedRooms) {
+    updatedRooms.forEach(room => {
+        // 送信中の更新がある部屋は、PATCHのレスポンスで確定させる
+        if (pendingUpdates[room.room_id] > 0) return;
+
+        const index = rooms.findIndex(r => r.room_id === room.room_id);
+        if (room.is_retired) {
+            if (index !== -1) rooms.splice(index, 1);
+        } else if (index !== -1) {
+            rooms[index] = room;
+        } else {
+            rooms.push(room);
+            rooms.sort((a, b) => a.display_order - b.display_order);
+        }
+    });
+
+    renderCurrentView();
+    updateProgress();
+    if (updatedRooms.some(r => r.room_id === maintenanceRoomId)) renderMaintenance();
+}
+
+// ===== データ取得 (ポーリング・SSE非対応時のフォールバック) =====
+function startPolling() {
+    if (pollingTimer) return;
+    // 3秒ごとに最新データを取得（操作直後2秒以内はUI上書きを防ぐためスキップ）
+    pollingTimer = setInterval(() => {
+        if (Date.now() - lastActionTime < 2000) return;
+        fetchRooms(true);
+    }, 3000);
+}
+
+function stopPolling() {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
+}
 
+async function fetchRooms(silent = false) {
     try {
         console.log('Fetching rooms...');
         const response = await fetch('/api/rooms', {
@@ -90,6 +445,9 @@ async function fetchRooms(silent = false) {
         const newRooms = await response.json();
         console.log('Rooms received:', newRooms.length);
 
+        // 送信待ちの操作を重ねてから比較する
+        await applyOutboxOverlay(newRooms);
+
         // データに変更がある場合のみ更新 (簡易的な等価性チェック)
         if (JSON.stringify(newRooms) !== JSON.stringify(rooms)) {
             rooms = newRooms;
@@ -99,9 +457,10 @@ async function fetchRooms(silent = false) {
 
         // 接続ステータス表示 (緑の丸)
         updateConnectionStatus('connected');
+        flushOutbox();
     } catch (error) {
         console.error('Error fetching rooms:', error);
-        if (!silent) showToast('データの取得に失敗しました', 'error');
+        if (!silent) showToast(t('toast.fetch_failed'), 'error');
         updateConnectionStatus('disconnected');
     }
 }
@@ -119,93 +478,141 @@ function updateConnectionStatus(status) {
 }
 
 // ===== モード切替 =====
+// 選択 → 管理 → 担当ボード → 選択 の順に切り替える
 function toggleMode() {
     if (currentMode === 'selection') {
         const activeCount = rooms.filter(r => r.is_active).length;
         if (activeCount === 0) {
-            showToast('使用する客室を選択してください', 'error');
+            showToast(t('toast.select_rooms_first'), 'error');
             return;
         }
         switchToManagement();
+    } else if (currentMode === 'management' && !(currentUser && currentUser.share)) {
+        switchToBoard(); // 担当ボードは共有リンクでは表示しない
     } else {
+        // 担当ボード・客室マスタ・過去の営業日からは選択画面へ戻る
         switchToSelection();
     }
 }
 
+// 指定した画面のみ表示し、モードボタンには次の画面のアイコンを出す
+function showView(viewId, nextIcon) {
+    ['selectionView', 'managementView', 'boardView', 'masterView', 'daysView', 'lostView', 'statsView', 'floorView'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== viewId);
+    });
+    document.getElementById('modeIcon').textContent = nextIcon;
+}
+
 function switchToSelection() {
     currentMode = 'selection';
-    document.getElementById('selectionView').classList.remove('hidden');
-    document.getElementById('managementView').classList.add('hidden');
-    document.getElementById('modeIcon').textContent = '📋';
+    showView('selectionView', '📋');
     renderSelectionView();
 }
 
 function switchToManagement() {
     currentMode = 'management';
-    document.getElementById('selectionView').classList.add('hidden');
-    document.getElementById('managementView').classList.remove('hidden');
-    document.getElementById('modeIcon').textContent = '🛏️';
+    showView('managementView', '👥');
     renderManagementView();
 }
 
+function switchToBoard() {
+    currentMode = 'board';
+    showView('boardView', '🛏️');
+    renderBoardView();
+    fetchBoard().then(renderBoardView);
+}
+
+function switchToMaster() {
+    if (!checkAuth(CAPABILITIES.MANAGE_ROOMS)) return;
+    currentMode = 'master';
+    showView('masterView', '🛏️');
+    fetchMasterRooms().then(renderMasterView);
+    if (can(CAPABILITIES.MANAGE_SHARES)) fetchShareLinks().then(renderShareLinks);
+    if (can(CAPABILITIES.MANAGE_WEBHOOKS)) fetchWebhooks().then(renderWebhooks);
+}
+
 function renderCurrentView() {
     if (currentMode === 'selection') {
         renderSelectionView();
-    } else {
+    } else if (currentMode === 'management') {
         renderManagementView();
+    } else if (currentMode === 'board') {
+        renderBoardView();
+    } else if (currentMode === 'floor') {
+        renderFloorView();
     }
+    // 客室マスタは操作ごとに再取得して描画する
+    // 過去の営業日は当日の更新の影響を受けない
 }
 
 // ===== 選択画面描画 =====
 function renderSelectionView() {
     const container = document.getElementById('selectionList');
 
-    const generalRooms = rooms.filter(r => r.category === 'general');
-    const specialRooms = rooms.filter(r => r.category === 'special');
+    // カテゴリごとにセクションを作る（どのカテゴリにも属さない部屋は「その他」）
+    const sections = categories.map(c => ({ ...c, rooms: rooms.filter(r => r.category === c.category_id) }));
+    const orphans = rooms.filter(r => !categories.some(c => c.category_id === r.category));
+    if (orphans.length > 0) {
+        sections.push({ category_id: '', name: t('common.other'), icon: '🏷️', rooms: orphans });
+    }
 
-    container.innerHTML = `
-    <section class="room-category">
-      <div class="category-header">
-        <span class="category-icon">🏠</span>
-        <h2 class="category-title">本館</h2>
-      </div>
-      <div class="room-grid">
-        ${generalRooms.map(room => createSelectionItem(room)).join('')}
-      </div>
-    </section>
-    
+    container.innerHTML = sections.filter(section => section.rooms.length > 0).map(section => `
     <section class="room-category">
       <div class="category-header">
-        <span class="category-icon">🏡</span>
-        <h2 class="category-title">別館</h2>
+        <span class="category-icon">${escapeHtml(section.icon)}</span>
+        <h2 class="category-title">${escapeHtml(section.name)}</h2>
       </div>
       <div class="room-grid">
-        ${specialRooms.map(room => createSelectionItem(room)).join('')}
+        ${section.rooms.map(room => createSelectionItem(room)).join('')}
       </div>
     </section>
-  `;
+  `).join('');
 
-    // イベントリスナー
+    // イベントリスナー（長押しで変更履歴・故障の設定）
     container.querySelectorAll('.room-item').forEach(item => {
         item.addEventListener('click', () => toggleRoomSelection(item.dataset.roomId));
+        attachLongPress(item, () => showRoomHistory(item.dataset.roomId));
     });
 
     updateSelectedCount();
 }
 
 function createSelectionItem(room) {
+    // 故障中の部屋は選択できない
+    if (room.out_of_order) {
+        return `
+    <div class="room-item out-of-order" data-room-id="${room.room_id}" title="${escapeHtml(room.out_of_order_reason || '')}">
+      <span class="room-name">${escapeHtml(roomLabel(room))}</span>
+      <span class="room-out-of-order">🔧 ${t('room.out_of_order')}</span>
+    </div>
+  `;
+    }
+
     const selectedClass = room.is_active ? 'selected' : '';
+    const expected = room.is_active && room.expected_checkout_at
+        ? `<span class="room-expected-checkout">${escapeHtml(t('selection.departs_at', { time: formatClockTime(room.expected_checkout_at) }))}</span>`
+        : '';
     return `
     <div class="room-item ${selectedClass}" data-room-id="${room.room_id}">
-      <span class="room-name">${escapeHtml(room.room_id)}</span>
+      <span class="room-name">${escapeHtml(roomLabel(room))}</span>
+      ${expected}
     </div>
   `;
 }
 
+// 時刻の表示 (例: 11:00)
+function formatClockTime(isoString) {
+    return new Date(isoString).toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' });
+}
+
 function toggleRoomSelection(roomId) {
-    if (!checkAuth()) return;
+    if (!checkAuth(CAPABILITIES.SELECT_ROOMS)) return;
 
     const room = rooms.find(r => r.room_id === roomId);
+    if (room && room.out_of_order) {
+        showToast(t('toast.cannot_select_out_of_order', { reason: room.out_of_order_reason }), 'error');
+        return;
+    }
     if (room) {
         lastActionTime = Date.now(); // 操作時刻を記録
         // 楽観的更新: DOM直接操作により最速でUI反映
@@ -232,49 +639,139 @@ function updateSelectedCount() {
 }
 
 function selectAll() {
-    if (!checkAuth()) return;
-    rooms.forEach(room => {
-        if (!room.is_active) {
-            room.is_active = 1;
-            updateRoom(room.room_id, { is_active: 1 });
-        }
-    });
-    renderSelectionView();
+    setSelectionForAll(1);
 }
 
 function selectNone() {
-    if (!checkAuth()) return;
-    rooms.forEach(room => {
-        if (room.is_active) {
-            room.is_active = 0;
-            updateRoom(room.room_id, { is_active: 0 });
-        }
+    setSelectionForAll(0);
+}
+
+// 全選択・全解除はまとめて1回で送信する
+function setSelectionForAll(value) {
+    if (!checkAuth(CAPABILITIES.SELECT_ROOMS)) return;
+    lastActionTime = Date.now();
+
+    const changes = rooms
+        .filter(room => room.is_active !== value && !(value && room.out_of_order))
+        .map(room => ({ room_id: room.room_id, updates: { is_active: value } }));
+    if (changes.length === 0) return;
+
+    changes.forEach(change => {
+        rooms.find(r => r.room_id === change.room_id).is_active = value;
     });
     renderSelectionView();
+    updateRooms(changes);
 }
 
 function confirmSelection() {
     const activeCount = rooms.filter(r => r.is_active).length;
     if (activeCount === 0) {
-        showToast('使用する客室を選択してください', 'error');
+        showToast(t('toast.select_rooms_first'), 'error');
         return;
     }
     switchToManagement();
-    showToast(`${activeCount}室を選択しました`, 'success');
+    showToast(t('toast.rooms_selected', { count: activeCount }), 'success');
+}
+
+// ===== 出発予定の取り込み（PMS の CSV / iCal） =====
+// ファイルを送って突き合わせ結果を確認し、「取り込む」で使用客室と出発予定時刻に反映する
+let importFileText = null;
+
+function chooseImportFile() {
+    if (!checkAuth(CAPABILITIES.SELECT_ROOMS)) return;
+    const input = document.getElementById('importFile');
+    input.value = '';
+    input.click();
+}
+
+async function previewImport(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        importFileText = await file.text();
+        const plan = await sendImport(false, false);
+        renderImportPreview(plan);
+        document.getElementById('importReplace').checked = false;
+        document.getElementById('importOverlay').classList.add('active');
+    } catch (error) {
+        importFileText = null;
+        showToast(error.message, 'error');
+    }
+}
+
+function renderImportPreview(plan) {
+    document.getElementById('importMessage').textContent = plan.matched.length > 0
+        ? t('import.will_select', { date: formatBusinessDate(plan.business_date), count: plan.matched.length })
+        : t('import.no_match', { date: formatBusinessDate(plan.business_date) });
+
+    document.getElementById('importMatched').innerHTML = plan.matched.map(m => `
+        <span class="import-room">${escapeHtml(m.name)}${m.expected_checkout_at ? ` <small>${escapeHtml(formatClockTime(m.expected_checkout_at))}</small>` : ''}</span>
+    `).join('');
+
+    document.getElementById('importUnmatched').innerHTML = plan.unmatched.length === 0 ? '' : `
+        <p class="import-unmatched-title">${t('import.unmatched_title', { count: plan.unmatched.length })}</p>
+        <ul class="import-unmatched-list">
+            ${plan.unmatched.map(row => `
+                <li>${t('import.line', { line: row.line })} <strong>${escapeHtml(row.room || '-')}</strong> ${escapeHtml(row.reason)}</li>
+            `).join('')}
+        </ul>
+    `;
+    document.getElementById('importConfirmBtn').disabled = plan.matched.length === 0;
+}
+
+function closeImport() {
+    importFileText = null;
+    document.getElementById('importOverlay').classList.remove('active');
+}
+
+async function executeImport() {
+    if (!checkAuth(CAPABILITIES.SELECT_ROOMS) || importFileText === null) return;
+    lastActionTime = Date.now();
+
+    const replace = document.getElementById('importReplace').checked;
+    try {
+        const result = await sendImport(true, replace);
+        closeImport();
+        applyRoomEvents(result.updated);
+        showToast(t('toast.imported', { count: result.matched.length }), 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function sendImport(commit, replace) {
+    const params = new URLSearchParams();
+    if (commit) params.set('commit', '1');
+    if (replace) params.set('replace', '1');
+
+    const response = await fetch(`/api/import/departures?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+        credentials: 'include',
+        body: importFileText
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || t('error.import_failed'));
+    return result;
 }
 
 // ===== 管理画面描画 =====
 function renderManagementView() {
     const container = document.getElementById('managementList');
 
-    // アクティブな部屋をソート（本館優先、その中で表示順）
-    const activeRooms = rooms.filter(r => r.is_active);
+    // アクティブな部屋をソート（出発予定時刻を過ぎた部屋を超過の長い順に先頭へ、それ以外は表示順）
+    const inService = rooms.filter(isInService);
+    const activeRooms = [
+        ...inService.filter(isOverdue).sort((a, b) => overdueMinutes(b) - overdueMinutes(a)),
+        ...inService.filter(room => !isOverdue(room))
+    ];
 
     if (activeRooms.length === 0) {
         container.innerHTML = `
             <div class="loading">
-                <p class="loading-text">使用客室が選択されていません</p>
-                <button class="action-btn action-btn-primary" onclick="switchToSelection()">客室を選択する</button>
+                <p class="loading-text">${t('management.no_rooms')}</p>
+                <button class="action-btn action-btn-primary" onclick="switchToSelection()">${t('management.select_rooms')}</button>
             </div>
         `;
         return;
@@ -282,9 +779,9 @@ function renderManagementView() {
 
     let html = `
         <div class="room-list-header">
-            <div>部屋番号</div>
-            <div>アウト状況</div>
-            <div>コメント</div>
+            <div>${t('management.col_room')}</div>
+            <div>${t('management.col_status')}</div>
+            <div>${t('management.col_note')}</div>
         </div>
         <div class="room-list-body">
             ${activeRooms.map(room => createRoomRow(room)).join('')}
@@ -292,54 +789,197 @@ function renderManagementView() {
     `;
 
     container.innerHTML = html;
+
+    // 長押しで変更履歴を表示
+    container.querySelectorAll('.room-row').forEach(row => {
+        attachLongPress(row, () => showRoomHistory(row.dataset.roomId));
+    });
+
+    renderFloorActions(activeRooms);
     updateProgress();
 }
 
-function createRoomRow(room) {
-    const isOut = room.is_checkout === 1;
-    const note = room.notes || '';
+// 部屋番号からフロアを求める（201, 226-7 → 2）。数字でない部屋は null
+function floorOf(room) {
+    const match = /^(\d+)\d{2}(?:-\d+)?$/.exec(room.room_id);
+    return match ? Number(match[1]) : null;
+}
 
-    // ステータスアイコンのHTML
-    const statusIcon = isOut
-        ? '<div class="status-out"></div>'
-        : '<div class="status-stay"></div>'; // 三角
+// フロアごとの一括OUTボタン
+function renderFloorActions(activeRooms) {
+    const container = document.getElementById('floorActions');
+    const floors = [...new Set(activeRooms.map(floorOf).filter(f => f !== null))].sort((a, b) => a - b);
 
-    // 時刻フォーマット (例: 14:30)
-    let timeStr = '';
-    if (room.updated_at) {
-        try {
-            const date = new Date(room.updated_at);
-            timeStr = date.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
-        } catch (e) {
-            console.error('Date parse error', e);
-        }
+    container.innerHTML = floors.map(floor => `
+        <button class="floor-out-btn" onclick="markFloorOut(${floor})">${t('management.floor_out', { floor })}</button>
+    `).join('');
+}
+
+function markFloorOut(floor) {
+    if (!checkAuth(CAPABILITIES.TOGGLE_CHECKOUT)) return;
+
+    const targets = rooms.filter(r => r.is_active && floorOf(r) === floor && (r.status || 'occupied') === 'occupied');
+    if (targets.length === 0) {
+        showToast(t('toast.no_occupied_on_floor', { floor }), 'info');
+        return;
+    }
+    if (!confirm(t('confirm.floor_out', { floor, count: targets.length }))) return;
+
+    lastActionTime = Date.now();
+    const now = new Date().toISOString();
+    // 楽観的更新
+    targets.forEach(room => {
+        room.status = 'checked_out';
+        room.is_checkout = 1;
+        room.status_times = { ...(room.status_times || {}), checked_out: now };
+    });
+    renderManagementView();
+
+    updateRooms(targets.map(room => ({ room_id: room.room_id, updates: { status: 'checked_out' } })));
+}
+
+// ステータスアイコンのHTML
+function statusIconHtml(status) {
+    switch (status) {
+        case 'checked_out': return '<div class="status-out"></div>';
+        case 'cleaning': return '<div class="status-badge">🧹</div>';
+        case 'cleaned': return '<div class="status-badge">✨</div>';
+        case 'inspected': return '<div class="status-badge">🔍</div>';
+        case 'ready': return '<div class="status-badge">✅</div>';
+        default: return '<div class="status-stay"></div>'; // 三角
+    }
+}
+
+// 現在のステータスになった時刻 (例: 14:30)
+function statusTimeText(room) {
+    const time = (room.status_times && room.status_times[room.status]) || room.updated_at;
+    if (!time) return '';
+    try {
+        return new Date(time).toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' });
+    } catch (e) {
+        console.error('Date parse error', e);
+        return '';
     }
+}
+
+function createRoomRow(room) {
+    const status = room.status || 'occupied';
+    const note = room.notes || '';
 
     return `
-    <div class="room-row" data-room-id="${room.room_id}">
-        <div class="col-room">${escapeHtml(room.room_id)}</div>
+    <div class="room-row status-${status} ${isOverdue(room) ? 'overdue' : ''}" data-room-id="${room.room_id}">
+        <div class="col-room">
+            ${escapeHtml(roomLabel(room))}
+            ${room.assigned_to && !(currentUser && currentUser.share) ? `<span class="room-assignee">${escapeHtml(getStaffName(room.assigned_to))}</span>` : ''}
+            ${checkoutDeadlineHtml(room)}
+            <button class="found-item-btn" onclick="reportFoundItem('${room.room_id}')" title="${t('lost.report_title')}">🧳</button>
+        </div>
         <div class="col-status" onclick="toggleOut('${room.room_id}')">
             <div class="status-icon-wrapper">
-                ${statusIcon}
+                ${statusIconHtml(status)}
             </div>
-            <div class="last-update">${timeStr}</div>
+            <div class="status-label">${statusLabel(status)}</div>
+            <div class="last-update">${statusTimeText(room)}</div>
         </div>
         <div class="col-note" onclick="editNote('${room.room_id}')">
-            <span class="note-text">${note ? escapeHtml(note) : '<span style="color:#ccc;font-size:0.8rem">未入力</span>'}</span>
+            <span class="note-text">${note ? escapeHtml(note) : `<span style="color:#ccc;font-size:0.8rem">${t('management.note_empty')}</span>`}</span>
         </div>
     </div>
     `;
 }
 
+// ===== 出発予定時刻と超過 =====
+// 出発予定時刻は レイトチェックアウト > 取り込み・入力した出発予定 > 標準のチェックアウト時刻（サーバーの lib/overdue.js と同じ）
+const OVERDUE_CHECK_MS = 30000;
+let overdueKey = '';
+
+async function fetchOverdue() {
+    if (currentUser && currentUser.share) return;
+    try {
+        const response = await fetch('/api/overdue', { credentials: 'include' });
+        if (!response.ok) throw new Error('超過の取得失敗: ' + response.status);
+        standardCheckoutAt = (await response.json()).standard_checkout_at;
+    } catch (error) {
+        console.error('Error fetching overdue rooms:', error);
+    }
+}
+
+function checkoutDeadline(room) {
+    return room.late_checkout_at || room.expected_checkout_at || standardCheckoutAt;
+}
+
+function isOverdue(room) {
+    const deadline = checkoutDeadline(room);
+    return !!room.is_active && !room.out_of_order && (room.status || 'occupied') === 'occupied' &&
+        !!deadline && new Date(deadline).getTime() <= Date.now();
+}
+
+function overdueMinutes(room) {
+    return Math.floor((Date.now() - new Date(checkoutDeadline(room)).getTime()) / 60000);
+}
+
+// 滞在中の部屋に出発予定時刻（超過時は経過時間）を表示する。タップでレイトチェックアウト
+function checkoutDeadlineHtml(room) {
+    const deadline = checkoutDeadline(room);
+    if ((room.status || 'occupied') !== 'occupied' || !deadline) return '';
+
+    const label = room.late_checkout_at ? `${t('overdue.late_prefix')} ` : '';
+    const overdueText = isOverdue(room) ? ` <strong>${t('overdue.minutes_over', { minutes: overdueMinutes(room) })}</strong>` : '';
+    return `<span class="room-deadline" onclick="extendCheckout('${room.room_id}')" title="${t('overdue.late_checkout')}">⏰ ${label}${escapeHtml(formatClockTime(deadline))}${overdueText}</span>`;
+}
+
+// レイトチェックアウト（空欄で取り消し）
+function extendCheckout(roomId) {
+    if (!checkAuth(CAPABILITIES.TOGGLE_CHECKOUT)) return;
+
+    const room = rooms.find(r => r.room_id === roomId);
+    if (!room) return;
+
+    const current = room.late_checkout_at ? formatClockTime(room.late_checkout_at) : '';
+    const value = prompt(t('prompt.late_checkout', { room: roomLabel(room) }), current);
+    if (value === null || value.trim() === current) return;
+
+    const time = value.trim();
+    if (time && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) {
+        showToast(t('toast.invalid_time'), 'error');
+        return;
+    }
+    lastActionTime = Date.now();
+    updateRoom(roomId, { late_checkout_at: time || null });
+}
+
+// サーバーからの超過通知（新たに出発予定時刻を過ぎた部屋）
+function applyOverdueEvent(data) {
+    standardCheckoutAt = data.standard_checkout_at;
+    // OUT を付けられるスタッフにだけ知らせる
+    if (data.rooms.length > 0 && can(CAPABILITIES.TOGGLE_CHECKOUT)) {
+        showToast(`⏰ ${t('toast.overdue', { rooms: data.rooms.map(entry => entry.name).join(t('common.list_separator')) })}`, 'error');
+    }
+    refreshOverdue(true);
+}
+
+// 時間の経過で超過した部屋が変わったら管理画面を描き直す
+function refreshOverdue(force = false) {
+    const key = rooms.filter(isOverdue).map(r => r.room_id).join(',');
+    if (!force && key === overdueKey) return;
+    overdueKey = key;
+    if (currentMode === 'management') renderManagementView();
+    if (currentMode === 'floor') renderFloorView();
+}
+
+function startOverdueTimer() {
+    setInterval(() => refreshOverdue(), OVERDUE_CHECK_MS);
+}
+
 // 備考編集機能
 function editNote(roomId) {
-    if (!checkAuth()) return;
+    if (!checkAuth(CAPABILITIES.EDIT_NOTES)) return;
 
     const room = rooms.find(r => r.room_id === roomId);
     if (!room) return;
 
     // シンプルにpromptを使用
-    const newNote = prompt('備考を入力してください', room.notes || '');
+    const newNote = prompt(t('prompt.note'), room.notes || '');
     if (newNote !== null && newNote !== room.notes) {
         // 楽観的更新
         room.notes = newNote;
@@ -347,34 +987,59 @@ function editNote(roomId) {
         const row = document.querySelector(`.room-row[data-room-id="${roomId}"]`);
         if (row) {
             const noteEl = row.querySelector('.note-text');
-            noteEl.innerHTML = newNote ? escapeHtml(newNote) : '<span style="color:#ccc;font-size:0.8rem">未入力</span>';
+            noteEl.innerHTML = newNote ? escapeHtml(newNote) : `<span style="color:#ccc;font-size:0.8rem">${t('management.note_empty')}</span>`;
         }
+        if (currentMode === 'floor') renderFloorView();
 
         updateRoom(roomId, { notes: newNote });
     }
 }
 
+// タップ時の遷移先（次のステージ。進めない場合は OUT の取り消しのみ許可）
+function getNextStatus(room) {
+    const transitions = STATUS_TRANSITIONS[room.status] || {};
+    const next = ROOM_STATUSES[ROOM_STATUSES.indexOf(room.status) + 1];
+    if (next && transitions[next] && can(transitions[next])) return next;
+    if (room.status === 'checked_out' && can(CAPABILITIES.TOGGLE_CHECKOUT)) return 'occupied';
+    return null;
+}
+
+// 現在のユーザーが選べる遷移先
+function getAllowedStatuses(room) {
+    const transitions = STATUS_TRANSITIONS[room.status] || {};
+    return Object.keys(transitions).filter(status => can(transitions[status]));
+}
+
 function toggleOut(roomId) {
-    if (!checkAuth()) return;
+    const room = rooms.find(r => r.room_id === roomId);
+    if (!room) return;
+
+    const next = getNextStatus(room);
+    if (!next) {
+        showToast(t(isViewer() ? 'toast.read_only' : 'toast.no_permission'), 'error');
+        return;
+    }
+    setRoomStatus(roomId, next);
+}
 
+function setRoomStatus(roomId, status) {
     const room = rooms.find(r => r.room_id === roomId);
     if (room) {
         lastActionTime = Date.now(); // 操作時刻を記録
         // 楽観的更新
-        const newValue = room.is_checkout ? 0 : 1;
-        room.is_checkout = newValue;
+        room.status = status;
+        room.is_checkout = status === 'occupied' ? 0 : 1;
+        room.status_times = { ...(room.status_times || {}), [status]: new Date().toISOString() };
 
         // DOM更新
         const row = document.querySelector(`.room-row[data-room-id="${roomId}"]`);
         if (row) {
-            const iconWrapper = row.querySelector('.status-icon-wrapper');
-            if (newValue) {
-                // OUTになった
-                iconWrapper.innerHTML = '<div class="status-out"></div>';
-            } else {
-                // キャンセル
-                iconWrapper.innerHTML = '<div class="status-stay"></div>';
-            }
+            row.outerHTML = createRoomRow(room);
+            const newRow = document.querySelector(`.room-row[data-room-id="${roomId}"]`);
+            attachLongPress(newRow, () => showRoomHistory(roomId));
+            updateProgress();
+        } else if (currentMode === 'floor') {
+            renderFloorView();
             updateProgress();
         } else {
             // 安全策
@@ -382,54 +1047,2103 @@ function toggleOut(roomId) {
         }
 
         // バックグラウンドでサーバー更新
-        updateRoom(roomId, { is_checkout: newValue });
+        updateRoom(roomId, { status });
     }
 }
 
+// 進捗の対象となる部屋（故障中の部屋は除く）
+function isInService(room) {
+    return room.is_active && !room.out_of_order;
+}
+
 function updateProgress() {
-    const activeRooms = rooms.filter(r => r.is_active);
+    const activeRooms = rooms.filter(isInService);
     const outCount = activeRooms.filter(r => r.is_checkout).length;
     const total = activeRooms.length;
 
     document.getElementById('outCount').textContent = outCount;
     document.getElementById('totalActiveCount').textContent = total;
 
-    const percentage = total > 0 ? (outCount / total) * 100 : 0;
-    document.getElementById('progressFill').style.width = `${percentage}%`;
+    // ステージごとの内訳（積み上げバー）
+    const counts = {};
+    ROOM_STATUSES.forEach(status => { counts[status] = 0; });
+    activeRooms.forEach(r => { counts[r.status || 'occupied'] += 1; });
+
+    const stages = ROOM_STATUSES.filter(status => status !== 'occupied');
+    document.getElementById('progressBar').innerHTML = stages.map(status => {
+        const percentage = total > 0 ? (counts[status] / total) * 100 : 0;
+        return `<div class="progress-segment status-${status}" style="width:${percentage}%"></div>`;
+    }).join('');
+
+    document.getElementById('progressLegend').innerHTML = ROOM_STATUSES.map(status => `
+        <span class="progress-legend-item">
+            <span class="progress-legend-swatch status-${status}"></span>${statusLabel(status)} ${counts[status]}
+        </span>
+    `).join('');
 }
 
 // ===== API呼び出し =====
-async function updateRoom(roomId, updates) {
-    try {
-        const response = await fetch(`/api/rooms/${encodeURIComponent(roomId)}`, {
-            method: 'PATCH',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(updates)
-        });
-
-        if (!response.ok) throw new Error('更新失敗');
+// 同じ部屋への更新は順番に送る（前の更新で上がったバージョンを次の更新で使うため）
+const roomUpdateQueues = {};
+
+// 送信結果のうち、サーバーに反映されておらず送信待ちキューに残して後で送り直すもの
+// 'offline': 通信できなかった、'unavailable': サーバーの再起動中など（5xx）、'unauthorized': セッション切れ（401）
+const RETRY_RESULTS = ['offline', 'unavailable', 'unauthorized'];
+
+// 送り直す結果なら送信待ちキューに積む（セッション切れの場合は積んでからログイン画面へ）
+async function keepForRetry(result, changes) {
+    if (!RETRY_RESULTS.includes(result)) return;
+    for (const change of changes) await enqueueOutbox(change.room_id, change.updates);
+    if (result === 'unauthorized') window.location.href = '/login.html';
+}
 
-        const updatedRoom = await response.json();
-        updateRoomInList(updatedRoom);
-        renderCurrentView();
-    } catch (error) {
-        console.error('Error updating room:', error);
-        showToast('更新に失敗しました', 'error');
-        await fetchRooms();
-    }
+// オフライン時・送信待ちがある間は、順序を保つため送信待ちキューに積む
+function updateRoom(roomId, updates) {
+    pendingUpdates[roomId] = (pendingUpdates[roomId] || 0) + 1;
+    const previous = roomUpdateQueues[roomId] || Promise.resolve();
+    const task = previous.then(async () => {
+        if (outboxSize > 0 || !navigator.onLine) {
+            await enqueueOutbox(roomId, updates);
+            return;
+        }
+        const result = await sendRoomUpdate(roomId, updates);
+        await keepForRetry(result, [{ room_id: roomId, updates }]);
+    }).finally(() => {
+        pendingUpdates[roomId] -= 1;
+    });
+    roomUpdateQueues[roomId] = task;
+    return task;
 }
 
-function updateRoomInList(updatedRoom) {
+// 複数の部屋をまとめて更新する changes: [{ room_id, updates }]
+// 各部屋の送信待ちの更新が終わってから、PATCH /api/rooms で一度に送信する
+function updateRooms(changes) {
+    const roomIds = changes.map(c => c.room_id);
+    const previous = Promise.all(roomIds.map(id => roomUpdateQueues[id] || Promise.resolve()));
+    roomIds.forEach(id => { pendingUpdates[id] = (pendingUpdates[id] || 0) + 1; });
+
+    const task = previous.then(async () => {
+        if (outboxSize > 0 || !navigator.onLine) {
+            for (const change of changes) await enqueueOutbox(change.room_id, change.updates);
+            return;
+        }
+        const result = await sendRoomsUpdate(changes);
+        await keepForRetry(result, changes);
+    }).finally(() => {
+        roomIds.forEach(id => { pendingUpdates[id] -= 1; });
+    });
+    roomIds.forEach(id => { roomUpdateQueues[id] = task; });
+    return task;
+}
+
+// 戻り値は sendRoomUpdate と同じ。競合した場合は全体が取り消されるので最新の状態を読み込み直す
+async function sendRoomsUpdate(changes) {
+    const body = {
+        rooms: changes.map(change => {
+            const room = rooms.find(r => r.room_id === change.room_id);
+            return { room_id: change.room_id, version: room ? room.version : undefined, ...change.updates };
+        })
+    };
+
+    let response;
+    try {
+        response = await fetch('/api/rooms', {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        console.warn('Rooms update failed (offline)', error);
+        updateConnectionStatus('disconnected');
+        return 'offline';
+    }
+    const unsent = unsentResult(response);
+    if (unsent) return unsent;
+
+    try {
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            if (result.code === 'version_conflict') {
+                throw new Error(t('toast.bulk_conflict'));
+            }
+            throw new Error(result.error || t('error.update_failed'));
+        }
+
+        const updatedRooms = await response.json();
+        updatedRooms.forEach(updateRoomInList);
+        renderCurrentView();
+        updateProgress();
+        return 'sent';
+    } catch (error) {
+        console.error('Error updating rooms:', error);
+        showToast(error.message || t('error.update_failed'), 'error');
+        await fetchRooms();
+        return 'rejected';
+    }
+}
+
+// 反映されなかったレスポンスの送信結果（セッション切れ・5xx）。それ以外は null
+function unsentResult(response) {
+    if (response.status === 401) return 'unauthorized';
+    if (response.status >= 500) {
+        console.warn('Room update failed (server unavailable)', response.status);
+        updateConnectionStatus('disconnected');
+        return 'unavailable';
+    }
+    return null;
+}
+
+// 戻り値: 'sent'（反映済み・競合解決済み）、'rejected'（検証エラーなど。送り直しても反映されない）、
+// または RETRY_RESULTS のいずれか（未反映。送信待ちキューに残して送り直す）
+// version を省略した場合は現在把握しているバージョンを使う
+async function sendRoomUpdate(roomId, updates, version) {
+    const room = rooms.find(r => r.room_id === roomId);
+    const expectedVersion = version !== undefined ? version : room && room.version;
+    const headers = { 'Content-Type': 'application/json' };
+    if (expectedVersion) headers['If-Match'] = `"${expectedVersion}"`;
+
+    let response;
+    try {
+        response = await fetch(`/api/rooms/${encodeURIComponent(roomId)}`, {
+            method: 'PATCH',
+            headers,
+            body: JSON.stringify(updates)
+        });
+    } catch (error) {
+        // ネットワークに届かなかった
+        console.warn('Room update failed (offline)', error);
+        updateConnectionStatus('disconnected');
+        return 'offline';
+    }
+    const unsent = unsentResult(response);
+    if (unsent) return unsent;
+
+    try {
+        if (response.status === 409) {
+            const body = await response.json();
+            if (body.code === 'version_conflict') {
+                await resolveConflict(body.room, updates);
+                return 'sent';
+            }
+            throw new Error(body.error || t('error.update_failed'));
+        }
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || t('error.update_failed'));
+        }
+
+        const updatedRoom = await response.json();
+        updateRoomInList(updatedRoom);
+        renderCurrentView();
+        return 'sent';
+    } catch (error) {
+        console.error('Error updating room:', error);
+        showToast(error.message || t('error.update_failed'), 'error');
+        await fetchRooms();
+        return 'rejected';
+    }
+}
+
+// ===== 送信待ちキュー (オフライン対応) =====
+// 電波の届かない場所での操作を IndexedDB に保存し、接続が戻ったら順番に送信する
+const OUTBOX_DB = 'hotel-rooms';
+const OUTBOX_STORE = 'outbox';
+let outboxDB = null;
+let outboxSize = 0;
+let outboxFlushing = false;
+
+function openOutboxDB() {
+    if (outboxDB) return Promise.resolve(outboxDB);
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => {
+            outboxDB = request.result;
+            resolve(outboxDB);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// オブジェクトストアへの1操作を Promise で包む
+async function outboxRequest(mode, operation) {
+    const database = await openOutboxDB();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(OUTBOX_STORE, mode);
+        const request = operation(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function enqueueOutbox(roomId, updates) {
+    const room = rooms.find(r => r.room_id === roomId);
+    await outboxRequest('readwrite', store => store.add({
+        room_id: roomId,
+        updates,
+        base_version: room ? room.version : undefined,
+        created_at: new Date().toISOString()
+    }));
+    outboxSize++;
+    updateOutboxIndicator();
+}
+
+async function refreshOutboxSize() {
+    try {
+        outboxSize = await outboxRequest('readonly', store => store.count());
+    } catch (error) {
+        console.error('outbox unavailable', error);
+        outboxSize = 0;
+    }
+    updateOutboxIndicator();
+}
+
+// 送信待ちの操作を画面上の部屋データに重ねる（再取得で楽観的更新が消えないように）
+async function applyOutboxOverlay(roomList) {
+    if (outboxSize === 0) return;
+    const items = await outboxRequest('readonly', store => store.getAll());
+    items.forEach(item => {
+        const room = roomList.find(r => r.room_id === item.room_id);
+        if (!room) return;
+        Object.assign(room, item.updates);
+        if (item.updates.status) room.is_checkout = item.updates.status === 'occupied' ? 0 : 1;
+    });
+}
+
+// 保存した順に送信する。同じ部屋への連続した操作は、直前の送信で上がったバージョンを引き継ぐ
+async function flushOutbox() {
+    if (outboxFlushing || outboxSize === 0 || !navigator.onLine) return;
+    outboxFlushing = true;
+
+    try {
+        const versions = {}; // "部屋:保存時のバージョン" → 送信後のバージョン
+        let sent = 0;
+
+        while (true) {
+            const items = await outboxRequest('readonly', store => store.getAll());
+            if (items.length === 0) break;
+
+            const item = items[0];
+            const key = `${item.room_id}:${item.base_version}`;
+            const version = versions[key] !== undefined ? versions[key] : item.base_version;
+
+            pendingUpdates[item.room_id] = (pendingUpdates[item.room_id] || 0) + 1;
+            let result;
+            try {
+                result = await sendRoomUpdate(item.room_id, item.updates, version);
+            } finally {
+                pendingUpdates[item.room_id] -= 1;
+            }
+            // 反映されていない操作はキューに残し、次の機会に送り直す
+            if (RETRY_RESULTS.includes(result)) {
+                if (result === 'unauthorized') window.location.href = '/login.html';
+                break;
+            }
+
+            // 反映された操作と、検証エラーで反映できない操作（エラーは表示済み）はキューから消す
+            await outboxRequest('readwrite', store => store.delete(item.id));
+            outboxSize = Math.max(0, outboxSize - 1);
+            updateOutboxIndicator();
+            if (result === 'sent') sent++;
+
+            const room = rooms.find(r => r.room_id === item.room_id);
+            if (room) versions[key] = room.version;
+        }
+
+        if (sent > 0) showToast(t('toast.outbox_sent', { count: sent }), 'success');
+    } catch (error) {
+        console.error('Error flushing outbox:', error);
+    } finally {
+        outboxFlushing = false;
+        await refreshOutboxSize();
+    }
+}
+
+async function clearOutbox() {
+    try {
+        await outboxRequest('readwrite', store => store.clear());
+    } catch (error) {
+        console.error('outbox clear failed', error);
+    }
+    outboxSize = 0;
+    updateOutboxIndicator();
+}
+
+function updateOutboxIndicator() {
+    const badge = document.getElementById('outboxCount');
+    if (!badge) return;
+    badge.textContent = outboxSize;
+    badge.classList.toggle('hidden', outboxSize === 0);
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error('Service worker registration failed', error);
+    });
+}
+
+window.addEventListener('online', () => flushOutbox());
+window.addEventListener('offline', () => updateConnectionStatus('disconnected'));
+
+// ===== 更新の競合 =====
+// 他の端末で先に更新されていた場合、サーバーの内容と自分の変更のどちらを採用するか選んでもらう
+function describeUpdates(room, updates) {
+    return Object.keys(updates).map(field => {
+        const label = historyFieldLabel(field);
+        return `${label}: ${formatHistoryValue(field, room[field])} → ${formatHistoryValue(field, updates[field])}`;
+    }).join('<br>');
+}
+
+async function resolveConflict(serverRoom, updates) {
+    const choice = await showConflictDialog(serverRoom, updates);
+
+    // いずれの場合もまずサーバーの最新状態を反映する
+    updateRoomInList(serverRoom);
+    renderCurrentView();
+    updateProgress();
+
+    if (choice === 'overwrite') {
+        await sendRoomUpdate(serverRoom.room_id, updates);
+    } else {
+        showToast(t('toast.showing_latest'), 'info');
+    }
+}
+
+function showConflictDialog(serverRoom, updates) {
+    return new Promise(resolve => {
+        const overlay = document.getElementById('conflictOverlay');
+        document.getElementById('conflictMessage').innerHTML = `
+            ${t('conflict.message', { room: `<strong>${escapeHtml(roomLabel(serverRoom))}</strong>` })}<br>
+            <span class="conflict-detail">${t('conflict.your_changes')}<br>${describeUpdates(serverRoom, updates)}</span>
+        `;
+
+        const finish = choice => {
+            overlay.classList.remove('active');
+            document.getElementById('conflictKeepServer').onclick = null;
+            document.getElementById('conflictOverwrite').onclick = null;
+            resolve(choice);
+        };
+        document.getElementById('conflictKeepServer').onclick = () => finish('discard');
+        document.getElementById('conflictOverwrite').onclick = () => finish('overwrite');
+        overlay.classList.add('active');
+    });
+}
+
+function updateRoomInList(updatedRoom) {
     const index = rooms.findIndex(r => r.room_id === updatedRoom.room_id);
     if (index !== -1) {
         rooms[index] = updatedRoom;
     }
 }
 
+// ===== 客室マスタ =====
+async function fetchCategories() {
+    try {
+        const response = await fetch('/api/categories', { credentials: 'include' });
+        if (!response.ok) throw new Error('カテゴリ取得失敗: ' + response.status);
+        categories = await response.json();
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+    }
+}
+
+async function fetchMasterRooms() {
+    try {
+        const response = await fetch('/api/rooms?include_retired=1', { credentials: 'include' });
+        if (!response.ok) throw new Error('客室マスタ取得失敗: ' + response.status);
+        masterRooms = await response.json();
+    } catch (error) {
+        console.error('Error fetching room master:', error);
+        showToast(t('toast.fetch_failed'), 'error');
+    }
+}
+
+function renderMasterView() {
+    const container = document.getElementById('masterList');
+
+    container.innerHTML = categories.map((category, index) => {
+        const categoryRooms = masterRooms.filter(r => r.category === category.category_id);
+        return `
+        <section class="room-category master-category" data-category-id="${category.category_id}">
+            <div class="category-header">
+                <span class="category-icon">${escapeHtml(category.icon)}</span>
+                <h2 class="category-title">${escapeHtml(category.name)}</h2>
+                <span class="category-count">${t('common.room_count', { count: categoryRooms.filter(r => !r.is_retired).length })}</span>
+            </div>
+            <div class="master-toolbar">
+                <button class="master-btn" data-action="renameCategory">✏️ ${t('master.rename')}</button>
+                <button class="master-btn" data-action="changeCategoryIcon">${t('master.icon')}</button>
+                <button class="master-btn" data-action="moveCategoryUp" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="master-btn" data-action="moveCategoryDown" ${index === categories.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="master-btn master-btn-danger" data-action="deleteCategory" ${categoryRooms.length > 0 ? 'disabled' : ''}>${t('common.delete')}</button>
+            </div>
+            <div class="master-rooms">
+                ${categoryRooms.map((room, i) => createMasterRow(room, i === 0, i === categoryRooms.length - 1)).join('')}
+            </div>
+            <button class="master-add-btn" data-action="addRoom">＋ ${t('master.add_room')}</button>
+        </section>
+        `;
+    }).join('') + `
+        <button class="master-add-btn master-add-category" onclick="addCategory()">＋ ${t('master.add_category')}</button>
+    `;
+
+    // ボタンの操作はカテゴリ・部屋のIDを付けて各関数へ振り分ける
+    container.querySelectorAll('[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const categoryId = btn.closest('.master-category').dataset.categoryId;
+            const row = btn.closest('.master-row');
+            masterActions[btn.dataset.action](row ? row.dataset.roomId : categoryId, categoryId);
+        });
+    });
+    container.querySelectorAll('.master-category-select').forEach(select => {
+        select.addEventListener('change', () => {
+            updateRoomMaster(select.closest('.master-row').dataset.roomId, { category: select.value });
+        });
+    });
+}
+
+function createMasterRow(room, isFirst, isLast) {
+    return `
+    <div class="master-row ${room.is_retired ? 'retired' : ''}" data-room-id="${room.room_id}">
+        <div class="master-room-name">
+            ${escapeHtml(roomLabel(room))}
+            ${room.name && room.name !== room.room_id ? `<span class="master-room-id">${escapeHtml(room.room_id)}</span>` : ''}
+        </div>
+        <select class="master-category-select">
+            ${categories.map(c => `<option value="${c.category_id}" ${c.category_id === room.category ? 'selected' : ''}>${escapeHtml(c.name)}</option>`).join('')}
+        </select>
+        <button class="master-btn" data-action="renameRoom">✏️</button>
+        <button class="master-btn" data-action="moveRoomUp" ${isFirst ? 'disabled' : ''}>↑</button>
+        <button class="master-btn" data-action="moveRoomDown" ${isLast ? 'disabled' : ''}>↓</button>
+        <button class="master-btn ${room.is_retired ? '' : 'master-btn-danger'}" data-action="toggleRetired">
+            ${t(room.is_retired ? 'master.restore' : 'master.retire')}
+        </button>
+    </div>
+    `;
+}
+
+// 客室マスタAPIの共通呼び出し（成功後にマスタと部屋一覧を再取得）
+async function masterRequest(url, method, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || t('error.update_failed'));
+        }
+        await Promise.all([fetchMasterRooms(), fetchCategories(), fetchRooms()]);
+        renderMasterView();
+        return true;
+    } catch (error) {
+        console.error('Error updating room master:', error);
+        showToast(error.message, 'error');
+        return false;
+    }
+}
+
+function updateRoomMaster(roomId, updates) {
+    return masterRequest(`/api/rooms/${encodeURIComponent(roomId)}`, 'PATCH', updates);
+}
+
+// 同じカテゴリ内で隣の部屋と入れ替える
+function moveRoom(roomId, categoryId, offset) {
+    const categoryRooms = masterRooms.filter(r => r.category === categoryId);
+    const index = categoryRooms.findIndex(r => r.room_id === roomId);
+    const other = categoryRooms[index + offset];
+    if (!other) return;
+
+    const ids = offset < 0 ? [roomId, other.room_id] : [other.room_id, roomId];
+    masterRequest('/api/rooms/reorder', 'POST', { room_ids: ids });
+}
+
+// 隣のカテゴリと表示順を入れ替える
+async function moveCategory(categoryId, offset) {
+    const index = categories.findIndex(c => c.category_id === categoryId);
+    const current = categories[index];
+    const other = categories[index + offset];
+    if (!other) return;
+
+    const ok = await masterRequest(`/api/categories/${encodeURIComponent(current.category_id)}`, 'PATCH', { display_order: other.display_order });
+    if (ok) {
+        await masterRequest(`/api/categories/${encodeURIComponent(other.category_id)}`, 'PATCH', { display_order: current.display_order });
+    }
+}
+
+const masterActions = {
+    renameRoom: (roomId) => {
+        const room = masterRooms.find(r => r.room_id === roomId);
+        const name = prompt(t('prompt.room_name'), roomLabel(room));
+        if (name !== null && name.trim() && name !== roomLabel(room)) {
+            updateRoomMaster(roomId, { name: name.trim() });
+        }
+    },
+    moveRoomUp: (roomId, categoryId) => moveRoom(roomId, categoryId, -1),
+    moveRoomDown: (roomId, categoryId) => moveRoom(roomId, categoryId, 1),
+    toggleRetired: (roomId) => {
+        const room = masterRooms.find(r => r.room_id === roomId);
+        if (!room.is_retired && !confirm(t('confirm.retire_room', { room: roomLabel(room) }))) return;
+        updateRoomMaster(roomId, { is_retired: room.is_retired ? 0 : 1 });
+    },
+    addRoom: (categoryId) => {
+        const roomId = prompt(t('prompt.new_room_id'));
+        if (roomId !== null && roomId.trim()) {
+            masterRequest('/api/rooms', 'POST', { room_id: roomId.trim(), category: categoryId });
+        }
+    },
+    renameCategory: (categoryId) => {
+        const category = categories.find(c => c.category_id === categoryId);
+        const name = prompt(t('prompt.category_name'), category.name);
+        if (name !== null && name.trim() && name !== category.name) {
+            masterRequest(`/api/categories/${encodeURIComponent(categoryId)}`, 'PATCH', { name: name.trim() });
+        }
+    },
+    changeCategoryIcon: (categoryId) => {
+        const category = categories.find(c => c.category_id === categoryId);
+        const icon = prompt(t('prompt.category_icon'), category.icon);
+        if (icon !== null && icon !== category.icon) {
+            masterRequest(`/api/categories/${encodeURIComponent(categoryId)}`, 'PATCH', { icon });
+        }
+    },
+    moveCategoryUp: (categoryId) => moveCategory(categoryId, -1),
+    moveCategoryDown: (categoryId) => moveCategory(categoryId, 1),
+    deleteCategory: (categoryId) => {
+        const category = categories.find(c => c.category_id === categoryId);
+        if (confirm(t('confirm.delete_category', { category: category.name }))) {
+            masterRequest(`/api/categories/${encodeURIComponent(categoryId)}`, 'DELETE');
+        }
+    }
+};
+
+function addCategory() {
+    if (!checkAuth(CAPABILITIES.MANAGE_ROOMS)) return;
+    const name = prompt(t('prompt.new_category_name'));
+    if (name !== null && name.trim()) {
+        masterRequest('/api/categories', 'POST', { name: name.trim() });
+    }
+}
+
+// ===== 担当ボード =====
+// 共有リンクではスタッフの名前を公開しないため取得しない
+async function fetchBoard() {
+    if (currentUser && currentUser.share) return;
+    try {
+        const response = await fetch('/api/assignments', { credentials: 'include' });
+        if (!response.ok) throw new Error('担当取得失敗: ' + response.status);
+
+        const board = await response.json();
+        boardMembers = board.members.map(m => ({ user_id: m.user_id, name: m.name }));
+    } catch (error) {
+        console.error('Error fetching assignments:', error);
+    }
+}
+
+function getStaffName(userId) {
+    const member = boardMembers.find(m => m.user_id === userId);
+    return member ? member.name : t('board.unknown_staff');
+}
+
+function isRoomCleaned(room) {
+    return ['cleaned', 'inspected', 'ready'].includes(room.status);
+}
+
+function renderBoardView() {
+    const container = document.getElementById('boardList');
+    const activeRooms = rooms.filter(isInService);
+    const memberIds = new Set(boardMembers.map(m => m.user_id));
+
+    // 存在しなくなった部屋の選択を外す
+    boardSelection.forEach(roomId => {
+        if (!activeRooms.some(r => r.room_id === roomId)) boardSelection.delete(roomId);
+    });
+
+    const columns = [
+        { user_id: '', name: t('board.unassigned'), rooms: activeRooms.filter(r => !r.assigned_to || !memberIds.has(r.assigned_to)) },
+        ...boardMembers.map(m => ({ ...m, rooms: activeRooms.filter(r => r.assigned_to === m.user_id) }))
+    ];
+
+    container.innerHTML = columns.map(column => {
+        const completed = column.rooms.filter(isRoomCleaned).length;
+        const total = column.rooms.length;
+        const percentage = total > 0 ? (completed / total) * 100 : 0;
+
+        return `
+        <section class="board-column ${column.user_id ? '' : 'board-unassigned'}" data-user-id="${column.user_id}">
+            <div class="board-column-header">
+                <span class="board-member-name">${escapeHtml(column.name)}</span>
+                <span class="board-member-count">${column.user_id ? t('board.completed', { completed, total }) : t('common.room_count', { count: total })}</span>
+            </div>
+            ${column.user_id ? `<div class="board-progress"><div class="board-progress-fill" style="width:${percentage}%"></div></div>` : ''}
+            <div class="board-rooms">
+                ${column.rooms.map(room => `
+                    <div class="board-chip status-${room.status} ${boardSelection.has(room.room_id) ? 'selected' : ''}"
+                        data-room-id="${room.room_id}" draggable="${can(CAPABILITIES.ASSIGN_ROOMS)}">
+                        ${escapeHtml(roomLabel(room))}
+                    </div>
+                `).join('') || `<span class="board-empty">${t('common.none')}</span>`}
+            </div>
+        </section>
+        `;
+    }).join('');
+
+    // 担当者の選択肢
+    const select = document.getElementById('boardAssignee');
+    select.innerHTML = columns.map(c => `<option value="${c.user_id}">${escapeHtml(c.user_id ? c.name : t('board.unassign'))}</option>`).join('');
+    document.getElementById('boardSelectedCount').textContent = boardSelection.size;
+
+    if (!can(CAPABILITIES.ASSIGN_ROOMS)) return;
+
+    // タップで選択、ドラッグで担当変更
+    container.querySelectorAll('.board-chip').forEach(chip => {
+        chip.addEventListener('click', () => toggleBoardSelection(chip.dataset.roomId));
+        chip.addEventListener('dragstart', e => {
+            const roomId = chip.dataset.roomId;
+            const ids = boardSelection.has(roomId) ? [...boardSelection] : [roomId];
+            e.dataTransfer.setData('text/plain', JSON.stringify(ids));
+        });
+    });
+    container.querySelectorAll('.board-column').forEach(column => {
+        column.addEventListener('dragover', e => {
+            e.preventDefault();
+            column.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', () => column.classList.remove('drag-over'));
+        column.addEventListener('drop', e => {
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            try {
+                const ids = JSON.parse(e.dataTransfer.getData('text/plain'));
+                assignRooms(ids, column.dataset.userId || null);
+            } catch (err) {
+                console.error('drop failed', err);
+            }
+        });
+    });
+}
+
+function toggleBoardSelection(roomId) {
+    if (boardSelection.has(roomId)) {
+        boardSelection.delete(roomId);
+    } else {
+        boardSelection.add(roomId);
+    }
+    renderBoardView();
+}
+
+// 選択中の部屋をまとめて割り当て
+function assignSelectedRooms() {
+    if (!checkAuth(CAPABILITIES.ASSIGN_ROOMS)) return;
+    if (boardSelection.size === 0) {
+        showToast(t('toast.select_rooms'), 'error');
+        return;
+    }
+    const userId = document.getElementById('boardAssignee').value || null;
+    assignRooms([...boardSelection], userId);
+}
+
+async function assignRooms(roomIds, userId) {
+    if (!checkAuth(CAPABILITIES.ASSIGN_ROOMS)) return;
+    lastActionTime = Date.now();
+
+    try {
+        const response = await fetch('/api/assignments', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ room_ids: roomIds, user_id: userId })
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || t('error.assign_failed'));
+        }
+
+        const updatedRooms = await response.json();
+        updatedRooms.forEach(updateRoomInList);
+        boardSelection.clear();
+        await fetchBoard();
+        renderBoardView();
+        showToast(t('toast.rooms_assigned', { count: updatedRooms.length }), 'success');
+    } catch (error) {
+        console.error('Error assigning rooms:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// 未完了の部屋を担当者で均等に振り分け
+async function rebalanceAssignments() {
+    if (!checkAuth(CAPABILITIES.ASSIGN_ROOMS)) return;
+    lastActionTime = Date.now();
+
+    try {
+        const response = await fetch('/api/assignments/rebalance', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || t('error.assign_failed'));
+        }
+
+        const updatedRooms = await response.json();
+        updatedRooms.forEach(updateRoomInList);
+        await fetchBoard();
+        renderBoardView();
+        showToast(t('toast.rooms_rebalanced', { count: updatedRooms.length }), 'success');
+    } catch (error) {
+        console.error('Error rebalancing:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// ===== 変更履歴 =====
+const LONG_PRESS_MS = 600;
+
+// 要素に長押しハンドラを付ける（長押し後のクリックは抑止）
+function attachLongPress(element, handler) {
+    let timer = null;
+    let fired = false;
+
+    const start = () => {
+        fired = false;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            fired = true;
+            if (navigator.vibrate) navigator.vibrate(30);
+            handler();
+        }, LONG_PRESS_MS);
+    };
+    const cancel = () => clearTimeout(timer);
+
+    element.addEventListener('touchstart', start, { passive: true });
+    element.addEventListener('touchend', cancel);
+    element.addEventListener('touchmove', cancel, { passive: true });
+    element.addEventListener('mousedown', start);
+    element.addEventListener('mouseup', cancel);
+    element.addEventListener('mouseleave', cancel);
+    element.addEventListener('contextmenu', e => e.preventDefault());
+
+    // キャプチャ段階で止め、子要素の onclick（OUT切替・備考編集）を実行させない
+    element.addEventListener('click', e => {
+        if (fired) {
+            e.stopPropagation();
+            e.preventDefault();
+            fired = false;
+        }
+    }, true);
+}
+
+// 履歴に表示する項目（表示名は history.field.<項目>）
+const HISTORY_FIELDS = [
+    'is_active', 'is_checkout', 'status', 'assigned_to', 'notes', 'room_id', 'name', 'category',
+    'display_order', 'is_retired', 'out_of_order', 'out_of_order_reason', 'out_of_order_until', 'expected_checkout_at'
+];
+
+function historyFieldLabel(field) {
+    return HISTORY_FIELDS.includes(field) ? t(`history.field.${field}`) : field;
+}
+
+function formatHistoryValue(field, value) {
+    if (field === 'is_active') return t(value ? 'history.value.active' : 'history.value.inactive');
+    if (field === 'status') return ROOM_STATUSES.includes(value) ? statusLabel(value) : escapeHtml(String(value));
+    if (field === 'assigned_to') return value ? escapeHtml(getStaffName(value)) : t('board.unassigned');
+    if (field === 'is_retired') return t(value ? 'history.value.retired' : 'history.value.in_use');
+    if (field === 'out_of_order') return t(value ? 'room.out_of_order' : 'history.value.available');
+    if (field === 'category') {
+        const category = categories.find(c => c.category_id === value);
+        return category ? escapeHtml(category.name) : escapeHtml(String(value));
+    }
+    if (field === 'display_order' && value !== null && value !== undefined) return escapeHtml(String(value));
+    if (field === 'is_checkout') return t(value ? 'status.checked_out' : 'history.value.not_out');
+    if (field === 'expected_checkout_at' && value) return escapeHtml(formatClockTime(value));
+    return value ? escapeHtml(String(value)) : `<span class="history-empty">${t('history.value.empty')}</span>`;
+}
+
+function formatHistoryTime(isoString) {
+    const date = new Date(isoString);
+    return date.toLocaleString(currentLocale, { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+async function showRoomHistory(roomId) {
+    const list = document.getElementById('historyList');
+    const room = rooms.find(r => r.room_id === roomId);
+    document.getElementById('historyTitle').textContent = `🕘 ${t('history.title', { room: room ? roomLabel(room) : roomId })}`;
+    list.innerHTML = `<p class="loading-text">${t('common.loading')}</p>`;
+    renderStatusActions(roomId);
+    showMaintenance(roomId);
+    document.getElementById('historyOverlay').classList.add('active');
+
+    try {
+        const response = await fetch(`/api/rooms/${encodeURIComponent(roomId)}/history?limit=100`, {
+            credentials: 'include'
+        });
+        if (!response.ok) throw new Error('履歴取得失敗: ' + response.status);
+
+        const history = await response.json();
+        if (history.length === 0) {
+            list.innerHTML = `<p class="history-empty">${t('history.empty')}</p>`;
+            return;
+        }
+
+        list.innerHTML = history.map(entry => `
+            <div class="history-item">
+                <div class="history-meta">
+                    <span class="history-time">${formatHistoryTime(entry.created_at)}</span>
+                    <span class="history-actor">${escapeHtml(entry.actor_name || t('history.unknown_actor'))}</span>
+                    ${entry.action === 'reset' ? `<span class="history-badge">${t('history.reset')}</span>` : ''}
+                </div>
+                <div class="history-change">
+                    ${escapeHtml(historyFieldLabel(entry.field))}:
+                    ${formatHistoryValue(entry.field, entry.old_value)} → ${formatHistoryValue(entry.field, entry.new_value)}
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error fetching history:', error);
+        list.innerHTML = `<p class="history-empty">${t('history.fetch_failed')}</p>`;
+    }
+}
+
+// 任意のステータスへの変更ボタン（取り消し・再清掃用）
+function renderStatusActions(roomId) {
+    const container = document.getElementById('statusActions');
+    const room = rooms.find(r => r.room_id === roomId);
+    const allowed = room ? getAllowedStatuses(room) : [];
+
+    if (allowed.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = allowed.map(status => `
+        <button class="status-action-btn status-${status}" data-status="${status}">
+            ${t('history.set_status', { status: statusLabel(status) })}
+        </button>
+    `).join('');
+
+    container.querySelectorAll('.status-action-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            closeHistory();
+            setRoomStatus(roomId, btn.dataset.status);
+        });
+    });
+}
+
+function closeHistory() {
+    document.getElementById('historyOverlay').classList.remove('active');
+    maintenanceRoomId = null;
+}
+
+// ===== 故障・修理チケット =====
+let maintenanceRoomId = null;
+let maintenanceTickets = [];
+
+// 表示名は ticket.status.<対応状況>
+const TICKET_STATUSES = ['open', 'in_progress', 'resolved'];
+
+async function showMaintenance(roomId) {
+    maintenanceRoomId = roomId;
+    maintenanceTickets = [];
+    renderMaintenance();
+
+    try {
+        const response = await fetch(`/api/rooms/${encodeURIComponent(roomId)}/tickets`, { credentials: 'include' });
+        if (!response.ok) throw new Error('チケット取得失敗: ' + response.status);
+        const tickets = await response.json();
+        if (maintenanceRoomId !== roomId) return;
+        maintenanceTickets = tickets;
+        renderMaintenance();
+    } catch (error) {
+        console.error('Error fetching tickets:', error);
+    }
+}
+
+function renderMaintenance() {
+    const container = document.getElementById('maintenancePanel');
+    const room = rooms.find(r => r.room_id === maintenanceRoomId);
+    if (!room) {
+        container.innerHTML = '';
+        return;
+    }
+    const editable = can(CAPABILITIES.MANAGE_MAINTENANCE);
+
+    const state = room.out_of_order
+        ? `<div class="maintenance-state out-of-order">
+            🔧 ${t('maintenance.out_of_order_reason', { reason: escapeHtml(room.out_of_order_reason) })}
+            ${room.out_of_order_until ? `<span class="maintenance-until">${t('maintenance.until', { date: escapeHtml(formatBusinessDate(room.out_of_order_until)) })}</span>` : ''}
+           </div>`
+        : '';
+    const stateAction = !editable ? '' : room.out_of_order
+        ? `<button class="maintenance-btn" onclick="clearOutOfOrder('${room.room_id}')">${t('maintenance.clear')}</button>`
+        : `<button class="maintenance-btn" onclick="markOutOfOrder('${room.room_id}')">🔧 ${t('maintenance.mark')}</button>`;
+
+    container.innerHTML = `
+        ${state}
+        <div class="maintenance-actions">
+            ${stateAction}
+            ${editable ? `<button class="maintenance-btn" onclick="addRepairTicket('${room.room_id}')">＋ ${t('maintenance.add_ticket')}</button>` : ''}
+        </div>
+        <div class="ticket-list">
+            ${maintenanceTickets.map(ticket => `
+                <div class="ticket-item ticket-${ticket.status}">
+                    <div class="ticket-title">${escapeHtml(ticket.title)}</div>
+                    <div class="ticket-meta">
+                        ${formatHistoryTime(ticket.created_at)} ${escapeHtml(ticket.created_by_name || '')}
+                    </div>
+                    ${editable ? `
+                        <select class="ticket-status" onchange="setTicketStatus('${ticket.ticket_id}', this.value)">
+                            ${TICKET_STATUSES.map(status => `
+                                <option value="${status}" ${status === ticket.status ? 'selected' : ''}>${t(`ticket.status.${status}`)}</option>
+                            `).join('')}
+                        </select>
+                    ` : `<span class="ticket-status">${t(`ticket.status.${ticket.status}`)}</span>`}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// 故障中にする（理由は必須、復旧予定日は任意）
+function markOutOfOrder(roomId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_MAINTENANCE)) return;
+    const room = rooms.find(r => r.room_id === roomId);
+    if (!room) return;
+
+    const reason = prompt(t('prompt.out_of_order_reason'));
+    if (reason === null) return;
+    if (!reason.trim()) {
+        showToast(t('error.out_of_order_reason_required'), 'error');
+        return;
+    }
+    const until = prompt(t('prompt.out_of_order_until'), '');
+    if (until === null) return;
+    if (until.trim() && !/^\d{4}-\d{2}-\d{2}$/.test(until.trim())) {
+        showToast(t('toast.invalid_out_of_order_until'), 'error');
+        return;
+    }
+
+    const updates = { out_of_order: 1, out_of_order_reason: reason.trim(), out_of_order_until: until.trim() || null };
+    applyMaintenanceUpdate(room, { ...updates, is_active: 0 }, updates);
+}
+
+function clearOutOfOrder(roomId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_MAINTENANCE)) return;
+    const room = rooms.find(r => r.room_id === roomId);
+    if (!room || !confirm(t('confirm.clear_out_of_order', { room: roomLabel(room) }))) return;
+
+    const updates = { out_of_order: 0 };
+    applyMaintenanceUpdate(room, { out_of_order: 0, out_of_order_reason: '', out_of_order_until: null }, updates);
+}
+
+function applyMaintenanceUpdate(room, localChanges, updates) {
+    lastActionTime = Date.now();
+    // 楽観的更新
+    Object.assign(room, localChanges);
+    renderCurrentView();
+    updateProgress();
+    renderMaintenance();
+
+    updateRoom(room.room_id, updates);
+}
+
+async function addRepairTicket(roomId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_MAINTENANCE)) return;
+
+    const title = prompt(t('prompt.ticket_title'));
+    if (title === null || !title.trim()) return;
+
+    try {
+        const response = await fetch(`/api/rooms/${encodeURIComponent(roomId)}/tickets`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ title: title.trim() })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || t('error.create_failed'));
+
+        applyTicketEvent(result);
+        showToast(t('toast.ticket_created'), 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function setTicketStatus(ticketId, status) {
+    if (!checkAuth(CAPABILITIES.MANAGE_MAINTENANCE)) return;
+
+    try {
+        const response = await fetch(`/api/tickets/${encodeURIComponent(ticketId)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ status })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || t('error.update_failed'));
+
+        applyTicketEvent(result);
+    } catch (error) {
+        showToast(error.message, 'error');
+        renderMaintenance();
+    }
+}
+
+// 開いている部屋のチケットであれば一覧に反映する
+function applyTicketEvent(ticket) {
+    if (ticket.room_id !== maintenanceRoomId) return;
+
+    const index = maintenanceTickets.findIndex(item => item.ticket_id === ticket.ticket_id);
+    if (index === -1) {
+        maintenanceTickets.unshift(ticket);
+    } else {
+        maintenanceTickets[index] = ticket;
+    }
+    renderMaintenance();
+}
+
+// ===== 共有リンク（管理者用） =====
+let shareLinkItems = [];
+
+async function fetchShareLinks() {
+    try {
+        const response = await fetch('/api/share-links', { credentials: 'include' });
+        if (!response.ok) throw new Error('共有リンク取得失敗: ' + response.status);
+        shareLinkItems = await response.json();
+    } catch (error) {
+        console.error('Error fetching share links:', error);
+        showToast(t('toast.fetch_failed'), 'error');
+    }
+}
+
+function renderShareLinks() {
+    const container = document.getElementById('shareLinkList');
+    if (shareLinkItems.length === 0) {
+        container.innerHTML = `<p class="history-empty">${t('share.empty')}</p>`;
+        return;
+    }
+
+    container.innerHTML = shareLinkItems.map(link => {
+        const state = link.revoked_at ? t('share.revoked')
+            : link.is_active ? t('share.expires_at', { time: formatHistoryTime(link.expires_at) }) : t('share.expired');
+        const scope = link.scope === 'rooms'
+            ? `${t('share.scope.rooms')}: ${escapeHtml(link.room_ids.join(', '))}`
+            : t('share.scope.board');
+        return `
+        <div class="master-row share-link-row ${link.is_active ? '' : 'retired'}">
+            <div class="master-room-name">
+                ${escapeHtml(link.label)}
+                <span class="master-room-id">${scope} ・ ${state}</span>
+            </div>
+            ${link.is_active ? `<button class="master-btn master-btn-danger" onclick="revokeShareLink('${link.link_id}')">${t('share.revoke')}</button>` : ''}
+        </div>
+        `;
+    }).join('');
+}
+
+async function createShareLink() {
+    if (!checkAuth(CAPABILITIES.MANAGE_SHARES)) return;
+
+    const label = prompt(t('prompt.share_label'));
+    if (label === null || !label.trim()) return;
+    const roomsText = prompt(t('prompt.share_rooms'), '');
+    if (roomsText === null) return;
+    const hours = prompt(t('prompt.share_hours'), '24');
+    if (hours === null) return;
+
+    const roomIds = roomsText.split(/[,、\s]+/).map(id => id.trim()).filter(Boolean);
+    try {
+        const response = await fetch('/api/share-links', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                label: label.trim(),
+                scope: roomIds.length > 0 ? 'rooms' : 'board',
+                room_ids: roomIds,
+                expires_in_hours: Number(hours)
+            })
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || t('error.issue_failed'));
+
+        // URL はこの場でしか確認できないため、コピーできるように表示する
+        prompt(t('prompt.share_issued'), body.url);
+        await fetchShareLinks();
+        renderShareLinks();
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+async function revokeShareLink(linkId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_SHARES)) return;
+    const link = shareLinkItems.find(l => l.link_id === linkId);
+    if (!confirm(t('confirm.revoke_share', { label: link ? link.label : '' }))) return;
+
+    try {
+        const response = await fetch(`/api/share-links/${encodeURIComponent(linkId)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || t('error.revoke_failed'));
+        }
+        showToast(t('toast.share_revoked'), 'success');
+        await fetchShareLinks();
+        renderShareLinks();
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// ===== Webhook =====
+let webhookItems = [];
+let webhookEventTypes = []; // [{ event, label }]
+let webhookDeliveryLogs = {}; // webhook_id → 表示中の配信ログ
+
+const DELIVERY_STATUS_ICONS = {
+    pending: '⏳',
+    success: '✅',
+    failed: '❌'
+};
+
+async function fetchWebhooks() {
+    try {
+        const [hooksResponse, eventsResponse] = await Promise.all([
+            fetch('/api/webhooks', { credentials: 'include' }),
+            fetch('/api/webhooks/events', { credentials: 'include' })
+        ]);
+        if (!hooksResponse.ok || !eventsResponse.ok) throw new Error('Webhook 取得失敗');
+        webhookItems = await hooksResponse.json();
+        webhookEventTypes = await eventsResponse.json();
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        showToast(t('toast.fetch_failed'), 'error');
+    }
+}
+
+function webhookEventLabel(event) {
+    return t(`webhook.event.${event}`);
+}
+
+// 配信ログのエラーコードの表示名（コードでない以前のログはそのまま表示する）
+function webhookErrorLabel(delivery) {
+    if (!delivery.error) return '';
+    const key = `webhook.error.${delivery.error}`;
+    const label = t(key, { status: delivery.response_status });
+    return label === key ? delivery.error : label;
+}
+
+function renderWebhooks() {
+    const container = document.getElementById('webhookList');
+    if (webhookItems.length === 0) {
+        container.innerHTML = `<p class="history-empty">${t('webhook.empty')}</p>`;
+        return;
+    }
+
+    container.innerHTML = webhookItems.map(hook => `
+        <div class="webhook-item">
+            <div class="master-row ${hook.is_active ? '' : 'retired'}">
+                <div class="master-room-name">
+                    ${escapeHtml(hook.label || hook.url)}
+                    <span class="master-room-id">${escapeHtml(hook.url)}</span>
+                    <span class="master-room-id">${hook.events.map(e => escapeHtml(webhookEventLabel(e))).join('・')}</span>
+                </div>
+                <button class="master-btn" onclick="pingWebhook('${hook.webhook_id}')" ${hook.is_active ? '' : 'disabled'}>${t('webhook.ping')}</button>
+                <button class="master-btn" onclick="toggleWebhookLog('${hook.webhook_id}')">${t('webhook.log')}</button>
+                <button class="master-btn" onclick="setWebhookActive('${hook.webhook_id}', ${hook.is_active ? 0 : 1})">${t(hook.is_active ? 'webhook.pause' : 'webhook.resume')}</button>
+                <button class="master-btn master-btn-danger" onclick="deleteWebhook('${hook.webhook_id}')">${t('common.delete')}</button>
+            </div>
+            ${webhookDeliveryLogs[hook.webhook_id] ? renderWebhookDeliveries(webhookDeliveryLogs[hook.webhook_id]) : ''}
+        </div>
+    `).join('');
+}
+
+function renderWebhookDeliveries(deliveries) {
+    if (deliveries.length === 0) {
+        return `<p class="history-empty webhook-deliveries">${t('webhook.no_deliveries')}</p>`;
+    }
+    return `
+        <ul class="webhook-deliveries">
+            ${deliveries.map(d => `
+                <li class="webhook-delivery delivery-${d.status}">
+                    <div class="webhook-delivery-main" onclick="showWebhookDelivery('${d.delivery_id}')">
+                        <span>${formatHistoryTime(d.created_at)}</span>
+                        <span>${escapeHtml(webhookEventLabel(d.event))}</span>
+                        <span>${DELIVERY_STATUS_ICONS[d.status] ? `${DELIVERY_STATUS_ICONS[d.status]} ${t(`webhook.delivery.${d.status}`)}` : escapeHtml(d.status)}</span>
+                        <span class="webhook-delivery-meta">
+                            ${d.response_status ? `HTTP ${d.response_status}` : escapeHtml(webhookErrorLabel(d))}
+                            ・${t('webhook.attempts', { count: d.attempts })}${d.redelivery_of ? `・${t('webhook.redelivery')}` : ''}
+                        </span>
+                    </div>
+                    <button class="master-btn" onclick="redeliverWebhook('${d.delivery_id}', '${d.webhook_id}')">${t('webhook.redeliver')}</button>
+                    <pre class="webhook-delivery-detail hidden" id="delivery-${d.delivery_id}"></pre>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+async function createWebhook() {
+    if (!checkAuth(CAPABILITIES.MANAGE_WEBHOOKS)) return;
+
+    const url = prompt(t('prompt.webhook_url'));
+    if (url === null || !url.trim()) return;
+    const label = prompt(t('prompt.webhook_label'), '');
+    if (label === null) return;
+    const eventsText = prompt(
+        t('prompt.webhook_events') + '\n' +
+        webhookEventTypes.map((type, i) => `${i + 1}. ${webhookEventLabel(type.event)}`).join('\n'),
+        webhookEventTypes.map((_, i) => i + 1).join(',')
+    );
+    if (eventsText === null) return;
+
+    const events = eventsText.split(/[,、\s]+/)
+        .map(n => webhookEventTypes[Number(n) - 1])
+        .filter(Boolean)
+        .map(type => type.event);
+    try {
+        const response = await fetch('/api/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: url.trim(), label: label.trim(), events })
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || t('error.create_failed'));
+
+        // 署名用のシークレットはこの場でしか確認できない
+        prompt(t('prompt.webhook_created'), body.secret);
+        await fetchWebhooks();
+        renderWebhooks();
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+async function sendWebhookRequest(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || t('error.operation_failed'));
+    return result;
+}
+
+async function setWebhookActive(webhookId, isActive) {
+    if (!checkAuth(CAPABILITIES.MANAGE_WEBHOOKS)) return;
+    try {
+        await sendWebhookRequest(`/api/webhooks/${encodeURIComponent(webhookId)}`, 'PATCH', { is_active: isActive });
+        await fetchWebhooks();
+        renderWebhooks();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function deleteWebhook(webhookId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_WEBHOOKS)) return;
+    const hook = webhookItems.find(h => h.webhook_id === webhookId);
+    if (!confirm(t('confirm.delete_webhook', { label: hook ? hook.label || hook.url : '' }))) return;
+
+    try {
+        await sendWebhookRequest(`/api/webhooks/${encodeURIComponent(webhookId)}`, 'DELETE');
+        delete webhookDeliveryLogs[webhookId];
+        showToast(t('toast.webhook_deleted'), 'success');
+        await fetchWebhooks();
+        renderWebhooks();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function pingWebhook(webhookId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_WEBHOOKS)) return;
+    try {
+        const delivery = await sendWebhookRequest(`/api/webhooks/${encodeURIComponent(webhookId)}/ping`, 'POST', {});
+        showToast(delivery.status === 'success' ? t('toast.ping_succeeded') : t('toast.ping_failed', { error: webhookErrorLabel(delivery) }),
+            delivery.status === 'success' ? 'success' : 'error');
+        await loadWebhookLog(webhookId);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function loadWebhookLog(webhookId) {
+    try {
+        const response = await fetch(`/api/webhooks/${encodeURIComponent(webhookId)}/deliveries?limit=20`, { credentials: 'include' });
+        if (!response.ok) throw new Error('配信ログ取得失敗: ' + response.status);
+        webhookDeliveryLogs[webhookId] = await response.json();
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        showToast(t('toast.fetch_failed'), 'error');
+    }
+    renderWebhooks();
+}
+
+function toggleWebhookLog(webhookId) {
+    if (webhookDeliveryLogs[webhookId]) {
+        delete webhookDeliveryLogs[webhookId];
+        renderWebhooks();
+        return;
+    }
+    loadWebhookLog(webhookId);
+}
+
+// 配信ログの詳細（送信した本文と応答）を開閉する
+async function showWebhookDelivery(deliveryId) {
+    const detail = document.getElementById(`delivery-${deliveryId}`);
+    if (!detail.classList.contains('hidden')) {
+        detail.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const delivery = await sendWebhookRequest(`/api/webhook-deliveries/${encodeURIComponent(deliveryId)}`, 'GET');
+        detail.textContent = `${t('webhook.sent_body')}:\n${JSON.stringify(JSON.parse(delivery.body), null, 2)}\n\n` +
+            `${t('webhook.response')}:\n${delivery.response_body || t('webhook.no_response')}`;
+        detail.classList.remove('hidden');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function redeliverWebhook(deliveryId, webhookId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_WEBHOOKS)) return;
+    try {
+        const delivery = await sendWebhookRequest(`/api/webhook-deliveries/${encodeURIComponent(deliveryId)}/redeliver`, 'POST', {});
+        showToast(delivery.status === 'success' ? t('toast.redelivered') : t('toast.redeliver_failed', { error: webhookErrorLabel(delivery) }),
+            delivery.status === 'success' ? 'success' : 'error');
+        await loadWebhookLog(webhookId);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// ===== 過去の営業日（日次アーカイブ） =====
+let archiveDays = []; // [{ business_date, archive_count, last_archived_at }]
+let currentDayArchive = null; // { business_date, archives: [{ archived_at, actor_name, rooms }] }
+
+async function switchToDays() {
+    currentMode = 'days';
+    showView('daysView', '🛏️');
+
+    const select = document.getElementById('daysSelect');
+    const container = document.getElementById('daysList');
+    container.innerHTML = `<p class="loading-text">${t('common.loading')}</p>`;
+
+    try {
+        const response = await fetch('/api/days', { credentials: 'include' });
+        if (!response.ok) throw new Error('営業日取得失敗: ' + response.status);
+        archiveDays = await response.json();
+    } catch (error) {
+        console.error('Error fetching days:', error);
+        container.innerHTML = `<p class="history-empty">${t('toast.fetch_failed')}</p>`;
+        return;
+    }
+
+    if (archiveDays.length === 0) {
+        select.innerHTML = '';
+        currentDayArchive = null;
+        container.innerHTML = `<p class="history-empty">${t('days.empty')}</p>`;
+        return;
+    }
+
+    renderDaysSelect();
+    showDay(archiveDays[0].business_date);
+}
+
+function renderDaysSelect() {
+    const select = document.getElementById('daysSelect');
+    const selected = select.value;
+    select.innerHTML = archiveDays.map(day => `
+        <option value="${day.business_date}">${formatBusinessDate(day.business_date)}</option>
+    `).join('');
+    if (selected) select.value = selected;
+}
+
+// 2024-05-01 → 2024年5月1日(水)（表示中の言語の書式）
+function formatBusinessDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(currentLocale, {
+        year: 'numeric', month: 'long', day: 'numeric', weekday: 'short'
+    });
+}
+
+async function showDay(date) {
+    const container = document.getElementById('daysList');
+    container.innerHTML = `<p class="loading-text">${t('common.loading')}</p>`;
+
+    try {
+        const response = await fetch(`/api/days/${encodeURIComponent(date)}`, { credentials: 'include' });
+        if (!response.ok) throw new Error('アーカイブ取得失敗: ' + response.status);
+        currentDayArchive = await response.json();
+        renderDayArchive();
+    } catch (error) {
+        console.error('Error fetching day archive:', error);
+        container.innerHTML = `<p class="history-empty">${t('toast.fetch_failed')}</p>`;
+    }
+}
+
+function renderDayArchive() {
+    const container = document.getElementById('daysList');
+    if (!currentDayArchive) return;
+
+    const query = document.getElementById('daysSearch').value.trim().toLowerCase();
+    const multiple = currentDayArchive.archives.length > 1;
+
+    container.innerHTML = currentDayArchive.archives.map(archive => {
+        // 使用した部屋と、備考が残っている部屋のみ表示する
+        const archiveRooms = archive.rooms.filter(room =>
+            (room.is_active || room.is_checkout || room.notes) &&
+            (!query || [room.room_id, room.name, room.notes].some(v => v && String(v).toLowerCase().includes(query)))
+        );
+
+        return `
+        <section class="day-archive">
+            ${multiple ? `<h3 class="day-archive-title">${t('days.archive_title', { time: formatHistoryTime(archive.archived_at), actor: escapeHtml(archive.actor_name || t('history.unknown_actor')) })}</h3>` : ''}
+            ${archiveRooms.length === 0 ? `<p class="history-empty">${t('days.no_match')}</p>` : `
+            <div class="room-list-header">
+                <div>${t('management.col_room')}</div>
+                <div>${t('management.col_status')}</div>
+                <div>${t('management.col_note')}</div>
+            </div>
+            <div class="room-list-body">
+                ${archiveRooms.map(room => createArchiveRow(room)).join('')}
+            </div>
+            `}
+            ${multiple ? '' : `<p class="day-archive-meta">${t('days.archive_meta', { time: formatHistoryTime(archive.archived_at), actor: escapeHtml(archive.actor_name || t('history.unknown_actor')) })}</p>`}
+        </section>
+        `;
+    }).join('');
+}
+
+// 閲覧専用の行（タップしても操作しない）
+function createArchiveRow(room) {
+    const status = room.status || 'occupied';
+    const checkoutTime = room.checkout_time
+        ? new Date(room.checkout_time).toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' })
+        : '';
+
+    return `
+    <div class="room-row archive-row status-${status}">
+        <div class="col-room">
+            ${escapeHtml(roomLabel(room))}
+            ${room.is_active ? '' : `<span class="room-assignee">${t('history.value.inactive')}</span>`}
+        </div>
+        <div class="col-status">
+            <div class="status-icon-wrapper">
+                ${statusIconHtml(status)}
+            </div>
+            <div class="status-label">${statusLabel(status)}</div>
+            <div class="last-update">${checkoutTime ? `OUT ${checkoutTime}` : ''}</div>
+        </div>
+        <div class="col-note">
+            <span class="note-text">${room.notes ? escapeHtml(room.notes) : ''}</span>
+        </div>
+    </div>
+    `;
+}
+
+// ===== 忘れ物 =====
+let lostItemList = [];
+
+// 表示名は lost.status.<状態>
+const LOST_ITEM_STATUSES = ['held', 'returned', 'disposed'];
+
+// 最後に入力した保管場所（次の登録の初期値にする）
+const LOST_ITEM_LOCATION_KEY = 'lostItemLocation';
+
+async function switchToLost() {
+    currentMode = 'lost';
+    showView('lostView', '🛏️');
+
+    const container = document.getElementById('lostList');
+    container.innerHTML = `<p class="loading-text">${t('common.loading')}</p>`;
+
+    try {
+        const response = await fetch('/api/lost-items', { credentials: 'include' });
+        if (!response.ok) throw new Error('忘れ物取得失敗: ' + response.status);
+        lostItemList = await response.json();
+        renderLostItems();
+    } catch (error) {
+        console.error('Error fetching lost items:', error);
+        container.innerHTML = `<p class="history-empty">${t('toast.fetch_failed')}</p>`;
+    }
+}
+
+function renderLostItems() {
+    const container = document.getElementById('lostList');
+    const status = document.getElementById('lostStatusFilter').value;
+    const query = document.getElementById('lostSearch').value.trim().toLowerCase();
+    const editable = can(CAPABILITIES.MANAGE_LOST_ITEMS);
+
+    const items = lostItemList.filter(item =>
+        (!status || item.status === status) &&
+        (!query || [item.description, item.room_id, item.storage_location, item.found_by_name]
+            .some(v => v && v.toLowerCase().includes(query)))
+    );
+    if (items.length === 0) {
+        container.innerHTML = `<p class="history-empty">${t('lost.empty')}</p>`;
+        return;
+    }
+
+    container.innerHTML = items.map(item => `
+        <div class="lost-item lost-${item.status}">
+            <div class="lost-item-main">
+                <div class="lost-item-description">${escapeHtml(item.description)}</div>
+                <div class="lost-item-meta">
+                    ${item.room_id ? `<span>🛏️ ${escapeHtml(item.room_id)}</span>` : ''}
+                    <span>📅 ${formatBusinessDate(item.found_date)}</span>
+                    <span>👤 ${escapeHtml(item.found_by_name || t('history.unknown_actor'))}</span>
+                    <span class="lost-item-location" ${editable ? `onclick="editLostItemLocation('${item.item_id}')"` : ''}>
+                        📦 ${item.storage_location ? escapeHtml(item.storage_location) : t('lost.no_location')}
+                    </span>
+                </div>
+            </div>
+            ${editable ? `
+                <select class="lost-item-status" onchange="setLostItemStatus('${item.item_id}', this.value)">
+                    ${LOST_ITEM_STATUSES.map(value => `
+                        <option value="${value}" ${value === item.status ? 'selected' : ''}>${t(`lost.status.${value}`)}</option>
+                    `).join('')}
+                </select>
+            ` : `<span class="lost-item-status">${t(`lost.status.${item.status}`)}</span>`}
+        </div>
+    `).join('');
+}
+
+// 忘れ物の登録（管理画面の各部屋の行、または忘れ物画面から）
+async function reportFoundItem(roomId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_LOST_ITEMS)) return;
+
+    const room = roomId ? rooms.find(r => r.room_id === roomId) : null;
+    const description = prompt(room ? t('prompt.lost_description_room', { room: roomLabel(room) }) : t('prompt.lost_description'));
+    if (description === null || !description.trim()) return;
+    const location = prompt(t('prompt.storage_location'), localStorage.getItem(LOST_ITEM_LOCATION_KEY) || '');
+    if (location === null) return;
+    localStorage.setItem(LOST_ITEM_LOCATION_KEY, location.trim());
+
+    const item = await sendLostItemRequest('/api/lost-items', 'POST', {
+        room_id: roomId || null,
+        description: description.trim(),
+        storage_location: location.trim()
+    });
+    if (item) showToast(t('toast.lost_item_created'), 'success');
+}
+
+function editLostItemLocation(itemId) {
+    if (!checkAuth(CAPABILITIES.MANAGE_LOST_ITEMS)) return;
+    const item = lostItemList.find(i => i.item_id === itemId);
+    if (!item) return;
+
+    const location = prompt(t('prompt.storage_location'), item.storage_location || '');
+    if (location === null || location.trim() === item.storage_location) return;
+    sendLostItemRequest(`/api/lost-items/${encodeURIComponent(itemId)}`, 'PATCH', { storage_location: location.trim() });
+}
+
+function setLostItemStatus(itemId, status) {
+    if (!checkAuth(CAPABILITIES.MANAGE_LOST_ITEMS)) return;
+    sendLostItemRequest(`/api/lost-items/${encodeURIComponent(itemId)}`, 'PATCH', { status });
+}
+
+async function sendLostItemRequest(url, method, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || t('error.save_failed'));
+
+        applyLostItemEvent(result);
+        return result;
+    } catch (error) {
+        showToast(error.message, 'error');
+        if (currentMode === 'lost') renderLostItems();
+        return null;
+    }
+}
+
+function applyLostItemEvent(item) {
+    const index = lostItemList.findIndex(i => i.item_id === item.item_id);
+    if (index === -1) {
+        lostItemList.unshift(item);
+        lostItemList.sort((a, b) => b.found_date.localeCompare(a.found_date));
+    } else {
+        lostItemList[index] = item;
+    }
+    if (currentMode === 'lost') renderLostItems();
+}
+
+// ===== 運用統計 =====
+// チェックアウト時刻の分布、OUT から清掃までの時間（カテゴリ別・部屋別）、稼働室数の推移
+const STATS_RANGE_DAYS = 30;
+
+function switchToStats() {
+    if (!checkAuth(CAPABILITIES.VIEW_STATISTICS)) return;
+    currentMode = 'stats';
+    showView('statsView', '🛏️');
+
+    // 期間の初期値は本日までの30日間
+    const toInput = document.getElementById('statsTo');
+    const fromInput = document.getElementById('statsFrom');
+    if (!toInput.value) {
+        const to = new Date();
+        const from = new Date(to.getTime() - (STATS_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000);
+        toInput.value = to.toLocaleDateString('en-CA');
+        fromInput.value = from.toLocaleDateString('en-CA');
+    }
+    fetchStatistics();
+}
+
+async function fetchStatistics() {
+    const container = document.getElementById('statsContent');
+    const params = new URLSearchParams({
+        from: document.getElementById('statsFrom').value,
+        to: document.getElementById('statsTo').value
+    });
+    container.innerHTML = `<p class="loading-text">${t('stats.loading')}</p>`;
+
+    try {
+        const response = await fetch(`/api/statistics?${params}`, { credentials: 'include' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || t('error.stats_failed'));
+        renderStatistics(result);
+    } catch (error) {
+        console.error('Error fetching statistics:', error);
+        container.innerHTML = `<p class="history-empty">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// 分 → 「1時間5分」
+function formatMinutes(minutes) {
+    if (minutes === null || minutes === undefined) return '-';
+    if (minutes < 60) return t('stats.minutes', { minutes });
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60
+        ? t('stats.hours_minutes', { hours, minutes: minutes % 60 })
+        : t('stats.hours', { hours });
+}
+
+// 横棒グラフの行（value / max の幅）
+function statsBarHtml(label, value, max, text) {
+    const width = max > 0 ? Math.round((value / max) * 100) : 0;
+    return `
+        <div class="stats-bar-row">
+            <span class="stats-bar-label">${label}</span>
+            <span class="stats-bar"><span class="stats-bar-fill" style="width: ${width}%"></span></span>
+            <span class="stats-bar-value">${text}</span>
+        </div>
+    `;
+}
+
+function renderStatistics(stats) {
+    const container = document.getElementById('statsContent');
+    if (stats.occupancy.length === 0) {
+        container.innerHTML = `<p class="history-empty">${t('stats.empty')}</p>`;
+        return;
+    }
+
+    // チェックアウトのあった時間帯のみ表示する
+    const hours = stats.checkout_histogram.filter(h => h.count > 0).map(h => h.hour);
+    const histogram = hours.length === 0 ? [] :
+        stats.checkout_histogram.slice(Math.min(...hours), Math.max(...hours) + 1);
+    const maxCount = Math.max(0, ...histogram.map(h => h.count));
+
+    const turnaround = stats.turnaround;
+    const maxTurnaround = Math.max(0, ...turnaround.by_room.map(r => r.avg_turnaround_minutes || 0));
+
+    container.innerHTML = `
+        <section class="stats-section">
+            <h3 class="stats-title">🕘 ${t('stats.checkout_histogram')}</h3>
+            ${histogram.length === 0 ? `<p class="history-empty">${t('stats.no_checkouts')}</p>` :
+                histogram.map(h => statsBarHtml(t('stats.hour', { hour: h.hour }), h.count, maxCount, t('common.room_count', { count: h.count }))).join('')}
+        </section>
+
+        <section class="stats-section">
+            <h3 class="stats-title">🧹 ${t('stats.turnaround')}</h3>
+            <p class="stats-summary">
+                ${t('stats.avg_wait')} <strong>${formatMinutes(turnaround.overall.avg_wait_minutes)}</strong> ／
+                ${t('stats.avg_turnaround')} <strong>${formatMinutes(turnaround.overall.avg_turnaround_minutes)}</strong>
+                ${t('stats.count', { count: turnaround.overall.count })}
+            </p>
+            <table class="stats-table">
+                <thead><tr>
+                    <th>${t('stats.col_category')}</th><th>${t('stats.col_count')}</th>
+                    <th>${t('stats.col_wait')}</th><th>${t('stats.col_turnaround')}</th>
+                </tr></thead>
+                <tbody>
+                    ${turnaround.by_category.map(c => `
+                        <tr>
+                            <td>${escapeHtml(c.icon)} ${escapeHtml(c.name)}</td>
+                            <td>${c.count}</td>
+                            <td>${formatMinutes(c.avg_wait_minutes)}</td>
+                            <td>${formatMinutes(c.avg_turnaround_minutes)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <h4 class="stats-subtitle">${t('stats.by_room')}</h4>
+            ${turnaround.by_room.filter(r => r.avg_turnaround_minutes !== null).map(r =>
+                statsBarHtml(escapeHtml(r.name), r.avg_turnaround_minutes, maxTurnaround, formatMinutes(r.avg_turnaround_minutes))
+            ).join('') || `<p class="history-empty">${t('stats.no_cleaned')}</p>`}
+        </section>
+
+        <section class="stats-section">
+            <h3 class="stats-title">🛏️ ${t('stats.occupancy')}</h3>
+            ${stats.occupancy.map(day => statsBarHtml(
+                `${day.business_date.slice(5).replace('-', '/')}${day.is_live ? ` ${t('stats.today')}` : ''}`,
+                day.active_rooms,
+                day.total_rooms,
+                `${t('stats.occupancy_value', { active: day.active_rooms, total: day.total_rooms })}${day.occupancy_rate !== null ? `（${Math.round(day.occupancy_rate * 100)}%）` : ''}`
+            )).join('')}
+        </section>
+    `;
+}
+
+// ===== 見取り図 =====
+// フロアごとのマス目に部屋を並べ、ステータスの色で表示する（タップでステータスを進め、長押しで備考）
+// 客室マスタの権限があれば、部屋をドラッグ（またはタップで選んでから移動先をタップ）して配置を編集できる
+let floorPlan = null; // { floors, positions, grid, is_default }
+let floorDraft = null; // 編集中の配置（編集していない場合は null）
+let currentFloorId = null;
+let floorPicked = null; // 編集中にタップで選んだ部屋
+
+function switchToFloor() {
+    currentMode = 'floor';
+    showView('floorView', '🛏️');
+    renderFloorView();
+    fetchFloorPlan().then(renderFloorView);
+}
+
+async function fetchFloorPlan() {
+    try {
+        const response = await fetch('/api/floor-plan', { credentials: 'include' });
+        if (!response.ok) throw new Error(t('error.floor_plan_fetch_failed'));
+        floorPlan = await response.json();
+    } catch (error) {
+        console.error('Error fetching floor plan:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// 表示中の配置（編集中は編集内容）
+function currentFloorLayout() {
+    return floorDraft || floorPlan;
+}
+
+function floorRoomsAt(layout, floorId) {
+    return rooms.filter(room => {
+        const position = layout.positions[room.room_id];
+        return position && position.floor_id === floorId;
+    });
+}
+
+function floorTileHtml(room, editing) {
+    const status = room.status || 'occupied';
+    const stateLabel = room.out_of_order ? t('room.out_of_order') : (room.is_active ? statusLabel(status) : t('history.value.inactive'));
+    const classes = [
+        'floor-tile',
+        `status-${status}`,
+        room.is_active ? '' : 'inactive',
+        room.out_of_order ? 'out-of-order' : '',
+        isOverdue(room) ? 'overdue' : '',
+        floorPicked === room.room_id ? 'selected' : ''
+    ].filter(Boolean).join(' ');
+
+    return `
+        <div class="${classes}" data-room-id="${room.room_id}" draggable="${editing}">
+            <span class="floor-tile-name">${escapeHtml(roomLabel(room))}</span>
+            <span class="floor-tile-status">${stateLabel}</span>
+            ${room.notes ? `<span class="floor-tile-note" title="${escapeHtml(room.notes)}">📝</span>` : ''}
+        </div>
+    `;
+}
+
+function renderFloorView() {
+    const grid = document.getElementById('floorGrid');
+    const tray = document.getElementById('floorTray');
+    const layout = currentFloorLayout();
+    const editing = floorDraft !== null;
+
+    document.getElementById('floorEditBar').classList.toggle('hidden', !editing);
+    document.getElementById('floorEditBtn').classList.toggle('hidden', editing || !layout);
+    if (!layout) {
+        grid.innerHTML = '<div class="loading"><div class="loading-spinner"></div></div>';
+        return;
+    }
+    document.getElementById('floorPlanInfo').textContent = layout.is_default && !editing
+        ? t('floor.default_layout')
+        : (layout.updated_at ? t('floor.updated', { time: formatHistoryTime(layout.updated_at), actor: layout.updated_by_name || '-' }) : '');
+
+    if (!layout.floors.some(f => f.floor_id === currentFloorId)) {
+        currentFloorId = layout.floors.length > 0 ? layout.floors[0].floor_id : null;
+    }
+    document.getElementById('floorTabs').innerHTML = layout.floors.map(floor => `
+        <button class="floor-tab ${floor.floor_id === currentFloorId ? 'active' : ''}" onclick="selectFloor('${floor.floor_id}')">
+            ${escapeHtml(floor.name)}
+            <span class="floor-tab-count">${floorRoomsAt(layout, floor.floor_id).filter(isInService).length}</span>
+        </button>
+    `).join('');
+
+    // マス目（編集中は1行余分に出して、下へ部屋を追加できるようにする）
+    const placed = floorRoomsAt(layout, currentFloorId);
+    const lastRow = placed.reduce((max, room) => Math.max(max, layout.positions[room.room_id].y), -1);
+    const rowCount = Math.min(layout.grid.rows, Math.max(editing ? lastRow + 2 : lastRow + 1, 1));
+    const cells = [];
+    for (let y = 0; y < rowCount; y++) {
+        for (let x = 0; x < layout.grid.columns; x++) {
+            const room = placed.find(r => layout.positions[r.room_id].x === x && layout.positions[r.room_id].y === y);
+            cells.push(`
+                <div class="floor-cell ${room ? '' : 'empty'}" data-x="${x}" data-y="${y}">
+                    ${room ? floorTileHtml(room, editing) : ''}
+                </div>
+            `);
+        }
+    }
+    grid.style.gridTemplateColumns = `repeat(${layout.grid.columns}, minmax(0, 1fr))`;
+    grid.classList.toggle('editing', editing);
+    grid.innerHTML = cells.join('') || `<p class="history-empty">${t('floor.no_floors')}</p>`;
+
+    // 未配置の部屋（表示中は使用中の部屋のみ）
+    const unplaced = rooms.filter(r => !layout.positions[r.room_id] && (editing || isInService(r)));
+    tray.classList.toggle('editing', editing);
+    tray.innerHTML = unplaced.length > 0 || editing
+        ? `<h3 class="floor-tray-title">${t('floor.unplaced')}</h3>
+           <div class="floor-tray-rooms">${unplaced.map(room => floorTileHtml(room, editing)).join('') || `<span class="board-empty">${t('common.none')}</span>`}</div>`
+        : '';
+
+    if (editing) {
+        attachFloorEditHandlers();
+        return;
+    }
+    document.querySelectorAll('#floorView .floor-tile').forEach(tile => {
+        tile.addEventListener('click', () => tapFloorTile(tile.dataset.roomId));
+        attachLongPress(tile, () => editNote(tile.dataset.roomId));
+    });
+}
+
+function selectFloor(floorId) {
+    currentFloorId = floorId;
+    renderFloorView();
+}
+
+// 表示中のタップ: 使用中の部屋はステータスを進める
+function tapFloorTile(roomId) {
+    const room = rooms.find(r => r.room_id === roomId);
+    if (!room) return;
+    if (!isInService(room)) {
+        showToast(t(room.out_of_order ? 'import.reason.out_of_order' : 'floor.room_not_in_use'), 'info');
+        return;
+    }
+    toggleOut(roomId);
+}
+
+// ===== 見取り図の編集 =====
+function startFloorEdit() {
+    if (!checkAuth(CAPABILITIES.MANAGE_ROOMS) || !floorPlan) return;
+    floorDraft = {
+        ...floorPlan,
+        floors: floorPlan.floors.map(f => ({ ...f })),
+        positions: JSON.parse(JSON.stringify(floorPlan.positions))
+    };
+    floorPicked = null;
+    renderFloorView();
+}
+
+function cancelFloorEdit() {
+    floorDraft = null;
+    floorPicked = null;
+    renderFloorView();
+}
+
+function attachFloorEditHandlers() {
+    const view = document.getElementById('floorView');
+
+    view.querySelectorAll('.floor-tile').forEach(tile => {
+        tile.addEventListener('click', e => {
+            e.stopPropagation();
+            const roomId = tile.dataset.roomId;
+            // 選択中の部屋があれば、その部屋をこの部屋の位置へ（入れ替え）
+            const cell = tile.closest('.floor-cell');
+            if (floorPicked && floorPicked !== roomId && cell) {
+                placeFloorRoom(floorPicked, Number(cell.dataset.x), Number(cell.dataset.y));
+                return;
+            }
+            floorPicked = floorPicked === roomId ? null : roomId;
+            renderFloorView();
+        });
+        tile.addEventListener('dragstart', e => {
+            e.dataTransfer.setData('text/plain', tile.dataset.roomId);
+        });
+    });
+
+    const dropTargets = [...view.querySelectorAll('.floor-cell'), document.getElementById('floorTray')];
+    dropTargets.forEach(target => {
+        const drop = roomId => {
+            if (target.dataset.x === undefined) {
+                unplaceFloorRoom(roomId);
+            } else {
+                placeFloorRoom(roomId, Number(target.dataset.x), Number(target.dataset.y));
+            }
+        };
+        target.addEventListener('click', () => {
+            if (floorPicked) drop(floorPicked);
+        });
+        target.addEventListener('dragover', e => {
+            e.preventDefault();
+            target.classList.add('drag-over');
+        });
+        target.addEventListener('dragleave', () => target.classList.remove('drag-over'));
+        target.addEventListener('drop', e => {
+            e.preventDefault();
+            target.classList.remove('drag-over');
+            const roomId = e.dataTransfer.getData('text/plain');
+            if (roomId) drop(roomId);
+        });
+    });
+}
+
+// 部屋を表示中のフロアの (x, y) に置く。置き先に部屋があれば、動かした部屋の元の位置と入れ替える
+function placeFloorRoom(roomId, x, y) {
+    const positions = floorDraft.positions;
+    const previous = positions[roomId];
+    const occupant = Object.keys(positions).find(id =>
+        id !== roomId && positions[id].floor_id === currentFloorId && positions[id].x === x && positions[id].y === y
+    );
+
+    positions[roomId] = { floor_id: currentFloorId, x, y };
+    if (occupant) {
+        if (previous) {
+            positions[occupant] = previous;
+        } else {
+            delete positions[occupant];
+        }
+    }
+    floorPicked = null;
+    renderFloorView();
+}
+
+function unplaceFloorRoom(roomId) {
+    delete floorDraft.positions[roomId];
+    floorPicked = null;
+    renderFloorView();
+}
+
+function addFloor() {
+    const name = prompt(t('prompt.new_floor_name'));
+    if (!name || !name.trim()) return;
+    const floorId = 'floor-' + Date.now().toString(36);
+    floorDraft.floors.push({ floor_id: floorId, name: name.trim() });
+    currentFloorId = floorId;
+    renderFloorView();
+}
+
+function renameFloor() {
+    const floor = floorDraft.floors.find(f => f.floor_id === currentFloorId);
+    if (!floor) return;
+    const name = prompt(t('prompt.floor_name'), floor.name);
+    if (!name || !name.trim()) return;
+    floor.name = name.trim();
+    renderFloorView();
+}
+
+// フロアを削除する（置いていた部屋は未配置に戻す）
+function deleteFloor() {
+    const floor = floorDraft.floors.find(f => f.floor_id === currentFloorId);
+    if (!floor) return;
+    if (floorDraft.floors.length === 1) {
+        showToast(t('toast.keep_one_floor'), 'error');
+        return;
+    }
+    if (!confirm(t('confirm.delete_floor', { floor: floor.name }))) return;
+
+    floorDraft.floors = floorDraft.floors.filter(f => f !== floor);
+    Object.keys(floorDraft.positions).forEach(roomId => {
+        if (floorDraft.positions[roomId].floor_id === floor.floor_id) delete floorDraft.positions[roomId];
+    });
+    renderFloorView();
+}
+
+async function saveFloorPlan() {
+    if (!checkAuth(CAPABILITIES.MANAGE_ROOMS) || !floorDraft) return;
+
+    // 廃止された部屋の配置は送らない
+    const positions = {};
+    Object.keys(floorDraft.positions).forEach(roomId => {
+        if (rooms.some(r => r.room_id === roomId)) positions[roomId] = floorDraft.positions[roomId];
+    });
+
+    try {
+        const response = await fetch('/api/floor-plan', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ floors: floorDraft.floors, positions })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || t('error.floor_plan_save_failed'));
+
+        floorPlan = data;
+        floorDraft = null;
+        floorPicked = null;
+        renderFloorView();
+        showToast(t('toast.floor_plan_saved'), 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// 他の端末での保存（編集中の内容は上書きしない）
+function applyFloorPlanEvent(plan) {
+    floorPlan = plan;
+    if (currentMode === 'floor' && !floorDraft) renderFloorView();
+}
+
+// ===== ダウンロード（CSV / Excel） =====
+// 過去の営業日を表示中はその日、それ以外は当日のシートを出力する
+function exportTargetDate() {
+    return currentMode === 'days' && currentDayArchive ? currentDayArchive.business_date : null;
+}
+
+function openExport() {
+    const date = exportTargetDate();
+    document.getElementById('exportMessage').textContent = date
+        ? t('export.message_date', { date: formatBusinessDate(date) })
+        : t('export.message_today');
+    document.getElementById('exportOverlay').classList.add('active');
+}
+
+function closeExport() {
+    document.getElementById('exportOverlay').classList.remove('active');
+}
+
+function downloadExport(format) {
+    const params = new URLSearchParams({ format });
+    const date = exportTargetDate();
+    if (date) params.set('date', date);
+
+    const link = document.createElement('a');
+    link.href = `/api/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    closeExport();
+}
+
 // ===== リセット機能 =====
 function confirmReset() {
+    if (!checkAuth(CAPABILITIES.RESET)) return;
     document.getElementById('modalOverlay').classList.add('active');
 }
 
@@ -438,21 +3152,24 @@ function closeModal() {
 }
 
 async function executeReset() {
-    if (!checkAuth()) return;
+    if (!checkAuth(CAPABILITIES.RESET)) return;
 
+    const keepSelection = document.getElementById('resetKeepSelection').checked;
     closeModal();
 
     try {
         const response = await fetch('/api/reset', {
-            method: 'POST'
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keep_selection: keepSelection })
         });
 
         if (!response.ok) throw new Error('リセット失敗');
 
-        showToast('全ステータスをリセットしました', 'success');
+        showToast(t('message.reset_done'), 'success');
     } catch (error) {
         console.error('Error resetting:', error);
-        showToast('リセットに失敗しました', 'error');
+        showToast(t('error.reset_failed'), 'error');
     }
 }
 
@@ -463,7 +3180,7 @@ function showLoading() {
         selectionList.innerHTML = `
       <div class="loading">
         <div class="loading-spinner"></div>
-        <span class="loading-text">読み込み中...</span>
+        <span class="loading-text">${t('common.loading')}</span>
       </div>
     `;
     }
@@ -485,6 +3202,55 @@ window.switchToSelection = switchToSelection;
 window.selectAll = selectAll;
 window.selectNone = selectNone;
 window.confirmSelection = confirmSelection;
+window.chooseImportFile = chooseImportFile;
+window.previewImport = previewImport;
+window.closeImport = closeImport;
+window.executeImport = executeImport;
 window.toggleOut = toggleOut;
+window.markFloorOut = markFloorOut;
+window.setRoomStatus = setRoomStatus;
+window.assignSelectedRooms = assignSelectedRooms;
+window.switchToMaster = switchToMaster;
+window.switchToDays = switchToDays;
+window.switchToLost = switchToLost;
+window.switchToStats = switchToStats;
+window.fetchStatistics = fetchStatistics;
+window.switchToFloor = switchToFloor;
+window.selectFloor = selectFloor;
+window.startFloorEdit = startFloorEdit;
+window.cancelFloorEdit = cancelFloorEdit;
+window.addFloor = addFloor;
+window.renameFloor = renameFloor;
+window.deleteFloor = deleteFloor;
+window.saveFloorPlan = saveFloorPlan;
+window.renderLostItems = renderLostItems;
+window.reportFoundItem = reportFoundItem;
+window.editLostItemLocation = editLostItemLocation;
+window.setLostItemStatus = setLostItemStatus;
+window.createShareLink = createShareLink;
+window.revokeShareLink = revokeShareLink;
+window.createWebhook = createWebhook;
+window.setWebhookActive = setWebhookActive;
+window.deleteWebhook = deleteWebhook;
+window.pingWebhook = pingWebhook;
+window.toggleWebhookLog = toggleWebhookLog;
+window.showWebhookDelivery = showWebhookDelivery;
+window.redeliverWebhook = redeliverWebhook;
+window.showDay = showDay;
+window.renderDayArchive = renderDayArchive;
+window.openExport = openExport;
+window.closeExport = closeExport;
+window.downloadExport = downloadExport;
+window.addCategory = addCategory;
+window.rebalanceAssignments = rebalanceAssignments;
 window.editNote = editNote;
+window.extendCheckout = extendCheckout;
 window.confirmReset = confirmReset;
+window.logout = logout;
+window.switchProperty = switchProperty;
+window.closeHistory = closeHistory;
+window.markOutOfOrder = markOutOfOrder;
+window.clearOutOfOrder = clearOutOfOrder;
+window.addRepairTicket = addRepairTicket;
+window.setTicketStatus = setTicketStatus;
+window.changeLocale = changeLocale;
@@ -0,0 +1,101 @@
+// ===== 多言語対応（日本語・英語・ベトナム語・中国語） =====
+// 文言は /locales/<言語>.json（サーバーの lib/i18n.js と共有）から読み込む
+// 言語の優先順位: スタッフの設定 > この端末で選んだ言語 > ブラウザの言語 > 日本語
+// HTML の文言は data-i18n（本文）・data-i18n-title・data-i18n-placeholder 属性のキーで差し替える
+
+const LOCALE_NAMES = {
+    ja: '日本語',
+    en: 'English',
+    vi: 'Tiếng Việt',
+    zh: '中文'
+};
+const DEFAULT_LOCALE = 'ja';
+const LOCALE_STORAGE_KEY = 'locale';
+
+let currentLocale = DEFAULT_LOCALE;
+const localeCatalogs = {};
+const localeListeners = [];
+
+// 'en-US' → 'en'。対応していない言語は null
+function normalizeLocale(value) {
+    if (typeof value !== 'string') return null;
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALE_NAMES[language] ? language : null;
+}
+
+// この端末の言語（選んだことがなければブラウザの言語）
+function deviceLocale() {
+    const saved = normalizeLocale(localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (saved) return saved;
+    const browser = (navigator.languages || [navigator.language]).map(normalizeLocale).find(Boolean);
+    return browser || DEFAULT_LOCALE;
+}
+
+async function loadCatalog(locale) {
+    if (localeCatalogs[locale]) return localeCatalogs[locale];
+    const response = await fetch(`/locales/${locale}.json`);
+    if (!response.ok) throw new Error('catalog fetch failed: ' + response.status);
+    localeCatalogs[locale] = await response.json();
+    return localeCatalogs[locale];
+}
+
+// 文言を取り出し、{name} を params で置き換える（見つからなければ日本語、それもなければキー）
+function t(key, params = {}) {
+    const catalog = localeCatalogs[currentLocale] || {};
+    const fallback = localeCatalogs[DEFAULT_LOCALE] || {};
+    const template = catalog[key] !== undefined ? catalog[key] : (fallback[key] !== undefined ? fallback[key] : key);
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// data-i18n 属性の付いた要素の文言を差し替える
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    document.documentElement.lang = currentLocale;
+    if (document.body && document.body.dataset.i18nDocumentTitle) {
+        document.title = t(document.body.dataset.i18nDocumentTitle);
+    }
+}
+
+// 言語を切り替える（再読み込みせずに画面の文言を差し替え、登録された描画処理を呼ぶ）
+// サーバーのエラーメッセージも同じ言語で返るよう、クッキーにも保存する
+async function setLocale(locale) {
+    const next = normalizeLocale(locale) || DEFAULT_LOCALE;
+    try {
+        await Promise.all([loadCatalog(DEFAULT_LOCALE), loadCatalog(next)]);
+        currentLocale = next;
+    } catch (error) {
+        console.error('Error loading locale:', error);
+        if (!localeCatalogs[currentLocale]) return;
+    }
+    document.cookie = `locale=${currentLocale}; Path=/; Max-Age=${60 * 60 * 24 * 365}; SameSite=Lax`;
+    applyTranslations();
+    document.querySelectorAll('.locale-select').forEach(select => { select.value = currentLocale; });
+    localeListeners.forEach(listener => listener(currentLocale));
+}
+
+// この端末の言語として保存してから切り替える
+function setDeviceLocale(locale) {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    return setLocale(locale);
+}
+
+function onLocaleChange(listener) {
+    localeListeners.push(listener);
+}
+
+// 言語の選択肢（<select class="locale-select">）を作る
+function renderLocaleOptions() {
+    document.querySelectorAll('.locale-select').forEach(select => {
+        select.innerHTML = Object.entries(LOCALE_NAMES)
+            .map(([locale, name]) => `<option value="${locale}">${name}</option>`)
+            .join('');
+        select.value = currentLocale;
+    });
+}
+
+function initI18n(locale = deviceLocale()) {
+    renderLocaleOptions();
+    return setLocale(locale);
+}
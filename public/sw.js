@@ -0,0 +1,74 @@
+// ===== Service Worker =====
+// アプリの画面一式をキャッシュし、電波の届かない場所でも前回の状態で起動できるようにする
+// 更新系のリクエストはキャッシュせず、オフライン時の操作は app.js の送信待ちキューで扱う
+
+const CACHE_NAME = 'hotel-rooms-v1';
+const SHELL_FILES = [
+    '/index.html', '/app.js', '/i18n.js', '/styles.css', '/manifest.json', '/icon.svg', '/login.html',
+    '/locales/ja.json', '/locales/en.json', '/locales/vi.json', '/locales/zh.json'
+];
+
+// キャッシュ対象のAPI（オフライン時は最後に取得した内容を返す）
+const CACHED_API_PATHS = ['/api/me', '/api/rooms', '/api/categories', '/api/assignments'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // 未ログインでログイン画面にリダイレクトされた応答はキャッシュしない
+        await Promise.all(SHELL_FILES.map(async url => {
+            try {
+                const response = await fetch(url, { credentials: 'same-origin' });
+                if (response.ok && !response.redirected) await cache.put(url, response);
+            } catch (e) {
+                console.warn('precache failed', url, e);
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// ネットワーク優先、失敗したらキャッシュ
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok && !response.redirected) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: !request.url.includes('/api/') })
+            || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        if (CACHED_API_PATHS.includes(url.pathname)) {
+            event.respondWith(networkFirst(request));
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, '/index.html'));
+        return;
+    }
+
+    event.respondWith(networkFirst(request));
+});
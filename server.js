@@ -1,182 +1,2078 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const db = require('./database/db');
+const auth = require('./lib/auth');
+const permissions = require('./lib/permissions');
+const i18n = require('./lib/i18n');
+const { sendError } = i18n;
+const { CAPABILITIES, requireCapability } = permissions;
+const roomStatus = require('./lib/roomStatus');
+const assignments = require('./lib/assignments');
+const {
+    toBusinessDate, isValidBusinessDate, parseTimeOfDay, businessDateTimeToDate, BUSINESS_TIME_ZONE, DAILY_RESET_TIME
+} = require('./lib/businessDay');
+const { startDailyResetScheduler } = require('./lib/dailyReset');
+const shareLinks = require('./lib/shareLinks');
+const properties = require('./lib/properties');
+const repairTickets = require('./lib/repairTickets');
+const lostItems = require('./lib/lostItems');
+const departureImport = require('./lib/departureImport');
+const overdue = require('./lib/overdue');
+const statistics = require('./lib/statistics');
+const webhooks = require('./lib/webhooks');
+const floorPlan = require('./lib/floorPlan');
+const { createLoginThrottle } = require('./lib/loginThrottle');
+const dailySheet = require('./lib/dailySheet');
+const { buildXlsx } = require('./lib/xlsx');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// セキュアなアプリケーションID（サーバー起動時に生成）
-const APP_SECRET = process.env.APP_SECRET || uuidv4();
+// プロキシ経由の接続では、クライアントの IP アドレス（req.ip。ログイン試行の制限に使う）を X-Forwarded-For から求める
+// 既定: Vercel ではそのプロキシを、それ以外では同じ PC からの中継（localtunnel）を信頼する
+// 環境変数 TRUST_PROXY で変更できる（Express の trust proxy の値。例: "1"、"10.0.0.0/8"、"false"）
+function parseTrustProxy(value) {
+    if (value === undefined || value === '') return process.env.VERCEL ? true : 'loopback';
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// セッションの署名鍵
+// 環境変数 APP_SECRET で指定する。未設定の場合は初回起動時に生成してデータベースに保存し、以後はその鍵を使う
+// （再起動・複数インスタンスでもログイン状態が保たれる。JSON DB は各 PC のファイルに保存するため、
+//   Vercel などファイルを共有しない環境では APP_SECRET を設定すること）
+let APP_SECRET = process.env.APP_SECRET || null;
+const appSecretReady = APP_SECRET
+    ? Promise.resolve()
+    : db.ensureSetting('app_secret', crypto.randomBytes(32).toString('hex')).then(secret => { APP_SECRET = secret; });
+appSecretReady.catch(err => console.error('APP_SECRET の読み込みに失敗しました:', err));
+
+// SSE クライアント管理
+const sseClients = new Set();
+
+// SSE イベント履歴（再接続時の再送用）
+// イベントIDは「起動ID:連番」。起動IDが違えばサーバー再起動後なので全件再取得させる
+const SSE_BOOT_ID = Date.now().toString(36);
+const SSE_BUFFER_SIZE = 500;
+const SSE_HEARTBEAT_MS = 25000;
+const sseBuffer = [];
+let sseSequence = 0;
+
+// ミドルウェア
+app.use(express.json());
+
+// セッションの署名鍵を読み込むまで待たせる
+app.use((req, res, next) => {
+    appSecretReady.then(() => next(), next);
+});
+
+// セッション設定
+const SESSION_COOKIE = 'auth_token';
+const SESSION_TTL = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 60 * 60 * 12; // 既定: 12時間
+
+// 共有リンクで開いた画面のクッキー（値は共有リンクのシークレット）
+const SHARE_COOKIE = 'share_token';
+const SHARE_PATH_PREFIX = '/app/v1/hotel-ops/share/';
+
+// 共有リンクのクッキーを検証し、有効なリンクを返す
+async function findShareLink(cookies) {
+    const secret = cookies[SHARE_COOKIE];
+    if (!secret) return null;
+    const link = await db.getShareLinkByHash(shareLinks.hashSecret(secret));
+    return shareLinks.isActive(link) ? link : null;
+}
+
+// 認証ミドルウェア
+app.use(async (req, res, next) => {
+    // 認証対象外のパス
+    const publicPaths = ['/login.html', '/styles.css', '/i18n.js', '/api/login', '/api/logout', '/manifest.json', '/robots.txt', '/sw.js', '/icon.svg'];
+    if (publicPaths.includes(req.path) || req.path.startsWith('/app/v1') || req.path.startsWith('/locales/')) {
+        return next();
+    }
+
+    try {
+        // クッキーの署名付きトークンを検証
+        const cookies = auth.parseCookies(req.headers.cookie);
+        const payload = auth.verifySessionToken(cookies[SESSION_COOKIE], APP_SECRET);
+
+        if (payload) {
+            const user = await db.getUser(payload.uid);
+            // 無効化・PINリセット済みのスタッフのセッションは拒否
+            // 選択中の施設を利用できなくなった場合は、利用できる施設に切り替える
+            const propertyId = user && properties.resolvePropertyId(user, payload.pid, await db.getAllProperties());
+            if (user && !user.is_disabled && (user.session_version || 0) === payload.sv && propertyId) {
+                req.user = user;
+                req.userRole = user.role; // リクエストに役割を付与
+                req.propertyId = propertyId;
+                return next();
+            }
+        }
+
+        // 共有リンクで開いた画面: 画面の表示と、共有範囲の閲覧APIのみ許可
+        const link = await findShareLink(cookies);
+        if (link) {
+            if (req.path.startsWith('/api/') && !shareLinks.isAllowedRequest(req.method, req.path)) {
+                return sendError(res, 403, 'share_forbidden');
+            }
+            req.share = link;
+            req.userRole = null; // 権限なし（閲覧のみ）
+            req.propertyId = link.property_id;
+            return next();
+        }
+
+        // 認証失敗時の処理
+        if (req.path.startsWith('/api/')) {
+            return sendError(res, 401, 'auth_required');
+        }
+        res.redirect('/login.html');
+    } catch (error) {
+        // 非同期のミドルウェアの例外は Express が受け取らないため、ここで応答する
+        console.error('Error verifying session:', error);
+        if (!res.headersSent) sendError(res, 500, 'auth_check_failed');
+    }
+});
+
+app.use(express.static(path.join(__dirname, 'public')));
+
+// SSE ブロードキャスト関数
+function formatSSE(event) {
+    return `id: ${SSE_BOOT_ID}:${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+// イベントは施設ごとのチャンネルに流す（別の施設を開いているクライアントには送らない）
+function broadcast(propertyId, eventType, data) {
+    const event = { seq: ++sseSequence, propertyId, type: eventType, data };
+    sseBuffer.push(event);
+    if (sseBuffer.length > SSE_BUFFER_SIZE) sseBuffer.shift();
+
+    const message = formatSSE(event);
+    sseClients.forEach(client => {
+        if (client.propertyId !== propertyId || closeExpiredShareClient(client)) return;
+        client.write(client.shareLink ? formatSharedSSE(client.shareLink, event) : message);
+    });
+
+    dispatchWebhooks(propertyId, eventType, data);
+}
+
+// 有効期限を過ぎた共有リンクの接続を切断する（切断した場合は true）
+// 失効させた場合は DELETE /api/share-links/:linkId で切断する
+function closeExpiredShareClient(client) {
+    if (!client.shareLink || shareLinks.isActive(client.shareLink)) return false;
+    sseClients.delete(client);
+    client.end();
+    return true;
+}
+
+// 共有リンクの接続には共有範囲の部屋のみ送る（範囲外のイベントは id のみのコメントにする）
+function formatSharedSSE(link, event) {
+    const data = shareLinks.isSharedEvent(event.type) ? shareLinks.filterEventData(link, event.data) : null;
+    if (data === null) return `: ${SSE_BOOT_ID}:${event.seq}\n\n`;
+    return formatSSE({ ...event, data });
+}
+
+// Last-Event-ID 以降のイベントを返す（再送できない場合は null）
+// 他の施設のイベントは除く
+function getMissedEvents(lastEventId, propertyId) {
+    const [bootId, seqText] = String(lastEventId).split(':');
+    const seq = parseInt(seqText, 10);
+    if (bootId !== SSE_BOOT_ID || isNaN(seq) || seq > sseSequence) return null;
+    if (seq === sseSequence) return [];
+
+    // バッファから溢れたイベントがある場合は再送不可
+    if (sseBuffer.length === 0 || sseBuffer[0].seq > seq + 1) return null;
+    return sseBuffer.filter(e => e.seq > seq && e.propertyId === propertyId);
+}
+
+// 接続維持用のハートビート（プロキシのタイムアウト防止・クライアントの切断検知用）
+// 更新がなくても、期限切れの共有リンクの接続はここで切断される
+setInterval(() => {
+    const message = `event: heartbeat\ndata: {"time":"${new Date().toISOString()}"}\n\n`;
+    sseClients.forEach(client => {
+        if (closeExpiredShareClient(client)) return;
+        client.write(message);
+    });
+}, SSE_HEARTBEAT_MS).unref();
+
+// ===== API エンドポイント =====
+
+// セッションクッキーを発行（選択中の施設も含める）
+function setSessionCookie(res, user, propertyId) {
+    const token = auth.createSessionToken(user, APP_SECRET, SESSION_TTL, propertyId);
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/; Max-Age=${SESSION_TTL}; HttpOnly; SameSite=Lax`);
+}
+
+// スタッフが1人もいない場合、初期管理者を作成する
+// PIN は INITIAL_ADMIN_PIN。未設定の場合、開発環境（NODE_ENV=development）では 1126、
+// それ以外では推測されにくいランダムな PIN を生成してログに出す
+async function ensureInitialAdmin() {
+    const users = await db.getAllUsers();
+    if (users.length > 0) return;
+
+    const name = process.env.INITIAL_ADMIN_NAME || '管理者';
+    const generated = !process.env.INITIAL_ADMIN_PIN && process.env.NODE_ENV !== 'development';
+    const pin = process.env.INITIAL_ADMIN_PIN || (generated ? auth.generatePin() : '1126');
+    await db.createUser({ user_id: uuidv4(), name, pin_hash: auth.hashPin(pin), role: 'admin' });
+    console.warn(generated
+        ? `初期管理者「${name}」を作成しました。PIN: ${pin}（ログイン後にPINを変更してください）`
+        : `初期管理者「${name}」を作成しました。ログイン後にPINを変更してください。`);
+}
+
+// 失敗が続いた IP アドレス・スタッフ名からのログインを一定時間拒否する（lib/loginThrottle.js）
+const loginThrottle = createLoginThrottle();
+
+// ログインAPI
+app.post('/api/login', async (req, res) => {
+    const { name, pin } = req.body;
+
+    const retryAfter = loginThrottle.retryAfter(req.ip, name);
+    if (retryAfter > 0) {
+        res.setHeader('Retry-After', String(retryAfter));
+        return sendError(res, 429, 'too_many_login_attempts', { minutes: Math.ceil(retryAfter / 60) });
+    }
+
+    try {
+        await ensureInitialAdmin();
+
+        const user = typeof name === 'string' ? await db.getUserByName(name.trim()) : null;
+        if (!user || user.is_disabled || !auth.verifyPin(pin || '', user.pin_hash)) {
+            loginThrottle.recordFailure(req.ip, name);
+            return sendError(res, 401, 'invalid_credentials');
+        }
+        loginThrottle.recordSuccess(req.ip, name);
+        const propertyId = properties.resolvePropertyId(user, null, await db.getAllProperties());
+        if (!propertyId) {
+            return sendError(res, 403, 'no_accessible_property');
+        }
+
+        setSessionCookie(res, user, propertyId);
+        res.json({ success: true, user: auth.toPublicUser(user) });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        sendError(res, 500, 'login_failed');
+    }
+});
+
+// ログアウトAPI
+app.post('/api/logout', (req, res) => {
+    res.setHeader('Set-Cookie', [
+        `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`,
+        `${SHARE_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`
+    ]);
+    res.json({ success: true });
+});
+
+// ログイン中のスタッフ情報（選択中の施設と、切り替え可能な施設を含む）
+app.get('/api/me', async (req, res) => {
+    try {
+        const allProperties = await db.getAllProperties();
+        const property = allProperties.find(p => p.property_id === req.propertyId) || null;
+        if (req.share) {
+            // 共有リンクは閲覧専用の利用者として返す
+            return res.json({
+                user_id: null,
+                name: req.share.label,
+                role: null,
+                capabilities: [],
+                share: shareLinks.toViewerShareLink(req.share),
+                property,
+                properties: property ? [property] : []
+            });
+        }
+        res.json({
+            ...auth.toPublicUser(req.user),
+            property,
+            properties: properties.accessibleProperties(req.user, allProperties)
+        });
+    } catch (error) {
+        console.error('Error fetching current user:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// ログイン中のスタッフの設定（表示言語）。locale: null で端末の設定に従う
+app.patch('/api/me', async (req, res) => {
+    const locale = req.body && req.body.locale;
+    if (locale !== null && !i18n.LOCALES.includes(locale)) {
+        return sendError(res, 400, 'invalid_locale');
+    }
+
+    try {
+        const user = await db.updateUser(req.user.user_id, { locale });
+        res.json(auth.toPublicUser(user));
+    } catch (error) {
+        console.error('Error updating current user:', error);
+        sendError(res, 500, 'update_failed');
+    }
+});
+
+// ===== 施設 =====
+
+// 利用できる施設一覧
+app.get('/api/properties', async (req, res) => {
+    try {
+        res.json(properties.accessibleProperties(req.user, await db.getAllProperties()));
+    } catch (error) {
+        console.error('Error fetching properties:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 施設追加 { property_id, name }
+app.post('/api/properties', requireCapability(CAPABILITIES.MANAGE_PROPERTIES), async (req, res) => {
+    const body = req.body || {};
+    const propertyId = typeof body.property_id === 'string' ? body.property_id.trim() : '';
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+
+    if (!properties.isValidPropertyId(propertyId)) {
+        return sendError(res, 400, 'invalid_property_id');
+    }
+    if (!name) {
+        return sendError(res, 400, 'property_name_required');
+    }
+
+    try {
+        const allProperties = await db.getAllProperties();
+        if (allProperties.some(p => p.property_id === propertyId)) {
+            return sendError(res, 409, 'property_exists');
+        }
+
+        const lastOrder = allProperties.length > 0 ? Math.max(...allProperties.map(p => p.display_order)) : 0;
+        const property = await db.createProperty({ property_id: propertyId, name, display_order: lastOrder + 10 });
+        scheduleAutoReset(property.property_id);
+        res.status(201).json(property);
+    } catch (error) {
+        console.error('Error creating property:', error);
+        sendError(res, 500, 'create_failed');
+    }
+});
+
+// 施設の切り替え { property_id }（セッションを選択した施設で発行し直す）
+app.post('/api/session/property', async (req, res) => {
+    const propertyId = req.body && req.body.property_id;
+
+    try {
+        const allProperties = await db.getAllProperties();
+        if (!allProperties.some(p => p.property_id === propertyId)) {
+            return sendError(res, 404, 'property_not_found');
+        }
+        if (!properties.canAccessProperty(req.user, propertyId)) {
+            return sendError(res, 403, 'property_forbidden');
+        }
+
+        setSessionCookie(res, req.user, propertyId);
+        res.json({ success: true, property_id: propertyId });
+    } catch (error) {
+        console.error('Error switching property:', error);
+        sendError(res, 500, 'switch_failed');
+    }
+});
+
+// 役割と権限の一覧
+app.get('/api/roles', (req, res) => {
+    res.json(permissions.ROLES.map(role => ({
+        role,
+        label: permissions.ROLE_LABELS[role],
+        capabilities: permissions.getCapabilities(role)
+    })));
+});
+
+// ===== スタッフ管理（管理者用） =====
+
+// スタッフ一覧
+app.get('/api/users', requireCapability(CAPABILITIES.MANAGE_USERS), async (req, res) => {
+    try {
+        const users = await db.getAllUsers();
+        res.json(users.map(auth.toPublicUser));
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// スタッフに割り当てられる施設か（空は全施設。自分が利用できない施設は割り当てられない）
+async function isGrantableProperties(actor, propertyIds) {
+    if (!Array.isArray(propertyIds)) return false;
+    if (propertyIds.length === 0) return (actor.property_ids || []).length === 0;
+
+    const allProperties = await db.getAllProperties();
+    return propertyIds.every(id =>
+        allProperties.some(p => p.property_id === id) && properties.canAccessProperty(actor, id)
+    );
+}
+
+// スタッフ登録
+app.post('/api/users', requireCapability(CAPABILITIES.MANAGE_USERS), async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    // property_ids を省略した場合は登録するスタッフと同じ施設
+    const { pin, role = 'viewer', property_ids: propertyIds = req.user.property_ids || [] } = req.body;
+
+    if (!name) {
+        return sendError(res, 400, 'name_required');
+    }
+    if (!auth.isValidPin(pin)) {
+        return sendError(res, 400, 'invalid_pin');
+    }
+    if (!permissions.ROLES.includes(role)) {
+        return sendError(res, 400, 'invalid_role');
+    }
+
+    try {
+        if (!(await isGrantableProperties(req.user, propertyIds))) {
+            return sendError(res, 400, 'invalid_properties');
+        }
+        if (await db.getUserByName(name)) {
+            return sendError(res, 409, 'user_exists');
+        }
+
+        const user = await db.createUser({
+            user_id: uuidv4(), name, pin_hash: auth.hashPin(pin), role, property_ids: [...new Set(propertyIds)]
+        });
+        res.status(201).json(auth.toPublicUser(user));
+    } catch (error) {
+        console.error('Error creating user:', error);
+        sendError(res, 500, 'create_failed');
+    }
+});
+
+// スタッフ更新（名前・役割・無効化・利用できる施設）
+app.patch('/api/users/:userId', requireCapability(CAPABILITIES.MANAGE_USERS), async (req, res) => {
+    try {
+        const user = await db.getUser(req.params.userId);
+        if (!user) {
+            return sendError(res, 404, 'user_not_found');
+        }
+
+        const updates = {};
+        if (req.body.name !== undefined) {
+            const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+            if (!name) {
+                return sendError(res, 400, 'name_required');
+            }
+            const existing = await db.getUserByName(name);
+            if (existing && existing.user_id !== user.user_id) {
+                return sendError(res, 409, 'user_exists');
+            }
+            updates.name = name;
+        }
+        if (req.body.role !== undefined) {
+            if (!permissions.ROLES.includes(req.body.role)) {
+                return sendError(res, 400, 'invalid_role');
+            }
+            updates.role = req.body.role;
+        }
+        if (req.body.is_disabled !== undefined) {
+            updates.is_disabled = req.body.is_disabled ? 1 : 0;
+        }
+        if (req.body.property_ids !== undefined) {
+            const propertyIds = req.body.property_ids;
+            if (!(await isGrantableProperties(req.user, propertyIds))) {
+                return sendError(res, 400, 'invalid_properties');
+            }
+            updates.property_ids = [...new Set(propertyIds)];
+        }
+
+        // 自分自身のスタッフ管理権限は外せない（締め出し防止）
+        const losesAdmin = updates.role && !permissions.hasCapability(updates.role, CAPABILITIES.MANAGE_USERS);
+        if (user.user_id === req.user.user_id && (updates.is_disabled || losesAdmin)) {
+            return sendError(res, 400, 'cannot_demote_self');
+        }
+
+        // 無効化・役割変更・施設の制限時は既存セッションを失効させる
+        if (updates.is_disabled || (updates.role && updates.role !== user.role) || updates.property_ids) {
+            updates.session_version = (user.session_version || 0) + 1;
+        }
+
+        const updatedUser = Object.keys(updates).length > 0
+            ? await db.updateUser(user.user_id, updates)
+            : user;
+
+        // 自分の施設を変更した場合はセッションを再発行
+        if (user.user_id === req.user.user_id && updates.session_version) {
+            setSessionCookie(res, updatedUser, properties.resolvePropertyId(updatedUser, req.propertyId, await db.getAllProperties()));
+        }
+        res.json(auth.toPublicUser(updatedUser));
+    } catch (error) {
+        console.error('Error updating user:', error);
+        sendError(res, 500, 'update_failed');
+    }
+});
+
+// PINリセット
+app.post('/api/users/:userId/reset-pin', requireCapability(CAPABILITIES.MANAGE_USERS), async (req, res) => {
+    const { pin } = req.body;
+    if (!auth.isValidPin(pin)) {
+        return sendError(res, 400, 'invalid_pin');
+    }
+
+    try {
+        const user = await db.getUser(req.params.userId);
+        if (!user) {
+            return sendError(res, 404, 'user_not_found');
+        }
+
+        const updatedUser = await db.updateUser(user.user_id, {
+            pin_hash: auth.hashPin(pin),
+            session_version: (user.session_version || 0) + 1
+        });
+
+        // 自分のPINを変更した場合はセッションを再発行
+        if (user.user_id === req.user.user_id) {
+            setSessionCookie(res, updatedUser, req.propertyId);
+        }
+
+        res.json(auth.toPublicUser(updatedUser));
+    } catch (error) {
+        console.error('Error resetting PIN:', error);
+        sendError(res, 500, 'pin_reset_failed');
+    }
+});
+
+// SSE エンドポイント（リアルタイム同期）
+// 再接続時は Last-Event-ID ヘッダー（クライアントが接続し直す場合は ?lastEventId=）以降のイベントを再送する
+app.get('/api/events', (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    // 取りこぼしたイベントを再送できるか
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    const missed = lastEventId ? getMissedEvents(lastEventId, req.propertyId) : null;
+
+    // 接続確認（切断時の再接続間隔も指示）
+    // 再送できない場合は resumed: false を返し、クライアントに全件を再取得させる
+    res.write('retry: 3000\n');
+    if (missed) {
+        res.write('event: connected\ndata: {"status":"ok","resumed":true}\n\n');
+        missed.forEach(event => res.write(req.share ? formatSharedSSE(req.share, event) : formatSSE(event)));
+    } else {
+        res.write(`id: ${SSE_BOOT_ID}:${sseSequence}\nevent: connected\ndata: {"status":"ok","resumed":false}\n\n`);
+    }
+
+    // クライアント登録（施設ごとに配信し、共有リンクの接続は失効時に切断できるようリンクを覚えておく）
+    res.propertyId = req.propertyId;
+    if (req.share) res.shareLink = req.share;
+    sseClients.add(res);
+
+    // 接続終了時のクリーンアップ
+    req.on('close', () => {
+        sseClients.delete(res);
+    });
+});
+
+// 共有リンクの場合は共有範囲の部屋のみに絞る
+function scopeRooms(req, rooms) {
+    return req.share ? shareLinks.filterRooms(req.share, rooms) : rooms;
+}
+
+// 全部屋取得
+// include_retired=1 で廃止済みの部屋も含める（客室マスタ管理用）
+app.get('/api/rooms', async (req, res) => {
+    try {
+        const rooms = scopeRooms(req, await db.getAllRooms(req.propertyId));
+        res.json(req.query.include_retired === '1' ? rooms : rooms.filter(r => !r.is_retired));
+    } catch (error) {
+        console.error('Error fetching rooms:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 単一部屋取得
+app.get('/api/rooms/:roomId', async (req, res) => {
+    try {
+        const room = await db.getRoom(req.propertyId, req.params.roomId);
+        if (room && (!req.share || shareLinks.canSeeRoom(req.share, room.room_id))) {
+            res.setHeader('ETag', `"${room.version}"`);
+            res.json(req.share ? shareLinks.toSharedRoom(room) : room);
+        } else {
+            sendError(res, 404, 'room_not_found');
+        }
+    } catch (error) {
+        console.error('Error fetching room:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// ===== 客室マスタ =====
+
+// 客室マスタ項目（名前・カテゴリ・表示順）を検証し、エラーコードを返す
+async function validateRoomMaster(propertyId, fields) {
+    if (fields.name !== undefined) {
+        if (typeof fields.name !== 'string' || !fields.name.trim()) return 'room_name_required';
+        fields.name = fields.name.trim();
+    }
+    if (fields.display_order !== undefined && !Number.isInteger(fields.display_order)) {
+        return 'invalid_display_order';
+    }
+    if (fields.category !== undefined) {
+        const categories = await db.getAllCategories(propertyId);
+        if (!categories.some(c => c.category_id === fields.category)) return 'category_not_found';
+    }
+    return null;
+}
+
+// 部屋追加
+app.post('/api/rooms', requireCapability(CAPABILITIES.MANAGE_ROOMS), async (req, res) => {
+    const body = req.body || {};
+    const roomId = typeof body.room_id === 'string' ? body.room_id.trim() : '';
+    if (!roomId) {
+        return sendError(res, 400, 'room_id_required');
+    }
+    // 部屋番号はURLやHTML属性にそのまま使われるため、記号と空白を制限する
+    if (!/^[^\s'"<>&\\/?#%]{1,20}$/.test(roomId)) {
+        return sendError(res, 400, 'invalid_room_id');
+    }
+    if (!body.category) {
+        return sendError(res, 400, 'category_required');
+    }
+
+    try {
+        const fields = { name: body.name || roomId, category: body.category, display_order: body.display_order };
+        const rooms = await db.getAllRooms(req.propertyId);
+        if (rooms.some(r => r.room_id === roomId)) {
+            return sendError(res, 409, 'room_exists');
+        }
+        if (fields.display_order === undefined) {
+            // カテゴリ内の末尾に追加
+            const orders = rooms.filter(r => r.category === body.category).map(r => r.display_order);
+            fields.display_order = orders.length > 0 ? Math.max(...orders) + 10 : (rooms.length + 1) * 10;
+        }
+
+        const error = await validateRoomMaster(req.propertyId, fields);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        const room = await db.createRoom(req.propertyId, { room_id: roomId, ...fields }, req.user);
+        broadcast(req.propertyId, 'roomUpdate', room);
+        res.status(201).json(room);
+    } catch (error) {
+        console.error('Error creating room:', error);
+        sendError(res, 500, 'create_failed');
+    }
+});
+
+// 並び替え { room_ids: [...] }（指定順に display_order を振り直す）
+app.post('/api/rooms/reorder', requireCapability(CAPABILITIES.MANAGE_ROOMS), async (req, res) => {
+    const roomIds = req.body && req.body.room_ids;
+    if (!Array.isArray(roomIds) || roomIds.length === 0) {
+        return sendError(res, 400, 'rooms_required');
+    }
+
+    try {
+        const rooms = await db.getAllRooms(req.propertyId);
+        const missing = roomIds.filter(id => !rooms.some(r => r.room_id === id));
+        if (missing.length > 0) {
+            return sendError(res, 404, 'room_not_found', {}, { rooms: missing });
+        }
+
+        // 指定された部屋が元々使っていた表示順の枠を、指定順に割り当て直す
+        const slots = rooms
+            .filter(r => roomIds.includes(r.room_id))
+            .map(r => r.display_order)
+            .sort((a, b) => a - b);
+
+        const changes = roomIds
+            .map((id, i) => ({ roomId: id, updates: { display_order: slots[i] } }))
+            .filter(({ roomId, updates }) => rooms.find(r => r.room_id === roomId).display_order !== updates.display_order);
+
+        const updatedRooms = changes.length > 0 ? await db.updateRooms(req.propertyId, changes, req.user) : [];
+        if (updatedRooms.length > 0) broadcast(req.propertyId, 'roomsUpdate', updatedRooms);
+        res.json(updatedRooms);
+    } catch (error) {
+        console.error('Error reordering rooms:', error);
+        sendError(res, 500, 'reorder_failed');
+    }
+});
+
+// カテゴリ一覧
+app.get('/api/categories', async (req, res) => {
+    try {
+        res.json(await db.getAllCategories(req.propertyId));
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// カテゴリ追加 { name, icon?, display_order? }
+app.post('/api/categories', requireCapability(CAPABILITIES.MANAGE_ROOMS), async (req, res) => {
+    const body = req.body || {};
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return sendError(res, 400, 'category_name_required');
+    }
+    if (body.display_order !== undefined && !Number.isInteger(body.display_order)) {
+        return sendError(res, 400, 'invalid_display_order');
+    }
+
+    try {
+        const categories = await db.getAllCategories(req.propertyId);
+        const lastOrder = categories.length > 0 ? Math.max(...categories.map(c => c.display_order)) : 0;
+
+        const category = await db.createCategory(req.propertyId, {
+            category_id: uuidv4(),
+            name,
+            icon: typeof body.icon === 'string' ? body.icon : '',
+            display_order: body.display_order !== undefined ? body.display_order : lastOrder + 100
+        });
+        broadcast(req.propertyId, 'categoryUpdate', await db.getAllCategories(req.propertyId));
+        res.status(201).json(category);
+    } catch (error) {
+        console.error('Error creating category:', error);
+        sendError(res, 500, 'create_failed');
+    }
+});
+
+// カテゴリ更新
+app.patch('/api/categories/:categoryId', requireCapability(CAPABILITIES.MANAGE_ROOMS), async (req, res) => {
+    const body = req.body || {};
+    const updates = {};
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return sendError(res, 400, 'category_name_required');
+        }
+        updates.name = body.name.trim();
+    }
+    if (body.icon !== undefined) updates.icon = String(body.icon);
+    if (body.display_order !== undefined) {
+        if (!Number.isInteger(body.display_order)) {
+            return sendError(res, 400, 'invalid_display_order');
+        }
+        updates.display_order = body.display_order;
+    }
+    if (Object.keys(updates).length === 0) {
+        return sendError(res, 400, 'no_updates');
+    }
+
+    try {
+        const category = await db.updateCategory(req.propertyId, req.params.categoryId, updates);
+        if (!category) {
+            return sendError(res, 404, 'category_not_found');
+        }
+        broadcast(req.propertyId, 'categoryUpdate', await db.getAllCategories(req.propertyId));
+        res.json(category);
+    } catch (error) {
+        console.error('Error updating category:', error);
+        sendError(res, 500, 'update_failed');
+    }
+});
+
+// カテゴリ削除（部屋が残っている場合は不可）
+app.delete('/api/categories/:categoryId', requireCapability(CAPABILITIES.MANAGE_ROOMS), async (req, res) => {
+    try {
+        const rooms = await db.getAllRooms(req.propertyId);
+        if (rooms.some(r => r.category === req.params.categoryId)) {
+            return sendError(res, 409, 'category_not_empty');
+        }
+
+        const deleted = await db.deleteCategory(req.propertyId, req.params.categoryId);
+        if (!deleted) {
+            return sendError(res, 404, 'category_not_found');
+        }
+        broadcast(req.propertyId, 'categoryUpdate', await db.getAllCategories(req.propertyId));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        sendError(res, 500, 'delete_failed');
+    }
+});
+
+// 楽観的排他制御: If-Match ヘッダー（"3" / W/"3" / 3）または expected_version から想定バージョンを取得
+// 指定がなければ undefined、不正な値なら null
+function parseExpectedVersion(req) {
+    const header = req.headers['if-match'];
+    const raw = header !== undefined ? header.replace(/^W\//, '').replace(/"/g, '').trim() : req.body && req.body.expected_version;
+    if (raw === undefined || raw === null || raw === '*') return undefined;
+
+    const version = Number(raw);
+    return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// 競合時のレスポンス（サーバー側の最新状態を返す）
+function sendVersionConflict(res, room) {
+    res.setHeader('ETag', `"${room.version}"`);
+    sendError(res, 409, 'version_conflict', {}, { room });
+}
+
+// 部屋のフィールドの値の型（フラグは true/false・0/1 を受け付け、0/1 にそろえる）
+const ROOM_FIELD_TYPES = {
+    is_active: 'flag',
+    is_retired: 'flag',
+    out_of_order: 'flag',
+    is_checkout: 'flag',
+    status: 'string',
+    notes: 'string',
+    name: 'string',
+    category: 'string',
+    display_order: 'integer',
+    out_of_order_reason: 'string',
+    assigned_to: 'nullableString',
+    out_of_order_until: 'nullableString',
+    expected_checkout_at: 'nullableString',
+    late_checkout_at: 'nullableString'
+};
+const MAX_NOTES_LENGTH = 1000;
+const MAX_OUT_OF_ORDER_REASON_LENGTH = 200;
+
+function isValidRoomFieldValue(type, value) {
+    switch (type) {
+        case 'flag': return value === true || value === false || value === 0 || value === 1;
+        case 'string': return typeof value === 'string';
+        case 'nullableString': return value === null || typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        default: return false;
+    }
+}
+
+// 本文から変更可能なフィールドのみ取り出して値を検証する
+// → { updates }。値が不正な場合は { error: エラーコード, params, fields }
+function pickRoomUpdates(body) {
+    const fields = Object.keys(body).filter(field => permissions.FIELD_CAPABILITIES[field] || field === 'status' || field === 'is_checkout');
+    const invalid = fields.filter(field => !isValidRoomFieldValue(ROOM_FIELD_TYPES[field], body[field]));
+    if (invalid.length > 0) {
+        return { error: 'invalid_room_field', params: { field: invalid[0] }, fields: invalid };
+    }
+    if (body.notes !== undefined && body.notes.length > MAX_NOTES_LENGTH) {
+        return { error: 'notes_too_long', params: { max: MAX_NOTES_LENGTH }, fields: ['notes'] };
+    }
+    if (body.out_of_order_reason !== undefined && body.out_of_order_reason.length > MAX_OUT_OF_ORDER_REASON_LENGTH) {
+        return { error: 'out_of_order_reason_too_long', params: { max: MAX_OUT_OF_ORDER_REASON_LENGTH }, fields: ['out_of_order_reason'] };
+    }
+
+    const updates = {};
+    fields
+        .filter(field => permissions.FIELD_CAPABILITIES[field])
+        .forEach(field => { updates[field] = ROOM_FIELD_TYPES[field] === 'flag' ? Number(body[field]) : body[field]; });
+
+    // ステータス（旧クライアントの is_checkout は OUT/滞在中 への遷移として扱う）
+    if (body.status !== undefined) {
+        updates.status = body.status;
+    } else if (body.is_checkout !== undefined) {
+        updates.status = body.is_checkout ? 'checked_out' : 'occupied';
+    }
+    return { updates };
+}
+
+// 部屋を参照する前にできる検証（問題があれば { status, code, params?, extra? } を返す）
+function checkRoomUpdateFields(role, updates) {
+    if (Object.keys(updates).length === 0) {
+        return { status: 400, code: 'no_updates' };
+    }
+    if (updates.status !== undefined && !roomStatus.isValidStatus(updates.status)) {
+        return { status: 400, code: 'invalid_status' };
+    }
+
+    // フィールド単位の権限チェック
+    const forbidden = permissions.findForbiddenFields(role, updates);
+    if (forbidden.length > 0) {
+        return { status: 403, code: 'forbidden', extra: { fields: forbidden } };
+    }
+    return null;
+}
+
+// 故障中（out_of_order）の設定を検証し、書き込む内容に整える（updates を書き換える）
+// 故障中にする場合は理由が必須。故障中の部屋は使用客室から外し、解除時は理由と復旧予定日を消す
+function prepareMaintenanceUpdate(room, updates) {
+    const willBeOutOfOrder = updates.out_of_order !== undefined ? !!updates.out_of_order : !!room.out_of_order;
+    if (willBeOutOfOrder && updates.is_active) {
+        return 'room_out_of_order';
+    }
+    const maintenanceFields = ['out_of_order', 'out_of_order_reason', 'out_of_order_until'];
+    if (!maintenanceFields.some(field => updates[field] !== undefined)) return null;
+
+    if (updates.out_of_order_reason !== undefined) {
+        if (typeof updates.out_of_order_reason !== 'string') return 'invalid_out_of_order_reason';
+        updates.out_of_order_reason = updates.out_of_order_reason.trim();
+    }
+    if (updates.out_of_order_until !== undefined && updates.out_of_order_until !== null &&
+        !isValidBusinessDate(updates.out_of_order_until)) {
+        return 'invalid_out_of_order_until';
+    }
+
+    if (!willBeOutOfOrder) {
+        // 故障中でない部屋には理由・復旧予定日を残さない
+        updates.out_of_order_reason = '';
+        updates.out_of_order_until = null;
+        if (updates.out_of_order !== undefined) updates.out_of_order = 0;
+        return null;
+    }
+
+    const reason = updates.out_of_order_reason !== undefined ? updates.out_of_order_reason : room.out_of_order_reason;
+    if (!reason) return 'out_of_order_reason_required';
+    if (updates.out_of_order !== undefined) {
+        updates.out_of_order = 1;
+        updates.is_active = 0;
+    }
+    return null;
+}
+
+// 出発予定時刻の指定を ISO 文字列にする（HH:MM は現在の営業日の時刻。不正な場合は null）
+function parseCheckoutTime(value) {
+    if (typeof value !== 'string') return null;
+    const minutes = parseTimeOfDay(value);
+    if (minutes !== null) return businessDateTimeToDate(toBusinessDate(), minutes).toISOString();
+
+    const time = new Date(value);
+    return isNaN(time.getTime()) ? null : time.toISOString();
+}
+
+// 現在の部屋に対して更新内容を検証し、書き込む内容に整える（updates を書き換える）
+// 問題があれば { status, code, params?, extra? } を返す
+async function prepareRoomUpdate(role, room, updates) {
+    // 客室マスタ項目の検証
+    const masterError = await validateRoomMaster(room.property_id, updates);
+    if (masterError) {
+        return { status: 400, code: masterError };
+    }
+    const willBeRetired = updates.is_retired !== undefined ? !!updates.is_retired : !!room.is_retired;
+    if (willBeRetired && updates.is_active) {
+        return { status: 400, code: 'room_retired' };
+    }
+    const maintenanceError = prepareMaintenanceUpdate(room, updates);
+    if (maintenanceError) {
+        return { status: 400, code: maintenanceError };
+    }
+    if (updates.is_retired) {
+        updates.is_retired = 1;
+        updates.is_active = 0; // 廃止した部屋は使用客室から外す
+    } else if (updates.is_retired !== undefined) {
+        updates.is_retired = 0;
+    }
+
+    // 担当者の検証
+    if (updates.assigned_to !== undefined && !(await isAssignableUser(room.property_id, updates.assigned_to))) {
+        return { status: 400, code: 'invalid_assignee' };
+    }
+
+    // 出発予定時刻・レイトチェックアウトの検証（日時の文字列、または本日の HH:MM。null で解除）
+    for (const field of ['expected_checkout_at', 'late_checkout_at']) {
+        if (updates[field] === undefined || updates[field] === null) continue;
+        const time = parseCheckoutTime(updates[field]);
+        if (!time) {
+            return { status: 400, code: field === 'late_checkout_at' ? 'invalid_late_checkout' : 'invalid_expected_checkout' };
+        }
+        updates[field] = time;
+    }
+
+    // ステータス遷移の検証
+    if (updates.status === room.status) {
+        delete updates.status;
+    } else if (updates.status !== undefined) {
+        const capability = roomStatus.getTransitionCapability(room.status, updates.status);
+        if (!capability) {
+            return {
+                status: 409,
+                code: 'invalid_transition',
+                params: { from: { key: `status.${room.status}` }, to: { key: `status.${updates.status}` } },
+                extra: { room }
+            };
+        }
+        if (!permissions.hasCapability(role, capability)) {
+            return { status: 403, code: 'forbidden', extra: { fields: ['status'] } };
+        }
+    }
+    return null;
+}
+
+// 部屋情報更新（PATCH - フィールド単位）
+app.patch('/api/rooms/:roomId', async (req, res) => {
+    const { updates, error, params, fields } = pickRoomUpdates(req.body || {});
+    if (error) {
+        return sendError(res, 400, error, params, { fields });
+    }
+
+    const fieldError = checkRoomUpdateFields(req.userRole, updates);
+    if (fieldError) {
+        return sendError(res, fieldError.status, fieldError.code, fieldError.params, fieldError.extra);
+    }
+
+    const expectedVersion = parseExpectedVersion(req);
+    if (expectedVersion === null) {
+        return sendError(res, 400, 'invalid_version');
+    }
+
+    try {
+        const roomId = req.params.roomId;
+
+        const room = await db.getRoom(req.propertyId, roomId);
+        if (!room) {
+            return sendError(res, 404, 'room_not_found');
+        }
+        if (expectedVersion !== undefined && room.version !== expectedVersion) {
+            return sendVersionConflict(res, room);
+        }
+
+        const updateError = await prepareRoomUpdate(req.userRole, room, updates);
+        if (updateError) {
+            return sendError(res, updateError.status, updateError.code, updateError.params, updateError.extra);
+        }
+
+        if (Object.keys(updates).length === 0) {
+            res.setHeader('ETag', `"${room.version}"`);
+            return res.json(room);
+        }
+
+        const updatedRoom = await db.updateRoom(req.propertyId, roomId, updates, req.user, expectedVersion);
+
+        if (updatedRoom) {
+            // 全クライアントにブロードキャスト
+            broadcast(req.propertyId, 'roomUpdate', updatedRoom);
+            res.setHeader('ETag', `"${updatedRoom.version}"`);
+            res.json(updatedRoom);
+        } else {
+            sendError(res, 404, 'room_not_found');
+        }
+    } catch (error) {
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendVersionConflict(res, error.room);
+        }
+        console.error('Error updating room:', error);
+        sendError(res, 500, 'update_failed');
+    }
+});
+
+// 複数の部屋をまとめて更新（PATCH） { rooms: [{ room_id, version?, ...更新するフィールド }] }
+// 全件を検証してから一度に書き込む。1件でも問題があれば何も更新せず、その部屋の room_id を付けてエラーを返す
+const BATCH_UPDATE_LIMIT = 500;
+
+app.patch('/api/rooms', async (req, res) => {
+    const items = req.body && req.body.rooms;
+    if (!Array.isArray(items) || items.length === 0) {
+        return sendError(res, 400, 'no_rooms_to_update');
+    }
+    if (items.length > BATCH_UPDATE_LIMIT) {
+        return sendError(res, 400, 'too_many_rooms', { limit: BATCH_UPDATE_LIMIT });
+    }
+    const roomIds = items.map(item => item && item.room_id);
+    if (roomIds.some(id => typeof id !== 'string') || new Set(roomIds).size !== roomIds.length) {
+        return sendError(res, 400, 'invalid_room');
+    }
+
+    try {
+        const currentRooms = await db.getAllRooms(req.propertyId);
+        const changes = [];
+
+        for (const item of items) {
+            const { updates, error, params, fields } = pickRoomUpdates(item);
+            if (error) {
+                return sendError(res, 400, error, params, { fields, room_id: item.room_id });
+            }
+            const fieldError = checkRoomUpdateFields(req.userRole, updates);
+            if (fieldError) {
+                return sendError(res, fieldError.status, fieldError.code, fieldError.params,
+                    { ...fieldError.extra, room_id: item.room_id });
+            }
+
+            const expectedVersion = item.version === undefined ? undefined : Number(item.version);
+            if (expectedVersion !== undefined && !(Number.isInteger(expectedVersion) && expectedVersion > 0)) {
+                return sendError(res, 400, 'invalid_version', {}, { room_id: item.room_id });
+            }
+
+            const room = currentRooms.find(r => r.room_id === item.room_id);
+            if (!room) {
+                return sendError(res, 404, 'room_not_found', {}, { room_id: item.room_id });
+            }
+            if (expectedVersion !== undefined && room.version !== expectedVersion) {
+                return sendVersionConflict(res, room);
+            }
+
+            const updateError = await prepareRoomUpdate(req.userRole, room, updates);
+            if (updateError) {
+                return sendError(res, updateError.status, updateError.code, updateError.params,
+                    { ...updateError.extra, room_id: item.room_id });
+            }
+
+            if (Object.keys(updates).length > 0) {
+                changes.push({ roomId: room.room_id, updates, expectedVersion });
+            }
+        }
+
+        const updatedRooms = changes.length > 0 ? await db.updateRooms(req.propertyId, changes, req.user) : [];
+        if (updatedRooms.length > 0) {
+            // 1件ずつではなくまとめてブロードキャスト
+            broadcast(req.propertyId, 'roomsUpdate', updatedRooms);
+        }
+
+        // 変更のなかった部屋も含め、指定された全部屋の最新状態を返す
+        res.json(roomIds.map(id =>
+            updatedRooms.find(r => r.room_id === id) || currentRooms.find(r => r.room_id === id)
+        ));
+    } catch (error) {
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendVersionConflict(res, error.room);
+        }
+        console.error('Error updating rooms:', error);
+        sendError(res, 500, 'update_failed');
+    }
+});
+
+// ===== 見取り図 =====
+const FLOOR_PLAN_GRID = { columns: floorPlan.GRID_COLUMNS, rows: floorPlan.GRID_ROWS };
+
+function toFloorPlanResponse(plan) {
+    return {
+        ...plan.layout,
+        grid: FLOOR_PLAN_GRID,
+        is_default: 0,
+        updated_by_name: plan.updated_by_name,
+        updated_at: plan.updated_at
+    };
+}
+
+// 保存していない場合は部屋番号・カテゴリから作った初期配置を返す（is_default: 1）
+app.get('/api/floor-plan', async (req, res) => {
+    try {
+        const plan = await db.getFloorPlan(req.propertyId);
+        if (plan) {
+            return res.json(toFloorPlanResponse(plan));
+        }
+
+        const [rooms, categories] = await Promise.all([
+            db.getAllRooms(req.propertyId),
+            db.getAllCategories(req.propertyId)
+        ]);
+        const otherName = i18n.translate(i18n.resolveLocale(req), 'common.other');
+        const layout = floorPlan.buildDefaultLayout(rooms.filter(r => !r.is_retired), categories, otherName);
+        res.json({ ...layout, grid: FLOOR_PLAN_GRID, is_default: 1 });
+    } catch (error) {
+        console.error('Error fetching floor plan:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 見取り図の保存 { floors: [{ floor_id, name }], positions: { room_id: { floor_id, x, y } } }
+app.put('/api/floor-plan', requireCapability(CAPABILITIES.MANAGE_ROOMS), async (req, res) => {
+    try {
+        const rooms = (await db.getAllRooms(req.propertyId)).filter(r => !r.is_retired);
+        const { layout, error, params } = floorPlan.parseLayout(req.body, rooms.map(r => r.room_id));
+        if (error) {
+            return sendError(res, 400, error, params);
+        }
+
+        const response = toFloorPlanResponse(await db.saveFloorPlan(req.propertyId, layout, req.user));
+        broadcast(req.propertyId, 'floorPlanUpdate', response);
+        res.json(response);
+    } catch (error) {
+        console.error('Error saving floor plan:', error);
+        sendError(res, 500, 'save_failed');
+    }
+});
+
+// ===== 本日の出発予定の取り込み（PMS の CSV / iCal） =====
+// 本文にファイルの内容をそのまま送る。?format=csv|ical（省略時は内容から判定）
+// commit=1 のときだけ反映し、それ以外は突き合わせ結果（プレビュー）を返す
+// replace=1: 取り込んだ部屋以外の選択を外す
+app.post('/api/import/departures',
+    requireCapability(CAPABILITIES.SELECT_ROOMS),
+    express.text({ type: ['text/*', 'application/octet-stream'], limit: '1mb' }),
+    async (req, res) => {
+        const text = typeof req.body === 'string' ? req.body : '';
+        if (!text.trim()) {
+            return sendError(res, 400, 'import_empty');
+        }
+        const format = req.query.format;
+        if (format !== undefined && !departureImport.IMPORT_FORMATS.includes(format)) {
+            return sendError(res, 400, 'invalid_import_format');
+        }
+
+        try {
+            const departures = departureImport.parseDepartures(text, format);
+            if (departures.length === 0) {
+                return sendError(res, 400, 'no_departures');
+            }
+
+            const rooms = (await db.getAllRooms(req.propertyId)).filter(r => !r.is_retired);
+            const plan = departureImport.planImport(departures, rooms, toBusinessDate());
+            // 取り込まない理由は利用者の言語で返す
+            const locale = i18n.resolveLocale(req);
+            plan.unmatched.forEach(row => {
+                row.reason = i18n.translate(locale, `import.reason.${row.reason_code}`, row.reason_params);
+            });
+            if (req.query.commit !== '1') {
+                return res.json(plan);
+            }
+
+            const targets = new Map(plan.matched.map(m => [m.room_id, m.expected_checkout_at]));
+            const changes = [];
+            rooms.forEach(room => {
+                const updates = targets.has(room.room_id)
+                    ? { is_active: 1, expected_checkout_at: targets.get(room.room_id) }
+                    : (req.query.replace === '1' ? { is_active: 0, expected_checkout_at: null } : null);
+                if (!updates) return;
+
+                // 変化のない項目は書き込まない
+                Object.keys(updates).forEach(field => {
+                    if ((room[field] || null) === (updates[field] || null)) delete updates[field];
+                });
+                if (Object.keys(updates).length > 0) {
+                    changes.push({ roomId: room.room_id, updates });
+                }
+            });
+
+            const updatedRooms = changes.length > 0 ? await db.updateRooms(req.propertyId, changes, req.user) : [];
+            if (updatedRooms.length > 0) {
+                broadcast(req.propertyId, 'roomsUpdate', updatedRooms);
+            }
+            res.json({ ...plan, updated: updatedRooms });
+        } catch (error) {
+            console.error('Error importing departures:', error);
+            sendError(res, 500, 'import_failed');
+        }
+    }
+);
+
+// ===== 出発予定時刻の超過 =====
+
+// 標準のチェックアウト時刻と、現在超過している部屋
+app.get('/api/overdue', async (req, res) => {
+    try {
+        const standard = overdue.standardCheckoutAt();
+        const rooms = await db.getAllRooms(req.propertyId);
+        res.json({
+            standard_checkout_at: standard,
+            rooms: overdue.findOverdueRooms(rooms, new Date(), standard)
+        });
+    } catch (error) {
+        console.error('Error fetching overdue rooms:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 出発予定時刻を過ぎても OUT になっていない部屋を 'overdue' イベントで通知する
+function startOverdueAlerts() {
+    overdue.startOverdueWatcher({
+        getPropertyIds: async () => (await db.getAllProperties()).map(p => p.property_id),
+        getRooms: propertyId => db.getAllRooms(propertyId),
+        notify: (propertyId, data) => broadcast(propertyId, 'overdue', data)
+    });
+    console.log(`出発予定時刻の超過通知: 標準のチェックアウト ${overdue.CHECKOUT_TIME} (${BUSINESS_TIME_ZONE})`);
+}
+
+// ===== 清掃担当の割り当て =====
+
+// 割り当て可能なスタッフか（null は割り当て解除。施設を利用できるスタッフに限る）
+async function isAssignableUser(propertyId, userId) {
+    if (userId === null) return true;
+    if (typeof userId !== 'string') return false;
+    const user = await db.getUser(userId);
+    return !!user && !user.is_disabled && properties.canAccessProperty(user, propertyId);
+}
+
+// 施設を利用できるスタッフ
+async function getPropertyUsers(propertyId) {
+    const users = await db.getAllUsers();
+    return users.filter(u => properties.canAccessProperty(u, propertyId));
+}
+
+// 割り当てを一度に反映し、変更された部屋をまとめてブロードキャスト
+async function applyAssignments(propertyId, changes, actor) {
+    if (changes.length === 0) return [];
+
+    const updatedRooms = await db.updateRooms(
+        propertyId,
+        changes.map(({ room_id, user_id }) => ({ roomId: room_id, updates: { assigned_to: user_id } })),
+        actor
+    );
+    if (updatedRooms.length > 0) broadcast(propertyId, 'roomsUpdate', updatedRooms);
+    return updatedRooms;
+}
+
+// 担当者別ボード
+app.get('/api/assignments', async (req, res) => {
+    try {
+        const [rooms, users] = await Promise.all([db.getAllRooms(req.propertyId), getPropertyUsers(req.propertyId)]);
+        res.json(assignments.buildBoard(scopeRooms(req, rooms), users));
+    } catch (error) {
+        console.error('Error fetching assignments:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 一括割り当て { room_ids: [...], user_id: string | null }
+app.post('/api/assignments', requireCapability(CAPABILITIES.ASSIGN_ROOMS), async (req, res) => {
+    const { room_ids: roomIds, user_id: userId = null } = req.body || {};
+
+    if (!Array.isArray(roomIds) || roomIds.length === 0) {
+        return sendError(res, 400, 'rooms_required');
+    }
+
+    try {
+        if (!(await isAssignableUser(req.propertyId, userId))) {
+            return sendError(res, 400, 'invalid_assignee');
+        }
+
+        const rooms = await db.getAllRooms(req.propertyId);
+        const known = new Set(rooms.map(r => r.room_id));
+        const missing = roomIds.filter(id => !known.has(id));
+        if (missing.length > 0) {
+            return sendError(res, 404, 'room_not_found', {}, { rooms: missing });
+        }
+
+        const updatedRooms = await applyAssignments(req.propertyId, roomIds.map(id => ({ room_id: id, user_id: userId })), req.user);
+        res.json(updatedRooms);
+    } catch (error) {
+        console.error('Error assigning rooms:', error);
+        sendError(res, 500, 'assign_failed');
+    }
+});
+
+// 未完了の部屋を均等に振り分け { user_ids?: [...] }（省略時はボードの全担当者）
+app.post('/api/assignments/rebalance', requireCapability(CAPABILITIES.ASSIGN_ROOMS), async (req, res) => {
+    try {
+        const [rooms, users] = await Promise.all([db.getAllRooms(req.propertyId), getPropertyUsers(req.propertyId)]);
+
+        let memberIds = (req.body && req.body.user_ids) || assignments.buildBoard(rooms, users).members
+            .filter(m => !m.is_disabled)
+            .map(m => m.user_id);
+        if (!Array.isArray(memberIds)) {
+            return sendError(res, 400, 'invalid_assignee');
+        }
+
+        const activeUsers = new Set(users.filter(u => !u.is_disabled).map(u => u.user_id));
+        memberIds = memberIds.filter(id => activeUsers.has(id));
+        if (memberIds.length === 0) {
+            return sendError(res, 400, 'no_assignable_staff');
+        }
+
+        const updatedRooms = await applyAssignments(req.propertyId, assignments.planRebalance(rooms, memberIds), req.user);
+        res.json(updatedRooms);
+    } catch (error) {
+        console.error('Error rebalancing assignments:', error);
+        sendError(res, 500, 'assign_failed');
+    }
+});
 
-// SSE クライアント管理
-const sseClients = new Set();
+// 履歴の検索条件を解析（from/to は ISO 8601 形式の日付・日時）
+function parseHistoryFilters(query) {
+    const filters = {};
 
-// ミドルウェア
-app.use(express.json());
+    for (const key of ['from', 'to']) {
+        if (query[key]) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) return null;
+            filters[key] = date;
+        }
+    }
 
-// 簡易認証ミドルウェア
-app.use((req, res, next) => {
-    // 認証対象外のパス
-    const publicPaths = ['/login.html', '/styles.css', '/api/login', '/manifest.json', '/robots.txt'];
-    if (publicPaths.includes(req.path) || req.path.startsWith('/app/v1')) {
-        return next();
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!(limit > 0)) return null;
+        filters.limit = Math.min(limit, 1000);
     }
 
-    // クッキーから認証トークンを確認
-    const cookies = req.headers.cookie;
-    let role = 'guest';
+    return filters;
+}
+
+// 部屋の変更履歴
+app.get('/api/rooms/:roomId/history', async (req, res) => {
+    const filters = parseHistoryFilters(req.query);
+    if (!filters) {
+        return sendError(res, 400, 'invalid_query');
+    }
 
-    if (cookies) {
-        if (cookies.includes('auth_token=valid_1126')) {
-            role = 'admin';
-        } else if (cookies.includes('auth_token=valid_0000')) {
-            role = 'viewer';
+    try {
+        const room = await db.getRoom(req.propertyId, req.params.roomId);
+        if (!room) {
+            return sendError(res, 404, 'room_not_found');
         }
+
+        const history = await db.getHistory(req.propertyId, { ...filters, roomId: room.room_id });
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching room history:', error);
+        sendError(res, 500, 'fetch_failed');
     }
+});
 
-    // 認証チェック
-    if (role !== 'guest') {
-        req.userRole = role; // リクエストに役割を付与
-        return next();
+// 全体の変更履歴
+app.get('/api/history', async (req, res) => {
+    const filters = parseHistoryFilters(req.query);
+    if (!filters) {
+        return sendError(res, 400, 'invalid_query');
     }
+    if (req.query.room) filters.roomId = req.query.room;
 
-    // 認証失敗時の処理
-    if (req.path.startsWith('/api/')) {
-        res.status(401).json({ error: '認証が必要です' });
-    } else {
-        res.redirect('/login.html');
+    try {
+        const history = await db.getHistory(req.propertyId, filters);
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching history:', error);
+        sendError(res, 500, 'fetch_failed');
     }
 });
 
-app.use(express.static(path.join(__dirname, 'public')));
+// ===== 修理チケット =====
 
-// SSE ブロードキャスト関数
-function broadcast(eventType, data) {
-    const message = `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
-    sseClients.forEach(client => {
-        client.write(message);
-    });
+// チケット一覧 ?status=open|in_progress|resolved, ?room=部屋番号
+app.get('/api/tickets', async (req, res) => {
+    const status = req.query.status;
+    if (status !== undefined && !repairTickets.isValidTicketStatus(status)) {
+        return sendError(res, 400, 'invalid_ticket_status');
+    }
+
+    try {
+        res.json(await db.getRepairTickets(req.propertyId, { status, roomId: req.query.room }));
+    } catch (error) {
+        console.error('Error fetching tickets:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 部屋のチケット一覧
+app.get('/api/rooms/:roomId/tickets', async (req, res) => {
+    try {
+        const room = await db.getRoom(req.propertyId, req.params.roomId);
+        if (!room) {
+            return sendError(res, 404, 'room_not_found');
+        }
+        res.json(await db.getRepairTickets(req.propertyId, { roomId: room.room_id }));
+    } catch (error) {
+        console.error('Error fetching room tickets:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// チケット登録 { title, description? }
+app.post('/api/rooms/:roomId/tickets', requireCapability(CAPABILITIES.MANAGE_MAINTENANCE), async (req, res) => {
+    const { fields, error, params } = repairTickets.parseTicketFields(req.body || {}, true);
+    if (error) {
+        return sendError(res, 400, error, params);
+    }
+    if (fields.status !== undefined) {
+        return sendError(res, 400, 'ticket_status_on_create');
+    }
+
+    try {
+        const room = await db.getRoom(req.propertyId, req.params.roomId);
+        if (!room) {
+            return sendError(res, 404, 'room_not_found');
+        }
+
+        const ticket = await db.createRepairTicket({
+            ticket_id: uuidv4(),
+            property_id: req.propertyId,
+            room_id: room.room_id,
+            ...fields,
+            created_by: req.user.user_id,
+            created_by_name: req.user.name
+        });
+        broadcast(req.propertyId, 'ticketUpdate', ticket);
+        res.status(201).json(ticket);
+    } catch (err) {
+        console.error('Error creating ticket:', err);
+        sendError(res, 500, 'create_failed');
+    }
+});
+
+// チケット更新 { title?, description?, status? }
+app.patch('/api/tickets/:ticketId', requireCapability(CAPABILITIES.MANAGE_MAINTENANCE), async (req, res) => {
+    const { fields, error, params } = repairTickets.parseTicketFields(req.body || {}, false);
+    if (error) {
+        return sendError(res, 400, error, params);
+    }
+    if (Object.keys(fields).length === 0) {
+        return sendError(res, 400, 'no_updates');
+    }
+
+    try {
+        const ticket = await db.updateRepairTicket(req.propertyId, req.params.ticketId, fields);
+        if (!ticket) {
+            return sendError(res, 404, 'ticket_not_found');
+        }
+        broadcast(req.propertyId, 'ticketUpdate', ticket);
+        res.json(ticket);
+    } catch (err) {
+        console.error('Error updating ticket:', err);
+        sendError(res, 500, 'update_failed');
+    }
+});
+
+// ===== 忘れ物 =====
+
+// 忘れ物一覧 ?status=held|returned|disposed, ?q=検索語, ?room=部屋番号, ?from=, ?to=（拾得日 YYYY-MM-DD）
+app.get('/api/lost-items', async (req, res) => {
+    const { status, q, room, from, to } = req.query;
+    if (status !== undefined && !lostItems.isValidLostItemStatus(status)) {
+        return sendError(res, 400, 'invalid_lost_item_status');
+    }
+    if ((from !== undefined && !isValidBusinessDate(from)) || (to !== undefined && !isValidBusinessDate(to))) {
+        return sendError(res, 400, 'invalid_date');
+    }
+
+    try {
+        res.json(await db.getLostItems(req.propertyId, {
+            status, roomId: room, from, to, query: typeof q === 'string' ? q.trim() : ''
+        }));
+    } catch (error) {
+        console.error('Error fetching lost items:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 部屋番号が指定されていれば、その部屋が存在するか確認する
+async function checkLostItemRoom(propertyId, fields) {
+    if (!fields.room_id) return true;
+    return !!(await db.getRoom(propertyId, fields.room_id));
 }
 
-// ===== API エンドポイント =====
+// 忘れ物登録 { description, room_id?, storage_location?, found_date?（省略時は当日の営業日） }
+app.post('/api/lost-items', requireCapability(CAPABILITIES.MANAGE_LOST_ITEMS), async (req, res) => {
+    const { fields, error, params } = lostItems.parseLostItemFields(req.body || {}, true);
+    if (error) {
+        return sendError(res, 400, error, params);
+    }
+    if (fields.status !== undefined) {
+        return sendError(res, 400, 'lost_item_status_on_create');
+    }
 
-// ログインAPI
-app.post('/api/login', (req, res) => {
-    const { password } = req.body;
-
-    if (password === '1126') {
-        // 管理者
-        res.setHeader('Set-Cookie', 'auth_token=valid_1126; Path=/; Max-Age=2592000; HttpOnly');
-        res.json({ success: true, role: 'admin' });
-    } else if (password === '0000') {
-        // 閲覧専用
-        res.setHeader('Set-Cookie', 'auth_token=valid_0000; Path=/; Max-Age=2592000; HttpOnly');
-        res.json({ success: true, role: 'viewer' });
-    } else {
-        res.status(401).json({ error: 'パスワードが違います' });
+    try {
+        if (!(await checkLostItemRoom(req.propertyId, fields))) {
+            return sendError(res, 404, 'room_not_found');
+        }
+
+        const item = await db.createLostItem({
+            item_id: uuidv4(),
+            property_id: req.propertyId,
+            found_date: toBusinessDate(),
+            ...fields,
+            found_by: req.user.user_id,
+            found_by_name: req.user.name
+        });
+        broadcast(req.propertyId, 'lostItemUpdate', item);
+        res.status(201).json(item);
+    } catch (err) {
+        console.error('Error creating lost item:', err);
+        sendError(res, 500, 'create_failed');
     }
 });
 
-// SSE エンドポイント（リアルタイム同期）
-app.get('/api/events', (req, res) => {
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
+// 忘れ物更新 { description?, room_id?, storage_location?, found_date?, status? }
+app.patch('/api/lost-items/:itemId', requireCapability(CAPABILITIES.MANAGE_LOST_ITEMS), async (req, res) => {
+    const { fields, error, params } = lostItems.parseLostItemFields(req.body || {}, false);
+    if (error) {
+        return sendError(res, 400, error, params);
+    }
+    if (Object.keys(fields).length === 0) {
+        return sendError(res, 400, 'no_updates');
+    }
 
-    // 接続確認
-    res.write('event: connected\ndata: {"status":"ok"}\n\n');
+    try {
+        if (!(await checkLostItemRoom(req.propertyId, fields))) {
+            return sendError(res, 404, 'room_not_found');
+        }
 
-    // クライアント登録
-    sseClients.add(res);
+        const item = await db.updateLostItem(req.propertyId, req.params.itemId, fields);
+        if (!item) {
+            return sendError(res, 404, 'lost_item_not_found');
+        }
+        broadcast(req.propertyId, 'lostItemUpdate', item);
+        res.json(item);
+    } catch (err) {
+        console.error('Error updating lost item:', err);
+        sendError(res, 500, 'update_failed');
+    }
+});
 
-    // 接続終了時のクリーンアップ
-    req.on('close', () => {
-        sseClients.delete(res);
-    });
+// ===== 日次アーカイブ（過去の営業日） =====
+
+// アーカイブ済みの営業日一覧
+app.get('/api/days', async (req, res) => {
+    try {
+        res.json(await db.listDays(req.propertyId));
+    } catch (error) {
+        console.error('Error fetching days:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
 });
 
-// 全部屋取得
-app.get('/api/rooms', async (req, res) => {
+// 営業日ごとの部屋・チェックアウト時刻・備考
+app.get('/api/days/:date', async (req, res) => {
+    const date = req.params.date;
+    if (!isValidBusinessDate(date)) {
+        return sendError(res, 400, 'invalid_date');
+    }
+
     try {
-        const rooms = await db.getAllRooms();
-        res.json(rooms);
+        const archives = await db.getDayArchives(req.propertyId, date);
+        if (archives.length === 0) {
+            return sendError(res, 404, 'archive_not_found');
+        }
+        res.json({ business_date: date, archives });
     } catch (error) {
-        console.error('Error fetching rooms:', error);
-        res.status(500).json({ error: 'データの取得に失敗しました' });
+        console.error('Error fetching day archive:', error);
+        sendError(res, 500, 'fetch_failed');
     }
 });
 
-// 単一部屋取得
-app.get('/api/rooms/:roomId', async (req, res) => {
+// ===== 運用統計 =====
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD（省略時は当日までの30日間）
+// 日次アーカイブに加え、期間に当日が含まれる場合は現在の部屋の状態も集計する
+app.get('/api/statistics', requireCapability(CAPABILITIES.VIEW_STATISTICS), async (req, res) => {
+    const today = toBusinessDate();
+    const to = req.query.to || today;
+    const from = req.query.from || statistics.rangeStart(to, statistics.DEFAULT_RANGE_DAYS);
+    if (!isValidBusinessDate(from) || !isValidBusinessDate(to)) {
+        return sendError(res, 400, 'invalid_date');
+    }
+    if (from > to) {
+        return sendError(res, 400, 'invalid_date_range');
+    }
+    const dates = statistics.listDates(from, to);
+    if (dates.length > statistics.MAX_RANGE_DAYS) {
+        return sendError(res, 400, 'date_range_too_long', { days: statistics.MAX_RANGE_DAYS });
+    }
+
     try {
-        const room = await db.getRoom(req.params.roomId);
-        if (room) {
-            res.json(room);
-        } else {
-            res.status(404).json({ error: '部屋が見つかりません' });
+        const [archives, categories] = await Promise.all([
+            db.getArchivesInRange(req.propertyId, from, to),
+            db.getAllCategories(req.propertyId)
+        ]);
+        const days = dates.map(date => ({
+            business_date: date,
+            snapshots: archives.filter(a => a.business_date === date).map(a => a.rooms)
+        }));
+        if (from <= today && today <= to) {
+            const liveRooms = (await db.getAllRooms(req.propertyId)).filter(r => !r.is_retired);
+            const day = days.find(d => d.business_date === today);
+            day.snapshots.push(liveRooms);
+            day.is_live = true;
         }
+
+        res.json({
+            from,
+            to,
+            ...statistics.buildStatistics(days.filter(d => d.snapshots.length > 0), categories)
+        });
     } catch (error) {
-        console.error('Error fetching room:', error);
-        res.status(500).json({ error: 'データの取得に失敗しました' });
+        console.error('Error building statistics:', error);
+        sendError(res, 500, 'fetch_failed');
     }
 });
 
-// 部屋情報更新（PATCH - フィールド単位）
-app.patch('/api/rooms/:roomId', async (req, res) => {
-    // 権限チェック
-    if (req.userRole !== 'admin') {
-        return res.status(403).json({ error: '閲覧モードでは変更できません' });
+// 日次シートのダウンロード
+// ?format=csv|xlsx, ?date=YYYY-MM-DD（省略時は当日の最新状態、指定時はその日のアーカイブ）
+// 同じ日に複数回リセットした場合は、アーカイブを古い順に続けて出力する
+app.get('/api/export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+        return sendError(res, 400, 'invalid_export_format');
+    }
+    const date = req.query.date;
+    if (date !== undefined && !isValidBusinessDate(date)) {
+        return sendError(res, 400, 'invalid_date');
     }
 
     try {
-        const roomId = req.params.roomId;
-        const updates = req.body;
+        let sheetRooms;
+        if (date) {
+            const archives = await db.getDayArchives(req.propertyId, date);
+            if (archives.length === 0) {
+                return sendError(res, 404, 'archive_not_found');
+            }
+            sheetRooms = archives.flatMap(a => a.rooms);
+        } else {
+            sheetRooms = (await db.getAllRooms(req.propertyId)).filter(r => !r.is_retired);
+        }
 
-        const updatedRoom = await db.updateRoom(roomId, updates);
+        const rows = dailySheet.buildSheetRows(sheetRooms, await db.getAllCategories(req.propertyId), i18n.resolveLocale(req));
+        const businessDate = date || toBusinessDate();
+        const filename = `rooms-${businessDate}.${format}`;
 
-        if (updatedRoom) {
-            // 全クライアントにブロードキャスト
-            broadcast('roomUpdate', updatedRoom);
-            res.json(updatedRoom);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8').send(dailySheet.toCsv(rows));
         } else {
-            res.status(404).json({ error: '部屋が見つかりません' });
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(buildXlsx(businessDate, rows));
         }
     } catch (error) {
-        console.error('Error updating room:', error);
-        res.status(500).json({ error: '更新に失敗しました' });
+        console.error('Error exporting sheet:', error);
+        sendError(res, 500, 'export_failed');
+    }
+});
+
+// 日次リセットの共通処理（手動・自動）
+// 施設ごとにアーカイブしてからリセットし、その施設のクライアントへ通知する
+async function performDailyReset(propertyId, actor, businessDate, options = {}) {
+    await db.resetAllRooms(propertyId, actor, businessDate, options);
+    // 最新状態を取得
+    const rooms = await db.getAllRooms(propertyId);
+
+    // 施設の全クライアントにブロードキャスト
+    broadcast(propertyId, 'reset', rooms);
+}
+
+// 全ステータスリセット（管理者用） { keep_selection? }
+// リセット前の状態は現在の営業日としてアーカイブされる
+app.post('/api/reset', requireCapability(CAPABILITIES.RESET), async (req, res) => {
+    try {
+        const businessDate = toBusinessDate();
+        await performDailyReset(req.propertyId, req.user, businessDate, { keepSelection: !!(req.body && req.body.keep_selection) });
+
+        res.json({ success: true, message: i18n.translate(i18n.resolveLocale(req), 'message.reset_done'), business_date: businessDate });
+    } catch (error) {
+        console.error('Error resetting rooms:', error);
+        sendError(res, 500, 'reset_failed');
     }
 });
 
-// 全ステータスリセット（管理者用）
-app.post('/api/reset', async (req, res) => {
-    // 権限チェック
-    if (req.userRole !== 'admin') {
-        return res.status(403).json({ error: '権限がありません' });
+// 自動日次リセット（AUTO_RESET=1 で有効）
+// DAILY_RESET_TIME（営業日の切り替え時刻）を過ぎたら、終わった営業日をアーカイブしてリセットする
+// 施設ごとにスケジューラーを動かす（後から追加した施設も対象）
+const AUTO_RESET_ACTOR = { user_id: null, name: '自動リセット' };
+const AUTO_RESET_ENABLED = process.env.AUTO_RESET === '1';
+const AUTO_RESET_KEEP_SELECTION = process.env.AUTO_RESET_KEEP_SELECTION === '1';
+const autoResetSchedulers = new Map();
+
+function scheduleAutoReset(propertyId) {
+    if (!AUTO_RESET_ENABLED || autoResetSchedulers.has(propertyId)) return;
+
+    autoResetSchedulers.set(propertyId, startDailyResetScheduler({
+        getLastResetAt: () => db.getLastArchivedAt(propertyId),
+        reset: async businessDate => {
+            await performDailyReset(propertyId, AUTO_RESET_ACTOR, businessDate, { keepSelection: AUTO_RESET_KEEP_SELECTION });
+            console.log(`自動リセットを実行しました（施設: ${propertyId}、営業日: ${businessDate}）`);
+        }
+    }));
+}
+
+async function startAutoReset() {
+    if (!AUTO_RESET_ENABLED) return;
+
+    try {
+        (await db.getAllProperties()).forEach(p => scheduleAutoReset(p.property_id));
+        console.log(`自動リセット: 毎日 ${DAILY_RESET_TIME} (${BUSINESS_TIME_ZONE})${AUTO_RESET_KEEP_SELECTION ? '、使用客室の選択は維持' : ''}`);
+    } catch (error) {
+        console.error('Error starting auto reset:', error);
+    }
+}
+
+// ===== Webhook =====
+// broadcast() のイベントから業務イベントを検出し、購読している Webhook ごとに配信ログを作って送信する
+// 失敗した配信は配信ログの next_attempt_at を過ぎたら再送する（再起動後も続きから再送される）
+const WEBHOOK_RETRY_INTERVAL_MS = 15 * 1000;
+const webhookEvents = webhooks.createEventDetector();
+const deliveriesInFlight = new Set();
+
+function dispatchWebhooks(propertyId, eventType, data) {
+    const events = webhookEvents.detect(propertyId, eventType, data);
+    if (events.length === 0) return;
+
+    db.getWebhooks(propertyId)
+        .then(hooks => Promise.all(events.flatMap(({ event, data: payload }) => hooks
+            .filter(hook => hook.is_active && (hook.events || []).includes(event))
+            .map(hook => createDelivery(hook, event, payload)))))
+        .catch(error => console.error('Error dispatching webhooks:', error));
+}
+
+async function createDelivery(hook, event, payload, redeliveryOf = null) {
+    const delivery = await db.createWebhookDelivery({
+        delivery_id: uuidv4(),
+        webhook_id: hook.webhook_id,
+        property_id: hook.property_id,
+        event,
+        payload,
+        redelivery_of: redeliveryOf
+    });
+    return attemptDelivery(delivery);
+}
+
+// 1回送信して結果を配信ログに記録する（同じ配信を同時に送らない）
+async function attemptDelivery(delivery) {
+    if (deliveriesInFlight.has(delivery.delivery_id)) return delivery;
+    deliveriesInFlight.add(delivery.delivery_id);
+    try {
+        const hook = await db.getWebhook(delivery.property_id, delivery.webhook_id);
+        const result = hook && hook.is_active
+            ? await webhooks.sendDelivery(hook, delivery)
+            : { ok: false, response_status: null, response_body: '', error: webhooks.DELIVERY_ERRORS.WEBHOOK_INACTIVE };
+        // 無効な Webhook への配信は再送しない
+        const attempts = hook && hook.is_active ? (delivery.attempts || 0) + 1 : webhooks.MAX_ATTEMPTS;
+        return await db.updateWebhookDelivery(delivery.delivery_id, webhooks.buildAttemptUpdates(result, attempts));
+    } finally {
+        deliveriesInFlight.delete(delivery.delivery_id);
+    }
+}
+
+async function retryDueDeliveries() {
+    try {
+        for (const delivery of await db.getDueWebhookDeliveries()) {
+            await attemptDelivery(delivery);
+        }
+    } catch (error) {
+        console.error('Error retrying webhook deliveries:', error);
     }
+}
 
+// 起動時に各施設の部屋の状態を覚え、再送処理を始める
+async function startWebhooks() {
     try {
-        await db.resetAllRooms();
-        // 最新状態を取得
-        const rooms = await db.getAllRooms();
+        for (const property of await db.getAllProperties()) {
+            webhookEvents.seed(property.property_id, await db.getAllRooms(property.property_id));
+        }
+    } catch (error) {
+        console.error('Error starting webhooks:', error);
+    }
+    setInterval(retryDueDeliveries, WEBHOOK_RETRY_INTERVAL_MS).unref();
+}
+
+// 配信ログの表示用（本文・応答はそのまま返す。イベント名は利用者の言語）
+function toDeliveryResponse(delivery, locale) {
+    return { ...delivery, event_label: i18n.translate(locale, `webhook.event.${delivery.event}`) };
+}
 
-        // 全クライアントにブロードキャスト
-        broadcast('reset', rooms);
+// 通知できるイベントの一覧
+app.get('/api/webhooks/events', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), (req, res) => {
+    const locale = i18n.resolveLocale(req);
+    res.json(webhooks.WEBHOOK_EVENTS.map(event => ({ event, label: i18n.translate(locale, `webhook.event.${event}`) })));
+});
 
-        res.json({ success: true, message: '全ステータスをリセットしました' });
+// Webhook 一覧
+app.get('/api/webhooks', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    try {
+        const hooks = await db.getWebhooks(req.propertyId);
+        res.json(hooks.map(webhooks.toPublicWebhook));
     } catch (error) {
-        console.error('Error resetting rooms:', error);
-        res.status(500).json({ error: 'リセットに失敗しました' });
+        console.error('Error fetching webhooks:', error);
+        sendError(res, 500, 'fetch_failed');
     }
 });
 
-// セキュアURL用ルート
-app.get('/app/v1/hotel-ops/share/:secret', (req, res) => {
-    // 本番環境ではシークレットの検証を行う
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Webhook 登録 { url, label?, events: [...] }
+// 署名用のシークレットはこのレスポンスでのみ返す
+app.post('/api/webhooks', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    const { fields, error, params } = webhooks.parseWebhookFields(req.body || {}, true);
+    if (error) {
+        return sendError(res, 400, error, params);
+    }
+
+    try {
+        const secret = webhooks.generateSecret();
+        const hook = await db.createWebhook({
+            webhook_id: uuidv4(),
+            property_id: req.propertyId,
+            ...fields,
+            secret,
+            created_by: req.user.user_id,
+            created_by_name: req.user.name
+        });
+        res.status(201).json({ ...webhooks.toPublicWebhook(hook), secret });
+    } catch (err) {
+        console.error('Error creating webhook:', err);
+        sendError(res, 500, 'create_failed');
+    }
+});
+
+// Webhook 変更 { url?, label?, events?, is_active? }
+app.patch('/api/webhooks/:webhookId', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    const { fields, error, params } = webhooks.parseWebhookFields(req.body || {}, false);
+    if (error) {
+        return sendError(res, 400, error, params);
+    }
+    if (Object.keys(fields).length === 0) {
+        return sendError(res, 400, 'no_updates');
+    }
+
+    try {
+        const hook = await db.updateWebhook(req.propertyId, req.params.webhookId, fields);
+        if (!hook) {
+            return sendError(res, 404, 'webhook_not_found');
+        }
+        res.json(webhooks.toPublicWebhook(hook));
+    } catch (err) {
+        console.error('Error updating webhook:', err);
+        sendError(res, 500, 'update_failed');
+    }
+});
+
+// Webhook 削除（配信ログも削除）
+app.delete('/api/webhooks/:webhookId', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    try {
+        const hook = await db.deleteWebhook(req.propertyId, req.params.webhookId);
+        if (!hook) {
+            return sendError(res, 404, 'webhook_not_found');
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        sendError(res, 500, 'delete_failed');
+    }
+});
+
+// 疎通確認（ping イベントを送信し、その配信ログを返す）
+app.post('/api/webhooks/:webhookId/ping', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    try {
+        const hook = await db.getWebhook(req.propertyId, req.params.webhookId);
+        if (!hook) {
+            return sendError(res, 404, 'webhook_not_found');
+        }
+        const delivery = await createDelivery(hook, 'ping', { webhook_id: hook.webhook_id, events: hook.events });
+        res.json(toDeliveryResponse(delivery, i18n.resolveLocale(req)));
+    } catch (error) {
+        console.error('Error pinging webhook:', error);
+        sendError(res, 500, 'send_failed');
+    }
+});
+
+// 配信ログ（新しい順） ?limit=（既定100、最大500）
+app.get('/api/webhooks/:webhookId/deliveries', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    try {
+        const hook = await db.getWebhook(req.propertyId, req.params.webhookId);
+        if (!hook) {
+            return sendError(res, 404, 'webhook_not_found');
+        }
+        const deliveries = await db.getWebhookDeliveries(req.propertyId, { webhookId: hook.webhook_id, limit });
+        const locale = i18n.resolveLocale(req);
+        res.json(deliveries.map(delivery => toDeliveryResponse(delivery, locale)));
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 配信ログの詳細（送信した本文・応答）
+app.get('/api/webhook-deliveries/:deliveryId', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    try {
+        const delivery = await db.getWebhookDelivery(req.propertyId, req.params.deliveryId);
+        if (!delivery) {
+            return sendError(res, 404, 'delivery_not_found');
+        }
+        res.json({ ...toDeliveryResponse(delivery, i18n.resolveLocale(req)), body: webhooks.buildPayload(delivery) });
+    } catch (error) {
+        console.error('Error fetching webhook delivery:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 再送（同じ内容で新しい配信を作って送信する）
+app.post('/api/webhook-deliveries/:deliveryId/redeliver', requireCapability(CAPABILITIES.MANAGE_WEBHOOKS), async (req, res) => {
+    try {
+        const original = await db.getWebhookDelivery(req.propertyId, req.params.deliveryId);
+        if (!original) {
+            return sendError(res, 404, 'delivery_not_found');
+        }
+        const hook = await db.getWebhook(req.propertyId, original.webhook_id);
+        if (!hook) {
+            return sendError(res, 404, 'webhook_not_found');
+        }
+        if (!hook.is_active) {
+            return sendError(res, 409, 'webhook_inactive');
+        }
+        const delivery = await createDelivery(hook, original.event, original.payload, original.delivery_id);
+        res.json(toDeliveryResponse(delivery, i18n.resolveLocale(req)));
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        sendError(res, 500, 'redeliver_failed');
+    }
+});
+
+// ===== 共有リンク =====
+
+// 共有リンク一覧
+app.get('/api/share-links', requireCapability(CAPABILITIES.MANAGE_SHARES), async (req, res) => {
+    try {
+        const links = await db.getAllShareLinks(req.propertyId);
+        res.json(links.map(shareLinks.toPublicShareLink));
+    } catch (error) {
+        console.error('Error fetching share links:', error);
+        sendError(res, 500, 'fetch_failed');
+    }
+});
+
+// 共有リンク発行 { label, scope: 'board'|'rooms', room_ids?, expires_in_hours? }
+// URL（シークレット）はこのレスポンスでのみ返す
+app.post('/api/share-links', requireCapability(CAPABILITIES.MANAGE_SHARES), async (req, res) => {
+    const body = req.body || {};
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    const scope = body.scope || 'board';
+    const hours = body.expires_in_hours === undefined ? 24 : Number(body.expires_in_hours);
+
+    if (!label) {
+        return sendError(res, 400, 'share_label_required');
+    }
+    if (!shareLinks.SHARE_SCOPES.includes(scope)) {
+        return sendError(res, 400, 'invalid_share_scope');
+    }
+    if (!(hours > 0 && hours <= shareLinks.MAX_EXPIRY_HOURS)) {
+        return sendError(res, 400, 'invalid_share_expiry', { hours: shareLinks.MAX_EXPIRY_HOURS });
+    }
+
+    try {
+        let roomIds = [];
+        if (scope === 'rooms') {
+            if (!Array.isArray(body.room_ids) || body.room_ids.length === 0) {
+                return sendError(res, 400, 'share_rooms_required');
+            }
+            const rooms = await db.getAllRooms(req.propertyId);
+            roomIds = [...new Set(body.room_ids)];
+            const missing = roomIds.filter(id => !rooms.some(r => r.room_id === id));
+            if (missing.length > 0) {
+                return sendError(res, 404, 'room_not_found', {}, { rooms: missing });
+            }
+        }
+
+        const secret = shareLinks.generateSecret();
+        const link = await db.createShareLink({
+            link_id: uuidv4(),
+            property_id: req.propertyId,
+            label,
+            scope,
+            room_ids: roomIds,
+            secret_hash: shareLinks.hashSecret(secret),
+            expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+            created_by: req.user.user_id,
+            created_by_name: req.user.name
+        });
+
+        res.status(201).json({
+            ...shareLinks.toPublicShareLink(link),
+            url: `${req.protocol}://${req.get('host')}${SHARE_PATH_PREFIX}${secret}`
+        });
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        sendError(res, 500, 'issue_failed');
+    }
 });
 
+// 共有リンク失効（開いている画面のリアルタイム接続も切断する）
+app.delete('/api/share-links/:linkId', requireCapability(CAPABILITIES.MANAGE_SHARES), async (req, res) => {
+    try {
+        const link = await db.revokeShareLink(req.propertyId, req.params.linkId);
+        if (!link) {
+            return sendError(res, 404, 'share_link_not_found');
+        }
+
+        sseClients.forEach(client => {
+            if (client.shareLink && client.shareLink.link_id === link.link_id) client.end();
+        });
+        res.json(shareLinks.toPublicShareLink(link));
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        sendError(res, 500, 'revoke_failed');
+    }
+});
+
+// 共有リンクで開く画面
+// シークレットを検証し、有効であればクッキーに保存して閲覧画面を返す
+app.get('/app/v1/hotel-ops/share/:secret', async (req, res) => {
+    try {
+        const link = await db.getShareLinkByHash(shareLinks.hashSecret(req.params.secret));
+        if (!shareLinks.isActive(link)) {
+            return res.status(404).send(i18n.translate(i18n.resolveLocale(req), 'error.share_link_expired'));
+        }
+
+        const maxAge = Math.floor((new Date(link.expires_at).getTime() - Date.now()) / 1000);
+        res.setHeader('Set-Cookie', `${SHARE_COOKIE}=${encodeURIComponent(req.params.secret)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax`);
+        res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    } catch (error) {
+        console.error('Error opening share link:', error);
+        res.status(500).send(i18n.translate(i18n.resolveLocale(req), 'error.share_link_open_failed'));
+    }
+});
 // ルートへのアクセス
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -241,15 +2137,19 @@ if (require.main === module) {
 
         // トンネル開始
         startTunnel();
+        startAutoReset();
+        startOverdueAlerts();
+        startWebhooks();
     });
 }
 
 // Vercel用にエクスポート
 module.exports = app;
 
-// 終了時のクリーンアップ
-process.on('SIGINT', () => {
+// 終了時のクリーンアップ（JSON DB のまとめ書き中の変更を書き込んでから終了する）
+function shutdown() {
     console.log('\nサーバーを終了しています...');
-    db.close();
-    process.exit(0);
-});
+    db.close().finally(() => process.exit(0));
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../lib/auth');
+const throttle = require('../lib/loginThrottle');
+
+// ===== PIN・セッション・クッキー =====
+
+test('PIN はソルト付きでハッシュ化し、正しい PIN だけを受け付ける', () => {
+    const stored = auth.hashPin('1234');
+    assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(auth.hashPin('1234'), stored);
+    assert.equal(auth.verifyPin('1234', stored), true);
+    assert.equal(auth.verifyPin('1235', stored), false);
+    assert.equal(auth.verifyPin('1234', ''), false);
+    assert.equal(auth.verifyPin('1234', 'plain$1234'), false);
+});
+
+test('初期管理者の PIN は6桁の数字', () => {
+    for (let i = 0; i < 20; i++) {
+        const pin = auth.generatePin();
+        assert.equal(auth.isValidPin(pin), true);
+        assert.equal(pin.length, 6);
+    }
+    assert.equal(auth.isValidPin('123'), false);
+    assert.equal(auth.isValidPin(1234), false);
+});
+
+test('セッショントークンは署名と有効期限を検証する', () => {
+    const user = { user_id: 'u1', session_version: 2 };
+    const token = auth.createSessionToken(user, 'secret', 60, 'p1');
+    const payload = auth.verifySessionToken(token, 'secret');
+    assert.equal(payload.uid, 'u1');
+    assert.equal(payload.sv, 2);
+    assert.equal(payload.pid, 'p1');
+
+    assert.equal(auth.verifySessionToken(token, 'other-secret'), null);
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...payload, uid: 'admin' })).toString('base64url');
+    assert.equal(auth.verifySessionToken(`${forged}.${signature}`, 'secret'), null);
+    assert.equal(auth.verifySessionToken(`${body}.`, 'secret'), null);
+    assert.equal(auth.verifySessionToken(undefined, 'secret'), null);
+    assert.equal(auth.verifySessionToken(auth.createSessionToken(user, 'secret', -1, 'p1'), 'secret'), null);
+});
+
+test('クッキーを読み、復号できない値はそのまま返す', () => {
+    assert.deepEqual(auth.parseCookies('session=a.b; locale=en; name=%E5%B1%B1'), { session: 'a.b', locale: 'en', name: '山' });
+    assert.deepEqual(auth.parseCookies('locale=%E0; broken'), { locale: '%E0' });
+    assert.deepEqual(auth.parseCookies(undefined), {});
+});
+
+// ===== ログイン試行の制限 =====
+
+const MINUTE = 60 * 1000;
+const start = Date.parse('2026-10-19T00:00:00Z');
+
+function fail(limiter, ip, name, count, now = start) {
+    for (let i = 0; i < count; i++) limiter.recordFailure(ip, name, now);
+}
+
+test('同じ IP アドレスから同じスタッフ名への失敗が続いたら、その組み合わせだけを止める', () => {
+    const limiter = throttle.createLoginThrottle();
+    fail(limiter, '10.0.0.1', '山田', throttle.MAX_FAILURES_PER_PAIR - 1);
+    assert.equal(limiter.retryAfter('10.0.0.1', '山田', start), 0);
+
+    fail(limiter, '10.0.0.1', ' 山田 ', 1);
+    assert.equal(limiter.retryAfter('10.0.0.1', '山田', start), throttle.WINDOW_MS / 1000);
+    // 別の IP アドレスからの本人のログイン・同じ IP アドレスからの別のスタッフは止めない
+    assert.equal(limiter.retryAfter('10.0.0.2', '山田', start), 0);
+    assert.equal(limiter.retryAfter('10.0.0.1', '佐藤', start), 0);
+    // 期間を過ぎれば受け付ける
+    assert.equal(limiter.retryAfter('10.0.0.1', '山田', start + throttle.WINDOW_MS), 0);
+});
+
+test('同じ IP アドレスからの失敗が上限に達したら、その IP アドレスを止める', () => {
+    const limiter = throttle.createLoginThrottle();
+    for (let i = 0; i < throttle.MAX_FAILURES_PER_IP; i++) limiter.recordFailure('10.0.0.1', `staff${i}`, start);
+    assert.ok(limiter.retryAfter('10.0.0.1', 'new', start) > 0);
+    assert.equal(limiter.retryAfter('10.0.0.2', 'new', start), 0);
+});
+
+test('同じスタッフ名への失敗は止めずに、待ち時間を延ばす', () => {
+    const limiter = throttle.createLoginThrottle();
+    for (let i = 0; i < throttle.NAME_DELAY_AFTER; i++) limiter.recordFailure(`10.0.1.${i}`, '山田', start);
+    assert.equal(limiter.retryAfter('10.0.2.1', '山田', start), 0);
+
+    limiter.recordFailure('10.0.1.100', '山田', start);
+    assert.equal(limiter.retryAfter('10.0.2.1', '山田', start), 1);
+    limiter.recordFailure('10.0.1.101', '山田', start);
+    assert.equal(limiter.retryAfter('10.0.2.1', '山田', start), 2);
+    assert.equal(limiter.retryAfter('10.0.2.1', '山田', start + 2000), 0);
+
+    for (let i = 0; i < 20; i++) limiter.recordFailure(`10.0.3.${i}`, '山田', start);
+    assert.equal(limiter.retryAfter('10.0.2.1', '山田', start), throttle.MAX_NAME_DELAY_MS / 1000);
+    assert.equal(limiter.retryAfter('10.0.2.1', '山田', start + throttle.WINDOW_MS), 0);
+});
+
+test('ログインできたらスタッフ名の失敗を消す（IP アドレスの失敗は残す）', () => {
+    const limiter = throttle.createLoginThrottle();
+    fail(limiter, '10.0.0.1', '山田', throttle.MAX_FAILURES_PER_PAIR, start + MINUTE);
+    limiter.recordSuccess('10.0.0.1', '山田');
+    assert.equal(limiter.retryAfter('10.0.0.1', '山田', start + MINUTE), 0);
+
+    fail(limiter, '10.0.0.1', '佐藤', throttle.MAX_FAILURES_PER_IP);
+    limiter.recordSuccess('10.0.0.1', '佐藤');
+    assert.ok(limiter.retryAfter('10.0.0.1', '佐藤', start) > 0);
+});
@@ -0,0 +1,103 @@
+process.env.BUSINESS_TIME_ZONE = 'Asia/Tokyo';
+process.env.DAILY_RESET_TIME = '00:00';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimeOfDay, toBusinessDate, formatBusinessDateTime, businessDateTimeToDate, isValidBusinessDate } = require('../lib/businessDay');
+const { startDailyResetScheduler } = require('../lib/dailyReset');
+
+// ===== 営業日 =====
+
+test('HH:MM を0時からの分数にする', () => {
+    assert.equal(parseTimeOfDay('00:00'), 0);
+    assert.equal(parseTimeOfDay('9:05'), 9 * 60 + 5);
+    assert.equal(parseTimeOfDay(' 23:59 '), 23 * 60 + 59);
+    assert.equal(parseTimeOfDay('24:00'), null);
+    assert.equal(parseTimeOfDay('10:60'), null);
+    assert.equal(parseTimeOfDay(''), null);
+    assert.equal(parseTimeOfDay(undefined), null);
+});
+
+test('切り替え時刻より前は前日の営業日とする（ホテルの現地時刻で判定）', () => {
+    const cutover = 10 * 60;
+    // 2026-10-20 09:59 / 10:00 (Asia/Tokyo)
+    assert.equal(toBusinessDate(new Date('2026-10-20T00:59:00Z'), 'Asia/Tokyo', cutover), '2026-10-19');
+    assert.equal(toBusinessDate(new Date('2026-10-20T01:00:00Z'), 'Asia/Tokyo', cutover), '2026-10-20');
+    // サーバーのタイムゾーンではなく指定したタイムゾーンの日付
+    assert.equal(toBusinessDate(new Date('2026-10-19T23:00:00Z'), 'Asia/Tokyo', 0), '2026-10-20');
+    assert.equal(toBusinessDate(new Date('2026-10-19T23:00:00Z'), 'America/New_York', 0), '2026-10-19');
+});
+
+test('営業日と現地時刻から日時を求める（切り替え前の時刻は翌日、夏時間を考慮）', () => {
+    assert.equal(businessDateTimeToDate('2026-10-19', 11 * 60, 'Asia/Tokyo', 0).toISOString(), '2026-10-19T02:00:00.000Z');
+    assert.equal(businessDateTimeToDate('2026-10-19', 2 * 60, 'Asia/Tokyo', 4 * 60).toISOString(), '2026-10-19T17:00:00.000Z');
+    // 夏時間の開始日・終了日
+    assert.equal(businessDateTimeToDate('2026-03-08', 10 * 60, 'America/New_York', 0).toISOString(), '2026-03-08T14:00:00.000Z');
+    assert.equal(businessDateTimeToDate('2026-11-01', 10 * 60, 'America/New_York', 0).toISOString(), '2026-11-01T15:00:00.000Z');
+});
+
+test('現地時刻の表示と日付の検証', () => {
+    assert.equal(formatBusinessDateTime('2026-10-19T15:30:00Z', 'Asia/Tokyo'), '2026-10-20 00:30');
+    assert.equal(formatBusinessDateTime(null), '');
+    assert.equal(formatBusinessDateTime('not a date'), '');
+    assert.equal(isValidBusinessDate('2026-02-28'), true);
+    assert.equal(isValidBusinessDate('2026-02-30'), false);
+    assert.equal(isValidBusinessDate('2026-2-1'), false);
+    assert.equal(isValidBusinessDate(20261019), false);
+});
+
+// ===== 自動日次リセット =====
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 起動時の確認が終わるまで待ち、リセットした営業日の一覧を返す
+async function runScheduler(getLastResetAt, reset) {
+    const resets = [];
+    const scheduler = startDailyResetScheduler({
+        getLastResetAt,
+        reset: reset || (async businessDate => { resets.push(businessDate); }),
+        intervalMs: 60 * 60 * 1000
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    return { scheduler, resets };
+}
+
+test('営業日が切り替わっていれば、最後にリセットした営業日の分としてリセットする', async () => {
+    const lastResetAt = new Date(Date.now() - DAY_MS);
+    const { scheduler, resets } = await runScheduler(async () => lastResetAt.toISOString());
+    scheduler.stop();
+    assert.deepEqual(resets, [toBusinessDate(lastResetAt)]);
+});
+
+test('数日止まっていた場合も、前日ではなく最後にリセットした営業日の分にする', async () => {
+    const lastResetAt = new Date(Date.now() - 5 * DAY_MS);
+    const { scheduler, resets } = await runScheduler(async () => lastResetAt.toISOString());
+    scheduler.stop();
+    assert.deepEqual(resets, [toBusinessDate(lastResetAt)]);
+});
+
+test('同じ営業日のうちに再起動しても二重にリセットしない', async () => {
+    const { scheduler, resets } = await runScheduler(async () => new Date().toISOString());
+    await scheduler.check();
+    scheduler.stop();
+    assert.deepEqual(resets, []);
+});
+
+test('一度もリセットしていなければ起動時刻を基準にする（導入直後はリセットしない）', async () => {
+    const { scheduler, resets } = await runScheduler(async () => null);
+    scheduler.stop();
+    assert.deepEqual(resets, []);
+});
+
+test('リセットに失敗しても次の確認で再試行する', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    let attempts = 0;
+    const { scheduler } = await runScheduler(async () => new Date(Date.now() - DAY_MS).toISOString(), async () => {
+        attempts += 1;
+        if (attempts === 1) throw new Error('DB error');
+    });
+    await scheduler.check();
+    scheduler.stop();
+    assert.equal(attempts, 2);
+    assert.equal(console.error.mock.calls.length, 1);
+});
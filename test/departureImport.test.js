@@ -0,0 +1,117 @@
+// 営業日・出発時刻は環境変数に左右されないよう固定する（lib/businessDay.js は読み込み時に参照する）
+process.env.BUSINESS_TIME_ZONE = 'Asia/Tokyo';
+process.env.DAILY_RESET_TIME = '04:00';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormat, parseCsv, parseDepartures, normalizeRoomText, buildRoomMatcher, planImport } = require('../lib/departureImport');
+
+// ===== 本日の出発予定の取り込み =====
+
+const rooms = [
+    { room_id: '201', name: '201' },
+    { room_id: '202', name: 'スイート202' },
+    { room_id: '226-7', name: '226-7' },
+    { room_id: '301', name: '301', out_of_order: 1 }
+];
+
+test('CSV のクォート・カンマ・改行・"" を読み分ける', () => {
+    const rows = parseCsv('部屋,備考\r\n"201","a,b"\n202,"1行目\n2行目"\n"203","""VIP"""\n\n');
+    assert.deepEqual(rows, [
+        ['部屋', '備考'],
+        ['201', 'a,b'],
+        ['202', '1行目\n2行目'],
+        ['203', '"VIP"']
+    ]);
+});
+
+test('見出しから部屋番号と出発日時の列を見つける', () => {
+    const csv = '\uFEFF予約番号,客室,氏名,チェックアウト日,チェックアウト時刻\n'
+        + 'A1,２０１号室,山田,2026/10/19,11:00\n'
+        + 'A2,Room 202,Smith,2026-10-19,\n';
+    assert.equal(detectFormat(csv), 'csv');
+    assert.deepEqual(parseDepartures(csv), [
+        { line: 2, room: '２０１号室', date: '2026-10-19', minutes: 11 * 60 },
+        { line: 3, room: 'Room 202', date: '2026-10-19', minutes: null }
+    ]);
+});
+
+test('見出しがなければ1列目を部屋番号、残りを出発日時とする', () => {
+    assert.deepEqual(parseDepartures('201,20261019 10:30\n'), [
+        { line: 1, room: '201', date: '2026-10-19', minutes: 10 * 60 + 30 }
+    ]);
+});
+
+test('iCal の LOCATION と DTEND（折り返し・UTC を含む）を読む', () => {
+    const ical = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'SUMMARY:Yamada',
+        'LOCATION:20',
+        ' 1',
+        'DTEND;TZID=Asia/Tokyo:20261019T110000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:202',
+        'DTEND:20261019T010000Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'LOCATION:226-7',
+        'DTEND;VALUE=DATE:20261019',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    assert.equal(detectFormat(ical), 'ical');
+    assert.deepEqual(parseDepartures(ical).map(({ room, date, minutes }) => ({ room, date, minutes })), [
+        { room: '201', date: '2026-10-19', minutes: 11 * 60 },
+        { room: '202', date: '2026-10-19', minutes: 10 * 60 },
+        { room: '226-7', date: '2026-10-19', minutes: null }
+    ]);
+});
+
+test('部屋番号の表記ゆれ（全角・号室・Room・#）をそろえる', () => {
+    assert.equal(normalizeRoomText('２０１号室'), '201');
+    assert.equal(normalizeRoomText('Room 201'), '201');
+    assert.equal(normalizeRoomText('#201'), '201');
+    assert.equal(normalizeRoomText(' RM.201 '), '201');
+});
+
+test('部屋番号・部屋名・連結した部屋で突き合わせる', () => {
+    const findRoom = buildRoomMatcher(rooms);
+    assert.equal(findRoom('201').room_id, '201');
+    assert.equal(findRoom('スイート202').room_id, '202');
+    assert.equal(findRoom('226-227').room_id, '226-7');
+    assert.equal(findRoom('226/7').room_id, '226-7');
+    assert.equal(findRoom('227').room_id, '226-7');
+    assert.equal(findRoom('999'), null);
+    assert.equal(findRoom(''), null);
+});
+
+test('取り込み内容: 同じ部屋は遅い方の出発時刻を使い、取り込まない行には理由を付ける', () => {
+    const departures = [
+        { line: 2, room: '201', date: '2026-10-19', minutes: 10 * 60 },
+        { line: 3, room: '201号室', date: null, minutes: 11 * 60 },
+        { line: 4, room: '202', date: '2026-10-19', minutes: null },
+        { line: 5, room: '', date: '2026-10-19', minutes: 600 },
+        { line: 6, room: '201', date: '2026-10-20', minutes: 600 },
+        { line: 7, room: '999', date: null, minutes: null },
+        { line: 8, room: '301', date: null, minutes: 600 },
+        // 切り替え時刻（04:00）より前は営業日の翌日の時刻
+        { line: 9, room: '226-7', date: null, minutes: 2 * 60 }
+    ];
+    const plan = planImport(departures, rooms, '2026-10-19');
+
+    assert.equal(plan.total, 8);
+    assert.deepEqual(plan.matched, [
+        { room_id: '201', name: '201', expected_checkout_at: '2026-10-19T02:00:00.000Z', lines: [2, 3] },
+        { room_id: '202', name: 'スイート202', expected_checkout_at: null, lines: [4] },
+        { room_id: '226-7', name: '226-7', expected_checkout_at: '2026-10-19T17:00:00.000Z', lines: [9] }
+    ]);
+    assert.deepEqual(plan.unmatched.map(row => [row.line, row.reason_code, row.reason_params]), [
+        [5, 'no_room', {}],
+        [6, 'other_date', { date: '2026-10-20' }],
+        [7, 'room_not_found', {}],
+        [8, 'out_of_order', {}]
+    ]);
+});
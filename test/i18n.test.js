@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const i18n = require('../lib/i18n');
+const dailySheet = require('../lib/dailySheet');
+
+// ===== 多言語対応 =====
+
+const request = (headers = {}, user = null) => ({ headers, user });
+
+test('言語タグを対応している言語にそろえる', () => {
+    assert.equal(i18n.normalizeLocale('en-US'), 'en');
+    assert.equal(i18n.normalizeLocale('zh_Hant_TW'), 'zh');
+    assert.equal(i18n.normalizeLocale(' VI '), 'vi');
+    assert.equal(i18n.normalizeLocale('fr'), null);
+    assert.equal(i18n.normalizeLocale(undefined), null);
+});
+
+test('リクエストの言語: クッキー > スタッフの設定 > Accept-Language > 日本語', () => {
+    const user = { locale: 'vi' };
+    assert.equal(i18n.resolveLocale(request({ cookie: 'session=x; locale=en', 'accept-language': 'zh' }, user)), 'en');
+    assert.equal(i18n.resolveLocale(request({ 'accept-language': 'zh' }, user)), 'vi');
+    assert.equal(i18n.resolveLocale(request({ 'accept-language': 'fr;q=1, en;q=0.5, vi;q=0.8' })), 'vi');
+    assert.equal(i18n.resolveLocale(request({ 'accept-language': 'en;q=0' })), 'ja');
+    assert.equal(i18n.resolveLocale(request()), 'ja');
+    assert.equal(i18n.resolveLocale(null), 'ja');
+});
+
+test('クッキーの名前は完全に一致するものだけを使う', () => {
+    assert.equal(i18n.resolveLocale(request({ cookie: 'xlocale=en' })), 'ja');
+    assert.equal(i18n.resolveLocale(request({ cookie: 'a=1;locale=zh-CN' })), 'zh');
+});
+
+test('復号できないクッキーは例外にせず無視する', () => {
+    ['locale=%E0', 'locale=%', 'locale=%ZZ; other=1'].forEach(cookie => {
+        assert.doesNotThrow(() => i18n.resolveLocale(request({ cookie })), cookie);
+        assert.equal(i18n.resolveLocale(request({ cookie, 'accept-language': 'en' })), 'en', cookie);
+    });
+});
+
+test('文言を翻訳し、{name} を置き換える（見つからなければ日本語、それもなければキー）', () => {
+    assert.equal(i18n.translate('en', 'error.too_many_login_attempts', { minutes: 15 }),
+        'Too many failed login attempts. Please try again in 15 min.');
+    assert.equal(i18n.translate('fr', 'error.auth_required'), i18n.translate('ja', 'error.auth_required'));
+    assert.equal(i18n.translate('en', 'no.such.key'), 'no.such.key');
+    // 値が { key } の場合はその文言も翻訳する
+    assert.equal(i18n.translate('en', 'toast.ping_failed', { error: { key: 'webhook.error.timeout' } }),
+        'The test delivery failed (Timed out)');
+});
+
+test('エラーレスポンスは利用者の言語のメッセージと固定のコードを返す', () => {
+    const sent = {};
+    const res = {
+        req: request({ cookie: 'locale=en' }),
+        status(code) { sent.status = code; return this; },
+        json(body) { sent.body = body; return this; }
+    };
+    i18n.sendError(res, 400, 'notes_too_long', { max: 1000 }, { fields: ['notes'] });
+    assert.equal(sent.status, 400);
+    assert.equal(sent.body.code, 'notes_too_long');
+    assert.deepEqual(sent.body.fields, ['notes']);
+    assert.match(sent.body.error, /1000/);
+});
+
+test('すべての言語のカタログに同じキーがある', () => {
+    const keysOf = locale => Object.keys(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'public', 'locales', `${locale}.json`), 'utf8'))).sort();
+    const expected = keysOf(i18n.DEFAULT_LOCALE);
+    i18n.LOCALES.forEach(locale => assert.deepEqual(keysOf(locale), expected, locale));
+});
+
+test('日次シートの見出しと状態は指定した言語で出力する', () => {
+    const rooms = [{ room_id: '201', category: 'c1', is_active: 1, status: 'checked_out', notes: '=SUM(A1)' }];
+    const categories = [{ category_id: 'c1', name: 'Twin' }];
+
+    const [header, row] = dailySheet.buildSheetRows(rooms, categories, 'en');
+    assert.deepEqual(header, ['Room', 'Category', 'In use', 'Checkout status', 'Checkout time', 'Notes']);
+    assert.deepEqual(row, ['201', 'Twin', 'In use', 'OUT', '', '=SUM(A1)']);
+    assert.equal(dailySheet.buildSheetRows(rooms, categories)[0][0], '部屋');
+
+    // 数式として解釈される値は無効化し、BOM 付き・CRLF で出力する
+    assert.equal(dailySheet.toCsv([row]), '\uFEFF"201","Twin","In use","OUT","","\'=SUM(A1)"\r\n');
+});
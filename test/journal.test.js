@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal } = require('../database/journal');
+
+// ===== JSON DB のファイル（スナップショット + 追記ジャーナル） =====
+
+// 変更をまとめる時間（journal.js の WRITE_DELAY_MS）より長く待つ
+const waitForFlush = () => new Promise(resolve => setTimeout(resolve, 300));
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'rooms.json');
+}
+
+// ファイルを読み込んだジャーナルと、そのデータ
+function open(file) {
+    const state = {};
+    state.journal = createJournal({
+        path: file,
+        keys: { rooms: ['room_id'] },
+        getData: () => state.data,
+        buildInitialData: () => ({ rooms: [] })
+    });
+    state.data = state.journal.load();
+    return state;
+}
+
+function putRoom(state, room) {
+    const index = state.data.rooms.findIndex(r => r.room_id === room.room_id);
+    if (index === -1) state.data.rooms.push(room);
+    else state.data.rooms[index] = room;
+    state.journal.put('rooms', room);
+}
+
+const roomIds = data => data.rooms.map(r => r.room_id).sort();
+const journalLines = file => fs.readFileSync(`${file}.journal`, 'utf8').split('\n').filter(Boolean);
+
+test('ジャーナルの変更を次の読み込みで反映する', async () => {
+    const file = tempFile();
+    const first = open(file);
+    putRoom(first, { room_id: '201', notes: '' });
+    await waitForFlush();
+    putRoom(first, { room_id: '202', notes: '' });
+    putRoom(first, { room_id: '201', notes: 'タオル追加' });
+    await waitForFlush();
+
+    // 1行目はスナップショットとして書かれ、以降の変更はまとめて1行ずつ追記される
+    assert.equal(journalLines(file).length, 1);
+
+    const second = open(file);
+    assert.deepEqual(roomIds(second.data), ['201', '202']);
+    assert.equal(second.data.rooms.find(r => r.room_id === '201').notes, 'タオル追加');
+});
+
+test('書き込み途中で切れた行は読み飛ばし、退避してそれ以前の変更を使う', async () => {
+    const file = tempFile();
+    const first = open(file);
+    putRoom(first, { room_id: '201' });
+    await waitForFlush();
+    putRoom(first, { room_id: '202' });
+    await waitForFlush();
+    putRoom(first, { room_id: '203' });
+    await waitForFlush();
+
+    // 最後の行を途中まで書いた状態にする
+    const lines = journalLines(file);
+    assert.equal(lines.length, 2);
+    const last = lines[1];
+    fs.writeFileSync(`${file}.journal`, `${lines[0]}\n${last.slice(0, Math.floor(last.length / 2))}`);
+
+    const second = open(file);
+    assert.deepEqual(roomIds(second.data), ['201', '202']);
+    const moved = fs.readdirSync(path.dirname(file)).filter(name => name.startsWith('rooms.json.journal.corrupt-'));
+    assert.equal(moved.length, 1);
+});
+
+test('チェックサムが合わない行以降は使わない', async () => {
+    const file = tempFile();
+    const first = open(file);
+    putRoom(first, { room_id: '201' });
+    await waitForFlush();
+    putRoom(first, { room_id: '202' });
+    await waitForFlush();
+
+    fs.writeFileSync(`${file}.journal`, journalLines(file)[0].replace('202', '299') + '\n');
+
+    const second = open(file);
+    assert.deepEqual(roomIds(second.data), ['201']);
+});
+
+test('スナップショットが壊れていれば1つ前のスナップショットとジャーナルから復旧する', async () => {
+    const file = tempFile();
+    const first = open(file);
+    putRoom(first, { room_id: '201' });
+    first.journal.rewrite();
+    putRoom(first, { room_id: '202' });
+    first.journal.rewrite();
+    putRoom(first, { room_id: '203' });
+    await waitForFlush();
+
+    fs.writeFileSync(file, '{"rooms": [');
+
+    const second = open(file);
+    // 202 は壊れたスナップショットにだけあった変更
+    assert.deepEqual(roomIds(second.data), ['201', '203']);
+    const moved = fs.readdirSync(path.dirname(file)).filter(name => /^rooms\.json\.corrupt-/.test(name));
+    assert.equal(moved.length, 1);
+    // 復旧した内容はスナップショットに書き直される
+    assert.deepEqual(roomIds(JSON.parse(fs.readFileSync(file, 'utf8'))), ['201', '203']);
+});
+
+test('復旧できるスナップショットがなければ例外にし、初期データで上書きしない', () => {
+    const file = tempFile();
+    fs.writeFileSync(file, 'not json');
+
+    assert.throws(() => open(file), /復旧できるスナップショットがありません/);
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(fs.readdirSync(path.dirname(file)).filter(name => name.startsWith('rooms.json.corrupt-')).length, 1);
+});
+
+test('終了時にジャーナルをスナップショットにまとめて空にする', async () => {
+    const file = tempFile();
+    const first = open(file);
+    putRoom(first, { room_id: '201' });
+    await waitForFlush();
+    putRoom(first, { room_id: '202' });
+    await waitForFlush();
+    assert.equal(journalLines(file).length, 1);
+
+    first.journal.close();
+
+    assert.equal(fs.readFileSync(`${file}.journal`, 'utf8'), '');
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(roomIds(snapshot), ['201', '202']);
+    assert.equal(snapshot.journal_seq, 1);
+    assert.deepEqual(roomIds(open(file).data), ['201', '202']);
+});
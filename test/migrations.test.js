@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createStore } = require('../database/adapters');
+
+// ===== スキーマ移行 =====
+
+// better-sqlite3 は任意の依存関係（入っていない環境では SQLite のテストを飛ばす）
+let sqliteSkip = false;
+try {
+    require('better-sqlite3');
+} catch (err) {
+    sqliteSkip = 'better-sqlite3 がインストールされていません';
+}
+
+const migrations = {
+    json: require('../database/migrations/json'),
+    sqlite: require('../database/migrations/sqlite'),
+    postgres: require('../database/migrations/postgres')
+};
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+test('各バックエンドの移行は version が1からの連番で、同じ version・名前を持つ', () => {
+    const list = backend => migrations[backend].map(({ version, name }) => ({ version, name }));
+    list('json').forEach((m, i) => assert.equal(m.version, i + 1));
+    assert.deepEqual(list('sqlite'), list('json'));
+    assert.deepEqual(list('postgres'), list('json'));
+    Object.values(migrations).flat().forEach(m => assert.equal(typeof m.up, 'function'));
+});
+
+test('JSON: 移行の仕組みを入れる前のファイルをそろえ、2回目は何もしない', async () => {
+    const file = path.join(tempDir(), 'rooms.json');
+    fs.writeFileSync(file, JSON.stringify({
+        rooms: [
+            { room_id: '201', display_order: 1, category: 'general', is_active: 1, is_checkout: 1, notes: '' },
+            { room_id: '202', display_order: 2, category: 'general', is_active: 1, is_checkout: 0, notes: '' }
+        ],
+        history: [{ history_id: 1, room_id: '201', field: 'is_checkout' }]
+    }));
+
+    const store = createStore({ backend: 'json', path: file });
+    const applied = await store.migrate();
+    assert.deepEqual(applied, migrations.json.map(({ version, name }) => ({ version, name })));
+    assert.equal(await store.getSchemaVersion(), migrations.json.length);
+
+    const data = await store.exportAll();
+    assert.deepEqual(data.rooms.map(r => [r.room_id, r.status, r.property_id, r.version]), [
+        ['201', 'checked_out', 'default', 1],
+        ['202', 'occupied', 'default', 1]
+    ]);
+    assert.equal(data.history[0].property_id, 'default');
+    assert.deepEqual(data.settings, []);
+    assert.ok(data.categories.length > 0);
+    store.close();
+
+    // 移行後の内容はファイルに書かれている
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).schema_version, migrations.json.length);
+    const reopened = createStore({ backend: 'json', path: file });
+    assert.deepEqual(await reopened.migrate(), []);
+    reopened.close();
+});
+
+test('JSON: 生成した設定は最初の値を保ち、再起動後も読める', async () => {
+    const file = path.join(tempDir(), 'rooms.json');
+    const store = createStore({ backend: 'json', path: file });
+    await store.migrate();
+    assert.equal(await store.ensureSetting('app_secret', 'first'), 'first');
+    assert.equal(await store.ensureSetting('app_secret', 'second'), 'first');
+    store.close();
+
+    const reopened = createStore({ backend: 'json', path: file });
+    await reopened.migrate();
+    assert.equal(await reopened.ensureSetting('app_secret', 'third'), 'first');
+    reopened.close();
+});
+
+test('SQLite: すべての移行を1回だけ適用する', { skip: sqliteSkip }, async () => {
+    const file = path.join(tempDir(), 'rooms.sqlite');
+    const store = createStore({ backend: 'sqlite', path: file });
+    assert.equal(await store.getSchemaVersion(), 0);
+    assert.deepEqual(await store.migrate(), migrations.sqlite.map(({ version, name }) => ({ version, name })));
+    assert.deepEqual(await store.migrate(), []);
+    assert.equal(await store.getSchemaVersion(), migrations.sqlite.length);
+
+    assert.equal(await store.ensureSetting('app_secret', 'first'), 'first');
+    assert.equal(await store.ensureSetting('app_secret', 'second'), 'first');
+    const data = await store.exportAll();
+    assert.deepEqual(data.properties.map(p => p.property_id), ['default']);
+    await store.close();
+
+    const reopened = createStore({ backend: 'sqlite', path: file });
+    assert.deepEqual(await reopened.migrate(), []);
+    assert.equal(await reopened.ensureSetting('app_secret', 'third'), 'first');
+    await reopened.close();
+});
+
+test('copy: JSON の全データを SQLite に写す', { skip: sqliteSkip }, async () => {
+    const dir = tempDir();
+    const jsonFile = path.join(dir, 'rooms.json');
+    const sqliteFile = path.join(dir, 'rooms.sqlite');
+
+    const source = createStore({ backend: 'json', path: jsonFile });
+    await source.migrate();
+    await source.ensureSetting('app_secret', 'copied');
+    const expected = await source.exportAll();
+    source.close();
+
+    execFileSync(process.execPath, [path.join(__dirname, '..', 'database', 'migrate.js'), 'copy', '--from', `json:${jsonFile}`, '--to', `sqlite:${sqliteFile}`], {
+        stdio: 'pipe',
+        timeout: 30 * 1000
+    });
+
+    const target = createStore({ backend: 'sqlite', path: sqliteFile });
+    await target.migrate();
+    const copied = await target.exportAll();
+    await target.close();
+
+    Object.keys(expected).forEach(collection => {
+        assert.equal(copied[collection].length, expected[collection].length, collection);
+    });
+    assert.deepEqual(copied.settings.map(s => [s.name, s.value]), [['app_secret', 'copied']]);
+    assert.deepEqual(copied.categories.map(c => c.category_id).sort(), expected.categories.map(c => c.category_id).sort());
+});
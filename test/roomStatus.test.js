@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUSES, TRANSITIONS, isCleaned, isValidStatus, getTransitionCapability, deriveStatus, buildStatusUpdates } = require('../lib/roomStatus');
+const { CAPABILITIES, hasCapability } = require('../lib/permissions');
+
+// ===== 客室ステータス（清掃ライフサイクル） =====
+
+test('ステージを1つずつ進める遷移と、それに必要な権限', () => {
+    assert.equal(getTransitionCapability('occupied', 'checked_out'), CAPABILITIES.TOGGLE_CHECKOUT);
+    assert.equal(getTransitionCapability('checked_out', 'cleaning'), CAPABILITIES.UPDATE_CLEANING);
+    assert.equal(getTransitionCapability('cleaning', 'cleaned'), CAPABILITIES.UPDATE_CLEANING);
+    assert.equal(getTransitionCapability('cleaned', 'inspected'), CAPABILITIES.INSPECT_ROOMS);
+    assert.equal(getTransitionCapability('inspected', 'ready'), CAPABILITIES.INSPECT_ROOMS);
+});
+
+test('ステージを飛ばす遷移・同じステージへの遷移・不明なステータスは許可しない', () => {
+    assert.equal(getTransitionCapability('occupied', 'cleaning'), null);
+    assert.equal(getTransitionCapability('occupied', 'ready'), null);
+    assert.equal(getTransitionCapability('checked_out', 'inspected'), null);
+    assert.equal(getTransitionCapability('ready', 'occupied'), null);
+    STATUSES.forEach(status => assert.equal(getTransitionCapability(status, status), null));
+    assert.equal(getTransitionCapability('unknown', 'checked_out'), null);
+    assert.equal(getTransitionCapability('occupied', 'unknown'), null);
+});
+
+test('遷移表のステータスはすべて定義済み', () => {
+    Object.entries(TRANSITIONS).forEach(([from, targets]) => {
+        assert.ok(isValidStatus(from), from);
+        Object.keys(targets).forEach(to => assert.ok(isValidStatus(to), `${from} → ${to}`));
+    });
+});
+
+test('清掃担当は点検できず、フロントは清掃ステータスを変えられない', () => {
+    const inspect = getTransitionCapability('cleaned', 'inspected');
+    assert.equal(hasCapability('housekeeping', inspect), false);
+    assert.equal(hasCapability('admin', inspect), true);
+    assert.equal(hasCapability('front_desk', getTransitionCapability('checked_out', 'cleaning')), false);
+    assert.equal(hasCapability('front_desk', getTransitionCapability('occupied', 'checked_out')), true);
+});
+
+test('旧データ（is_checkout のみ）からステータスを導出する', () => {
+    assert.equal(deriveStatus({ is_checkout: 1 }), 'checked_out');
+    assert.equal(deriveStatus({ is_checkout: 0 }), 'occupied');
+    assert.equal(deriveStatus({ status: 'cleaned', is_checkout: 0 }), 'cleaned');
+    assert.equal(deriveStatus({ status: 'bogus', is_checkout: 1 }), 'checked_out');
+});
+
+test('ステータスの変更で is_checkout と各ステージの時刻を更新する', () => {
+    const room = { status: 'checked_out', status_times: { checked_out: 't1' } };
+    const cleaning = buildStatusUpdates(room, 'cleaning', 't2');
+    assert.deepEqual(cleaning, { status: 'cleaning', is_checkout: 1, status_times: { checked_out: 't1', cleaning: 't2' } });
+
+    // 戻した場合は以降のステージの時刻を消す
+    const back = buildStatusUpdates({ status_times: { checked_out: 't1', cleaning: 't2', cleaned: 't3' } }, 'checked_out', 't4');
+    assert.deepEqual(back, { status: 'checked_out', is_checkout: 1, status_times: { checked_out: 't4' } });
+
+    assert.deepEqual(buildStatusUpdates(room, 'occupied', 't5'), { status: 'occupied', is_checkout: 0, status_times: { occupied: 't5' } });
+});
+
+test('清掃済以降のステージを清掃完了とする', () => {
+    assert.deepEqual(STATUSES.filter(isCleaned), ['cleaned', 'inspected', 'ready']);
+});
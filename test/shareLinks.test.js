@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const shareLinks = require('../lib/shareLinks');
+
+// ===== 共有リンク =====
+
+const now = new Date('2026-10-19T00:00:00Z');
+const board = { scope: 'board', expires_at: '2026-10-20T00:00:00Z' };
+const selected = { scope: 'rooms', room_ids: ['201'], expires_at: '2026-10-20T00:00:00Z' };
+const room = (room_id) => ({ room_id, status: 'checked_out', notes: '鍵を預かり中', assigned_to: 'user-1', out_of_order_reason: '', version: 3 });
+
+test('失効・期限切れのリンクは使えない', () => {
+    assert.equal(shareLinks.isActive(board, now), true);
+    assert.equal(shareLinks.isActive({ ...board, revoked_at: '2026-10-18T00:00:00Z' }, now), false);
+    assert.equal(shareLinks.isActive(board, new Date('2026-10-20T00:00:00Z')), false);
+    assert.equal(shareLinks.isActive(null, now), false);
+});
+
+test('閲覧用の GET のみ許可し、担当ボードは公開しない', () => {
+    assert.equal(shareLinks.isAllowedRequest('GET', '/api/rooms'), true);
+    assert.equal(shareLinks.isAllowedRequest('GET', '/api/rooms/201'), true);
+    assert.equal(shareLinks.isAllowedRequest('PATCH', '/api/rooms/201'), false);
+    assert.equal(shareLinks.isAllowedRequest('GET', '/api/assignments'), false);
+    assert.equal(shareLinks.isAllowedRequest('GET', '/api/users'), false);
+});
+
+test('部屋の一覧は共有範囲に絞り、担当スタッフ・備考を除く', () => {
+    const rooms = [room('201'), room('202')];
+    assert.deepEqual(shareLinks.filterRooms(selected, rooms), [{ room_id: '201', status: 'checked_out', version: 3 }]);
+    assert.deepEqual(shareLinks.filterRooms(board, rooms).map(r => Object.keys(r)), [
+        ['room_id', 'status', 'version'],
+        ['room_id', 'status', 'version']
+    ]);
+    // 元の部屋は書き換えない
+    assert.equal(rooms[0].notes, '鍵を預かり中');
+});
+
+test('SSE イベントも共有範囲に絞り、スタッフ向けの項目を除く', () => {
+    assert.deepEqual(shareLinks.filterEventData(board, room('202')), { room_id: '202', status: 'checked_out', version: 3 });
+    assert.equal(shareLinks.filterEventData(selected, room('202')), null);
+    assert.deepEqual(shareLinks.filterEventData(selected, [room('201'), room('202')]), [{ room_id: '201', status: 'checked_out', version: 3 }]);
+    assert.equal(shareLinks.filterEventData(selected, [room('202')]), null);
+    // 部屋以外（カテゴリなど）はそのまま送る
+    const categories = [{ category_id: 'c1', name: 'Twin' }];
+    assert.equal(shareLinks.filterEventData(selected, categories), categories);
+});
+
+test('共有リンクの利用者には発行したスタッフを返さない', () => {
+    const link = { ...selected, link_id: 'l1', label: 'フロント', created_by_name: '山田', secret_hash: 'x' };
+    assert.deepEqual(shareLinks.toViewerShareLink(link), {
+        label: 'フロント', scope: 'rooms', room_ids: ['201'], expires_at: '2026-10-20T00:00:00Z'
+    });
+    assert.equal('secret_hash' in shareLinks.toPublicShareLink(link), false);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const webhooks = require('../lib/webhooks');
+
+// ===== Webhook =====
+
+test('署名は「タイムスタンプ.本文」の HMAC-SHA256 で、受信側が同じ値を計算できる', () => {
+    const secret = webhooks.generateSecret();
+    assert.match(secret, /^whsec_[A-Za-z0-9_-]{32}$/);
+
+    const body = JSON.stringify({ event: 'rooms.reset' });
+    const signature = webhooks.signPayload(secret, '1760000000', body);
+    const expected = crypto.createHmac('sha256', secret).update(`1760000000.${body}`).digest('hex');
+    assert.equal(signature, `sha256=${expected}`);
+    assert.notEqual(webhooks.signPayload(secret, '1760000001', body), signature);
+    assert.notEqual(webhooks.signPayload(webhooks.generateSecret(), '1760000000', body), signature);
+});
+
+test('登録内容の検証', () => {
+    assert.deepEqual(webhooks.parseWebhookFields({ url: ' https://example.com/hook ', events: ['rooms.reset', 'rooms.reset'] }, true),
+        { fields: { url: 'https://example.com/hook', events: ['rooms.reset'] } });
+    assert.deepEqual(webhooks.parseWebhookFields({ url: 'ftp://example.com', events: ['rooms.reset'] }, true), { error: 'invalid_webhook_url' });
+    assert.deepEqual(webhooks.parseWebhookFields({ url: 'https://example.com', events: [] }, true), { error: 'webhook_events_required' });
+    assert.deepEqual(webhooks.parseWebhookFields({ url: 'https://example.com', events: ['ping'] }, true), { error: 'invalid_webhook_events' });
+    assert.deepEqual(webhooks.parseWebhookFields({ is_active: false }, false), { fields: { is_active: 0 } });
+});
+
+test('失敗した配信は間隔を空けて再送し、上限に達したら失敗とする', () => {
+    const now = new Date('2026-10-19T00:00:00Z');
+    const failure = { ok: false, response_status: 500, response_body: '', error: webhooks.DELIVERY_ERRORS.HTTP_ERROR };
+
+    const first = webhooks.buildAttemptUpdates(failure, 1, now);
+    assert.equal(first.status, 'pending');
+    assert.equal(first.next_attempt_at, '2026-10-19T00:00:30.000Z');
+    assert.equal(first.error, 'http_error');
+
+    assert.equal(webhooks.buildAttemptUpdates(failure, 2, now).next_attempt_at, '2026-10-19T00:02:00.000Z');
+
+    const last = webhooks.buildAttemptUpdates(failure, webhooks.MAX_ATTEMPTS, now);
+    assert.equal(last.status, 'failed');
+    assert.equal(last.next_attempt_at, null);
+
+    const success = webhooks.buildAttemptUpdates({ ok: true, response_status: 204, response_body: '', error: null }, 3, now);
+    assert.equal(success.status, 'success');
+    assert.equal(success.delivered_at, now.toISOString());
+    assert.equal(success.next_attempt_at, null);
+});
+
+test('部屋の変化から業務イベントを検出する', () => {
+    const detector = webhooks.createEventDetector();
+    const room = (room_id, status, notes = '') => ({ room_id, status, notes, is_active: 1, out_of_order: 0, is_retired: 0 });
+    detector.seed('p1', [room('201', 'occupied'), room('202', 'occupied'), { ...room('203', 'occupied'), is_active: 0 }]);
+
+    assert.deepEqual(detector.detect('p1', 'roomUpdate', room('201', 'checked_out')).map(e => e.event), ['room.checked_out']);
+    // 同じ状態の再送・清掃の進行では OUT を検出しない
+    assert.deepEqual(detector.detect('p1', 'roomUpdate', room('201', 'checked_out')), []);
+    assert.deepEqual(detector.detect('p1', 'roomUpdate', room('201', 'cleaning')), []);
+
+    const events = detector.detect('p1', 'roomsUpdate', [room('202', 'checked_out', 'タオル追加')]);
+    assert.deepEqual(events.map(e => e.event), ['room.checked_out', 'room.note_added', 'rooms.all_out']);
+    assert.deepEqual(events[2].data, { active_rooms: 2, checked_out_rooms: 2 });
+    // 全室OUT は切り替わったときに1回だけ
+    assert.deepEqual(detector.detect('p1', 'roomUpdate', room('202', 'cleaning', 'タオル追加')), []);
+
+    const reset = detector.detect('p1', 'reset', [room('201', 'occupied'), { ...room('299', 'occupied'), is_retired: 1 }]);
+    assert.deepEqual(reset, [{ event: 'rooms.reset', data: { room_count: 1 } }]);
+    // 別の施設の状態とは混ざらない
+    assert.deepEqual(detector.detect('p2', 'roomUpdate', room('201', 'cleaning')).map(e => e.event), ['rooms.all_out']);
+});
+
+// 受け取ったリクエストを記録し、status の応答を返すサーバー
+async function startReceiver(status) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status === 200 ? 'ok' : 'error');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const delivery = { delivery_id: 'd1', event: 'rooms.reset', property_id: 'p1', created_at: '2026-10-19T00:00:00Z', payload: { room_count: 3 } };
+
+test('署名付きで配信し、応答を記録する', async () => {
+    const receiver = await startReceiver(200);
+    const hook = { url: receiver.url, secret: webhooks.generateSecret() };
+    const result = await webhooks.sendDelivery(hook, delivery);
+    await receiver.close();
+
+    assert.deepEqual(result, { ok: true, response_status: 200, response_body: 'ok', error: null });
+    const [{ headers, body }] = receiver.received;
+    assert.equal(headers['x-webhook-event'], 'rooms.reset');
+    assert.equal(headers['x-webhook-delivery'], 'd1');
+    assert.equal(body, webhooks.buildPayload(delivery));
+    assert.equal(headers[webhooks.SIGNATURE_HEADER.toLowerCase()], webhooks.signPayload(hook.secret, headers['x-webhook-timestamp'], body));
+});
+
+test('配信の失敗はエラーコードで返す（例外は投げない）', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const receiver = await startReceiver(503);
+    const failed = await webhooks.sendDelivery({ url: receiver.url, secret: 's' }, delivery);
+    await receiver.close();
+    assert.deepEqual(failed, { ok: false, response_status: 503, response_body: 'error', error: 'http_error' });
+
+    // 閉じたポート
+    const unreachable = await webhooks.sendDelivery({ url: receiver.url, secret: 's' }, delivery);
+    assert.deepEqual(unreachable, { ok: false, response_status: null, response_body: '', error: 'network_error' });
+});